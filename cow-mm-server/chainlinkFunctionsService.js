@@ -35,15 +35,15 @@ class ChainlinkFunctionsService {
     /**
      * Creates a Chainlink Functions request to retrieve preimage and reads the result.
      */
-    async createRequestAndReadResult(awsSecretARN, ethTxHash) {
+    async createRequestAndReadResult(swapId, ethTxHash) {
         try {
-            if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
-                throw new Error("AWS credentials are not set in environment variables.");
+            if (!process.env.ORACLE_URL || !process.env.ORACLE_DON_TOKEN) {
+                throw new Error("ORACLE_URL and ORACLE_DON_TOKEN must be set in environment variables.");
             }
 
-            if (!awsSecretARN) {
-                throw new Error("AWS Secret ARN is required.");
-            }            
+            if (!swapId) {
+                throw new Error("Swap ID is required.");
+            }
 
             if (!ethTxHash) {
                 throw new Error("Ethereum transaction hash is required.");
@@ -85,14 +85,13 @@ class ChainlinkFunctionsService {
                 source: fs.readFileSync(path.join(__dirname, "./preimage-retrieval.js")).toString(),
                 codeLocation: Location.Inline,
                 secrets: { 
-                    AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID ?? "", 
-                    AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY ?? "" ,
+                    ORACLE_URL: process.env.ORACLE_URL,
+                    ORACLE_DON_TOKEN: process.env.ORACLE_DON_TOKEN,
                     RPC_URL: this.networkRpcUrl
                 },
                 secretsLocation: Location.DONHosted,
                 args: [
-                    process.env.AWS_REGION ?? "", 
-                    awsSecretARN ?? "",
+                    swapId,
                     ethTxHash,
                     process.env.FUNCTION_SELECTOR ?? "0x13d79a0b",
                     process.env.TX_LOG_TOPIC ?? "0xa07a543ab8a018198e99ca0184c93fe9050a79400a0a723441f84de1d972cc17"
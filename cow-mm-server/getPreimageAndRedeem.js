@@ -32,8 +32,8 @@ class HTLCRedeemerWithPreimage {
 
     validateEnvironment() {
         const required = [
-            'AWS_REGION',
-            'AWS_ACCOUNT_ID',
+            'ORACLE_URL',
+            'ORACLE_DON_TOKEN',
             'CONSUMER_CONTRACT_ADDRESS',
             'OPERATOR_PRIVATE_KEY'
         ];
@@ -184,10 +184,7 @@ Notes:
         const feeAmount = 1000; // 1000 satoshis
         const spendingAmount = Math.floor((htlcUtxo.amount * 100000000) - feeAmount);
 
-        const secretPrefix = process.env.AWS_SECRETS_PREFIX || 'btc-oracle/';
-        const swapARN = `arn:aws:secretsmanager:${process.env.AWS_REGION}:${process.env.AWS_ACCOUNT_ID}:secret:${secretPrefix}${swapId}`;
-
-        const preimage = await chainlinkFunctionsService.createRequestAndReadResult(swapARN, ethTxHash);
+        const preimage = await chainlinkFunctionsService.createRequestAndReadResult(swapId, ethTxHash);
         if (!preimage || preimage === '0x' || preimage === '') {
             throw new Error(`Failed to retrieve preimage from Chainlink Functions. Received: ${preimage}`);
         }
@@ -1,11 +1,8 @@
-const { createSignedFetcher } = await import("npm:aws-sigv4-fetch@4.0.0");
-
-const region = args[0] || "ap-southeast-1";
-const secretARN = args[1];
-const awsRetrievalUrl = `https://secretsmanager.${region}.amazonaws.com/`;
-const TX_HASH = args[2] || "0x";
-const FUNCTION_SELECTOR = args[3] || "0x13d79a0b";
-const TX_LOG_TOPIC = args[4] || "0xa07a543ab8a018198e99ca0184c93fe9050a79400a0a723441f84de1d972cc17";
+const swapId = args[0];
+const TX_HASH = args[1] || "0x";
+const FUNCTION_SELECTOR = args[2] || "0x13d79a0b";
+const TX_LOG_TOPIC = args[3] || "0xa07a543ab8a018198e99ca0184c93fe9050a79400a0a723441f84de1d972cc17";
+const oracleRevealUrl = `${secrets.ORACLE_URL}/api/oracle/reveal-preimage/${swapId}`;
 
 
 function strip0x(hex) {
@@ -45,32 +42,24 @@ async function callRPC(method, params) {
   return json.result;
 }
 
-const signedFetch = createSignedFetcher({
-  service: "secretsmanager",
-  region,
-  credentials: {
-    accessKeyId: secrets.AWS_ACCESS_KEY_ID,
-    secretAccessKey: secrets.AWS_SECRET_ACCESS_KEY,
-  }
-});
-
-try {
-  const response = await signedFetch(awsRetrievalUrl, {
+async function revealPreimage() {
+  // The oracle only releases the preimage once it has verified the delivery itself
+  const revealResponse = await Functions.makeHttpRequest({
+    url: oracleRevealUrl,
     method: "POST",
     headers: {
-      "Content-Type": "application/x-amz-json-1.1",
-      "X-Amz-Target": "secretsmanager.GetSecretValue",
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${secrets.ORACLE_DON_TOKEN}`
     },
-    body: JSON.stringify({ SecretId: secretARN })
+    data: { ethTxHash: TX_HASH },
   });
-
-  if (!response.ok) {
-    throw new Error(`AWS API error: ${response.status}`);
+  if (revealResponse.error) {
+    throw new Error("Oracle reveal failed: " + (revealResponse.response?.data?.error || revealResponse.message));
   }
+  return revealResponse.data.data.preimage;
+}
 
-  const data = await response.json();
-  const secretObject = JSON.parse(data.SecretString);
-
+try {
   const tx = await callRPC("eth_getTransactionByHash", [TX_HASH]);
   if (!tx) {
     throw new Error("Transaction not found.");
@@ -97,7 +86,7 @@ try {
             const buyAmount = parseUint256(data.slice(192, 256));
 
 
-            return Functions.encodeString(secretObject.preimage);
+            return Functions.encodeString(await revealPreimage());
         }
     }
   } else {
@@ -101,6 +101,7 @@ class App {
     // Trade routes (protected by authentication)
     apiRouter.post('/trade', this.tradeController.executeTrade.bind(this.tradeController));
     apiRouter.get('/quote', this.tradeController.getQuote.bind(this.tradeController));
+    apiRouter.get('/quote/:quoteId', this.tradeController.getQuoteById.bind(this.tradeController));
     apiRouter.get('/order-status/:orderUid', this.tradeController.getOrderStatus.bind(this.tradeController));
     apiRouter.post('/cancel-order/:orderUid', this.tradeController.cancelOrder.bind(this.tradeController));
 
@@ -122,6 +123,7 @@ class App {
           health: '/health',
           trade: 'POST /api/trade',
           quote: 'GET /api/quote',
+          quoteById: 'GET /api/quote/:quoteId',
           orderStatus: 'GET /api/order-status/:orderUid',
           cancelOrder: 'POST /api/cancel-order/:orderUid',
           websocket: 'ws://localhost:3000/ws'
@@ -165,6 +167,7 @@ class App {
   GET  /                             - API documentation (no auth)
   POST /api/trade                    - Execute trade (requires API key)
   GET  /api/quote                    - Get price quote (requires API key)
+  GET  /api/quote/:quoteId           - Get an issued quote by ID (requires API key)
   GET  /api/order-status/:orderUid   - Check order status (requires API key)
   POST /api/cancel-order/:orderUid   - Cancel order (requires API key)
   WS   /ws                          - WebSocket for real-time updates
@@ -118,6 +118,12 @@ All endpoints return consistent error responses with:
               description: 'Order validity period in seconds (optional, default: 1800)',
               example: 1800,
             },
+            minBuyAmount: {
+              type: 'string',
+              pattern: '^[0-9]+$',
+              description: 'Refuse the trade with 409 if the quote buys less than this (optional)',
+              example: '4963578974493672920',
+            },
           },
         },
         TradeResponse: {
@@ -187,6 +193,20 @@ All endpoints return consistent error responses with:
               description: 'ISO timestamp when order expires',
               example: '2025-06-21T20:39:23.000Z',
             },
+            quoteId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID for GET /api/quote/{quoteId}, set on quotes from GET /api/quote',
+            },
+            userWallet: {
+              type: 'string',
+              description: 'Wallet the quote was requested for',
+            },
+            slippageBips: {
+              type: 'integer',
+              description: 'Slippage tolerance the quote was requested with',
+              example: 51,
+            },
           },
         },
         OrderStatusResponse: {
@@ -15,6 +15,7 @@ import {
 } from "../models";
 import { CoWService } from "../services/cow.service";
 import { SafeService } from "../services/safe.service";
+import { QuoteBook } from "../services/quoteBook.service";
 import { validateTradeRequest, validateOrderUid } from "../utils/validators";
 import { createAppError } from "../middleware/errorHandler";
 import { config } from "../config/app.config";
@@ -22,10 +23,12 @@ import { config } from "../config/app.config";
 export class TradeController {
   private cowService: CoWService;
   private safeService: SafeService;
+  private quoteBook: QuoteBook;
 
   constructor() {
     this.cowService = new CoWService();
     this.safeService = new SafeService();
+    this.quoteBook = new QuoteBook();
   }
 
   /**
@@ -156,6 +159,19 @@ export class TradeController {
         feeAmount: quote.feeAmount,
       });
 
+      // The caller committed the user to a minimum; never trade below it
+      if (
+        tradeRequest.minBuyAmount &&
+        ethers.BigNumber.from(quote.buyAmount).lt(tradeRequest.minBuyAmount)
+      ) {
+        throw createAppError(
+          "Quote is below the minimum buy amount",
+          409,
+          ERROR_CODES.QUOTE_BELOW_MINIMUM,
+          { buyAmount: quote.buyAmount, minBuyAmount: tradeRequest.minBuyAmount }
+        );
+      }
+
       // 🚀 AUTO-APPROVAL: Ensure sell token is approved before trading
       console.log("🔍 Ensuring sell token approval for trading...");
       const totalSellAmount = ethers.BigNumber.from(quote.sellAmount)
@@ -513,8 +529,8 @@ export class TradeController {
         priceQuality: (priceQuality as string) || 'optimal',
       });
 
-      // Format response
-      const response: QuoteDto = {
+      // Format response; the stored copy lets the oracle lock this price by quoteId
+      const response: QuoteDto = this.quoteBook.save({
         sellToken: quote.sellToken,
         buyToken: quote.buyToken,
         sellAmount: quote.sellAmount,
@@ -523,7 +539,9 @@ export class TradeController {
         validTo: quote.validTo,
         priceImpact: "0.0", // TODO: Calculate actual price impact
         expiresAt: new Date(quote.validTo * 1000).toISOString(),
-      };
+        userWallet: userWallet as string,
+        slippageBips: slippage,
+      });
 
       res.json(response);
     } catch (error) {
@@ -531,6 +549,66 @@ export class TradeController {
     }
   }
 
+  /**
+   * @swagger
+   * /api/quote/{quoteId}:
+   *   get:
+   *     summary: Get a quote previously returned by GET /api/quote
+   *     description: |
+   *       Returns a quote by the quoteId it was issued with, until it expires.
+   *       The oracle uses it to lock the price the user was shown when a swap is created.
+   *     tags:
+   *       - Trading
+   *     security:
+   *       - ApiKeyAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: quoteId
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: uuid
+   *     responses:
+   *       200:
+   *         description: Quote found
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Quote'
+   *       401:
+   *         description: Authentication required
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   *       404:
+   *         description: Unknown or expired quote
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ErrorResponse'
+   */
+  async getQuoteById(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ): Promise<void> {
+    try {
+      const quote = this.quoteBook.get(req.params.quoteId);
+      if (!quote) {
+        throw createAppError(
+          "Quote not found or expired",
+          404,
+          ERROR_CODES.QUOTE_NOT_FOUND
+        );
+      }
+
+      res.json(quote);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * @swagger
    * /api/cancel-order/{orderUid}:
@@ -89,6 +89,7 @@ export interface TradeRequestDto {
   userWallet: string;
   slippagePercent?: number; // Default: 0.5%
   validitySeconds?: number; // Default: 1800 (30 minutes)
+  minBuyAmount?: string; // Refuse to trade if the quote buys less (wei)
 }
 
 export interface TradeResponseDto {
@@ -109,6 +110,9 @@ export interface QuoteDto {
   validTo: number;
   priceImpact: string;
   expiresAt: string;
+  quoteId?: string; // Set on quotes from GET /api/quote, for GET /api/quote/:quoteId
+  userWallet?: string;
+  slippageBips?: number;
 }
 
 export interface OrderStatusRequestDto {
@@ -342,6 +346,8 @@ export const ERROR_CODES = {
   QUOTE_FAILED: 'QUOTE_FAILED',
   ORDER_SUBMISSION_FAILED: 'ORDER_SUBMISSION_FAILED',
   ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+  QUOTE_NOT_FOUND: 'QUOTE_NOT_FOUND',
+  QUOTE_BELOW_MINIMUM: 'QUOTE_BELOW_MINIMUM',
   
   // Safe wallet errors
   SAFE_TRANSACTION_FAILED: 'SAFE_TRANSACTION_FAILED',
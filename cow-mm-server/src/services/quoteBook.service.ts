@@ -0,0 +1,38 @@
+import { randomUUID } from "crypto";
+import { QuoteDto } from "../models";
+
+/**
+ * Quotes handed out by GET /api/quote, kept until they expire so the oracle
+ * can lock the price a user was shown when the swap is created.
+ */
+export class QuoteBook {
+  private quotes = new Map<string, QuoteDto>();
+
+  /**
+   * Store a quote under a new ID
+   */
+  save(quote: QuoteDto): QuoteDto {
+    this.prune();
+
+    const stored: QuoteDto = { ...quote, quoteId: randomUUID() };
+    this.quotes.set(stored.quoteId as string, stored);
+    return stored;
+  }
+
+  /**
+   * Look up a quote that has not expired yet
+   */
+  get(quoteId: string): QuoteDto | null {
+    this.prune();
+    return this.quotes.get(quoteId) || null;
+  }
+
+  private prune(): void {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [quoteId, quote] of this.quotes) {
+      if (quote.validTo <= now) {
+        this.quotes.delete(quoteId);
+      }
+    }
+  }
+}
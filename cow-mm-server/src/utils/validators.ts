@@ -60,6 +60,25 @@ export function validateTradeRequest(request: TradeRequestDto): ValidationErrorD
     }
   }
 
+  // Validate minimum buy amount (optional)
+  if (request.minBuyAmount !== undefined) {
+    try {
+      if (ethers.BigNumber.from(request.minBuyAmount).lte(0)) {
+        errors.push({
+          field: 'minBuyAmount',
+          message: 'Minimum buy amount must be greater than 0',
+          value: request.minBuyAmount
+        });
+      }
+    } catch (error) {
+      errors.push({
+        field: 'minBuyAmount',
+        message: 'Invalid minimum buy amount format',
+        value: request.minBuyAmount
+      });
+    }
+  }
+
   // Validate validity (optional)
   if (request.validitySeconds !== undefined) {
     if (request.validitySeconds < 60 || request.validitySeconds > 3600) {
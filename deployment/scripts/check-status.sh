@@ -84,7 +84,7 @@ echo -e "${YELLOW}🏥 Checking service health...${NC}"
 ORACLE_HEALTHY=false
 MM_HEALTHY=false
 
-if check_service "Oracle Backend" 3001; then
+if check_service "Oracle Backend" 3001 "/health/ready"; then
     ORACLE_HEALTHY=true
 fi
 
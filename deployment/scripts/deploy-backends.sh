@@ -74,6 +74,12 @@ if [ ! -f "$ORACLE_DIR/.env" ]; then
     echo -e "${YELLOW}💡 Please update $ORACLE_DIR/.env with your configuration${NC}"
 fi
 
+# The oracle refuses to start without a market maker claim key or registry
+if ! grep -Eq '^(MM_CLAIM_PUBKEY|MM_CLAIM_XPUB|MM_REGISTRY_PATH)=.+' "$ORACLE_DIR/.env"; then
+    echo -e "${RED}❌ Set MM_CLAIM_PUBKEY, MM_CLAIM_XPUB or MM_REGISTRY_PATH in $ORACLE_DIR/.env${NC}"
+    exit 1
+fi
+
 if [ ! -f "$MM_SERVER_DIR/.env" ]; then
     echo -e "${YELLOW}⚠️  MM Server .env not found, creating from example...${NC}"
     cp "$MM_SERVER_DIR/.env.example" "$MM_SERVER_DIR/.env"
@@ -103,11 +109,13 @@ pm2 status
 # Health checks
 echo -e "${YELLOW}🏥 Performing health checks...${NC}"
 
-# Check Oracle Backend health
-if curl -f http://localhost:3001/health > /dev/null 2>&1; then
-    echo -e "${GREEN}✅ Oracle Backend healthy (http://localhost:3001)${NC}"
+# Check Oracle Backend readiness (swap store, Bitcoin data, MM server, price feeds)
+if curl -f http://localhost:3001/health/ready > /dev/null 2>&1; then
+    echo -e "${GREEN}✅ Oracle Backend ready (http://localhost:3001)${NC}"
 else
-    echo -e "${RED}❌ Oracle Backend health check failed${NC}"
+    echo -e "${RED}❌ Oracle Backend readiness check failed${NC}"
+    curl -s http://localhost:3001/health/ready || true
+    echo ""
     echo -e "${YELLOW}💡 Check logs with: pm2 logs oracle-backend${NC}"
 fi
 
@@ -135,6 +135,9 @@ ORACLE_DEFAULT_TIMELOCK=144
 ORACLE_API_RATE_LIMIT=1000
 ORACLE_CORS_ORIGIN=https://takefi.xyz
 ORACLE_LOG_LEVEL=info
+# Key the market maker claims HTLCs with: a compressed pubkey or an xpub (required)
+ORACLE_MM_CLAIM_PUBKEY=CHANGE_ME
+ORACLE_MM_CLAIM_XPUB=
 
 # MM Server
 MM_NODE_ENV=production
@@ -228,7 +231,7 @@ case "$1" in
         ;;
     "health")
         echo "Health checks:"
-        curl -s http://localhost:3001/health || echo "Oracle Backend: DOWN"
+        curl -s http://localhost:3001/health/ready || echo "Oracle Backend: DOWN"
         curl -s http://localhost:3000/health || echo "MM Server: DOWN"
         curl -s http://localhost:3002/health || echo "Frontend: DOWN"
         ;;
@@ -287,8 +290,9 @@ check_service() {
     local service=$1
     local port=$2
     local name=$3
+    local endpoint=${4:-"/health"}
     
-    if curl -sf http://localhost:$port/health > /dev/null 2>&1; then
+    if curl -sf http://localhost:$port$endpoint > /dev/null 2>&1; then
         echo "✅ $name is healthy"
         return 0
     else
@@ -300,10 +304,15 @@ check_service() {
 echo "🔍 TakeFi Service Monitor - $(date)"
 echo "=================================="
 
-# Check services
-check_service "oracle" 3001 "Oracle Backend"
+# Check services; a restart only helps a dead process, so act on liveness
+check_service "oracle" 3001 "Oracle Backend" "/health/live"
 oracle_status=$?
 
+# Readiness failures are dependency outages, report them without restarting
+if ! curl -sf http://localhost:3001/health/ready > /dev/null 2>&1; then
+    echo "⚠️  Oracle Backend is not ready: $(curl -s http://localhost:3001/health/ready | jq -c '[.checks | to_entries[] | select(.value.status != "up") | {(.key): .value.status}] | add')"
+fi
+
 check_service "mm" 3000 "MM Server" 
 mm_status=$?
 
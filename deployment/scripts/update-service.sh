@@ -121,10 +121,22 @@ restart_service() {
         # Health check
         case $service in
             "oracle")
-                if curl -sf http://localhost:3001/health > /dev/null; then
-                    echo -e "${GREEN}✅ $service health check passed${NC}"
+                # Ready means every dependency needed to create and settle swaps answers
+                local ready=false
+                for attempt in $(seq 1 10); do
+                    if curl -sf http://localhost:3001/health/ready > /dev/null; then
+                        ready=true
+                        break
+                    fi
+                    sleep 3
+                done
+
+                if [ "$ready" = true ]; then
+                    echo -e "${GREEN}✅ $service readiness check passed${NC}"
                 else
-                    echo -e "${RED}❌ $service health check failed${NC}"
+                    echo -e "${RED}❌ $service is not ready${NC}"
+                    curl -s http://localhost:3001/health/ready || true
+                    echo ""
                     return 1
                 fi
                 ;;
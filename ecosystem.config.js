@@ -7,6 +7,12 @@ module.exports = {
       exec_mode: 'fork',
       watch: false,
       max_memory_restart: '1G',
+      // The oracle sends 'ready' once /health/ready passes; reloads keep the old
+      // instance serving until then (or until listen_timeout)
+      wait_ready: true,
+      listen_timeout: 30000,
+      // Graceful shutdown drains for up to 30s
+      kill_timeout: 35000,
       env: {
         NODE_ENV: 'development',
         PORT: 3001,
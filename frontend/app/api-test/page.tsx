@@ -43,11 +43,11 @@ export default function APITestPage() {
     try {
       const response = await oracleAPI.createPreimage({
         // Don't include userBtcAddress - let Oracle generate one
-        mmPubkey:
-          "026477115981fe981a6918a6297d9803c4dc04f328f22041bedff886bbc2962e01",
+        // No mmId - the oracle uses its default market maker
         btcAmount: btcToSatoshis(0.001), // 0.001 BTC
         timelock: 144,
         userEthAddress: "0x742d35Cc6aB09028b5bC08dB6c2b968e1d4fE03a",
+        targetToken: "0x0625aFB445C3B6B7B929342a04A22599fd5dBB59", // COW Token Sepolia
       });
       setResults({ ...results, preimage: { success: true, data: response } });
     } catch (error: any) {
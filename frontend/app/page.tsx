@@ -235,10 +235,8 @@ export default function Component() {
 
     return () => {
       clearInterval(priceInterval);
-      // Clean up swap polling if it exists
-      if ((window as any).swapPollInterval) {
-        clearInterval((window as any).swapPollInterval);
-      }
+      // Clean up swap updates if they are running
+      stopSwapUpdates();
     };
   }, []);
 
@@ -253,6 +251,18 @@ export default function Component() {
     return () => clearTimeout(timeoutId);
   }, [btcAmount, userEthAddress]);
 
+  // Stop the swap status stream and its fallback polling
+  const stopSwapUpdates = () => {
+    if ((window as any).swapPollInterval) {
+      clearInterval((window as any).swapPollInterval);
+      delete (window as any).swapPollInterval;
+    }
+    if ((window as any).swapStreamClose) {
+      (window as any).swapStreamClose();
+      delete (window as any).swapStreamClose;
+    }
+  };
+
   // Poll Oracle for swap status updates
   const pollSwapStatus = async (swapId: string) => {
     try {
@@ -280,14 +290,16 @@ export default function Component() {
           setCurrentStep(2);
           break;
 
-        case "btc_received":
+        case "funded":
+        case "confirmed":
+        case "on_hold":
           // BTC received, oracle processing
           updateSwapStep(2, "completed");
           updateSwapStep(3, "current");
           setCurrentStep(3);
           break;
 
-        case "order_submitted":
+        case "trading":
           // Order has been submitted to CoW Protocol
           updateSwapStep(2, "completed");
           updateSwapStep(3, "completed");
@@ -295,55 +307,33 @@ export default function Component() {
           setCurrentStep(4);
           break;
 
-        case "order_pending":
-          // Order is live on CoW Protocol, waiting for execution
-          updateSwapStep(4, "current");
-          setCurrentStep(4);
-          break;
-
-        case "order_partial":
-          // Order partially filled
-          updateSwapStep(4, "current");
-          setCurrentStep(4);
-          break;
-
-        case "completed":
+        case "delivered":
+        case "btc_claimed":
           // Actually completed - tokens delivered!
           updateSwapStep(4, "completed");
           updateSwapStep(5, "completed");
           setCurrentStep(5);
           setSwapCompleted(true);
           setIsSwapping(false);
-          // Clear polling
-          if ((window as any).swapPollInterval) {
-            clearInterval((window as any).swapPollInterval);
-            delete (window as any).swapPollInterval;
-          }
+          stopSwapUpdates();
           break;
 
-        case "order_failed":
-        case "mm_failed":
+        case "failed":
           console.error("Order/MM failed:", swapDetails.data);
           alert(
             "Order failed to execute. This can happen on testnet due to low liquidity. Please try again or contact support."
           );
           setIsSwapping(false);
-          // Clear polling
-          if ((window as any).swapPollInterval) {
-            clearInterval((window as any).swapPollInterval);
-            delete (window as any).swapPollInterval;
-          }
+          stopSwapUpdates();
           break;
 
         case "expired":
+        case "refundable":
+        case "refunded":
           console.error("Swap expired");
           alert("Swap expired. Please create a new swap.");
           setIsSwapping(false);
-          // Clear polling
-          if ((window as any).swapPollInterval) {
-            clearInterval((window as any).swapPollInterval);
-            delete (window as any).swapPollInterval;
-          }
+          stopSwapUpdates();
           break;
       }
     } catch (error) {
@@ -360,14 +350,21 @@ export default function Component() {
       setCurrentStep(0);
       updateSwapStep(0, "current");
 
+      if (!selectedOffer?.quote) {
+        throw new Error("No market maker quote selected");
+      }
+
       console.log("Creating preimage via Oracle API...");
       const preimageResponse = await oracleAPI.createPreimage({
         // userBtcAddress will be hardcoded in API service for testing
-        mmPubkey:
-          "026477115981fe981a6918a6297d9803c4dc04f328f22041bedff886bbc2962e01", // Default MM pubkey
+        mmId: selectedOffer.mmId,
         btcAmount: btcToSatoshis(parseFloat(btcAmount)),
         timelock: 144,
         userEthAddress: userEthAddress,
+        // The token the quote buys, which the oracle checks the quote against
+        targetToken: selectedOffer.quote.buyToken,
+        // Lock the quote the user accepted
+        quoteId: selectedOffer.quote.quoteId,
       });
 
       console.log("Preimage created:", preimageResponse);
@@ -391,10 +388,17 @@ export default function Component() {
       );
       console.log(`🆔 Swap ID: ${preimageResponse.data.swapId}`);
 
-      // Start polling for swap status updates
+      // Refresh whenever the oracle pushes a swap event
+      (window as any).swapStreamClose = oracleAPI.subscribeToSwap(
+        preimageResponse.data.swapId,
+        preimageResponse.data.streamToken,
+        () => pollSwapStatus(preimageResponse.data.swapId)
+      );
+
+      // Slow polling as a fallback in case the stream is unavailable
       const pollInterval = setInterval(() => {
         pollSwapStatus(preimageResponse.data.swapId);
-      }, 5000); // Poll every 5 seconds
+      }, 30000); // Poll every 30 seconds
 
       // Store interval ID to clear later
       (window as any).swapPollInterval = pollInterval;
@@ -2,6 +2,7 @@
 import axios, { AxiosResponse } from "axios";
 import { MetadataApi } from "@cowprotocol/app-data";
 import { chainlinkService } from "./chainlink";
+import { io } from "socket.io-client";
 
 // API Configuration
 const ORACLE_API_URL =
@@ -10,14 +11,25 @@ const MM_SERVER_API_URL =
   process.env.NEXT_PUBLIC_MM_SERVER_API_URL || "http://localhost:3000";
 const MM_API_KEY =
   process.env.NEXT_PUBLIC_MM_API_KEY || "takefi-mm-api-key-dev";
+// Oracle registry ID of the market maker behind MM_SERVER_API_URL
+const MM_ID = process.env.NEXT_PUBLIC_MM_ID;
+const ORACLE_STREAM_PATH =
+  process.env.NEXT_PUBLIC_ORACLE_STREAM_PATH || "/api/swaps/stream";
 
 // Type definitions
 export interface CreatePreimageRequest {
   userBtcAddress?: string; // Optional for now, will be generated
-  mmPubkey: string;
+  mmId?: string; // Registered market maker; the oracle's default when omitted
+  userRefundPubkey?: string; // Compressed pubkey for the HTLC timelock refund branch
+  userRefundPubkeySignature?: string; // Optional BIP-137 signed message (base64) proving ownership of the refund key
   btcAmount: number; // in satoshis
-  timelock?: number;
+  timelock?: number; // Duration in blocks
+  timelockType?: "absolute" | "relative";
+  idempotencyKey?: string; // Reused across retries so the oracle creates one swap
   userEthAddress: string; // User's Ethereum wallet for receiving tokens
+  targetToken: string; // Token bought for the user, the quote's buyToken
+  quoteId?: string; // MM quote the user accepted; trades below it need fresh consent
+  slippageBps?: number; // Tolerance below the quoted amount, defaults to the quote's
 }
 
 export interface CreatePreimageResponse {
@@ -29,15 +41,87 @@ export interface CreatePreimageResponse {
     htlcAddress: string; // Real Bitcoin address to fund
     expiresAt: string;
     timelock: number;
+    timelockType: "absolute" | "relative";
+    lockHeight: number;
+    mmId: string;
+    mmPubkey: string;
+    mmKeyPath: string | null;
+    userRefundPubkey: string | null;
+    refundPath: boolean;
+    streamToken: string; // Authorizes subscribeToSwap for this swap
+  };
+}
+
+// Market maker registered with the oracle
+export interface MarketMaker {
+  mmId: string;
+  name: string;
+  claimKeyType: "pubkey" | "xpub";
+  tokens: string[]; // Empty when it takes any target token
+  minBtcAmount: number | null;
+  maxBtcAmount: number | null;
+  status: "active" | "paused";
+}
+
+export interface MarketMakersResponse {
+  success: boolean;
+  data: {
+    marketMakers: MarketMaker[];
+    defaultMmId: string | null;
   };
 }
 
+// What the oracle sells for a BTC deposit; MM quotes must be requested for it
+export interface PricingResponse {
+  success: boolean;
+  data: {
+    sellToken: string;
+    sellAmount: string; // Base units of sellToken
+    depositSats: number;
+    claimFeeSats: number;
+    feeSats: number;
+    netSats: number;
+    rate: string; // sellToken per BTC
+    btcUsd: string;
+    sellTokenUsd: string;
+    pricedAt: string;
+  };
+}
+
+// Swap lifecycle states, mirroring oracle-backend/src/services/swapLifecycle.js
+export type SwapStatus =
+  | "pending"
+  | "funded"
+  | "confirmed"
+  | "on_hold"
+  | "trading"
+  | "failed"
+  | "delivered"
+  | "btc_claimed"
+  | "refundable"
+  | "refunded"
+  | "expired";
+
+export interface SwapStatusTransition {
+  from: SwapStatus | null;
+  to: SwapStatus;
+  at: string;
+  cause: string | null;
+}
+
+export interface FundingOutpoint {
+  txid: string;
+  vout: number;
+  value: number;
+}
+
 export interface SwapDetailsResponse {
   success: boolean;
   data: {
     swapId: string;
     hash: string;
     userAddress: string;
+    mmId: string | null;
     mmPubkey: string;
     btcAmount: number;
     timelock: number;
@@ -45,17 +129,32 @@ export interface SwapDetailsResponse {
     htlcAddress: string;
     createdAt: string;
     expiresAt: string;
-    status:
-      | "active"
-      | "btc_received"
-      | "tokens_swapped"
-      | "completed"
-      | "expired";
+    status: SwapStatus;
+    statusHistory: SwapStatusTransition[];
+    fundingOutpoints?: FundingOutpoint[];
+    receivedAmountSats?: number;
+    tradeAmountSats?: number;
+    excessSats?: number; // Deposited above btcAmount; traded unless the oracle caps overpayments
     userEthAddress?: string;
     cowOrderUid?: string;
   };
 }
 
+// Event pushed by the oracle's real-time swap stream
+export interface SwapStreamEvent {
+  id: string;
+  type: string;
+  swapId: string;
+  occurredAt: string;
+  data: Record<string, unknown> & { swap: SwapDetailsResponse["data"] };
+}
+
+export interface SwapStreamSnapshot {
+  swapId: string;
+  lastEventId: string | null;
+  swap: SwapDetailsResponse["data"];
+}
+
 export interface QuoteRequest {
   sellToken: string;
   buyToken: string;
@@ -77,11 +176,14 @@ export interface QuoteResponse {
   expiresAt: string;
   appData?: string;
   appDataHash?: string;
-  quoteId?: number;
+  quoteId?: string; // Pass to createPreimage to lock this quote for the swap
+  userWallet?: string;
+  slippageBips?: number;
 }
 
 export interface MarketMakerOffer {
   id: string;
+  mmId?: string; // Oracle registry ID, passed to createPreimage
   mmName: string;
   fromToken: string;
   toToken: string;
@@ -105,10 +207,6 @@ export class OracleAPI {
     request: CreatePreimageRequest
   ): Promise<CreatePreimageResponse> {
     try {
-      // Use a default MM public key for now - in production this would come from MM registration
-      const mmPubkey =
-        "026477115981fe981a6918a6297d9803c4dc04f328f22041bedff886bbc2962e01";
-
       // TEMPORARY: Use test address from centralized config for testing
       const { getBitcoinTestAddresses } = await import(
         "./bitcoin-network.config"
@@ -118,11 +216,20 @@ export class OracleAPI {
 
       const payload = {
         userBtcAddress: hardcodedBtcAddress, // Hardcoded for testing
-        mmPubkey,
+        // The oracle uses the market maker's registered claim key and endpoint
+        ...(request.mmId && { mmId: request.mmId }),
+        userRefundPubkey: request.userRefundPubkey,
+        userRefundPubkeySignature: request.userRefundPubkeySignature,
         btcAmount: request.btcAmount,
         timelock: request.timelock || 144,
+        timelockType: request.timelockType,
         // Send as userEthWallet to match Oracle backend validation
         userEthWallet: request.userEthAddress,
+        targetToken: request.targetToken,
+        ...(request.quoteId && { quoteId: request.quoteId }),
+        ...(request.slippageBps !== undefined && {
+          slippageBps: request.slippageBps,
+        }),
       };
 
       console.log("Sending Oracle API request:", {
@@ -137,17 +244,61 @@ export class OracleAPI {
           payload.userEthWallet.slice(-4),
       });
 
-      const response: AxiosResponse<CreatePreimageResponse> = await axios.post(
-        `${this.baseURL}/api/oracle/create-preimage`,
-        payload
+      // Retries after a timeout or dropped connection reuse the key, so the
+      // oracle returns the swap it already created instead of a second one
+      const idempotencyKey = request.idempotencyKey || crypto.randomUUID();
+      let attempt = 0;
+      while (true) {
+        try {
+          const response: AxiosResponse<CreatePreimageResponse> =
+            await axios.post(
+              `${this.baseURL}/api/oracle/create-preimage`,
+              payload,
+              {
+                headers: { "Idempotency-Key": idempotencyKey },
+                timeout: 30000,
+              }
+            );
+
+          return response.data;
+        } catch (error: any) {
+          const retryable = !error.response || error.response.status === 409;
+          if (!retryable || ++attempt >= 3) throw error;
+          await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+        }
+      }
+    } catch (error: any) {
+      console.error("Oracle API Error:", error.response?.data || error.message);
+      throw new Error(
+        error.response?.data?.error || "Failed to create preimage"
       );
+    }
+  }
 
+  async getMarketMakers(): Promise<MarketMakersResponse> {
+    try {
+      const response: AxiosResponse<MarketMakersResponse> = await axios.get(
+        `${this.baseURL}/api/oracle/market-makers`
+      );
       return response.data;
     } catch (error: any) {
       console.error("Oracle API Error:", error.response?.data || error.message);
       throw new Error(
-        error.response?.data?.error || "Failed to create preimage"
+        error.response?.data?.error || "Failed to get market makers"
+      );
+    }
+  }
+
+  async getPricing(btcAmountSats: number): Promise<PricingResponse> {
+    try {
+      const response: AxiosResponse<PricingResponse> = await axios.get(
+        `${this.baseURL}/api/oracle/pricing`,
+        { params: { btcAmount: btcAmountSats } }
       );
+      return response.data;
+    } catch (error: any) {
+      console.error("Oracle API Error:", error.response?.data || error.message);
+      throw new Error(error.response?.data?.error || "Failed to get pricing");
     }
   }
 
@@ -235,6 +386,47 @@ export class OracleAPI {
       );
     }
   }
+
+  // Follow a swap over the oracle's real-time stream. After a reconnect the
+  // oracle replays events since the last one received. Returns a close function.
+  subscribeToSwap(
+    swapId: string,
+    streamToken: string,
+    onUpdate: (swap: SwapDetailsResponse["data"]) => void
+  ): () => void {
+    const socket = io(this.baseURL, {
+      path: ORACLE_STREAM_PATH,
+      transports: ["websocket"],
+      auth: { streamTokens: { [swapId]: streamToken } },
+    });
+    const seen = new Set<string>();
+    let lastEventId: string | null = null;
+
+    socket.on("connect", () => {
+      socket.emit("subscribe", {
+        swapIds: [swapId],
+        lastEventIds: lastEventId ? { [swapId]: lastEventId } : {},
+      });
+    });
+
+    socket.on("swapSnapshot", (snapshot: SwapStreamSnapshot) => {
+      if (snapshot.swapId !== swapId) return;
+      lastEventId = snapshot.lastEventId;
+      onUpdate(snapshot.swap);
+    });
+
+    socket.on("swapEvent", (event: SwapStreamEvent) => {
+      // Replayed events can overlap with live ones
+      if (event.swapId !== swapId || seen.has(event.id)) return;
+      seen.add(event.id);
+      lastEventId = event.id;
+      onUpdate(event.data.swap);
+    });
+
+    return () => {
+      socket.disconnect();
+    };
+  }
 }
 
 // Market Maker Server API Client
@@ -387,7 +579,7 @@ export const createFallbackQuote = async (
     expiresAt: new Date(Date.now() + 600000).toISOString(),
     appData: appDataHex,
     appDataHash: appDataHash,
-    quoteId: Math.floor(Math.random() * 1000000), // Random fallback quoteId
+    // No quoteId: the MM never issued this quote, so there is nothing to lock
   };
 };
 
@@ -467,33 +659,20 @@ export const generateOffersFromQuotes = async (
       chainId,
     });
 
-    // PRODUCTION FLOW: BTC → MM sells USDC → buys BCSPX → transfers to user
-    // Get current BTC/USD price from Chainlink oracle
-    const btcPriceData = await chainlinkService.getPrice("BTC");
-    if (!btcPriceData) {
-      throw new Error("Unable to fetch BTC price from Chainlink oracle");
-    }
-
-    // Calculate USDC amount needed (USDC has 6 decimals)
-    const usdValue = parseFloat(btcAmount) * btcPriceData.price;
-    const usdcAmount = (usdValue * 1e6).toString(); // Convert to USDC wei (6 decimals)
-
-    console.log(
-      `Production flow: ${btcAmount} BTC @ $${btcPriceData.price.toFixed(
-        2
-      )} = $${usdValue.toFixed(2)} USDC`
+    // The oracle sells its sell token (WETH) for the deposit and locks only
+    // quotes for exactly that sale, so the quote is requested for its pricing
+    const { data: pricing } = await oracleAPI.getPricing(
+      btcToSatoshis(parseFloat(btcAmount))
     );
+
     console.log(
-      `MM will sell ${(parseFloat(usdcAmount) / 1e6).toFixed(
-        2
-      )} USDC to buy BCSPX for user`
+      `Oracle pricing: ${btcAmount} BTC (${pricing.netSats} sats after fees) = ${pricing.sellAmount} base units of ${pricing.sellToken}`
     );
 
-    // MM sells USDC to buy BCSPX for the user (correct production flow)
     const quote = await mmAPI.getQuote({
-      sellToken: tokens.USDC, // MM sells USDC (production)
+      sellToken: pricing.sellToken, // MM sells what the oracle prices the deposit in
       buyToken: finalTargetToken, // MM buys BCSPX
-      sellAmount: usdcAmount, // USDC amount equivalent to BTC value
+      sellAmount: pricing.sellAmount,
       userWallet: userEthAddress, // BCSPX goes directly to user's wallet
       slippageBips: 51,
       priceQuality: "optimal",
@@ -508,6 +687,12 @@ export const generateOffersFromQuotes = async (
 
     console.log(`Rate: 1 BTC = ${bcspxPerBtc.toFixed(4)} BCSPX tokens`);
 
+    // The swap is created with the registry entry of the MM that quoted
+    const { data: registry } = await oracleAPI.getMarketMakers();
+    const marketMaker = registry.marketMakers.find(
+      (mm) => mm.mmId === (MM_ID || registry.defaultMmId)
+    );
+
     // Create market maker offers with real quote data
     const networkName = chainId === 43114 ? "Avalanche" : "Sepolia";
     const targetTokenSymbol = chainId === 43114 ? "BCSPX" : "bCSPX";
@@ -515,7 +700,8 @@ export const generateOffersFromQuotes = async (
     return [
       {
         id: "real-mm-1",
-        mmName: `CoW Protocol MM (${networkName})`,
+        mmId: marketMaker?.mmId,
+        mmName: marketMaker?.name || `CoW Protocol MM (${networkName})`,
         fromToken: "BTC",
         toToken: targetTokenSymbol,
         rate: bcspxPerBtc,
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// Re-wrap stored preimages under the active key (PREIMAGE_ACTIVE_KEK_ID).
+// Plaintext preimages left from before encryption are sealed on the way.
+//
+// Usage: npm run rotate-preimage-keys -- [--dry-run]
+//
+// Keep the retired key in PREIMAGE_KEKS until this reports no failures,
+// then remove it.
+
+require('dotenv').config();
+
+const swapStore = require('../src/services/swapStore');
+const preimageVault = require('../src/services/preimageVault');
+const logger = require('../src/utils/logger');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function rotate() {
+  const { activeKeyId } = await preimageVault.getKeyring();
+  const swaps = await swapStore.listSwaps();
+  const summary = { scanned: swaps.length, current: 0, rewrapped: 0, sealed: 0, failed: 0 };
+
+  console.log(`Rotating preimages to key ${activeKeyId}${dryRun ? ' (dry run)' : ''}...`);
+
+  for (const swap of swaps) {
+    if (!(await preimageVault.needsRotation(swap))) {
+      summary.current++;
+      continue;
+    }
+
+    const action = swap.encryptedPreimage ? 'rewrapped' : 'sealed';
+
+    try {
+      if (!dryRun) {
+        await swapStore.updateSwap(swap.swapId, async (current) => {
+          if (current.encryptedPreimage) {
+            return {
+              encryptedPreimage: await preimageVault.rewrapPreimage(current.swapId, current.encryptedPreimage)
+            };
+          }
+
+          return {
+            encryptedPreimage: await preimageVault.sealPreimage(current.swapId, current.preimage),
+            preimage: undefined
+          };
+        });
+      }
+
+      summary[action]++;
+      console.log(`  ${swap.swapId}: ${action}${swap.encryptedPreimage ? ` (from ${swap.encryptedPreimage.keyId})` : ''}`);
+
+    } catch (error) {
+      summary.failed++;
+      logger.error('Failed to rotate preimage', { swapId: swap.swapId, error: error.message });
+      console.log(`  ${swap.swapId}: FAILED - ${error.message}`);
+    }
+  }
+
+  console.log('\nSummary:', summary);
+  return summary;
+}
+
+rotate()
+  .then((summary) => process.exit(summary.failed > 0 ? 1 : 0))
+  .catch((error) => {
+    console.error('Key rotation failed:', error.message);
+    process.exit(1);
+  });
@@ -6,7 +6,16 @@ require('dotenv').config();
 
 const oracleController = require('./controllers/oracleController');
 const bitcoinController = require('./controllers/bitcoinController');
+const webhookController = require('./controllers/webhookController');
+const healthController = require('./controllers/healthController');
+const webhookService = require('./services/webhookService');
+const idempotencySweepService = require('./services/idempotencySweepService');
+const swapStreamService = require('./services/swapStreamService');
+const metricsService = require('./services/metricsService');
+const healthService = require('./services/healthService');
+const bitcoinZmqListener = require('./services/bitcoinZmqListener');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { authenticateMetricsToken } = require('./middleware/auth');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -52,7 +61,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes received so signed requests can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware
@@ -64,19 +79,26 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    version: process.env.npm_package_version || '1.0.0',
-    environment: process.env.NODE_ENV || 'development'
-  });
+// Liveness and readiness probes
+app.use(healthController);
+
+// Prometheus metrics; restricted to METRICS_TOKEN bearers when one is configured
+app.get('/metrics', authenticateMetricsToken, async (req, res) => {
+  try {
+    res.set('Content-Type', metricsService.contentType);
+    res.send(await metricsService.getMetrics());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to collect metrics'
+    });
+  }
 });
 
 // API routes
 app.use('/api/oracle', oracleController);
 app.use('/api/bitcoin', bitcoinController);
+app.use('/api/webhooks', webhookController);
 
 // Error handling middleware
 app.use(notFoundHandler);
@@ -85,6 +107,13 @@ app.use(errorHandler);
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
+  webhookService.cleanup();
+  idempotencySweepService.cleanup();
+  swapStreamService.cleanup();
+  bitcoinZmqListener.stop();
+  oracleController.swapExpiryService.cleanup();
+  oracleController.htlcSpendService.cleanup();
+  oracleController.orderTrackingService.cleanup();
   
   server.close((err) => {
     if (err) {
@@ -110,8 +139,35 @@ const server = app.listen(PORT, () => {
     bitcoinNetwork: process.env.BITCOIN_NETWORK,
     awsRegion: process.env.AWS_REGION
   });
+
+  // Deposit notifications from the Bitcoin Core node, when one is configured
+  bitcoinZmqListener.start();
+
+  // Re-arm payment monitoring for swaps that were waiting when the oracle last stopped
+  oracleController.bitcoinMonitoringService.startMonitoringAllPendingSwaps();
+
+  // Follow the CoW orders of swaps that were trading when the oracle last stopped
+  oracleController.orderTrackingService.resumeAllTracking();
+
+  // Expire unfunded swaps and refund undelivered ones as their timelocks run out
+  oracleController.swapExpiryService.start();
+
+  // Settle delivered and refundable swaps once their HTLC is claimed or refunded
+  oracleController.htlcSpendService.start();
+
+  // Deliver webhook events still queued in the outbox
+  webhookService.start();
+
+  // Delete idempotency records whose keys were never retried
+  idempotencySweepService.start();
+
+  // Let pm2 route traffic here once dependencies answer
+  healthService.notifyProcessManagerWhenReady();
 });
 
+// Real-time swap status stream shares the HTTP server
+swapStreamService.attach(server, { allowedOrigins });
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
@@ -0,0 +1,70 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * Parse amount-scaled confirmation tiers from "sats:confirmations" pairs,
+ * e.g. BTC_CONFIRMATION_TIERS="1000000:2,10000000:3,50000000:6"
+ */
+function parseConfirmationTiers(value) {
+  if (!value) return [];
+
+  return value
+    .split(',')
+    .map((tier) => tier.trim())
+    .filter(Boolean)
+    .map((tier) => {
+      const [minAmountSats, confirmations] = tier.split(':').map((part) => parseInt(part, 10));
+      if (!Number.isInteger(minAmountSats) || !Number.isInteger(confirmations)) {
+        throw new Error(`Invalid BTC_CONFIRMATION_TIERS entry: ${tier}`);
+      }
+      return { minAmountSats, confirmations };
+    })
+    .sort((a, b) => a.minAmountSats - b.minAmountSats);
+}
+
+const CONFIRMATION_POLICY = {
+  minConfirmations: parseInt(process.env.BTC_MIN_CONFIRMATIONS || '1'),
+  tiers: parseConfirmationTiers(process.env.BTC_CONFIRMATION_TIERS),
+  // Depth after which a confirmed deposit is no longer watched for reorgs
+  finalityDepth: parseInt(process.env.BTC_FINALITY_DEPTH || '6'),
+  // Deposits up to this amount may trade unconfirmed, at the market maker's risk (0 disables zero-conf)
+  zeroConfMaxSats: parseInt(process.env.ZERO_CONF_MAX_SATS || '0')
+};
+
+/**
+ * Get the number of confirmations a deposit needs before the swap may trade.
+ * Deposits within the zero-conf limit need none, subject to the zero-conf risk checks.
+ * @param {number} amountSats - Deposit amount in satoshis
+ * @returns {number} Required confirmations
+ */
+function getRequiredConfirmations(amountSats) {
+  if (amountSats > 0 && amountSats <= CONFIRMATION_POLICY.zeroConfMaxSats) {
+    return 0;
+  }
+
+  let required = CONFIRMATION_POLICY.minConfirmations;
+
+  for (const tier of CONFIRMATION_POLICY.tiers) {
+    if (amountSats >= tier.minAmountSats) {
+      required = Math.max(required, tier.confirmations);
+    }
+  }
+
+  return required;
+}
+
+/**
+ * Get the depth at which a deposit is considered final
+ * @param {number} amountSats - Deposit amount in satoshis
+ * @returns {number} Finality depth in blocks
+ */
+function getFinalityDepth(amountSats) {
+  return Math.max(CONFIRMATION_POLICY.finalityDepth, getRequiredConfirmations(amountSats));
+}
+
+module.exports = {
+  CONFIRMATION_POLICY,
+  parseConfirmationTiers,
+  getRequiredConfirmations,
+  getFinalityDepth
+};
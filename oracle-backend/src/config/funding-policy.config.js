@@ -0,0 +1,77 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+const UNDERPAYMENT_POLICIES = ['wait', 'scale', 'refund'];
+const OVERPAYMENT_POLICIES = ['cap', 'scale'];
+
+/**
+ * Read a policy name from the environment, rejecting unknown values at startup
+ */
+function parsePolicy(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid ${name}: ${value} (expected one of ${allowed.join(', ')})`);
+  }
+  return value;
+}
+
+const FUNDING_POLICY = {
+  // wait: keep waiting for top-ups until the monitoring window closes
+  // scale: trade whatever was deposited once the grace period ends
+  // refund: stop the swap and leave the deposit to the user's refund path
+  underpayment: parsePolicy('UNDERPAYMENT_POLICY', process.env.UNDERPAYMENT_POLICY || 'wait', UNDERPAYMENT_POLICIES),
+  // Time allowed after the first deposit for further deposits to complete the amount
+  gracePeriodMs: parseInt(process.env.UNDERPAYMENT_GRACE_PERIOD_MS || '1800000'),
+  // Smallest fraction of the expected amount that may be traded when scaling down
+  minScaleRatio: parseFloat(process.env.UNDERPAYMENT_MIN_RATIO || '0.5'),
+  // scale: trade everything that was deposited
+  // cap: trade the expected amount; the market maker still claims the whole HTLC,
+  // so the excess goes to the market maker and is only recorded on the swap
+  overpayment: parsePolicy('OVERPAYMENT_POLICY', process.env.OVERPAYMENT_POLICY || 'scale', OVERPAYMENT_POLICIES)
+};
+
+/**
+ * Decide what to do with the deposits seen so far for a pending swap
+ * @param {Object} params
+ * @param {number} params.expectedSats - Amount the swap was created for
+ * @param {number} params.receivedSats - Sum of all outputs paying the HTLC
+ * @param {string} params.firstDepositAt - When the first deposit was seen (ISO string)
+ * @param {number} params.now - Current time in milliseconds
+ * @returns {Object} action (wait, fund or refund) with the amount to trade and any shortfall or excess
+ */
+function evaluateFunding({ expectedSats, receivedSats, firstDepositAt, now = Date.now() }) {
+  if (receivedSats >= expectedSats) {
+    const excessSats = receivedSats - expectedSats;
+    return {
+      action: 'fund',
+      policy: excessSats > 0 ? FUNDING_POLICY.overpayment : null,
+      tradeAmountSats: FUNDING_POLICY.overpayment === 'scale' ? receivedSats : expectedSats,
+      shortfallSats: 0,
+      excessSats
+    };
+  }
+
+  const shortfallSats = expectedSats - receivedSats;
+  const waiting = { action: 'wait', policy: FUNDING_POLICY.underpayment, tradeAmountSats: 0, shortfallSats, excessSats: 0 };
+
+  if (receivedSats === 0 || FUNDING_POLICY.underpayment === 'wait') {
+    return waiting;
+  }
+
+  const graceEndsAt = new Date(firstDepositAt).getTime() + FUNDING_POLICY.gracePeriodMs;
+  if (now < graceEndsAt) {
+    return waiting;
+  }
+
+  if (FUNDING_POLICY.underpayment === 'scale' && receivedSats >= expectedSats * FUNDING_POLICY.minScaleRatio) {
+    return { ...waiting, action: 'fund', tradeAmountSats: receivedSats };
+  }
+
+  return { ...waiting, action: 'refund' };
+}
+
+module.exports = {
+  FUNDING_POLICY,
+  UNDERPAYMENT_POLICIES,
+  OVERPAYMENT_POLICIES,
+  evaluateFunding
+};
@@ -0,0 +1,45 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * Pricing configuration for converting BTC deposits into the token the market maker sells.
+ * Feed defaults are the Chainlink aggregators on Sepolia.
+ */
+const PRICING_CONFIG = {
+  ethRpcUrl: process.env.ETH_RPC_URL || 'https://rpc.sepolia.org',
+
+  feeds: {
+    btcUsd: process.env.CHAINLINK_BTC_USD_FEED || '0x1b44F3514812d835EB1BDB0acB33d3fA3351Ee43',
+    sellTokenUsd: process.env.CHAINLINK_SELL_TOKEN_USD_FEED || '0x694AA1769357215DE4FAC081bf1f309aDC325306'
+  },
+
+  // Token the market maker sells into CoW for the user (WETH on Sepolia)
+  sellToken: {
+    address: process.env.SELL_TOKEN_ADDRESS || '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14',
+    decimals: parseInt(process.env.SELL_TOKEN_DECIMALS || '18')
+  },
+
+  // A feed answer older than this is refused
+  maxFeedAgeSec: parseInt(process.env.PRICE_FEED_MAX_AGE_SEC || '3600'),
+  // Largest accepted move between a feed's latest and previous round
+  maxRoundDeviationBps: parseInt(process.env.PRICE_FEED_MAX_DEVIATION_BPS || '500'),
+
+  fees: {
+    // Proportional oracle/MM fee taken from the deposit. The market maker's HTLC
+    // claim fee is estimated per swap by swapSizingService.estimateSpendFees
+    feeBps: parseInt(process.env.SWAP_FEE_BPS || '30')
+  },
+
+  quotes: {
+    // Slippage tolerance when the user commits to no other, in basis points
+    defaultSlippageBps: parseInt(process.env.QUOTE_SLIPPAGE_BPS || '50'),
+    // Largest slippage tolerance a user may commit to
+    maxSlippageBps: parseInt(process.env.MAX_QUOTE_SLIPPAGE_BPS || '300'),
+    // Largest gap between a locked quote's sell amount and the oracle's price for the deposit
+    maxSellDeviationBps: parseInt(process.env.QUOTE_MAX_SELL_DEVIATION_BPS || '100')
+  }
+};
+
+module.exports = {
+  PRICING_CONFIG
+};
@@ -2,13 +2,38 @@ const express = require('express');
 const { param, validationResult } = require('express-validator');
 const router = express.Router();
 
-const PublicBitcoinRPCClient = require('../../bitcoin-rpc-public');
+const chainData = require('../services/chainData');
 const logger = require('../utils/logger');
 const { validateRequest } = require('../middleware/validation');
-const { getCurrentBitcoinNetwork } = require('../config/bitcoin-network.config');
+const { getBitcoinExplorerUrls } = require('../config/bitcoin-network.config');
 
-// Initialize Bitcoin RPC client with centralized network config
-const bitcoinRPC = new PublicBitcoinRPCClient({ network: getCurrentBitcoinNetwork().name });
+const explorerUrls = getBitcoinExplorerUrls();
+const PAYMENT_POLL_INTERVAL_MS = 30000;
+
+/**
+ * Poll an address until its confirmed balance reaches an amount
+ * @param {string} address - Bitcoin address
+ * @param {number} minAmountSats - Balance to wait for in satoshis
+ * @param {number} timeoutSeconds - Maximum wait
+ * @returns {Promise<boolean>} True if the balance was reached before the timeout
+ */
+async function waitForBalance(address, minAmountSats, timeoutSeconds) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+
+  while (Date.now() < deadline) {
+    try {
+      if (await chainData.getAddressBalance(address) >= minAmountSats) {
+        return true;
+      }
+    } catch (error) {
+      logger.warn('Error polling address balance', { address, error: error.message });
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, Math.min(PAYMENT_POLL_INTERVAL_MS, Math.max(deadline - Date.now(), 0))));
+  }
+
+  return false;
+}
 
 /**
  * @route GET /api/bitcoin/check-payment/:address
@@ -25,11 +50,12 @@ router.get('/check-payment/:address',
 
       logger.info('Checking Bitcoin payment for address', { address });
 
-      // Get address balance
-      const balance = await bitcoinRPC.getAddressBalance(address);
+      // Get confirmed address balance
+      const balanceSats = await chainData.getAddressBalance(address);
+      const balance = balanceSats / 100000000;
       
       // Get transactions for the address
-      const transactions = await bitcoinRPC.getAddressTransactions(address);
+      const transactions = await chainData.getAddressTransactions(address);
       
       // Filter transactions if minAmount is specified
       let relevantTransactions = transactions;
@@ -60,7 +86,7 @@ router.get('/check-payment/:address',
         data: {
           address,
           balance, // Current balance in BTC
-          balanceSats: Math.round(balance * 100000000), // Current balance in satoshis
+          balanceSats, // Current balance in satoshis
           totalReceived: totalReceived / 100000000, // Total received in BTC
           totalReceivedSats: totalReceived, // Total received in satoshis
           transactionCount: relevantTransactions.length,
@@ -74,9 +100,9 @@ router.get('/check-payment/:address',
             amount: latestTx.vout
               .filter(output => output.scriptpubkey_address === address)
               .reduce((sum, output) => sum + output.value, 0) / 100000000, // Amount in BTC
-            explorerUrl: `https://mempool.space/testnet/tx/${latestTx.txid}`
+            explorerUrl: `${explorerUrls.tx}${latestTx.txid}`
           } : null,
-          explorerUrl: `https://mempool.space/testnet/address/${address}`,
+          explorerUrl: `${explorerUrls.address}${address}`,
           checkedAt: new Date().toISOString()
         }
       };
@@ -116,16 +142,15 @@ router.get('/wait-payment/:address',
 
       logger.info('Waiting for Bitcoin payment', { address, minAmount, timeout });
 
-      // Use the existing waitForTransaction method
-      const received = await bitcoinRPC.waitForTransaction(
-        address, 
-        parseFloat(minAmount), 
+      const received = await waitForBalance(
+        address,
+        Math.round(parseFloat(minAmount) * 100000000),
         parseInt(timeout)
       );
 
       if (received) {
         // Get the actual transaction details
-        const transactions = await bitcoinRPC.getAddressTransactions(address);
+        const transactions = await chainData.getAddressTransactions(address);
         const latestTx = transactions[0];
 
         const response = {
@@ -137,7 +162,7 @@ router.get('/wait-payment/:address',
               txid: latestTx.txid,
               confirmations: latestTx.status?.confirmed ? 'confirmed' : 'unconfirmed',
               blockHeight: latestTx.status?.block_height || null,
-              explorerUrl: `https://mempool.space/testnet/tx/${latestTx.txid}`
+              explorerUrl: `${explorerUrls.tx}${latestTx.txid}`
             },
             waitTime: `${timeout} seconds`,
             checkedAt: new Date().toISOString()
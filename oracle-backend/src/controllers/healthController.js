@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+
+const healthService = require('../services/healthService');
+const { READINESS_STATUS } = require('../services/healthService');
+const logger = require('../utils/logger');
+
+/**
+ * Liveness: the process is up and serving requests (kept on /health for existing probes)
+ */
+const liveness = (req, res) => {
+  res.status(200).json(healthService.getLiveness());
+};
+router.get('/health', liveness);
+router.get('/health/live', liveness);
+
+/**
+ * Readiness: every dependency needed to create and settle swaps answers
+ */
+router.get('/health/ready', async (req, res) => {
+  try {
+    const readiness = await healthService.getReadiness();
+    res.status(readiness.status === READINESS_STATUS.UNAVAILABLE ? 503 : 200).json(readiness);
+  } catch (error) {
+    logger.error('Readiness check error:', error);
+    res.status(503).json({
+      status: READINESS_STATUS.UNAVAILABLE,
+      error: 'Readiness check failed'
+    });
+  }
+});
+
+module.exports = router;
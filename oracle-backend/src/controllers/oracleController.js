@@ -1,18 +1,72 @@
 const express = require("express");
-const { body, param, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 const router = express.Router();
 
 const bitcoinService = require("../services/bitcoinService");
 const preimageService = require("../services/preimageService");
-const awsSecretsService = require("../services/awsSecretsService");
+const preimageVault = require("../services/preimageVault");
+const swapStore = require("../services/swapStore");
 const BitcoinMonitoringService = require("../services/bitcoinMonitoringService");
-const mmServerService = require("../services/mmServerService");
+const OrderTrackingService = require("../services/orderTrackingService");
+const SwapExpiryService = require("../services/swapExpiryService");
+const HtlcSpendService = require("../services/htlcSpendService");
+const marketMakerRegistry = require("../services/marketMakerRegistry");
+const quoteLockService = require("../services/quoteLockService");
+const timelockService = require("../services/timelockService");
+const swapSizingService = require("../services/swapSizingService");
+const pricingService = require("../services/pricingService");
+const deliveryVerificationService = require("../services/deliveryVerificationService");
+const swapEvents = require("../services/swapEvents");
+const metricsService = require("../services/metricsService");
+const swapStreamService = require("../services/swapStreamService");
+const { SWAP_EVENT_TYPES } = swapEvents;
+const { DEFAULT_EVENTS, SUBSCRIBABLE_EVENTS } = require("../services/webhookService");
+const CryptoUtils = require("../utils/cryptoUtils");
+const { TIMELOCK_TYPES } = timelockService;
+const {
+  SWAP_STATES,
+  normalizeStatus,
+  canTransition,
+  initialSwapState,
+  transitionSwap,
+  updateSwapWithEvent,
+} = require("../services/swapLifecycle");
 
 const logger = require("../utils/logger");
-const { validateRequest } = require("../middleware/validation");
+const { serializeSwap } = require("../utils/swapSerializer");
+const { assertPublicUrl } = require("../utils/publicUrl");
+const {
+  validateRequest,
+  validateWithJoi,
+} = require("../middleware/validation");
+const {
+  authenticateApiKey,
+  authenticateChainlinkDON,
+  authorizeRoles,
+  optionalAuth,
+  validateSignature,
+} = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
 
 // Initialize services
 const bitcoinMonitoringService = new BitcoinMonitoringService();
+const orderTrackingService = new OrderTrackingService(marketMakerRegistry);
+const swapExpiryService = new SwapExpiryService(
+  bitcoinMonitoringService,
+  orderTrackingService
+);
+const htlcSpendService = new HtlcSpendService();
+
+// A swap held mid-trade goes back to order tracking once its deposit is restored
+swapEvents.on("event", (event, swap) => {
+  if (
+    event.type === `swap.${SWAP_STATES.TRADING}` &&
+    event.data.cause === "deposit_restored" &&
+    swap.cowOrderUid
+  ) {
+    orderTrackingService.startTracking(swap.swapId, swap.cowOrderUid, swap.mmId);
+  }
+});
 
 /**
  * Validation rules for creating a new preimage
@@ -30,7 +84,13 @@ const createPreimageValidation = [
     .matches(/^0x[a-fA-F0-9]{40}$/)
     .withMessage("Invalid Ethereum wallet address"),
 
+  body("mmId")
+    .optional()
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage("Invalid market maker ID"),
+
   body("mmPubkey")
+    .optional()
     .isString()
     .trim()
     .isLength({ min: 66, max: 66 })
@@ -39,6 +99,24 @@ const createPreimageValidation = [
       "Market maker public key must be 66 hex characters (33 bytes)"
     ),
 
+  body("userRefundPubkey")
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^0[23][0-9a-fA-F]{64}$/)
+    .withMessage(
+      "User refund public key must be a 33-byte compressed key in hex"
+    ),
+
+  body("userRefundPubkeySignature")
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9+/]{87}=$/)
+    .withMessage(
+      "Refund key signature must be a base64 Bitcoin signed message signature"
+    ),
+
   body("btcAmount")
     .isInt({ min: 1, max: parseInt(process.env.MAX_BTC_AMOUNT) || 100000000 })
     .withMessage(
@@ -56,6 +134,47 @@ const createPreimageValidation = [
     .optional()
     .isInt({ min: 1, max: 65535 })
     .withMessage("Timelock must be between 1 and 65535 blocks"),
+
+  body("webhookUrl")
+    .optional()
+    .isURL({
+      protocols: ["http", "https"],
+      require_protocol: true,
+      require_tld: process.env.NODE_ENV === "production",
+    })
+    .withMessage("Webhook URL must be an http(s) URL")
+    .bail()
+    .custom(async (url) => {
+      await assertPublicUrl(url);
+    }),
+
+  body("webhookEvents")
+    .optional()
+    .isArray({ min: 1 })
+    .custom((events) =>
+      events.every((event) => SUBSCRIBABLE_EVENTS.includes(event))
+    )
+    .withMessage(
+      `Webhook events must be any of: ${SUBSCRIBABLE_EVENTS.join(", ")}`
+    ),
+
+  body("timelockType")
+    .optional()
+    .isIn(Object.values(TIMELOCK_TYPES))
+    .withMessage(
+      `timelockType must be one of: ${Object.values(TIMELOCK_TYPES).join(", ")}`
+    ),
+
+  body("quoteId")
+    .optional()
+    .isUUID()
+    .withMessage("quoteId must be a quote ID issued by the market maker"),
+
+  body("slippageBps")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("slippageBps must be a non-negative integer")
+    .toInt(),
 ];
 
 /**
@@ -73,6 +192,80 @@ const triggerSwapValidation = [
     .withMessage("forceExecute must be a boolean"),
 ];
 
+/**
+ * Validation rules for accepting a requote
+ */
+const acceptQuoteValidation = [
+  param("swapId").isUUID().withMessage("Invalid swap ID format"),
+  body("minBuyAmount")
+    .matches(/^[0-9]+$/)
+    .withMessage("minBuyAmount must be an amount in base units")
+    .custom((value) => BigInt(value) > 0n)
+    .withMessage("minBuyAmount must be greater than 0"),
+  body("signature")
+    .matches(/^0x[0-9a-fA-F]{130}$/)
+    .withMessage("signature must be a 65-byte hex signature"),
+];
+
+/**
+ * Validation rules for listing swaps
+ */
+const listSwapsValidation = [
+  query("status")
+    .optional()
+    .customSanitizer((value) => String(value).split(",").map((s) => s.trim()))
+    .custom((statuses) =>
+      statuses.every((status) => Object.values(SWAP_STATES).includes(status))
+    )
+    .withMessage(
+      `Status must be one of: ${Object.values(SWAP_STATES).join(", ")}`
+    ),
+  query("userEthWallet")
+    .optional()
+    .matches(/^0x[a-fA-F0-9]{40}$/)
+    .withMessage("Invalid Ethereum wallet address"),
+  query("userBtcAddress")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 26, max: 62 })
+    .withMessage("Invalid Bitcoin address format"),
+  query("mmId")
+    .optional()
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage("Invalid market maker ID"),
+  query("mmPubkey")
+    .optional()
+    .matches(/^[0-9a-fA-F]{66}$/)
+    .withMessage("Market maker public key must be 66 hex characters"),
+  query("targetToken")
+    .optional()
+    .matches(/^0x[a-fA-F0-9]{40}$/)
+    .withMessage("Invalid target token address"),
+  query(["createdFrom", "createdTo", "expiresFrom", "expiresTo"])
+    .optional()
+    .isISO8601()
+    .withMessage("Date filters must be ISO 8601 timestamps"),
+  query("sortBy")
+    .optional()
+    .isIn(["createdAt", "expiresAt", "btcAmount", "lastUpdated"])
+    .withMessage("sortBy must be one of createdAt, expiresAt, btcAmount, lastUpdated"),
+  query("order")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("order must be asc or desc"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("limit must be between 1 and 200")
+    .toInt(),
+  query("cursor")
+    .optional()
+    .isString()
+    .isLength({ max: 512 })
+    .withMessage("Invalid pagination cursor"),
+];
+
 /**
  * @route POST /api/oracle/create-preimage
  * @desc Create a new HTLC with preimage and return swap details
@@ -80,26 +273,41 @@ const triggerSwapValidation = [
  */
 router.post(
   "/create-preimage",
+  optionalAuth,
   createPreimageValidation,
   validateRequest,
+  idempotent({
+    ttlMs: parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS || "86400000"),
+    staleAfterMs: parseInt(process.env.IDEMPOTENCY_STALE_AFTER_MS || "120000"),
+  }),
   async (req, res) => {
     try {
       const {
         userBtcAddress,
         userEthWallet,
-        mmPubkey,
+        mmId,
+        mmPubkey: requestedMmPubkey,
+        userRefundPubkey,
+        userRefundPubkeySignature,
         btcAmount,
         targetToken = "0x0625aFB445C3B6B7B929342a04A22599fd5dBB59", // Default to COW on Sepolia (native token, has liquidity)
         timelock = parseInt(process.env.DEFAULT_TIMELOCK) || 144,
+        timelockType = process.env.DEFAULT_TIMELOCK_TYPE ||
+          TIMELOCK_TYPES.ABSOLUTE,
+        webhookUrl,
+        webhookEvents = DEFAULT_EVENTS,
+        quoteId,
+        slippageBps,
       } = req.body;
 
       logger.info("Creating new preimage for swap", {
         userBtcAddress,
         userEthWallet,
-        mmPubkey: mmPubkey.substring(0, 10) + "...",
+        mmId,
         btcAmount,
         targetToken,
         timelock,
+        timelockType,
       });
 
       // Validate Bitcoin address
@@ -112,53 +320,260 @@ router.post(
         });
       }
 
-      // Validate public key format
-      const pubkeyValidation = bitcoinService.validatePublicKey(mmPubkey);
-      if (!pubkeyValidation.isValid) {
+      // The registry decides the claim key and endpoint for the whole swap
+      let mm;
+      try {
+        mm = marketMakerRegistry.selectForSwap({
+          mmId,
+          targetToken,
+          btcAmount,
+        });
+      } catch (registryError) {
+        if (registryError.name === "ValidationError") {
+          return res.status(400).json({
+            success: false,
+            error: registryError.message,
+            details: registryError.details,
+          });
+        }
+        throw registryError;
+      }
+
+      // Older clients still send a key; it can only confirm the registered one
+      if (
+        requestedMmPubkey &&
+        (mm.claimKey.type !== "pubkey" ||
+          requestedMmPubkey.toLowerCase() !== mm.claimKey.pubkey)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "mmPubkey does not match the market maker's registered claim key",
+          details: { mmId: mm.id },
+        });
+      }
+
+      // The refund key gives the user a timelocked way back to their BTC
+      const bitcoinNetwork = process.env.BITCOIN_NETWORK || "testnet";
+      const refundPubkey = userRefundPubkey || addressValidation.pubkey;
+      if (!refundPubkey && bitcoinNetwork === "mainnet") {
         return res.status(400).json({
           success: false,
-          error: "Invalid market maker public key",
-          details: pubkeyValidation.error,
+          error: "userRefundPubkey is required on mainnet",
+          details: "HTLCs without a timelock refund path are not allowed",
+        });
+      }
+
+      let refundKeyVerified = false;
+      if (userRefundPubkey) {
+        const refundKeyValidation =
+          bitcoinService.validatePublicKey(userRefundPubkey);
+        if (!refundKeyValidation.isValid) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid user refund public key",
+            details: refundKeyValidation.error,
+          });
+        }
+
+        if (
+          mm.claimKey.type === "pubkey" &&
+          userRefundPubkey.toLowerCase() === mm.claimKey.pubkey
+        ) {
+          return res.status(400).json({
+            success: false,
+            error: "User refund public key must differ from the market maker public key",
+          });
+        }
+
+        if (userRefundPubkeySignature) {
+          const proofMessage = bitcoinService.getRefundKeyProofMessage(
+            userRefundPubkey,
+            userBtcAddress
+          );
+          if (
+            !bitcoinService.verifyRefundKeyProof(
+              userRefundPubkey,
+              userRefundPubkeySignature,
+              proofMessage
+            )
+          ) {
+            return res.status(400).json({
+              success: false,
+              error: "Invalid refund key proof of ownership",
+              details: { message: proofMessage },
+            });
+          }
+          refundKeyVerified = true;
+        } else if (process.env.REQUIRE_REFUND_KEY_PROOF === "true") {
+          return res.status(400).json({
+            success: false,
+            error: "userRefundPubkeySignature is required",
+            details: {
+              message: bitcoinService.getRefundKeyProofMessage(
+                userRefundPubkey,
+                userBtcAddress
+              ),
+            },
+          });
+        }
+      } else {
+        logger.warn("Creating HTLC without a refund path", {
+          bitcoinNetwork,
+        });
+      }
+
+      // Fetch the quote the user was shown; it is locked once the swap is priced
+      let quote = null;
+      if (quoteId) {
+        try {
+          quote = await marketMakerRegistry
+            .getClient(mm.id)
+            .getQuoteById(quoteId);
+        } catch (quoteError) {
+          return res.status(503).json({
+            success: false,
+            error: "Unable to reach the market maker to lock the quote",
+            details: quoteError.message,
+          });
+        }
+        if (!quote) {
+          return res.status(400).json({
+            success: false,
+            error: "Quote not found or expired",
+            details: { quoteId },
+          });
+        }
+      }
+
+      // Anchor the refund lock to the current chain tip
+      let lock;
+      try {
+        lock = await timelockService.computeTimelock({
+          duration: Number(timelock),
+          type: timelockType,
+        });
+      } catch (chainError) {
+        logger.error("Failed to compute HTLC timelock from chain tip", {
+          error: chainError.message,
+        });
+        return res.status(503).json({
+          success: false,
+          error: "Unable to read the Bitcoin chain tip",
         });
       }
 
       // Generate preimage and hash
       const preimageData = preimageService.generatePreimage();
       const swapId = preimageData.swapId;
+      const { mmPubkey, mmKeyPath } = marketMakerRegistry.getClaimKey(
+        mm,
+        swapId
+      );
 
       // Create HTLC script
       const htlcResult = bitcoinService.createHTLCScript({
         hash: Buffer.from(preimageData.hash, "hex"),
         mmPubkey: Buffer.from(mmPubkey, "hex"),
-        userPubkey: addressValidation.pubkey, // Extract from address if possible
-        timelock,
+        userPubkey: refundPubkey ? Buffer.from(refundPubkey, "hex") : null,
+        timelock: lock.scriptLocktime,
+        timelockType: lock.timelockType,
+      });
+
+      // The HTLC must be worth claiming and refunding at current fee rates
+      const spendFees = await swapSizingService.estimateSpendFees({
+        htlcScript: htlcResult.script.toString("hex"),
+        refundAddress: userBtcAddress,
       });
+      if (Number(btcAmount) < spendFees.minBtcAmount) {
+        return res.status(400).json({
+          success: false,
+          error: "BTC amount too small to claim or refund economically",
+          details: spendFees,
+        });
+      }
 
-      // Prepare swap metadata
+      // Lock the price the user was shown; trade-time quotes are held to it.
+      // The quote must sell what the oracle prices this deposit at
+      let quoteLock = null;
+      if (quote) {
+        try {
+          const pricing = await pricingService.quoteSellAmount(
+            Number(btcAmount),
+            { claimFeeSats: spendFees.claimFeeSats }
+          );
+          quoteLock = quoteLockService.lockQuote(quote, {
+            quoteId,
+            targetToken,
+            userEthWallet,
+            btcAmount,
+            slippageBps,
+            pricing,
+          });
+        } catch (lockError) {
+          if (lockError.name === "ValidationError") {
+            return res.status(400).json({
+              success: false,
+              error: lockError.message,
+              details: lockError.details,
+            });
+          }
+          if (lockError.name === "PriceFeedError") {
+            return res.status(503).json({
+              success: false,
+              error: "Price feeds unavailable, unable to check the quote",
+              details: lockError.message,
+            });
+          }
+          throw lockError;
+        }
+      }
+
+      // Prepare swap metadata; the preimage is only ever stored encrypted
       const swapMetadata = {
         swapId,
-        preimage: preimageData.preimage,
+        encryptedPreimage: await preimageVault.sealPreimage(
+          swapId,
+          preimageData.preimage
+        ),
         hash: preimageData.hash,
         userBtcAddress: userBtcAddress,
         userEthWallet: userEthWallet,
+        mmId: mm.id,
         mmPubkey,
+        mmKeyPath,
+        userRefundPubkey: refundPubkey || null,
+        refundKeyVerified,
         btcAmount,
         targetToken,
-        timelock,
+        timelock: lock.timelock,
+        timelockType: lock.timelockType,
+        lockHeight: lock.lockHeight,
+        createdAtHeight: lock.createdAtHeight,
         htlcScript: htlcResult.script.toString("hex"),
         htlcAddress: htlcResult.segwitAddress, // Use SegWit address
+        htlcScriptPubKey: htlcResult.segwitScriptPubKey.toString("hex"),
+        spendFees,
+        quoteLock,
         createdAt: new Date().toISOString(),
-        expiresAt: new Date(
-          Date.now() + timelock * 10 * 60 * 1000
-        ).toISOString(), // Assuming 10 min blocks
-        status: "pending", // Changed from 'active' to 'pending'
+        expiresAt: lock.expiresAt,
+        ...initialSwapState("create_preimage"),
+        // Swaps created with an API key deliver events to that key's webhooks
+        ownerKeyId: req.auth.type === "api-key" ? req.auth.keyId : null,
+        webhook: webhookUrl
+          ? {
+              url: webhookUrl,
+              events: webhookEvents,
+              secret: CryptoUtils.generateRandomHex(32),
+            }
+          : null,
         btcTxHash: null,
         cowOrderUid: null,
         cowOrderStatus: null,
       };
 
-      // Store in AWS Secrets Manager
-      await awsSecretsService.storeSwapSecret(swapId, swapMetadata);
+      // Persist in the configured swap store
+      await swapStore.createSwap(swapId, swapMetadata);
+      metricsService.recordSwapCreated(swapMetadata);
 
       // Return response - conditionally include preimage for non-production networks
       const response = {
@@ -169,13 +584,26 @@ router.post(
           htlcScript: htlcResult.script.toString("hex"),
           htlcAddress: htlcResult.segwitAddress, // Use SegWit address
           expiresAt: swapMetadata.expiresAt,
-          timelock,
+          timelock: lock.timelock,
+          timelockType: lock.timelockType,
+          lockHeight: lock.lockHeight,
+          mmId: mm.id,
+          mmPubkey,
+          mmKeyPath,
+          userRefundPubkey: swapMetadata.userRefundPubkey,
+          refundPath: Boolean(swapMetadata.userRefundPubkey),
+          spendFees,
+          quoteLock,
+          ...(swapMetadata.webhook && {
+            webhookSecret: swapMetadata.webhook.secret,
+          }),
+          // Lets the creator follow the swap on the real-time stream
+          streamToken: swapStreamService.issueStreamToken(swapId),
           monitoringStarted: true,
         },
       };
 
       // Only include preimage for regtest/testnet environments (not mainnet)
-      const bitcoinNetwork = process.env.BITCOIN_NETWORK || "testnet";
       if (bitcoinNetwork === "regtest" || bitcoinNetwork === "testnet") {
         response.data.preimage = preimageData.preimage;
         logger.warn(
@@ -221,6 +649,151 @@ router.post(
   }
 );
 
+/**
+ * @route GET /api/oracle/market-makers
+ * @desc List the registered market makers swaps can be created with
+ * @access Public
+ */
+router.get("/market-makers", (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      marketMakers: marketMakerRegistry
+        .list()
+        .map((mm) => marketMakerRegistry.toPublic(mm)),
+      defaultMmId: marketMakerRegistry.defaultId,
+    },
+  });
+});
+
+/**
+ * @route GET /api/oracle/pricing
+ * @desc Token and amount the oracle sells for a BTC deposit, to request the market maker quote with
+ * @access Public
+ */
+router.get(
+  "/pricing",
+  query("btcAmount")
+    .isInt({ min: 1 })
+    .withMessage("btcAmount must be a positive number of satoshis")
+    .toInt(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { claimFeeSats } =
+        await swapSizingService.estimateTemplateSpendFees();
+      const pricing = await pricingService.quoteSellAmount(
+        req.query.btcAmount,
+        { claimFeeSats }
+      );
+
+      res.json({
+        success: true,
+        data: pricing,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details,
+        });
+      }
+      if (error.name === "PriceFeedError") {
+        return res.status(503).json({
+          success: false,
+          error: "Price feeds unavailable",
+          details: error.message,
+        });
+      }
+
+      logger.error("Error pricing BTC amount:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/oracle/swaps
+ * @desc List and search swaps with cursor pagination (never includes preimages)
+ * @access Private (operators and market makers, API key)
+ */
+router.get(
+  "/swaps",
+  authenticateApiKey,
+  listSwapsValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const {
+        status,
+        userEthWallet,
+        userBtcAddress,
+        mmId,
+        mmPubkey,
+        targetToken,
+        createdFrom,
+        createdTo,
+        expiresFrom,
+        expiresTo,
+        sortBy = "createdAt",
+        order = "desc",
+        limit = 50,
+        cursor,
+      } = req.query;
+
+      logger.info("Listing swaps", { status, sortBy, order, limit });
+
+      const result = await swapStore.querySwaps({
+        filters: {
+          status,
+          userEthWallet,
+          userBtcAddress,
+          mmId,
+          mmPubkey,
+          targetToken,
+          createdFrom,
+          createdTo,
+          expiresFrom,
+          expiresTo,
+        },
+        sortBy,
+        order,
+        limit,
+        cursor,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          swaps: result.swaps.map(serializeSwap),
+          pagination: {
+            limit,
+            hasMore: result.hasMore,
+            nextCursor: result.nextCursor,
+          },
+        },
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      logger.error("Error listing swaps:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/oracle/swap/:swapId
  * @desc Get swap details by ID (without preimage)
@@ -236,7 +809,7 @@ router.get(
 
       logger.info("Retrieving swap details", { swapId });
 
-      const swapData = await awsSecretsService.getSwapSecret(swapId);
+      const swapData = await swapStore.getSwap(swapId);
 
       if (!swapData) {
         return res.status(404).json({
@@ -248,24 +821,7 @@ router.get(
       // Return swap details without preimage
       const response = {
         success: true,
-        data: {
-          swapId: swapData.swapId,
-          hash: swapData.hash,
-          userBtcAddress: swapData.userBtcAddress,
-          userEthWallet: swapData.userEthWallet,
-          mmPubkey: swapData.mmPubkey,
-          btcAmount: swapData.btcAmount,
-          targetToken: swapData.targetToken,
-          timelock: swapData.timelock,
-          htlcScript: swapData.htlcScript,
-          htlcAddress: swapData.htlcAddress,
-          createdAt: swapData.createdAt,
-          expiresAt: swapData.expiresAt,
-          status: swapData.status,
-          btcTxHash: swapData.btcTxHash,
-          cowOrderUid: swapData.cowOrderUid,
-          cowOrderStatus: swapData.cowOrderStatus,
-        },
+        data: serializeSwap(swapData),
       };
 
       res.json(response);
@@ -279,28 +835,460 @@ router.get(
   }
 );
 
+/**
+ * @route GET /api/oracle/order-tracking/:swapId
+ * @desc Get CoW order tracking details for a swap
+ * @access Public
+ */
+router.get(
+  "/order-tracking/:swapId",
+  param("swapId").isUUID().withMessage("Invalid swap ID format"),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { swapId } = req.params;
+
+      const swapData = await swapStore.getSwap(swapId);
+
+      if (!swapData) {
+        return res.status(404).json({
+          success: false,
+          error: "Swap not found",
+        });
+      }
+
+      const tracking = orderTrackingService.getTrackingStatus(swapId);
+      const persistedTracking = swapData.orderTracking || {};
+
+      res.json({
+        success: true,
+        data: {
+          swapId,
+          tracking: {
+            ...tracking,
+            method: tracking.method || persistedTracking.method,
+            startedAt: tracking.startedAt || persistedTracking.startedAt,
+            lastChecked: tracking.lastChecked || persistedTracking.lastChecked,
+            orderUid: tracking.orderUid || swapData.cowOrderUid || undefined,
+          },
+          currentStatus: normalizeStatus(swapData.status),
+          cowOrderUid: swapData.cowOrderUid || undefined,
+          cowOrderStatus: swapData.cowOrderStatus || undefined,
+          explorerUrl:
+            orderTrackingService.getExplorerUrl(swapData.cowOrderUid) ||
+            undefined,
+          txHash: swapData.settlementTxHash || undefined,
+          executedAmounts: {
+            sell: swapData.executedSellAmount || undefined,
+            buy: swapData.executedBuyAmount || undefined,
+          },
+          timestamps: {
+            created: swapData.createdAt,
+            orderSubmitted: swapData.orderSubmittedAt,
+            completed: swapData.completedAt,
+            failed: swapData.failedAt,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error retrieving order tracking:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * Execute the trade for a swap whose deposit is confirmed.
+ * Shared by the signed internal trigger and the operator trigger.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const triggerSwap = async (req, res) => {
+  try {
+    const { swapId } = req.params;
+    const { btcTxHash } = req.body;
+
+    logger.info("Triggering swap execution", {
+      swapId,
+      btcTxHash,
+    });
+
+    // Get swap details from the swap store
+    const swapData = await swapStore.getSwap(swapId);
+    if (!swapData) {
+      return res.status(404).json({
+        success: false,
+        error: "Swap not found",
+      });
+    }
+
+    // Only swaps whose deposit reached the required depth, or whose trade failed, can trade
+    const currentStatus = normalizeStatus(swapData.status);
+    if (
+      currentStatus === SWAP_STATES.PENDING ||
+      currentStatus === SWAP_STATES.FUNDED
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Bitcoin deposit has not reached the required confirmations",
+        details: {
+          confirmations: swapData.confirmations || 0,
+          requiredConfirmations: swapData.requiredConfirmations ?? null,
+          zeroConfRisk: swapData.zeroConfRisk || null,
+        },
+      });
+    }
+    if (currentStatus === SWAP_STATES.ON_HOLD) {
+      return res.status(409).json({
+        success: false,
+        error: "Swap is on hold until its Bitcoin deposit is restored",
+        details: { holdReason: swapData.holdReason || null },
+      });
+    }
+    if (!canTransition(currentStatus, SWAP_STATES.TRADING)) {
+      return res.status(400).json({
+        success: false,
+        error: `Swap is already ${currentStatus}`,
+      });
+    }
+
+    // Trade what the funding policy settled on, not necessarily the requested amount
+    const depositSats = Number(
+      swapData.tradeAmountSats || swapData.btcAmount
+    );
+
+    // The market maker's claim at today's fee rate comes out of the deposit
+    const { claimFeeSats } = await swapSizingService.estimateSpendFees({
+      htlcScript: swapData.htlcScript,
+      refundAddress: swapData.userBtcAddress,
+    });
+
+    // Price the deposit before committing to a trade; stale feeds leave the swap untouched
+    let pricing;
+    try {
+      pricing = await pricingService.quoteSellAmount(depositSats, {
+        claimFeeSats,
+      });
+    } catch (pricingError) {
+      if (pricingError.name === "PriceFeedError") {
+        logger.warn("Refusing to trade on unusable price feeds", {
+          swapId,
+          error: pricingError.message,
+          details: pricingError.details,
+        });
+        return res.status(503).json({
+          success: false,
+          error: "Price feeds unavailable, refusing to trade",
+          details: pricingError.message,
+        });
+      }
+      if (pricingError.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          error: pricingError.message,
+          details: pricingError.details,
+        });
+      }
+      throw pricingError;
+    }
+
+    const confirmations = swapData.confirmations;
+    await transitionSwap(swapId, SWAP_STATES.TRADING, {
+      cause: "trade_execution_started",
+      fields: {
+        btcTxHash: swapData.btcTxHash || btcTxHash,
+        executionStarted: new Date().toISOString(),
+        pricing,
+      },
+    });
+
+    try {
+      // Execute trade via Market Maker
+      logger.info("Executing trade via MM service", {
+        swapId,
+        mmId: swapData.mmId || marketMakerRegistry.defaultId,
+        depositSats,
+        sellToken: pricing.sellToken,
+        sellAmount: pricing.sellAmount,
+        rate: pricing.rate,
+        userWallet: swapData.userEthWallet,
+        targetToken: swapData.targetToken,
+      });
+
+      // Trade through the market maker the swap was created with
+      const mmClient = marketMakerRegistry.getClient(swapData.mmId);
+
+      // Get quote first
+      const quote = await mmClient.getQuote({
+        sellToken: pricing.sellToken,
+        buyToken: swapData.targetToken,
+        sellAmount: pricing.sellAmount,
+        userWallet: swapData.userEthWallet,
+      });
+
+      logger.info("Received quote from MM", {
+        swapId,
+        sellAmount: pricing.sellAmount,
+        quote,
+      });
+
+      // Hold the execution quote to the minimum the user committed to
+      const bounds = quoteLockService.checkExecutionQuote(
+        swapData,
+        quote,
+        depositSats
+      );
+      if (!bounds.withinBounds) {
+        const requote = {
+          quotedBuyAmount: bounds.quotedBuyAmount,
+          committedMinBuyAmount: bounds.committedMinBuyAmount,
+          suggestedMinBuyAmount: bounds.quotedMinBuyAmount,
+          tradeAmountSats: depositSats,
+          requestedAt: new Date().toISOString(),
+        };
+
+        logger.warn("Execution quote below the committed minimum, awaiting user consent", {
+          swapId,
+          ...requote,
+        });
+
+        await transitionSwap(swapId, SWAP_STATES.FAILED, {
+          cause: "quote_out_of_bounds",
+          fields: { requote, failedAt: requote.requestedAt },
+        });
+
+        return res.status(409).json({
+          success: false,
+          error: "Execution quote is below the minimum the user committed to",
+          details: {
+            ...requote,
+            consentMessage: quoteLockService.getConsentMessage(
+              swapId,
+              bounds.quotedMinBuyAmount,
+              depositSats
+            ),
+          },
+        });
+      }
+
+      // Execute the trade
+      const tradeResult = await mmClient.executeTrade({
+        sellToken: pricing.sellToken,
+        buyToken: swapData.targetToken,
+        sellAmount: pricing.sellAmount,
+        userWallet: swapData.userEthWallet,
+        slippagePercent: bounds.slippageBps / 100,
+        minBuyAmount: bounds.minBuyAmount,
+      });
+
+      logger.info("Trade executed successfully", {
+        swapId,
+        orderUid: tradeResult.orderUid,
+      });
+
+      // Record the submitted order; the swap stays in trading until delivery
+      await updateSwapWithEvent(
+        swapId,
+        {
+          orderUid: tradeResult.orderUid,
+          cowOrderUid: tradeResult.orderUid,
+          quote: quote,
+          minBuyAmount: bounds.minBuyAmount,
+          requote: null,
+          tradeResult: tradeResult,
+          orderSubmittedAt: new Date().toISOString(),
+        },
+        SWAP_EVENT_TYPES.ORDER_SUBMITTED,
+        { orderUid: tradeResult.orderUid }
+      );
+
+      // Follow the CoW order until it settles (non-blocking)
+      orderTrackingService.startTracking(
+        swapId,
+        tradeResult.orderUid,
+        swapData.mmId
+      );
+
+      res.json({
+        success: true,
+        data: {
+          swapId,
+          status: SWAP_STATES.TRADING,
+          orderUid: tradeResult.orderUid,
+          btcTxHash: swapData.btcTxHash || btcTxHash,
+          confirmations,
+          receivedAmountSats: swapData.receivedAmountSats ?? null,
+          tradeAmountSats: depositSats,
+          excessSats: swapData.excessSats || 0,
+          sellToken: pricing.sellToken,
+          sellAmount: pricing.sellAmount,
+          rate: pricing.rate,
+        },
+      });
+    } catch (tradeError) {
+      logger.error("Trade execution failed", {
+        swapId,
+        error: tradeError.message,
+      });
+
+      // Update swap status to failed
+      await transitionSwap(swapId, SWAP_STATES.FAILED, {
+        cause: "trade_execution_failed",
+        fields: {
+          error: tradeError.message,
+          failedAt: new Date().toISOString(),
+        },
+      });
+
+      res.status(500).json({
+        success: false,
+        error: "Trade execution failed",
+        details: tradeError.message,
+      });
+    }
+  } catch (error) {
+    if (error.name === "ConflictError") {
+      // Another trigger moved the swap first
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error("Error triggering swap:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+};
+
 /**
  * @route POST /api/oracle/trigger-swap/:swapId
  * @desc Trigger a swap execution when Bitcoin payment is confirmed
- * @access Private (called by monitoring service)
+ * @access Private (HMAC-signed calls from the monitoring service)
  */
 router.post(
   "/trigger-swap/:swapId",
+  validateSignature(process.env.INTERNAL_HMAC_SECRET, {
+    toleranceMs: parseInt(process.env.INTERNAL_SIGNATURE_TOLERANCE_MS) || 300000,
+  }),
+  triggerSwapValidation,
+  validateRequest,
+  triggerSwap
+);
+
+/**
+ * @route POST /api/oracle/admin/trigger-swap/:swapId
+ * @desc Manually trigger a swap after re-verifying its deposit on-chain
+ * @access Operator API key
+ */
+router.post(
+  "/admin/trigger-swap/:swapId",
+  authenticateApiKey,
+  authorizeRoles(["operator"]),
   triggerSwapValidation,
   validateRequest,
   async (req, res) => {
     try {
       const { swapId } = req.params;
-      const { btcTxHash, confirmations = 1 } = req.body;
 
-      logger.info("Triggering swap execution", {
+      const swapData = await swapStore.getSwap(swapId);
+      if (!swapData) {
+        return res.status(404).json({
+          success: false,
+          error: "Swap not found",
+        });
+      }
+
+      // Never trust the stored deposit view on a manual trigger
+      const verification = await bitcoinMonitoringService.verifyDeposit(
+        swapData
+      );
+
+      logger.security("Operator trigger requested", {
         swapId,
-        btcTxHash,
-        confirmations,
+        status: swapData.status,
+        operator: req.auth.apiKey.substring(0, 8) + "...",
+        verified: verification.verified,
+        reason: verification.reason,
       });
 
-      // Get swap details from AWS Secrets Manager
-      const swapData = await awsSecretsService.getSwapSecret(swapId);
+      if (!verification.verified) {
+        return res.status(409).json({
+          success: false,
+          error: "Deposit could not be verified on-chain",
+          details: {
+            reason: verification.reason,
+            receivedAmountSats: verification.payment.amountSats,
+            requiredSats: verification.requiredSats,
+            confirmations: verification.payment.confirmations,
+            requiredConfirmations: verification.requiredConfirmations,
+            missingOutpoints: verification.missingOutpoints,
+            crossCheck: verification.crossCheck,
+            zeroConfRisk: verification.zeroConfRisk,
+          },
+        });
+      }
+
+      const { payment } = verification;
+      const fields = {
+        btcTxHash: swapData.btcTxHash || payment.txHash,
+        deposits: payment.deposits,
+        confirmations: payment.confirmations,
+        confirmedBy: verification.crossCheck.confirmedBy,
+        manualTrigger: {
+          operator: req.auth.apiKey.substring(0, 8) + "...",
+          at: new Date().toISOString(),
+        },
+      };
+
+      // The monitor may lag behind the chain; the fresh check is enough to confirm
+      if (normalizeStatus(swapData.status) === SWAP_STATES.FUNDED) {
+        await transitionSwap(swapId, SWAP_STATES.CONFIRMED, {
+          cause: "operator_verified_deposit",
+          fields: { ...fields, confirmedAt: new Date().toISOString() },
+        });
+      } else {
+        await swapStore.updateSwap(swapId, fields);
+      }
+
+      return triggerSwap(req, res);
+    } catch (error) {
+      if (error.name === "ConflictError") {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      logger.error("Error in operator swap trigger:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/oracle/swap/:swapId/accept-quote
+ * @desc Accept a new minimum after the execution quote fell below the locked one, then retry the trade
+ * @access Public (consent signed by the swap's Ethereum wallet)
+ */
+router.post(
+  "/swap/:swapId/accept-quote",
+  acceptQuoteValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { swapId } = req.params;
+      const { minBuyAmount, signature } = req.body;
+
+      const swapData = await swapStore.getSwap(swapId);
       if (!swapData) {
         return res.status(404).json({
           success: false,
@@ -308,110 +1296,244 @@ router.post(
         });
       }
 
-      // Check if swap is already processed
-      if (swapData.status === "completed" || swapData.status === "executing") {
-        return res.status(400).json({
+      const { requote } = swapData;
+      if (normalizeStatus(swapData.status) !== SWAP_STATES.FAILED || !requote) {
+        return res.status(409).json({
           success: false,
-          error: `Swap is already ${swapData.status}`,
+          error: "Swap is not awaiting requote consent",
         });
       }
 
-      // Update swap status to executing
-      const updatedSwapData = {
-        ...swapData,
-        status: "executing",
-        btcTxHash,
-        confirmations,
-        executionStarted: new Date().toISOString(),
-      };
-      await awsSecretsService.storeSwapSecret(swapId, updatedSwapData);
+      const message = quoteLockService.getConsentMessage(
+        swapId,
+        minBuyAmount,
+        requote.tradeAmountSats
+      );
+      if (!quoteLockService.verifyConsent(swapData, message, signature)) {
+        return res.status(400).json({
+          success: false,
+          error: "Consent must be signed by the swap's Ethereum wallet",
+          details: { message },
+        });
+      }
 
-      try {
-        // Execute trade via Market Maker
-        logger.info("Executing trade via MM service", {
+      // The deposit may have changed since the trade failed; trade only on what is still there
+      const verification = await bitcoinMonitoringService.verifyDeposit(
+        swapData
+      );
+      if (!verification.verified) {
+        logger.security("Requote accepted for a deposit that no longer verifies", {
           swapId,
-          sellAmount: swapData.btcAmount,
-          userWallet: swapData.userEthWallet,
-          targetToken: swapData.targetToken,
+          reason: verification.reason,
+        });
+        return res.status(409).json({
+          success: false,
+          error: "Deposit could not be verified on-chain",
+          details: {
+            reason: verification.reason,
+            receivedAmountSats: verification.payment.amountSats,
+            requiredSats: verification.requiredSats,
+            confirmations: verification.payment.confirmations,
+            requiredConfirmations: verification.requiredConfirmations,
+            missingOutpoints: verification.missingOutpoints,
+          },
         });
+      }
+
+      logger.security("User accepted requote", {
+        swapId,
+        minBuyAmount,
+        previousMinBuyAmount: requote.committedMinBuyAmount,
+        tradeAmountSats: requote.tradeAmountSats,
+      });
+
+      await swapStore.updateSwap(swapId, (current) => ({
+        quoteLock: {
+          ...current.quoteLock,
+          minBuyAmount,
+          forAmountSats: requote.tradeAmountSats,
+          consentedAt: new Date().toISOString(),
+        },
+        requote: null,
+      }));
+
+      return triggerSwap(req, res);
+    } catch (error) {
+      logger.error("Error accepting requote:", error);
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+);
+
+// Swaps keep only the most recent reveals; revealCount keeps the total
+const REVEAL_HISTORY_LIMIT = 20;
+
+// Tokens can only have been delivered once the order was submitted
+const REVEALABLE_STATES = [
+  SWAP_STATES.TRADING,
+  SWAP_STATES.DELIVERED,
+  SWAP_STATES.BTC_CLAIMED,
+];
 
-        // Convert BTC satoshis to WETH wei (1:1 ratio for demo purposes)
-        // In production, this would use actual BTC/ETH exchange rate
-        const wethAmount = swapData.btcAmount + "00000000000"; // Add 11 zeros to convert satoshis to wei (demo ratio)
+/**
+ * @route POST /api/oracle/reveal-preimage/:swapId
+ * @desc Release the preimage once the user's target tokens are verified on-chain
+ * @access Private (Chainlink DON token)
+ */
+router.post(
+  "/reveal-preimage/:swapId",
+  authenticateChainlinkDON,
+  param("swapId").isUUID().withMessage("Invalid swap ID format"),
+  validateRequest,
+  validateWithJoi("revealPreimage"),
+  async (req, res) => {
+    try {
+      const { swapId } = req.params;
+      const { ethTxHash, confirmations } = req.body;
 
-        // Get quote first
-        const quote = await mmServerService.getQuote({
-          sellToken: "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14", // WETH on testnet
-          buyToken: swapData.targetToken,
-          sellAmount: wethAmount,
-          userWallet: swapData.userEthWallet,
+      const swapData = await swapStore.getSwap(swapId);
+      if (!swapData) {
+        return res.status(404).json({
+          success: false,
+          error: "Swap not found",
         });
+      }
 
-        logger.info("Received quote from MM", {
+      const status = normalizeStatus(swapData.status);
+      if (!REVEALABLE_STATES.includes(status)) {
+        logger.security("Preimage reveal refused for swap state", {
           swapId,
-          btcAmount: swapData.btcAmount,
-          wethAmount,
-          quote,
+          status,
+          requester: req.auth.keyId,
+          ip: req.ip,
         });
 
-        // Execute the trade
-        const tradeResult = await mmServerService.executeTrade({
-          sellToken: "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14", // WETH on testnet
-          buyToken: swapData.targetToken,
-          sellAmount: wethAmount,
-          userWallet: swapData.userEthWallet,
-          slippagePercent: 0.5, // 0.5% slippage
+        return res.status(409).json({
+          success: false,
+          error: `Preimage cannot be revealed for a swap in state ${status}`,
         });
+      }
 
-        logger.info("Trade executed successfully", {
-          swapId,
-          orderUid: tradeResult.orderUid,
+      // The settlement recorded by order tracking wins over the requester's hint
+      const txHash = swapData.settlementTxHash || ethTxHash;
+      if (!txHash) {
+        return res.status(409).json({
+          success: false,
+          error: "Settlement transaction not known yet, provide ethTxHash",
         });
+      }
 
-        // Update swap status to completed
-        const completedSwapData = {
-          ...updatedSwapData,
-          status: "completed",
-          orderUid: tradeResult.orderUid,
-          quote: quote,
-          tradeResult: tradeResult,
-          completedAt: new Date().toISOString(),
-        };
-        await awsSecretsService.storeSwapSecret(swapId, completedSwapData);
+      let verification;
+      try {
+        verification = await deliveryVerificationService.verifyDelivery(
+          swapData,
+          { txHash, minConfirmations: confirmations }
+        );
+      } catch (error) {
+        logger.error("Error verifying token delivery:", error);
+        return res.status(503).json({
+          success: false,
+          error: "Unable to verify token delivery, please retry",
+        });
+      }
 
-        res.json({
-          success: true,
-          data: {
-            swapId,
-            status: "completed",
-            orderUid: tradeResult.orderUid,
-            btcTxHash,
-            confirmations,
+      if (!verification.verified) {
+        logger.security("Preimage reveal refused, delivery not verified", {
+          swapId,
+          txHash,
+          reason: verification.reason,
+          requester: req.auth.keyId,
+          ip: req.ip,
+        });
+
+        return res.status(409).json({
+          success: false,
+          error: "Token delivery could not be verified on-chain",
+          details: {
+            reason: verification.reason,
+            txHash: verification.txHash,
+            token: verification.token,
+            recipient: verification.recipient,
+            receivedAmount: verification.receivedAmount,
+            expectedAmount: verification.expectedAmount,
+            confirmations: verification.confirmations,
+            requiredConfirmations: verification.requiredConfirmations,
           },
         });
-      } catch (tradeError) {
-        logger.error("Trade execution failed", {
+      }
+
+      // One settlement transaction unlocks one swap
+      const settlementClaim = await swapStore.claimSettlementTx(txHash, swapId);
+      if (!settlementClaim.claimed) {
+        logger.security("Preimage reveal refused, settlement transaction already unlocked another swap", {
           swapId,
-          error: tradeError.message,
+          txHash,
+          claimedBy: settlementClaim.swapId,
+          requester: req.auth.keyId,
+          ip: req.ip,
         });
 
-        // Update swap status to failed
-        const failedSwapData = {
-          ...updatedSwapData,
-          status: "failed",
-          error: tradeError.message,
-          failedAt: new Date().toISOString(),
-        };
-        await awsSecretsService.storeSwapSecret(swapId, failedSwapData);
+        return res.status(409).json({
+          success: false,
+          error: "Settlement transaction already unlocked another swap",
+          details: { txHash },
+        });
+      }
 
-        res.status(500).json({
+      const preimage = await preimageVault.revealPreimage(swapData);
+      if (!preimage) {
+        logger.error("Swap has no stored preimage", { swapId });
+        return res.status(500).json({
           success: false,
-          error: "Trade execution failed",
-          details: tradeError.message,
+          error: "Internal server error",
         });
       }
+
+      const revealedAt = new Date().toISOString();
+      const reveal = {
+        requester: {
+          type: req.auth.type,
+          keyId: req.auth.keyId,
+          ip: req.ip,
+          userAgent: req.get("User-Agent") || null,
+        },
+        ethTxHash: txHash,
+        receivedAmount: verification.receivedAmount,
+        revealedAt,
+      };
+
+      const updated = await swapStore.updateSwap(swapId, (current) => ({
+        revealCount: (current.revealCount || 0) + 1,
+        reveals: [...(current.reveals || []), reveal].slice(
+          -REVEAL_HISTORY_LIMIT
+        ),
+        firstRevealedAt: current.firstRevealedAt || revealedAt,
+        lastRevealedAt: revealedAt,
+      }));
+
+      logger.security("Preimage revealed", {
+        swapId,
+        txHash,
+        requester: req.auth.keyId,
+        ip: req.ip,
+        revealCount: updated.revealCount,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          swapId,
+          preimage,
+          revealedAt,
+          ethTxHash: txHash,
+          revealCount: updated.revealCount,
+        },
+      });
     } catch (error) {
-      logger.error("Error triggering swap:", error);
+      logger.error("Error revealing preimage:", error);
       res.status(500).json({
         success: false,
         error: "Internal server error",
@@ -421,3 +1543,7 @@ router.post(
 );
 
 module.exports = router;
+module.exports.bitcoinMonitoringService = bitcoinMonitoringService;
+module.exports.swapExpiryService = swapExpiryService;
+module.exports.htlcSpendService = htlcSpendService;
+module.exports.orderTrackingService = orderTrackingService;
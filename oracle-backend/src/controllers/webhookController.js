@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const webhookService = require('../services/webhookService');
+const { DEFAULT_EVENTS, SUBSCRIBABLE_EVENTS } = require('../services/webhookService');
+const logger = require('../utils/logger');
+const { assertPublicUrl } = require('../utils/publicUrl');
+const { validateRequest } = require('../middleware/validation');
+const { authenticateApiKey } = require('../middleware/auth');
+
+/**
+ * Validation rules for registering a webhook endpoint
+ */
+const registerWebhookValidation = [
+  body('url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+    .withMessage('Webhook URL must be an http(s) URL')
+    .bail()
+    .custom(async (url) => {
+      await assertPublicUrl(url);
+    }),
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .custom((events) => events.every((event) => SUBSCRIBABLE_EVENTS.includes(event)))
+    .withMessage(`Webhook events must be any of: ${SUBSCRIBABLE_EVENTS.join(', ')}`)
+];
+
+/**
+ * Operators see every delivery; other keys only their own
+ */
+const visibleOwner = (req) => (req.auth.role === 'operator' ? null : req.auth.keyId);
+
+router.use(authenticateApiKey);
+
+/**
+ * @route POST /api/webhooks
+ * @desc Register a webhook endpoint receiving events for swaps created with this API key
+ * @access API key
+ */
+router.post('/',
+  registerWebhookValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const endpoint = await webhookService.registerEndpoint({
+        ownerKeyId: req.auth.keyId,
+        url: req.body.url,
+        events: req.body.events || DEFAULT_EVENTS
+      });
+
+      res.status(201).json({
+        success: true,
+        data: endpoint
+      });
+
+    } catch (error) {
+      logger.error('Error registering webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/webhooks
+ * @desc List webhook endpoints registered by this API key
+ * @access API key
+ */
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.auth.keyId);
+
+    res.json({
+      success: true,
+      data: { webhooks: endpoints }
+    });
+
+  } catch (error) {
+    logger.error('Error listing webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/webhooks/:webhookId
+ * @desc Remove a webhook endpoint
+ * @access API key
+ */
+router.delete('/:webhookId',
+  param('webhookId').isUUID().withMessage('Invalid webhook ID format'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      await webhookService.deleteEndpoint(req.auth.keyId, req.params.webhookId);
+
+      res.json({
+        success: true,
+        data: { webhookId: req.params.webhookId, deleted: true }
+      });
+
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error deleting webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/webhooks/dead-letter
+ * @desc List deliveries that exhausted their retries
+ * @access API key (operators see all deliveries)
+ */
+router.get('/dead-letter', async (req, res) => {
+  try {
+    const deliveries = await webhookService.listDeadLetters(visibleOwner(req));
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(({ payload, ...delivery }) => ({
+          ...delivery,
+          eventId: payload.id
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing dead-lettered webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route POST /api/webhooks/dead-letter/:deliveryId/redeliver
+ * @desc Requeue a dead-lettered delivery with a fresh retry budget
+ * @access API key (operators may redeliver any delivery)
+ */
+router.post('/dead-letter/:deliveryId/redeliver',
+  param('deliveryId').isUUID().withMessage('Invalid delivery ID format'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const delivery = await webhookService.redeliver(visibleOwner(req), req.params.deliveryId);
+
+      res.json({
+        success: true,
+        data: {
+          deliveryId: delivery.deliveryId,
+          eventType: delivery.eventType,
+          swapId: delivery.swapId,
+          nextAttemptAt: delivery.nextAttemptAt
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error redelivering webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
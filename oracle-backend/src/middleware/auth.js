@@ -1,4 +1,61 @@
 const logger = require('../utils/logger');
+const CryptoUtils = require('../utils/cryptoUtils');
+const { SIGNATURE_HEADERS, verifySignature } = require('../utils/requestSigning');
+
+// Nonces of accepted signed requests -> time after which they can be forgotten
+const seenNonces = new Map();
+
+/**
+ * Check a Chainlink DON token. The well-known development token is never
+ * accepted in production.
+ * @param {string} token - Presented token
+ * @returns {boolean} True if the token is valid
+ */
+const isValidDonToken = (token) => {
+  if (typeof token !== 'string' || !token) {
+    return false;
+  }
+
+  const validTokens = [
+    process.env.NODE_ENV !== 'production' && 'chainlink-don-token',
+    process.env.CHAINLINK_DON_TOKEN
+  ].filter(Boolean);
+
+  return validTokens.some((validToken) => CryptoUtils.secureCompare(Buffer.from(token), Buffer.from(validToken)));
+};
+
+/**
+ * Resolve an API key to the identity it grants. The well-known development
+ * key is never accepted in production.
+ * @param {string} apiKey - Presented API key
+ * @returns {Object|null} { keyId, role }, or null if the key is not valid
+ */
+const resolveApiKey = (apiKey) => {
+  if (typeof apiKey !== 'string' || !apiKey) {
+    return null;
+  }
+
+  const operatorApiKeys = (process.env.OPERATOR_API_KEYS || '')
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean);
+
+  const validApiKeys = [
+    process.env.API_KEY,
+    process.env.NODE_ENV !== 'production' && 'dev-api-key-12345',
+    ...operatorApiKeys
+  ].filter(Boolean);
+
+  if (!validApiKeys.includes(apiKey)) {
+    return null;
+  }
+
+  return {
+    // Stable identifier for records owned by this key; the key itself is never stored
+    keyId: CryptoUtils.sha256(apiKey).toString('hex').substring(0, 16),
+    role: operatorApiKeys.includes(apiKey) ? 'operator' : 'user'
+  };
+};
 
 /**
  * Authentication middleware for Chainlink Functions integration
@@ -41,12 +98,7 @@ const authenticateChainlinkDON = (req, res, next) => {
     // 3. Request origin validation
     // 4. Rate limiting per DON node
     
-    const validTokens = [
-      'chainlink-don-token',
-      process.env.CHAINLINK_DON_TOKEN
-    ].filter(Boolean);
-    
-    if (!validTokens.includes(token)) {
+    if (!isValidDonToken(token)) {
       logger.security('Invalid authentication token', {
         path: req.path,
         ip: req.ip,
@@ -63,6 +115,7 @@ const authenticateChainlinkDON = (req, res, next) => {
     req.auth = {
       type: 'chainlink-don',
       token: token,
+      keyId: CryptoUtils.sha256(token).toString('hex').substring(0, 16),
       authenticated: true,
       timestamp: new Date().toISOString()
     };
@@ -114,12 +167,9 @@ const authenticateApiKey = (req, res, next) => {
     // 4. Check rate limits for the key
     // 5. Log usage statistics
     
-    const validApiKeys = [
-      process.env.API_KEY,
-      'dev-api-key-12345'
-    ].filter(Boolean);
+    const keyAuth = resolveApiKey(apiKey);
     
-    if (!validApiKeys.includes(apiKey)) {
+    if (!keyAuth) {
       logger.security('Invalid API key', {
         path: req.path,
         ip: req.ip,
@@ -135,6 +185,7 @@ const authenticateApiKey = (req, res, next) => {
     req.auth = {
       type: 'api-key',
       apiKey: apiKey,
+      ...keyAuth,
       authenticated: true,
       timestamp: new Date().toISOString()
     };
@@ -151,6 +202,31 @@ const authenticateApiKey = (req, res, next) => {
   }
 };
 
+/**
+ * Metrics scrape authentication; requires a METRICS_TOKEN bearer when one is configured
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateMetricsToken = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  const presented = Buffer.from(req.get('Authorization') || '');
+
+  if (token && !CryptoUtils.secureCompare(presented, Buffer.from(`Bearer ${token}`))) {
+    logger.security('Rejected metrics scrape', {
+      path: req.path,
+      ip: req.ip
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: 'Metrics token required'
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication middleware (allows both authenticated and unauthenticated requests)
  * @param {Object} req - Express request object
@@ -255,16 +331,32 @@ const ipWhitelist = (allowedIPs = []) => {
 };
 
 /**
- * Request signature validation middleware (for webhook security)
+ * Request signature validation middleware (for internal calls and webhook security)
+ * Requires an HMAC-SHA256 signature over timestamp, nonce, method, path and raw body
+ * (see utils/requestSigning.js). Requests outside the time tolerance or reusing a
+ * nonce are rejected.
  * @param {string} secretKey - Secret key for signature validation
+ * @param {Object} options - Validation options
+ * @param {number} options.toleranceMs - Maximum clock skew / request age
  * @returns {Function} Express middleware function
  */
-const validateSignature = (secretKey) => {
+const validateSignature = (secretKey, { toleranceMs = 5 * 60 * 1000 } = {}) => {
   return (req, res, next) => {
     try {
-      const signature = req.get('X-Signature') || req.get('X-Hub-Signature-256');
+      if (!secretKey) {
+        logger.error('Request signature secret is not configured', { path: req.path });
+
+        return res.status(500).json({
+          success: false,
+          error: 'Signature validation not configured'
+        });
+      }
+
+      const signature = req.get(SIGNATURE_HEADERS.signature) || req.get('X-Hub-Signature-256');
+      const timestamp = req.get(SIGNATURE_HEADERS.timestamp);
+      const nonce = req.get(SIGNATURE_HEADERS.nonce);
       
-      if (!signature) {
+      if (!signature || !timestamp || !nonce) {
         logger.security('Missing request signature', {
           path: req.path,
           ip: req.ip
@@ -276,9 +368,67 @@ const validateSignature = (secretKey) => {
         });
       }
 
-      // TODO: Implement HMAC signature validation
-      // This should validate that the request body was signed with the secret key
-      
+      const now = Date.now();
+      if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > toleranceMs) {
+        logger.security('Expired request signature', {
+          path: req.path,
+          ip: req.ip,
+          timestamp
+        });
+
+        return res.status(401).json({
+          success: false,
+          error: 'Request signature expired'
+        });
+      }
+
+      const valid = verifySignature(secretKey, signature, {
+        timestamp,
+        nonce,
+        method: req.method,
+        path: req.originalUrl,
+        body: req.rawBody ? req.rawBody.toString('utf8') : ''
+      });
+
+      if (!valid) {
+        logger.security('Invalid request signature', {
+          path: req.path,
+          ip: req.ip
+        });
+
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid request signature'
+        });
+      }
+
+      for (const [seenNonce, forgetAt] of seenNonces) {
+        if (forgetAt <= now) {
+          seenNonces.delete(seenNonce);
+        }
+      }
+
+      if (seenNonces.has(nonce)) {
+        logger.security('Replayed signed request', {
+          path: req.path,
+          ip: req.ip,
+          nonce
+        });
+
+        return res.status(401).json({
+          success: false,
+          error: 'Request already processed'
+        });
+      }
+      seenNonces.set(nonce, Number(timestamp) + toleranceMs);
+
+      req.auth = {
+        type: 'signature',
+        role: 'internal',
+        authenticated: true,
+        timestamp: new Date().toISOString()
+      };
+
       logger.info('Request signature validated', {
         path: req.path,
         ip: req.ip
@@ -298,8 +448,11 @@ const validateSignature = (secretKey) => {
 };
 
 module.exports = {
+  isValidDonToken,
+  resolveApiKey,
   authenticateChainlinkDON,
   authenticateApiKey,
+  authenticateMetricsToken,
   optionalAuth,
   authorizeRoles,
   ipWhitelist,
@@ -46,6 +46,9 @@ const errorHandler = (err, req, res, next) => {
   } else if (err.name === 'TooManyRequestsError') {
     statusCode = 429;
     message = 'Too many requests';
+  } else if (err.name === 'PriceFeedError') {
+    statusCode = 503;
+    message = 'Price feed unavailable';
   }
 
   // In development, expose more error details
@@ -164,6 +167,14 @@ class PreimageError extends Error {
   }
 }
 
+class PriceFeedError extends Error {
+  constructor(message = 'Price feed error', details = null) {
+    super(message);
+    this.name = 'PriceFeedError';
+    this.details = details;
+  }
+}
+
 /**
  * Create a standardized API error response
  * @param {string} message - Error message
@@ -270,6 +281,7 @@ module.exports = {
   BitcoinServiceError,
   AWSSecretsError,
   PreimageError,
+  PriceFeedError,
   createErrorResponse,
   handleAWSError,
   handleBitcoinError,
@@ -0,0 +1,176 @@
+const swapStore = require('../services/swapStore');
+const preimageVault = require('../services/preimageVault');
+const CryptoUtils = require('../utils/cryptoUtils');
+const logger = require('../utils/logger');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Serialize a value with object keys sorted, so equal bodies hash the same
+ * regardless of key order
+ * @param {any} value - JSON value
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Response fields that are secrets of the swap, kept sealed in stored responses
+const SEALED_FIELDS = ['webhookSecret', 'streamToken'];
+
+/**
+ * Store a successful response for replay. Preimages returned on test
+ * networks, and the swap's other secrets, are kept encrypted like everywhere
+ * else at rest.
+ * @param {string} key - Hashed idempotency key
+ * @param {number} statusCode - Response status
+ * @param {Object} body - Response body
+ * @returns {Promise<Object>} The completed record
+ */
+const storeResponse = async (key, statusCode, body) => {
+  const { preimage, ...data } = (body && body.data) || {};
+  const swapId = data.swapId || null;
+  const sealedFields = {};
+
+  if (swapId) {
+    for (const field of SEALED_FIELDS) {
+      if (typeof data[field] === 'string') {
+        sealedFields[field] = await preimageVault.sealSecret(swapId, field, data[field]);
+        delete data[field];
+      }
+    }
+  }
+
+  return swapStore.completeIdempotencyKey(key, {
+    statusCode,
+    body: preimage || Object.keys(sealedFields).length > 0 ? { ...body, data } : body,
+    swapId,
+    encryptedPreimage: preimage && swapId ? await preimageVault.sealPreimage(swapId, preimage) : null,
+    sealedFields
+  });
+};
+
+/**
+ * Rebuild a stored response, decrypting the fields sealed by storeResponse
+ * @param {Object} record - Completed idempotency record
+ * @returns {Promise<Object>} Response body
+ */
+const replayBody = async (record) => {
+  const sealedFields = Object.entries(record.sealedFields || {});
+  if (!record.encryptedPreimage && sealedFields.length === 0) {
+    return record.body;
+  }
+
+  const data = { ...record.body.data };
+  for (const [field, envelope] of sealedFields) {
+    data[field] = await preimageVault.openSecret(record.swapId, field, envelope);
+  }
+  if (record.encryptedPreimage) {
+    data.preimage = await preimageVault.revealPreimage(record);
+  }
+
+  return { ...record.body, data };
+};
+
+/**
+ * Make a POST endpoint idempotent on the Idempotency-Key header.
+ * The first request with a key is processed and its successful response is
+ * stored in the swap store; retries with the same key and body replay it,
+ * while reusing the key with a different body is rejected. Failed requests
+ * release the key so they can be retried.
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long keys are remembered
+ * @param {number} options.staleAfterMs - When an unfinished request's key may be reclaimed
+ * @returns {Function} Express middleware
+ */
+const idempotent = ({ ttlMs, staleAfterMs }) => async (req, res, next) => {
+  const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+
+  if (idempotencyKey === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({
+      success: false,
+      error: `${IDEMPOTENCY_HEADER} must be 1-255 printable ASCII characters`
+    });
+  }
+
+  // Keys are scoped to the caller so one client cannot replay another's response
+  const scope = req.auth && req.auth.keyId ? req.auth.keyId : 'anonymous';
+  const key = CryptoUtils.sha256(`${scope}:${req.method}:${req.baseUrl}${req.path}:${idempotencyKey}`).toString('hex');
+  const fingerprint = CryptoUtils.sha256(canonicalJson(req.body || {})).toString('hex');
+
+  try {
+    const { claimed, record } = await swapStore.claimIdempotencyKey(key, { fingerprint, ttlMs, staleAfterMs });
+
+    if (!claimed) {
+      if (record.fingerprint !== fingerprint) {
+        logger.security('Idempotency key reused with a different request body', {
+          path: req.originalUrl,
+          ip: req.ip
+        });
+
+        return res.status(422).json({
+          success: false,
+          error: `${IDEMPOTENCY_HEADER} was already used with a different request body`
+        });
+      }
+
+      if (record.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: `A request with this ${IDEMPOTENCY_HEADER} is still being processed`
+        });
+      }
+
+      logger.info('Replaying idempotent response', { swapId: record.swapId, path: req.originalUrl });
+
+      const body = await replayBody(record);
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(body);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const settle = res.statusCode >= 200 && res.statusCode < 300
+        ? storeResponse(key, res.statusCode, body)
+        : swapStore.releaseIdempotencyKey(key);
+
+      // Answer only once the outcome is stored, so an immediate retry replays it
+      settle
+        .catch((error) => {
+          logger.error('Error recording idempotency key outcome:', error);
+        })
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+
+  } catch (error) {
+    logger.error('Idempotency check failed:', error);
+    res.status(503).json({
+      success: false,
+      error: 'Unable to check Idempotency-Key, please retry'
+    });
+  }
+};
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  idempotent
+};
@@ -1,11 +1,25 @@
-const { SecretsManagerClient, CreateSecretCommand, GetSecretValueCommand, UpdateSecretCommand, DescribeSecretCommand } = require('@aws-sdk/client-secrets-manager');
+const EventEmitter = require('events');
+const {
+  SecretsManagerClient,
+  CreateSecretCommand,
+  GetSecretValueCommand,
+  UpdateSecretCommand,
+  DescribeSecretCommand,
+  ListSecretsCommand,
+  TagResourceCommand,
+  RestoreSecretCommand,
+  DeleteSecretCommand
+} = require('@aws-sdk/client-secrets-manager');
+const { ConflictError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
 /**
  * AWS Secrets Manager service for secure preimage storage
+ * Emits 'retry' ({ error, attempt, delay }) before each retried call.
  */
-class AWSSecretsService {
+class AWSSecretsService extends EventEmitter {
   constructor() {
+    super();
     this.client = new SecretsManagerClient({
       region: process.env.AWS_REGION || 'us-east-1',
       // Credentials will be automatically picked up from:
@@ -15,11 +29,20 @@ class AWSSecretsService {
     });
 
     this.secretPrefix = process.env.AWS_SECRETS_PREFIX || 'btc-oracle/';
+    // Kept outside secretPrefix so idempotency records never show up as swaps
+    this.idempotencyPrefix = process.env.AWS_IDEMPOTENCY_PREFIX || 'btc-oracle-idempotency/';
+    this.webhookPrefix = process.env.AWS_WEBHOOK_PREFIX || 'btc-oracle-webhooks/';
+    this.settlementPrefix = process.env.AWS_SETTLEMENT_PREFIX || 'btc-oracle-settlements/';
     this.retryConfig = {
       maxRetries: 3,
       baseDelay: 1000, // 1 second
       maxDelay: 5000   // 5 seconds
     };
+    // Waiting for a force-deleted secret's name to become free again
+    this.deletionRetryConfig = {
+      maxAttempts: 5,
+      delay: 2000
+    };
 
     logger.info('AWS Secrets Manager service initialized', {
       region: process.env.AWS_REGION || 'us-east-1',
@@ -63,8 +86,9 @@ class AWSSecretsService {
           },
           {
             Key: 'CreatedAt',
-            Value: new Date().toISOString()
-          }
+            Value: swapData.createdAt || new Date().toISOString()
+          },
+          ...(swapData.status ? [{ Key: 'Status', Value: swapData.status }] : [])
         ]
       });
 
@@ -139,6 +163,51 @@ class AWSSecretsService {
     }
   }
 
+  /**
+   * Overwrite an existing swap secret with new swap data
+   * @param {string} swapId - Swap identifier
+   * @param {Object} swapData - Complete swap data including preimage
+   * @returns {Promise<Object>} Update result
+   */
+  async updateSwapSecret(swapId, swapData) {
+    const secretName = `${this.secretPrefix}${swapId}`;
+
+    try {
+      const secretValue = {
+        ...swapData,
+        version: '1.0',
+        storedAt: new Date().toISOString()
+      };
+
+      const command = new UpdateSecretCommand({
+        SecretId: secretName,
+        SecretString: JSON.stringify(secretValue),
+        Description: `Bitcoin HTLC swap preimage for swap ${swapId} - Status: ${swapData.status}`
+      });
+
+      const result = await this.executeWithRetry(() => this.client.send(command));
+
+      logger.info('Successfully updated swap secret', {
+        swapId,
+        versionId: result.VersionId
+      });
+
+      return {
+        success: true,
+        versionId: result.VersionId
+      };
+
+    } catch (error) {
+      logger.error('Error updating swap secret:', {
+        swapId,
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to update swap data securely');
+    }
+  }
+
   /**
    * Update swap status in AWS Secrets Manager
    * @param {string} swapId - Swap identifier
@@ -237,6 +306,86 @@ class AWSSecretsService {
     }
   }
 
+  /**
+   * List the swap secrets under the configured prefix without reading their values
+   * @returns {Promise<Array<Object>>} { swapId, tags } per swap, tags keyed by tag name
+   */
+  async listSwapSecrets() {
+    const secrets = [];
+    let nextToken;
+
+    try {
+      do {
+        const command = new ListSecretsCommand({
+          MaxResults: 100,
+          NextToken: nextToken,
+          Filters: [
+            {
+              Key: 'name',
+              Values: [this.secretPrefix]
+            }
+          ]
+        });
+
+        const result = await this.executeWithRetry(() => this.client.send(command));
+
+        for (const secret of result.SecretList || []) {
+          if (secret.Name && secret.Name.startsWith(this.secretPrefix) && !secret.DeletedDate) {
+            secrets.push({
+              swapId: secret.Name.substring(this.secretPrefix.length),
+              tags: Object.fromEntries((secret.Tags || []).map((tag) => [tag.Key, tag.Value]))
+            });
+          }
+        }
+
+        nextToken = result.NextToken;
+      } while (nextToken);
+
+      return secrets;
+
+    } catch (error) {
+      logger.error('Error listing swap secrets:', {
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to list swap data');
+    }
+  }
+
+  /**
+   * List the IDs of all swap secrets under the configured prefix
+   * @returns {Promise<Array<string>>} Swap identifiers
+   */
+  async listSwapIds() {
+    return (await this.listSwapSecrets()).map((secret) => secret.swapId);
+  }
+
+  /**
+   * Add or overwrite tags on a swap secret
+   * @param {string} swapId - Swap identifier
+   * @param {Object} tags - Tag values keyed by tag name
+   * @returns {Promise<Object>} Tagging result
+   */
+  async tagSwapSecret(swapId, tags) {
+    try {
+      await this.executeWithRetry(() => this.client.send(new TagResourceCommand({
+        SecretId: `${this.secretPrefix}${swapId}`,
+        Tags: Object.entries(tags).map(([Key, Value]) => ({ Key, Value: String(Value) }))
+      })));
+      return { success: true };
+
+    } catch (error) {
+      logger.error('Error tagging swap secret:', {
+        swapId,
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to tag swap secret');
+    }
+  }
+
   /**
    * Delete swap secret (use with caution)
    * @param {string} swapId - Swap identifier
@@ -247,8 +396,6 @@ class AWSSecretsService {
     const secretName = `${this.secretPrefix}${swapId}`;
     
     try {
-      const { DeleteSecretCommand } = require('@aws-sdk/client-secrets-manager');
-      
       const command = new DeleteSecretCommand({
         SecretId: secretName,
         ForceDeleteWithoutRecovery: forceDelete,
@@ -279,6 +426,428 @@ class AWSSecretsService {
     }
   }
 
+  /**
+   * Store a create-preimage idempotency record.
+   * A key reclaimed right after its expired record was deleted can hit the
+   * name while AWS is still removing that secret; creation is retried until
+   * the name is free, and a secret left scheduled for deletion with a
+   * recovery window is restored and overwritten instead.
+   * @param {string} key - Hashed idempotency key
+   * @param {Object} record - Idempotency record
+   * @returns {Promise<Object>} Storage result
+   * @throws {ConflictError} If a record already exists for the key
+   */
+  async storeIdempotencyRecord(key, record) {
+    const secretName = `${this.idempotencyPrefix}${key}`;
+    const tags = [
+      {
+        Key: 'Service',
+        Value: 'bitcoin-oracle'
+      },
+      {
+        Key: 'ExpiresAt',
+        Value: record.expiresAt
+      }
+    ];
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await this.executeWithRetry(() => this.client.send(new CreateSecretCommand({
+            Name: secretName,
+            SecretString: JSON.stringify(record),
+            Description: 'Idempotency record for swap creation',
+            Tags: tags
+          })));
+          return { success: true };
+
+        } catch (error) {
+          if (!isPendingDeletion(error)) {
+            throw error;
+          }
+
+          if (attempt < this.deletionRetryConfig.maxAttempts) {
+            logger.warn('Idempotency secret name is pending deletion, retrying', { attempt });
+            await new Promise(resolve => setTimeout(resolve, this.deletionRetryConfig.delay));
+            continue;
+          }
+
+          await this.executeWithRetry(() => this.client.send(new RestoreSecretCommand({ SecretId: secretName })));
+          await this.executeWithRetry(() => this.client.send(new UpdateSecretCommand({
+            SecretId: secretName,
+            SecretString: JSON.stringify(record)
+          })));
+          await this.executeWithRetry(() => this.client.send(new TagResourceCommand({
+            SecretId: secretName,
+            Tags: tags
+          })));
+
+          logger.warn('Restored idempotency secret scheduled for deletion and replaced its record');
+          return { success: true };
+        }
+      }
+
+    } catch (error) {
+      if (error.name === 'ResourceExistsException') {
+        throw new ConflictError('Idempotency key already exists');
+      }
+
+      logger.error('Error storing idempotency record:', {
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to store idempotency record');
+    }
+  }
+
+  /**
+   * List idempotency records with their expiry, without reading their values
+   * @returns {Promise<Array<Object>>} { key, expiresAt } per record
+   */
+  async listIdempotencyRecords() {
+    const records = [];
+    let nextToken;
+
+    try {
+      do {
+        const result = await this.executeWithRetry(() => this.client.send(new ListSecretsCommand({
+          MaxResults: 100,
+          NextToken: nextToken,
+          Filters: [
+            {
+              Key: 'name',
+              Values: [this.idempotencyPrefix]
+            }
+          ]
+        })));
+
+        for (const secret of result.SecretList || []) {
+          if (secret.Name && secret.Name.startsWith(this.idempotencyPrefix) && !secret.DeletedDate) {
+            const expiresAt = (secret.Tags || []).find((tag) => tag.Key === 'ExpiresAt');
+            records.push({
+              key: secret.Name.substring(this.idempotencyPrefix.length),
+              expiresAt: expiresAt ? expiresAt.Value : null
+            });
+          }
+        }
+
+        nextToken = result.NextToken;
+      } while (nextToken);
+
+      return records;
+
+    } catch (error) {
+      logger.error('Error listing idempotency records:', {
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to list idempotency records');
+    }
+  }
+
+  /**
+   * Retrieve a create-preimage idempotency record
+   * @param {string} key - Hashed idempotency key
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async getIdempotencyRecord(key) {
+    try {
+      const command = new GetSecretValueCommand({
+        SecretId: `${this.idempotencyPrefix}${key}`
+      });
+
+      const result = await this.executeWithRetry(() => this.client.send(command));
+      return result.SecretString ? JSON.parse(result.SecretString) : null;
+
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        return null;
+      }
+
+      logger.error('Error retrieving idempotency record:', {
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to retrieve idempotency record');
+    }
+  }
+
+  /**
+   * Overwrite a create-preimage idempotency record
+   * @param {string} key - Hashed idempotency key
+   * @param {Object} record - Idempotency record
+   * @returns {Promise<Object>} Update result
+   */
+  async updateIdempotencyRecord(key, record) {
+    try {
+      const command = new UpdateSecretCommand({
+        SecretId: `${this.idempotencyPrefix}${key}`,
+        SecretString: JSON.stringify(record)
+      });
+
+      await this.executeWithRetry(() => this.client.send(command));
+      return { success: true };
+
+    } catch (error) {
+      logger.error('Error updating idempotency record:', {
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to update idempotency record');
+    }
+  }
+
+  /**
+   * Delete a create-preimage idempotency record immediately, so the key can be claimed again
+   * @param {string} key - Hashed idempotency key
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteIdempotencyRecord(key) {
+    try {
+      await this.executeWithRetry(() => this.client.send(new DeleteSecretCommand({
+        SecretId: `${this.idempotencyPrefix}${key}`,
+        ForceDeleteWithoutRecovery: true
+      })));
+      return { success: true };
+
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        return { success: false };
+      }
+
+      logger.error('Error deleting idempotency record:', {
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to delete idempotency record');
+    }
+  }
+
+  /**
+   * Store the record binding a settlement transaction to the swap it unlocked
+   * @param {string} txHash - Settlement transaction hash, lowercase
+   * @param {Object} claim - { txHash, swapId, claimedAt }
+   * @returns {Promise<Object>} Storage result
+   * @throws {ConflictError} If the transaction is already bound to a swap
+   */
+  async storeSettlementClaim(txHash, claim) {
+    try {
+      await this.executeWithRetry(() => this.client.send(new CreateSecretCommand({
+        Name: `${this.settlementPrefix}${txHash}`,
+        SecretString: JSON.stringify(claim),
+        Description: 'Settlement transaction that unlocked a swap preimage',
+        Tags: [
+          {
+            Key: 'Service',
+            Value: 'bitcoin-oracle'
+          },
+          {
+            Key: 'SwapId',
+            Value: claim.swapId
+          }
+        ]
+      })));
+      return { success: true };
+
+    } catch (error) {
+      if (error.name === 'ResourceExistsException') {
+        throw new ConflictError('Settlement transaction already claimed');
+      }
+
+      logger.error('Error storing settlement claim:', {
+        txHash,
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to store settlement claim');
+    }
+  }
+
+  /**
+   * Retrieve the swap a settlement transaction is bound to
+   * @param {string} txHash - Settlement transaction hash, lowercase
+   * @returns {Promise<Object|null>} Claim or null if not found
+   */
+  async getSettlementClaim(txHash) {
+    try {
+      const result = await this.executeWithRetry(() => this.client.send(new GetSecretValueCommand({
+        SecretId: `${this.settlementPrefix}${txHash}`
+      })));
+      return result.SecretString ? JSON.parse(result.SecretString) : null;
+
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        return null;
+      }
+
+      logger.error('Error retrieving settlement claim:', {
+        txHash,
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to retrieve settlement claim');
+    }
+  }
+
+  /**
+   * Create or overwrite a webhook record (endpoint, outbox or dead-letter entry)
+   * @param {string} collection - Webhook collection
+   * @param {string} id - Record identifier
+   * @param {Object} record - Record contents
+   * @returns {Promise<Object>} Storage result
+   */
+  async putWebhookRecord(collection, id, record) {
+    const secretName = `${this.webhookPrefix}${collection}/${id}`;
+
+    try {
+      try {
+        await this.executeWithRetry(() => this.client.send(new UpdateSecretCommand({
+          SecretId: secretName,
+          SecretString: JSON.stringify(record)
+        })));
+      } catch (error) {
+        if (error.name !== 'ResourceNotFoundException') {
+          throw error;
+        }
+
+        await this.executeWithRetry(() => this.client.send(new CreateSecretCommand({
+          Name: secretName,
+          SecretString: JSON.stringify(record),
+          Description: `Webhook ${collection} record`,
+          Tags: [
+            {
+              Key: 'Service',
+              Value: 'bitcoin-oracle'
+            }
+          ]
+        })));
+      }
+      return { success: true };
+
+    } catch (error) {
+      logger.error('Error storing webhook record:', {
+        collection,
+        id,
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to store webhook record');
+    }
+  }
+
+  /**
+   * Retrieve a webhook record
+   * @param {string} collection - Webhook collection
+   * @param {string} id - Record identifier
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async getWebhookRecord(collection, id) {
+    try {
+      const result = await this.executeWithRetry(() => this.client.send(new GetSecretValueCommand({
+        SecretId: `${this.webhookPrefix}${collection}/${id}`
+      })));
+      return result.SecretString ? JSON.parse(result.SecretString) : null;
+
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException' || error.name === 'InvalidRequestException') {
+        // InvalidRequestException: the record was deleted and is still being removed
+        return null;
+      }
+
+      logger.error('Error retrieving webhook record:', {
+        collection,
+        id,
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to retrieve webhook record');
+    }
+  }
+
+  /**
+   * Delete a webhook record immediately
+   * @param {string} collection - Webhook collection
+   * @param {string} id - Record identifier
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteWebhookRecord(collection, id) {
+    try {
+      await this.executeWithRetry(() => this.client.send(new DeleteSecretCommand({
+        SecretId: `${this.webhookPrefix}${collection}/${id}`,
+        ForceDeleteWithoutRecovery: true
+      })));
+      return { success: true };
+
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        return { success: false };
+      }
+
+      logger.error('Error deleting webhook record:', {
+        collection,
+        id,
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to delete webhook record');
+    }
+  }
+
+  /**
+   * List the IDs of the webhook records in a collection
+   * @param {string} collection - Webhook collection
+   * @returns {Promise<Array<string>>} Record identifiers
+   */
+  async listWebhookRecordIds(collection) {
+    const prefix = `${this.webhookPrefix}${collection}/`;
+    const ids = [];
+    let nextToken;
+
+    try {
+      do {
+        const result = await this.executeWithRetry(() => this.client.send(new ListSecretsCommand({
+          MaxResults: 100,
+          NextToken: nextToken,
+          Filters: [
+            {
+              Key: 'name',
+              Values: [prefix]
+            }
+          ]
+        })));
+
+        for (const secret of result.SecretList || []) {
+          if (secret.Name && secret.Name.startsWith(prefix) && !secret.DeletedDate) {
+            ids.push(secret.Name.substring(prefix.length));
+          }
+        }
+
+        nextToken = result.NextToken;
+      } while (nextToken);
+
+      return ids;
+
+    } catch (error) {
+      logger.error('Error listing webhook records:', {
+        collection,
+        error: error.message,
+        code: error.name
+      });
+
+      throw new Error('Failed to list webhook records');
+    }
+  }
+
   /**
    * Execute AWS operation with retry logic
    * @param {Function} operation - AWS operation to execute
@@ -296,6 +865,8 @@ class AWSSecretsService {
         // Don't retry on client errors (4xx)
         if (error.name === 'ValidationException' || 
             error.name === 'ResourceNotFoundException' ||
+            error.name === 'ResourceExistsException' ||
+            error.name === 'InvalidRequestException' ||
             error.name === 'AccessDeniedException') {
           throw error;
         }
@@ -315,6 +886,7 @@ class AWSSecretsService {
           error: error.message,
           maxRetries: this.retryConfig.maxRetries
         });
+        this.emit('retry', { error, attempt, delay });
 
         await new Promise(resolve => setTimeout(resolve, delay));
       }
@@ -330,8 +902,6 @@ class AWSSecretsService {
   async getHealthStatus() {
     try {
       // Try to list secrets to verify AWS connectivity
-      const { ListSecretsCommand } = require('@aws-sdk/client-secrets-manager');
-      
       const command = new ListSecretsCommand({
         MaxResults: 1,
         Filters: [
@@ -367,4 +937,14 @@ class AWSSecretsService {
   }
 }
 
+/**
+ * Whether a create failed because a secret with the same name is still being deleted
+ * @param {Error} error - AWS SDK error
+ * @returns {boolean} True if the name is held by a secret scheduled for deletion
+ */
+function isPendingDeletion(error) {
+  return error.name === 'InvalidRequestException' && /scheduled for deletion/i.test(error.message || '');
+}
+
 module.exports = new AWSSecretsService();
+module.exports.AWSSecretsService = AWSSecretsService;
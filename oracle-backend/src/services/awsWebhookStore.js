@@ -0,0 +1,57 @@
+const awsSecretsService = require('./awsSecretsService');
+const { assertRecordId } = require('./webhookStore');
+
+/**
+ * Webhook endpoint and outbox storage in AWS Secrets Manager, one secret per
+ * record, so deliveries live alongside the swaps when SWAP_STORE=aws rather
+ * than on the oracle host's disk. Same interface as WebhookStore.
+ */
+class AWSWebhookStore {
+  constructor(secretsService = awsSecretsService) {
+    this.secretsService = secretsService;
+  }
+
+  async ready() {}
+
+  async put(collection, id, record) {
+    assertRecordId(collection, id);
+    await this.secretsService.putWebhookRecord(collection, id, record);
+    return record;
+  }
+
+  async get(collection, id) {
+    assertRecordId(collection, id);
+    return this.secretsService.getWebhookRecord(collection, id);
+  }
+
+  async delete(collection, id) {
+    assertRecordId(collection, id);
+    return (await this.secretsService.deleteWebhookRecord(collection, id)).success;
+  }
+
+  async list(collection) {
+    const records = [];
+
+    for (const id of await this.secretsService.listWebhookRecordIds(collection)) {
+      const record = await this.get(collection, id);
+      if (record) records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Move a record between collections, writing the new copy before removing the old one
+   * @param {string} from - Source collection
+   * @param {string} to - Target collection
+   * @param {string} id - Record identifier
+   * @param {Object} record - Record contents to store in the target collection
+   */
+  async move(from, to, id, record) {
+    await this.put(to, id, record);
+    await this.delete(from, id);
+    return record;
+  }
+}
+
+module.exports = AWSWebhookStore;
@@ -1,15 +1,167 @@
-const PublicBitcoinRPCClient = require('../../bitcoin-rpc-public');
-const awsSecretsService = require('./awsSecretsService');
+const chainData = require('./chainData');
+const bitcoinZmqListener = require('./bitcoinZmqListener');
+const swapStore = require('./swapStore');
+const { SWAP_STATES, normalizeStatus, transitionSwap } = require('./swapLifecycle');
+const bitcoinService = require('./bitcoinService');
+const timelockService = require('./timelockService');
+const swapEvents = require('./swapEvents');
+const metricsService = require('./metricsService');
+const zeroConfRiskService = require('./zeroConfRiskService');
+const { SWAP_EVENT_TYPES } = require('./swapEvents');
+const { getRequiredConfirmations, getFinalityDepth } = require('../config/confirmation-policy.config');
+const { evaluateFunding } = require('../config/funding-policy.config');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { signRequest } = require('../utils/requestSigning');
+
+// States in which counted deposits are re-checked for depth, reorgs and double-spends.
+// A failed swap can trade again after a requote or operator trigger, so its deposit stays watched
+const WATCHED_STATES = [
+  SWAP_STATES.FUNDED,
+  SWAP_STATES.CONFIRMED,
+  SWAP_STATES.TRADING,
+  SWAP_STATES.FAILED,
+  SWAP_STATES.ON_HOLD
+];
+
+// Transactions remembered per swap from ZMQ, bounding lookups if the HTLC is spammed with dust
+const MAX_TX_HINTS = 20;
 
 class BitcoinMonitoringService {
   constructor() {
-    this.rpcClient = new PublicBitcoinRPCClient({ network: process.env.BITCOIN_NETWORK || 'testnet' });
+    this.chainData = chainData;
+    this.zmqListener = bitcoinZmqListener;
     this.activeMonitors = new Map(); // swapId -> monitoring promise
+    this.watchedScripts = new Map(); // HTLC scriptPubKey hex -> Set of swap IDs
+    this.txHints = new Map(); // swapId -> txids seen paying the HTLC over ZMQ
+    this.wakers = new Map(); // swapId -> ends the monitor's current wait
+    metricsService.trackActiveMonitors(this.activeMonitors);
     this.oracleBaseUrl = process.env.ORACLE_BASE_URL || 'http://localhost:3001';
-    this.monitoringInterval = 30000; // 30 seconds
+    this.internalSecret = process.env.INTERNAL_HMAC_SECRET;
+    this.monitoringInterval = 30000; // 30 seconds, polling without ZMQ
+    // With ZMQ, a slow safety sweep for notifications ZMQ dropped
+    this.reconcileInterval = parseInt(process.env.ZMQ_RECONCILE_INTERVAL_MS || '600000');
     this.maxMonitoringTime = 3600000; // 1 hour
+
+    this.zmqListener.on('transaction', (tx) => this.onTransaction(tx));
+    this.zmqListener.on('block', (block) => this.onBlock(block));
+    // Notifications may have been missed, and polling must resume or back off
+    for (const event of ['connected', 'disconnected', 'gap']) {
+      this.zmqListener.on(event, () => this.wakeAll());
+    }
+  }
+
+  /**
+   * Time to wait between checks: long with ZMQ delivering notifications, short otherwise
+   * @returns {number} Milliseconds
+   */
+  getPollInterval() {
+    return this.zmqListener.isAvailable() ? this.reconcileInterval : this.monitoringInterval;
+  }
+
+  /**
+   * Wait until the swap's monitor is woken by chain activity, or the timeout passes
+   * @param {string} swapId - The swap ID
+   * @param {number} ms - Maximum wait in milliseconds
+   * @returns {Promise<void>}
+   */
+  waitForActivity(swapId, ms) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        if (this.wakers.get(swapId) === done) this.wakers.delete(swapId);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      this.wakers.set(swapId, done);
+    });
+  }
+
+  /**
+   * Run a swap's next check now
+   * @param {string} swapId - The swap ID
+   */
+  wake(swapId) {
+    const waker = this.wakers.get(swapId);
+    if (waker) waker();
+  }
+
+  /**
+   * Run every monitor's next check now
+   */
+  wakeAll() {
+    for (const waker of [...this.wakers.values()]) {
+      waker();
+    }
+  }
+
+  /**
+   * Index a swap's HTLC scriptPubKey so ZMQ notifications can be matched to it
+   * @param {string} swapId - The swap ID
+   * @param {string} scriptPubKey - HTLC scriptPubKey in hex
+   */
+  watchScript(swapId, scriptPubKey) {
+    if (!scriptPubKey) return;
+    if (!this.watchedScripts.has(scriptPubKey)) {
+      this.watchedScripts.set(scriptPubKey, new Set());
+    }
+    this.watchedScripts.get(scriptPubKey).add(swapId);
+  }
+
+  /**
+   * Remove a swap from the scriptPubKey index and drop its hints
+   * @param {string} swapId - The swap ID
+   */
+  unwatchScript(swapId) {
+    for (const [scriptPubKey, swapIds] of this.watchedScripts) {
+      swapIds.delete(swapId);
+      if (swapIds.size === 0) this.watchedScripts.delete(scriptPubKey);
+    }
+    this.txHints.delete(swapId);
+  }
+
+  /**
+   * Swaps paid by a transaction's outputs
+   * @param {Object} tx - Transaction summary from the ZMQ listener
+   * @returns {Set<string>} Swap IDs
+   */
+  matchTransaction(tx) {
+    const matched = new Set();
+    for (const output of tx.outputs) {
+      const swapIds = this.watchedScripts.get(output.scriptPubKey);
+      if (!swapIds) continue;
+
+      for (const swapId of swapIds) {
+        // The indexer behind the address lookup may not have the transaction yet
+        const hints = this.txHints.get(swapId) || new Set();
+        if (hints.size < MAX_TX_HINTS) hints.add(tx.txid);
+        this.txHints.set(swapId, hints);
+        matched.add(swapId);
+      }
+    }
+    return matched;
+  }
+
+  /**
+   * Check the swaps a new mempool transaction pays right away
+   * @param {Object} tx - Transaction summary from the ZMQ listener
+   */
+  onTransaction(tx) {
+    for (const swapId of this.matchTransaction(tx)) {
+      logger.info('HTLC payment seen over ZMQ', { swapId, txid: tx.txid });
+      this.wake(swapId);
+    }
+  }
+
+  /**
+   * A new block changes every swap's confirmations; also catches payments whose rawtx was missed
+   * @param {Object} block - Block summary from the ZMQ listener
+   */
+  onBlock(block) {
+    for (const tx of block.transactions) {
+      this.matchTransaction(tx);
+    }
+    this.wakeAll();
   }
 
   /**
@@ -38,17 +190,20 @@ class BitcoinMonitoringService {
     // Clean up monitoring promise when complete
     monitoringPromise.finally(() => {
       this.activeMonitors.delete(swapId);
+      this.unwatchScript(swapId);
     });
 
     return monitoringPromise;
   }
 
   /**
-   * Monitor a Bitcoin address for payments and trigger swap when received
+   * Monitor a swap's HTLC address through its deposit lifecycle:
+   * wait for payment (pending), wait for confirmation depth (funded), then keep
+   * watching the counted deposits for reorgs and double-spends until they are final.
    * @param {string} swapId - The swap ID
    * @param {string} htlcAddress - Bitcoin address to monitor
    * @param {number} expectedAmount - Expected amount in BTC
-   * @param {number} timeoutMs - Maximum monitoring time
+   * @param {number} timeoutMs - Maximum time to wait for the initial payment
    */
   async monitorPayment(swapId, htlcAddress, expectedAmount, timeoutMs) {
     const startTime = Date.now();
@@ -61,36 +216,95 @@ class BitcoinMonitoringService {
         timeout: timeoutMs
       });
 
-      while (Date.now() - startTime < timeoutMs) {
+      while (true) {
+        let waitMs = this.getPollInterval();
+
         try {
-          // Check for payment using the same logic as the E2E test
-          const payment = await this.checkForPayment(htlcAddress, expectedAmount);
-          
-          if (payment.received) {
-            logger.info('Bitcoin payment detected!', {
-              swapId,
+          const swap = await swapStore.getSwap(swapId);
+          if (!swap) {
+            logger.warn('Swap no longer exists, stopping monitoring', { swapId });
+            return { success: false, message: 'Swap not found' };
+          }
+
+          const status = normalizeStatus(swap.status);
+          const scriptPubKey = this.getScriptPubKey(swap);
+          this.watchScript(swapId, scriptPubKey);
+
+          if (status === SWAP_STATES.PENDING) {
+            if (Date.now() - startTime >= timeoutMs) {
+              break;
+            }
+            // Wake up in time to enforce the payment timeout
+            waitMs = Math.min(waitMs, Math.max(startTime + timeoutMs - Date.now(), 0));
+
+            const payment = await this.checkForPayment(
               htlcAddress,
-              amount: payment.amount,
-              txHash: payment.txHash,
-              blockHeight: payment.blockHeight
-            });
-
-            // Trigger the swap via Oracle API
-            await this.triggerSwapExecution(swapId, payment.txHash);
-            
+              expectedAmount,
+              scriptPubKey,
+              [...(this.txHints.get(swapId) || [])]
+            );
+
+            if (payment.deposits.length > 0) {
+              const firstDepositAt = await this.recordDeposits(swap, payment);
+              const funding = evaluateFunding({
+                expectedSats: Math.round(expectedAmount * 100000000),
+                receivedSats: payment.amountSats,
+                firstDepositAt
+              });
+
+              if (funding.action === 'fund') {
+                logger.info('Bitcoin payment detected!', {
+                  swapId,
+                  htlcAddress,
+                  amount: payment.amount,
+                  outputs: payment.deposits.length,
+                  tradeAmountSats: funding.tradeAmountSats,
+                  shortfallSats: funding.shortfallSats,
+                  excessSats: funding.excessSats
+                });
+
+                await this.markFunded(swapId, payment, funding);
+                continue;
+              }
+
+              if (funding.action === 'refund') {
+                await this.markUnderpaid(swapId, payment, funding, 'underpayment');
+                return {
+                  success: false,
+                  message: 'Deposit below the expected amount, swap left to refund'
+                };
+              }
+            }
+          } else if (WATCHED_STATES.includes(status)) {
+            const watch = await this.watchDeposits(swap);
+
+            if (watch.final) {
+              return {
+                success: true,
+                message: 'Deposit reached finality depth'
+              };
+            }
+          } else {
+            logger.info('Swap left the monitored states, stopping monitoring', { swapId, status });
             return {
               success: true,
-              payment,
-              message: 'Payment received and swap triggered'
+              message: `Monitoring finished in state ${status}`
             };
           }
 
-          // Wait before next check
-          await this.sleep(this.monitoringInterval);
-
         } catch (checkError) {
           logger.error('Error checking for payment:', checkError);
-          await this.sleep(this.monitoringInterval);
+        }
+
+        // Wait for a ZMQ notification touching the swap, or poll
+        await this.waitForActivity(swapId, waitMs);
+
+        if (!this.activeMonitors.has(swapId)) {
+          logger.info('Bitcoin monitoring stopped for swap', { swapId });
+          return {
+            success: false,
+            message: 'Monitoring stopped'
+          };
         }
       }
 
@@ -101,6 +315,14 @@ class BitcoinMonitoringService {
         timeoutMs
       });
 
+      // A partial deposit that was never completed can only go back to the user
+      const swap = await swapStore.getSwap(swapId);
+      if (swap && normalizeStatus(swap.status) === SWAP_STATES.PENDING && swap.receivedAmountSats > 0) {
+        await this.markUnderpaid(swapId, swap, {
+          shortfallSats: Math.round(expectedAmount * 100000000) - swap.receivedAmountSats
+        }, 'underpayment_timeout');
+      }
+
       return {
         success: false,
         message: 'Monitoring timeout - no payment received'
@@ -113,37 +335,60 @@ class BitcoinMonitoringService {
   }
 
   /**
-   * Check if payment has been received at the given address
+   * Check which outputs pay the HTLC and whether together they cover the expected amount
+   * Every matching output is returned as its own deposit so the exact funding
+   * outpoints can be recorded and later spent by the claim.
    * @param {string} address - Bitcoin address to check
    * @param {number} expectedAmount - Expected amount in BTC
+   * @param {string} scriptPubKey - HTLC scriptPubKey in hex (matched instead of the address when given)
+   * @param {Array<string>} hintedTxids - Transactions seen paying the HTLC that the address lookup may not list yet
    * @returns {Promise<Object>} Payment status
    */
-  async checkForPayment(address, expectedAmount) {
+  async checkForPayment(address, expectedAmount, scriptPubKey = null, hintedTxids = []) {
     try {
-      // Get address balance
-      const balance = await this.rpcClient.getAddressBalance(address);
-      
-      if (balance >= expectedAmount) {
-        // Get transaction details
-        const transactions = await this.rpcClient.getAddressTransactions(address);
-        
-        if (transactions.length > 0) {
-          const latestTx = transactions[0];
-          
-          return {
-            received: true,
-            amount: balance,
-            txHash: latestTx.txid,
-            blockHeight: latestTx.status?.block_height,
-            confirmed: latestTx.status?.confirmed || false,
-            transaction: latestTx
-          };
+      const expectedSats = Math.round(expectedAmount * 100000000);
+      const [transactions, tipHeight] = await Promise.all([
+        this.chainData.getAddressTransactions(address),
+        this.chainData.getBlockCount()
+      ]);
+
+      const listed = new Set(transactions.map((tx) => tx.txid));
+      for (const txid of hintedTxids.filter((hinted) => !listed.has(hinted))) {
+        try {
+          const tx = await this.chainData.getTransaction(txid);
+          if (tx) transactions.push(tx);
+        } catch (error) {
+          logger.warn('Could not fetch transaction seen over ZMQ', { txid, error: error.message });
         }
       }
 
+      const paysHtlc = (output) => (scriptPubKey
+        ? output.scriptpubkey === scriptPubKey
+        : output.scriptpubkey_address === address);
+
+      const deposits = [];
+      for (const tx of transactions) {
+        (tx.vout || []).forEach((output, vout) => {
+          if (paysHtlc(output) && output.value > 0) {
+            deposits.push(this.toDeposit(tx, vout, output.value, tipHeight));
+          }
+        });
+      }
+
+      const amountSats = deposits.reduce((sum, deposit) => sum + deposit.value, 0);
+      const primary = deposits.length > 0
+        ? deposits.reduce((best, deposit) => (deposit.value > best.value ? deposit : best))
+        : null;
+
       return {
-        received: false,
-        amount: balance
+        received: deposits.length > 0 && amountSats >= expectedSats,
+        amount: amountSats / 100000000,
+        amountSats,
+        txHash: primary ? primary.txid : null,
+        blockHeight: primary ? primary.blockHeight : null,
+        confirmed: deposits.length > 0 && deposits.every((deposit) => deposit.confirmed),
+        confirmations: deposits.length > 0 ? Math.min(...deposits.map((deposit) => deposit.confirmations)) : 0,
+        deposits
       };
 
     } catch (error) {
@@ -152,6 +397,362 @@ class BitcoinMonitoringService {
     }
   }
 
+  /**
+   * Summarize a funding output with its current confirmation depth
+   * @param {Object} tx - Esplora transaction
+   * @param {number} vout - Output index paying the HTLC
+   * @param {number} value - Satoshis paid by the output
+   * @param {number} tipHeight - Current chain tip height
+   * @returns {Object} Deposit record
+   */
+  toDeposit(tx, vout, value, tipHeight) {
+    const confirmed = tx.status?.confirmed || false;
+    const blockHeight = confirmed ? tx.status.block_height : null;
+
+    return {
+      txid: tx.txid,
+      vout,
+      value,
+      confirmed,
+      blockHeight,
+      blockHash: confirmed ? tx.status.block_hash : null,
+      confirmations: confirmed ? Math.max(tipHeight - blockHeight + 1, 0) : 0
+    };
+  }
+
+  /**
+   * Get the HTLC scriptPubKey for a swap, deriving it for records created before it was stored
+   * @param {Object} swap - Stored swap record
+   * @returns {string|null} scriptPubKey in hex
+   */
+  getScriptPubKey(swap) {
+    if (swap.htlcScriptPubKey) {
+      return swap.htlcScriptPubKey;
+    }
+    return swap.htlcScript ? bitcoinService.getWitnessScriptPubKey(swap.htlcScript) : null;
+  }
+
+  /**
+   * Persist the funding outputs seen so far on a pending swap
+   * @param {Object} swap - Stored swap record
+   * @param {Object} payment - Result of checkForPayment
+   * @returns {Promise<string>} When the first deposit was seen
+   */
+  async recordDeposits(swap, payment) {
+    const firstDepositAt = swap.firstDepositAt || new Date().toISOString();
+    const known = (swap.fundingOutpoints || []).map(toOutpointKey).sort().join(',');
+    const seen = payment.deposits.map(toOutpointKey).sort().join(',');
+
+    if (known !== seen || !swap.firstDepositAt) {
+      logger.info('Funding outputs updated for swap', {
+        swapId: swap.swapId,
+        outputs: payment.deposits.length,
+        receivedAmountSats: payment.amountSats
+      });
+
+      const updated = await swapStore.updateSwap(swap.swapId, {
+        deposits: payment.deposits,
+        fundingOutpoints: payment.deposits.map(toOutpoint),
+        receivedAmountSats: payment.amountSats,
+        firstDepositAt
+      });
+
+      swapEvents.publish(SWAP_EVENT_TYPES.DEPOSIT_DETECTED, updated, {
+        deposits: payment.deposits,
+        receivedAmountSats: payment.amountSats
+      });
+    }
+
+    return firstDepositAt;
+  }
+
+  /**
+   * Record the funding outputs and move the swap from pending to funded
+   * @param {string} swapId - The swap ID
+   * @param {Object} payment - Result of checkForPayment
+   * @param {Object} funding - Result of evaluateFunding
+   */
+  async markFunded(swapId, payment, funding) {
+    const requiredConfirmations = getRequiredConfirmations(payment.amountSats);
+
+    await transitionSwap(swapId, SWAP_STATES.FUNDED, {
+      cause: funding.shortfallSats > 0 ? 'btc_deposit_underpaid_scaled' : 'btc_deposit_detected',
+      fields: {
+        btcTxHash: payment.txHash,
+        deposits: payment.deposits,
+        fundingOutpoints: payment.deposits.map(toOutpoint),
+        receivedAmountSats: payment.amountSats,
+        tradeAmountSats: funding.tradeAmountSats,
+        shortfallSats: funding.shortfallSats,
+        excessSats: funding.excessSats,
+        fundingPolicy: funding.policy,
+        confirmations: payment.confirmations,
+        requiredConfirmations,
+        fundedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Give up on a swap whose deposits do not cover the expected amount
+   * The outputs stay locked in the HTLC until the user's refund path opens.
+   * @param {string} swapId - The swap ID
+   * @param {Object} payment - Result of checkForPayment, or the stored swap
+   * @param {Object} funding - Result of evaluateFunding
+   * @param {string} cause - Transition cause
+   */
+  async markUnderpaid(swapId, payment, funding, cause) {
+    logger.warn('Swap underpaid, marking deposit refundable', {
+      swapId,
+      receivedAmountSats: payment.receivedAmountSats ?? payment.amountSats,
+      shortfallSats: funding.shortfallSats,
+      cause
+    });
+
+    await transitionSwap(swapId, SWAP_STATES.REFUNDABLE, {
+      cause,
+      fields: {
+        shortfallSats: funding.shortfallSats,
+        tradeAmountSats: 0
+      }
+    });
+  }
+
+  /**
+   * Re-check counted deposits: advance funded swaps once they reach the required
+   * depth and put the swap on hold if any deposit disappears from the best chain
+   * @param {Object} swap - Stored swap record
+   * @returns {Promise<Object>} Watch result, final once every deposit is past finality depth
+   */
+  async watchDeposits(swap) {
+    const { swapId } = swap;
+    const status = normalizeStatus(swap.status);
+    const counted = swap.deposits || [];
+    const tipHeight = await this.chainData.getBlockCount();
+
+    const deposits = [];
+    const reversed = [];
+    let inconclusive = false;
+
+    const transactions = new Map();
+    const missingChecks = new Map();
+
+    for (const previous of counted) {
+      let tx = transactions.get(previous.txid);
+      if (tx === undefined) {
+        // null when neither in the mempool nor in the best chain: replaced or double-spent
+        tx = await this.chainData.getTransaction(previous.txid);
+        transactions.set(previous.txid, tx);
+      }
+
+      if (!tx) {
+        // The answering provider may only be lagging, so a majority must agree it is gone
+        if (!missingChecks.has(previous.txid)) {
+          missingChecks.set(previous.txid, await this.chainData.confirmTransactionMissing(previous.txid));
+        }
+        const check = missingChecks.get(previous.txid);
+
+        if (check.missing) {
+          reversed.push({ txid: previous.txid, vout: previous.vout, reason: 'deposit_missing' });
+        } else {
+          logger.warn('Counted deposit not found by every chain data provider, checking again next round', {
+            swapId,
+            txid: previous.txid,
+            missingFrom: check.missingFrom,
+            foundBy: check.foundBy,
+            unreachable: check.unreachable
+          });
+          inconclusive = true;
+        }
+        continue;
+      }
+
+      const deposit = this.toDeposit(tx, previous.vout, previous.value, tipHeight);
+
+      if (previous.confirmed && !deposit.confirmed) {
+        reversed.push({ txid: previous.txid, vout: previous.vout, reason: 'deposit_reorged_out' });
+      } else if (previous.blockHash && deposit.blockHash && previous.blockHash !== deposit.blockHash) {
+        logger.warn('Deposit re-mined in a different block after reorg', {
+          swapId,
+          txid: deposit.txid,
+          previousBlock: previous.blockHash,
+          currentBlock: deposit.blockHash
+        });
+      }
+
+      deposits.push(deposit);
+    }
+
+    if (reversed.length > 0) {
+      if (status !== SWAP_STATES.ON_HOLD) {
+        logger.security('Counted Bitcoin deposit reversed, putting swap on hold', {
+          swapId,
+          status,
+          reversed
+        });
+
+        await transitionSwap(swapId, SWAP_STATES.ON_HOLD, {
+          cause: reversed[0].reason,
+          fields: {
+            holdReason: reversed,
+            heldFrom: status,
+            heldAt: new Date().toISOString()
+          }
+        });
+      }
+      return { final: false };
+    }
+
+    if (inconclusive) {
+      return { final: false };
+    }
+
+    const confirmations = deposits.length > 0
+      ? Math.min(...deposits.map((deposit) => deposit.confirmations))
+      : 0;
+    const requiredConfirmations = swap.requiredConfirmations ?? getRequiredConfirmations(swap.receivedAmountSats || swap.btcAmount);
+
+    // Deposits are back in the best chain: resume funding, hand a submitted order
+    // back to order tracking, which settles it if it filled while on hold, or
+    // return a failed trade to failed
+    if (status === SWAP_STATES.ON_HOLD) {
+      let restoredTo = swap.cowOrderUid ? SWAP_STATES.TRADING : SWAP_STATES.FUNDED;
+      if (swap.heldFrom === SWAP_STATES.FAILED) {
+        restoredTo = SWAP_STATES.FAILED;
+      }
+
+      await transitionSwap(swapId, restoredTo, {
+        cause: 'deposit_restored',
+        fields: { deposits, confirmations, holdReason: null, heldFrom: null }
+      });
+      return { final: false };
+    }
+
+    if (confirmations !== swap.confirmations) {
+      const updated = await swapStore.updateSwap(swapId, { deposits, confirmations });
+
+      swapEvents.publish(SWAP_EVENT_TYPES.CONFIRMATIONS_UPDATED, updated, {
+        confirmations,
+        requiredConfirmations
+      });
+    }
+
+    if (status === SWAP_STATES.FUNDED && confirmations >= requiredConfirmations) {
+      if (deposits.some((deposit) => !deposit.confirmed)) {
+        const risk = await this.assessZeroConfRisk(swap, deposits, tipHeight, transactions);
+        if (risk.atRisk) {
+          return { final: false };
+        }
+      }
+
+      const crossCheck = await this.chainData.crossCheckDeposits(deposits, requiredConfirmations);
+
+      if (!crossCheck.agreed) {
+        const details = {
+          swapId,
+          confirmations,
+          requiredConfirmations,
+          confirmedBy: crossCheck.confirmedBy,
+          disagreement: crossCheck.disagreement
+        };
+        if (crossCheck.disagreement && crossCheck.disagreement.problems.some((problem) => problem.reason !== 'insufficient_confirmations')) {
+          logger.security('Chain data providers disagree on a Bitcoin deposit', details);
+        } else {
+          logger.warn('Bitcoin deposit not yet confirmed by a second chain data provider', details);
+        }
+        return { final: false };
+      }
+
+      logger.info('Bitcoin deposit reached required confirmations', {
+        swapId,
+        confirmations,
+        requiredConfirmations,
+        confirmedBy: crossCheck.confirmedBy
+      });
+
+      await transitionSwap(swapId, SWAP_STATES.CONFIRMED, {
+        cause: 'btc_deposit_confirmed',
+        fields: {
+          confirmations,
+          confirmedBy: crossCheck.confirmedBy,
+          confirmedAt: new Date().toISOString(),
+          ...(await this.anchorRelativeLock(swap, deposits))
+        }
+      });
+
+      await this.triggerSwapExecution(swapId, swap.btcTxHash);
+    } else if (status === SWAP_STATES.CONFIRMED && !swap.cowOrderUid) {
+      // The trigger after confirmation did not go through; keep retrying, and keep
+      // monitoring until it does
+      logger.warn('Confirmed swap has no trade yet, retrying trigger', { swapId });
+      await this.triggerSwapExecution(swapId, swap.btcTxHash);
+    }
+
+    return {
+      final: confirmations >= getFinalityDepth(swap.receivedAmountSats || swap.btcAmount)
+    };
+  }
+
+  /**
+   * Check unconfirmed deposits of a zero-conf swap for replacement, double-spend
+   * and fee risks, and flag the swap while any remain. A flagged swap waits
+   * for the deposits to confirm instead of trading.
+   * @param {Object} swap - Stored swap record
+   * @param {Array<Object>} deposits - Current deposits
+   * @param {number} tipHeight - Current chain tip height
+   * @param {Map<string, Object>} transactions - Deposit transactions by txid
+   * @returns {Promise<Object>} Result of zeroConfRiskService.assessDeposits
+   */
+  async assessZeroConfRisk(swap, deposits, tipHeight, transactions) {
+    const risk = await zeroConfRiskService.assessDeposits(swap, deposits, tipHeight, transactions);
+    const reasons = risk.risks.map((item) => `${item.txid}:${item.reason}`).sort().join(',');
+    const previous = (swap.zeroConfRisk?.risks || []).map((item) => `${item.txid}:${item.reason}`).sort().join(',');
+
+    if (reasons !== previous) {
+      const updated = await swapStore.updateSwap(swap.swapId, {
+        zeroConfRisk: risk.atRisk ? risk : null
+      });
+
+      if (risk.atRisk) {
+        logger.security('Zero-conf deposit at risk, waiting for confirmation', {
+          swapId: swap.swapId,
+          risks: risk.risks
+        });
+
+        swapEvents.publish(SWAP_EVENT_TYPES.DEPOSIT_AT_RISK, updated, {
+          risks: risk.risks
+        });
+      }
+    }
+
+    return risk;
+  }
+
+  /**
+   * A CSV refund path starts counting when the deposit confirms, so pin its
+   * lock height and expiry to the latest funding block
+   * @param {Object} swap - Stored swap record
+   * @param {Array<Object>} deposits - Confirmed deposits
+   * @returns {Promise<Object>} Fields to store, empty for absolute locks
+   */
+  async anchorRelativeLock(swap, deposits) {
+    if (swap.timelockType !== timelockService.TIMELOCK_TYPES.RELATIVE) {
+      return {};
+    }
+
+    const fundingHeight = Math.max(...deposits.map((deposit) => deposit.blockHeight));
+
+    try {
+      return await timelockService.anchorRelativeTimelock(swap.timelock, fundingHeight);
+    } catch (error) {
+      logger.warn('Could not anchor relative timelock, keeping estimate', {
+        swapId: swap.swapId,
+        error: error.message
+      });
+      return { lockHeight: fundingHeight + swap.timelock };
+    }
+  }
+
   /**
    * Trigger swap execution via Oracle API
    * @param {string} swapId - The swap ID
@@ -161,15 +762,23 @@ class BitcoinMonitoringService {
     try {
       logger.info('Triggering swap execution', { swapId, btcTxHash });
 
-      const response = await axios.post(
-        `${this.oracleBaseUrl}/api/oracle/trigger-swap/${swapId}`,
-        {
+      const path = `/api/oracle/trigger-swap/${swapId}`;
+      const signed = signRequest(this.internalSecret, {
+        method: 'POST',
+        path,
+        body: {
           btcTxHash,
           forceExecute: false
-        },
+        }
+      });
+
+      const response = await axios.post(
+        `${this.oracleBaseUrl}${path}`,
+        signed.body,
         {
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...signed.headers
           },
           timeout: 30000
         }
@@ -189,6 +798,63 @@ class BitcoinMonitoringService {
     }
   }
 
+  /**
+   * Independently re-check a swap's deposit on-chain, without relying on the
+   * monitor's stored view, before an operator forces execution
+   * @param {Object} swap - Stored swap record
+   * @returns {Promise<Object>} Verification result with the fresh payment data
+   */
+  async verifyDeposit(swap) {
+    const payment = await this.checkForPayment(
+      swap.htlcAddress,
+      Number(swap.btcAmount) / 100000000,
+      this.getScriptPubKey(swap)
+    );
+
+    const requiredSats = Number(swap.tradeAmountSats || swap.btcAmount);
+    const requiredConfirmations = swap.requiredConfirmations ?? getRequiredConfirmations(payment.amountSats);
+    const seen = new Set(payment.deposits.map(toOutpointKey));
+    const missing = (swap.fundingOutpoints || []).filter((outpoint) => !seen.has(toOutpointKey(outpoint)));
+
+    let reason = null;
+    if (payment.deposits.length === 0) {
+      reason = 'no_deposit_found';
+    } else if (missing.length > 0) {
+      reason = 'funding_outpoint_missing';
+    } else if (payment.amountSats < requiredSats) {
+      reason = 'insufficient_amount';
+    } else if (payment.confirmations < requiredConfirmations) {
+      reason = 'insufficient_confirmations';
+    }
+
+    let zeroConfRisk = null;
+    if (reason === null && payment.deposits.some((deposit) => !deposit.confirmed)) {
+      zeroConfRisk = await zeroConfRiskService.assessDeposits(swap, payment.deposits, await this.chainData.getBlockCount());
+      if (zeroConfRisk.atRisk) {
+        reason = 'zero_conf_risk';
+      }
+    }
+
+    let crossCheck = null;
+    if (reason === null) {
+      crossCheck = await this.chainData.crossCheckDeposits(payment.deposits, requiredConfirmations);
+      if (!crossCheck.agreed) {
+        reason = 'cross_check_failed';
+      }
+    }
+
+    return {
+      verified: reason === null,
+      reason,
+      payment,
+      crossCheck,
+      zeroConfRisk,
+      requiredSats,
+      requiredConfirmations,
+      missingOutpoints: missing
+    };
+  }
+
   /**
    * Stop monitoring a specific swap
    * @param {string} swapId - The swap ID to stop monitoring
@@ -197,6 +863,7 @@ class BitcoinMonitoringService {
     if (this.activeMonitors.has(swapId)) {
       logger.info('Stopping Bitcoin monitoring for swap', { swapId });
       this.activeMonitors.delete(swapId);
+      this.wake(swapId);
       return true;
     }
     return false;
@@ -214,19 +881,85 @@ class BitcoinMonitoringService {
   }
 
   /**
-   * Start monitoring all pending swaps from AWS
+   * Start monitoring all pending swaps from the swap store
+   * Re-arms monitors lost on restart and retires swaps whose HTLC has already expired.
+   * @returns {Promise<Object>} Counts of resumed, expired and skipped swaps
    */
   async startMonitoringAllPendingSwaps() {
+    const summary = { resumed: 0, expired: 0, skipped: 0 };
+
     try {
       logger.info('Starting monitoring for all pending swaps');
-      
-      // This would require implementing a method to list all pending swaps
-      // For now, this is a placeholder for future implementation
-      logger.info('Pending swaps monitoring initialization complete');
-      
+
+      const swaps = await swapStore.listSwaps({ statuses: [SWAP_STATES.PENDING, ...WATCHED_STATES] });
+
+      for (const swap of swaps) {
+        try {
+          const outcome = await this.resumeMonitoring(swap);
+          summary[outcome]++;
+        } catch (error) {
+          summary.skipped++;
+          logger.error('Failed to resume monitoring for swap', {
+            swapId: swap.swapId,
+            error: error.message
+          });
+        }
+      }
+
+      logger.info('Pending swaps monitoring initialization complete', summary);
+
     } catch (error) {
       logger.error('Failed to start monitoring pending swaps:', error);
     }
+
+    return summary;
+  }
+
+  /**
+   * Re-arm monitoring for a stored swap with whatever time budget it has left
+   * @param {Object} swap - Stored swap record
+   * @returns {Promise<string>} Outcome: resumed, expired or skipped
+   */
+  async resumeMonitoring(swap) {
+    const { swapId, htlcAddress, btcAmount } = swap;
+    const status = normalizeStatus(swap.status);
+    const now = Date.now();
+    const expiresAt = new Date(swap.expiresAt).getTime();
+
+    // Timelock already passed: an unfunded swap is dead, a funded one belongs to the user again
+    if (Number.isFinite(expiresAt) && expiresAt <= now) {
+      const target = status === SWAP_STATES.PENDING ? SWAP_STATES.EXPIRED : SWAP_STATES.REFUNDABLE;
+      await transitionSwap(swapId, target, {
+        cause: 'timelock_passed_during_downtime',
+        fields: target === SWAP_STATES.EXPIRED ? { expiredAt: new Date(now).toISOString() } : {}
+      });
+      return 'expired';
+    }
+
+    // Unfunded swaps keep their original monitoring window; funded swaps are watched until expiry
+    let deadline = Number.isFinite(expiresAt) ? expiresAt : now + this.maxMonitoringTime;
+    if (status === SWAP_STATES.PENDING) {
+      deadline = Math.min(deadline, new Date(swap.createdAt).getTime() + this.maxMonitoringTime);
+    }
+
+    const remainingMs = deadline - now;
+    if (!(remainingMs > 0)) {
+      logger.warn('Monitoring window already elapsed for swap', { swapId, status });
+      return 'skipped';
+    }
+
+    logger.info('Resuming Bitcoin monitoring for swap', {
+      swapId,
+      status,
+      remainingMs
+    });
+
+    this.startMonitoring(swapId, htlcAddress, btcAmount / 100000000, remainingMs)
+      .catch((error) => {
+        logger.error('Resumed Bitcoin monitoring failed', { swapId, error: error.message });
+      });
+
+    return 'resumed';
   }
 
   /**
@@ -253,20 +986,28 @@ class BitcoinMonitoringService {
       });
   }
 
-  /**
-   * Utility function for sleep
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Clean up all active monitors
    */
   cleanup() {
     logger.info('Cleaning up Bitcoin monitoring service');
     this.activeMonitors.clear();
+    this.watchedScripts.clear();
+    this.txHints.clear();
+    this.wakeAll();
   }
 }
 
-module.exports = BitcoinMonitoringService;
\ No newline at end of file
+/**
+ * Reduce a deposit to the outpoint the claim transaction spends
+ */
+function toOutpoint(deposit) {
+  return { txid: deposit.txid, vout: deposit.vout, value: deposit.value };
+}
+
+function toOutpointKey(deposit) {
+  return `${deposit.txid}:${deposit.vout}`;
+}
+
+module.exports = BitcoinMonitoringService;
+module.exports.MAX_TX_HINTS = MAX_TX_HINTS;
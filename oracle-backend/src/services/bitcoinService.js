@@ -1,6 +1,54 @@
 const bitcoin = require('bitcoinjs-lib');
+const secp256k1 = require('secp256k1');
 const logger = require('../utils/logger');
 
+// Largest DER signature plus the sighash byte
+const MAX_SIGNATURE_BYTES = 73;
+const PREIMAGE_BYTES = 32;
+
+/**
+ * Size of a Bitcoin varint
+ * @param {number} n - Encoded value
+ * @returns {number} Bytes
+ */
+const varIntSize = (n) => (n < 0xfd ? 1 : n <= 0xffff ? 3 : n <= 0xffffffff ? 5 : 9);
+
+/**
+ * Encode a Bitcoin varint (values up to 32 bits)
+ * @param {number} n - Value
+ * @returns {Buffer} Encoded value
+ */
+const encodeVarInt = (n) => {
+  const buffer = Buffer.alloc(varIntSize(n));
+  if (n < 0xfd) {
+    buffer.writeUInt8(n);
+  } else if (n <= 0xffff) {
+    buffer.writeUInt8(0xfd);
+    buffer.writeUInt16LE(n, 1);
+  } else {
+    buffer.writeUInt8(0xfe);
+    buffer.writeUInt32LE(n, 1);
+  }
+  return buffer;
+};
+
+const SIGNED_MESSAGE_MAGIC = Buffer.from('Bitcoin Signed Message:\n', 'utf8');
+
+/**
+ * Hash a message the way Bitcoin wallets do before signing it
+ * @param {string} message - Message text
+ * @returns {Buffer} Double SHA256 of the magic-prefixed message
+ */
+const hashSignedMessage = (message) => {
+  const body = Buffer.from(message, 'utf8');
+  return bitcoin.crypto.hash256(Buffer.concat([
+    encodeVarInt(SIGNED_MESSAGE_MAGIC.length),
+    SIGNED_MESSAGE_MAGIC,
+    encodeVarInt(body.length),
+    body
+  ]));
+};
+
 /**
  * Bitcoin service for HTLC operations and address validation
  */
@@ -207,16 +255,68 @@ class BitcoinService {
     }
   }
 
+  /**
+   * Build the message a user signs with their refund key to prove they control it
+   * @param {string} userRefundPubkey - Refund public key in hex
+   * @param {string} userBtcAddress - User's Bitcoin address
+   * @returns {string} Message to sign
+   */
+  getRefundKeyProofMessage(userRefundPubkey, userBtcAddress) {
+    return `TakeFi HTLC refund key ${userRefundPubkey.toLowerCase()} for ${userBtcAddress}`;
+  }
+
+  /**
+   * Verify a proof of ownership for a refund public key: a Bitcoin signed message
+   * (BIP-137, what `signmessage` produces in Bitcoin Core, Electrum, Sparrow and
+   * hardware wallets) from the address of the refund key
+   * @param {string} pubkeyHex - Refund public key in hex
+   * @param {string} signatureBase64 - 65-byte recoverable signature in base64
+   * @param {string} message - Signed message from getRefundKeyProofMessage
+   * @returns {boolean} True if the signature recovers the refund key
+   */
+  verifyRefundKeyProof(pubkeyHex, signatureBase64, message) {
+    try {
+      const signature = Buffer.from(signatureBase64, 'base64');
+      if (signature.length !== 65) {
+        return false;
+      }
+
+      // 31-34 P2PKH, 35-38 P2SH-P2WPKH, 39-42 P2WPKH; 27-30 sign with
+      // uncompressed keys, which a refund key never is
+      const header = signature[0];
+      if (header < 31 || header > 42) {
+        return false;
+      }
+
+      const recovered = secp256k1.ecdsaRecover(
+        signature.subarray(1),
+        (header - 27) & 3,
+        hashSignedMessage(message),
+        true
+      );
+      return Buffer.from(recovered).equals(Buffer.from(pubkeyHex, 'hex'));
+    } catch (error) {
+      logger.warn('Refund key proof verification failed:', { error: error.message });
+      return false;
+    }
+  }
+
   /**
    * Create HTLC script with hash, market maker pubkey, user pubkey, and timelock
    * @param {Object} params - HTLC parameters
    * @param {Buffer} params.hash - SHA256 hash of preimage
    * @param {Buffer} params.mmPubkey - Market maker public key
-   * @param {Buffer} params.userPubkey - User public key (optional, can be null for P2SH)
-   * @param {number} params.timelock - Timelock in blocks
+   * @param {Buffer} params.userPubkey - User refund public key (required on mainnet)
+   * @param {number} params.timelock - Absolute lock height (CLTV) or relative lock in blocks (CSV)
+   * @param {string} params.timelockType - 'absolute' (default) or 'relative'
    * @returns {Object} HTLC script and address
    */
-  createHTLCScript({ hash, mmPubkey, userPubkey, timelock }) {
+  createHTLCScript({ hash, mmPubkey, userPubkey, timelock, timelockType = 'absolute' }) {
+    // Without a refund branch the user's BTC is unrecoverable if the swap never completes
+    if (!userPubkey && this.network === bitcoin.networks.bitcoin) {
+      throw new Error('Refusing to create an HTLC without a refund path on mainnet');
+    }
+
     try {
       // Encode timelock as minimal push
       const timelockBuffer = this.encodeNumber(timelock);
@@ -234,7 +334,9 @@ class BitcoinService {
             bitcoin.opcodes.OP_CHECKSIG,
           bitcoin.opcodes.OP_ELSE,
             timelockBuffer,
-            bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY,
+            timelockType === 'relative'
+              ? bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY
+              : bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY,
             bitcoin.opcodes.OP_DROP,
             userPubkey,
             bitcoin.opcodes.OP_CHECKSIG,
@@ -269,6 +371,7 @@ class BitcoinService {
         scriptHash: payment.hash,
         segwitAddress: segwitPayment.address,
         segwitScriptHash: segwitPayment.hash,
+        segwitScriptPubKey: segwitPayment.output,
         redeemScript: redeemScript.toString('hex')
       };
 
@@ -278,6 +381,66 @@ class BitcoinService {
     }
   }
 
+  /**
+   * Derive the P2WSH scriptPubKey that funding outputs pay for a redeem script
+   * @param {string} redeemScriptHex - HTLC redeem script in hex
+   * @returns {string} scriptPubKey in hex
+   */
+  getWitnessScriptPubKey(redeemScriptHex) {
+    const payment = bitcoin.payments.p2wsh({
+      redeem: { output: Buffer.from(redeemScriptHex, 'hex') },
+      network: this.network
+    });
+
+    return payment.output.toString('hex');
+  }
+
+  /**
+   * Estimate the virtual size of a transaction spending one P2WSH HTLC output to a single output
+   * @param {string} redeemScriptHex - HTLC redeem script in hex
+   * @param {string} path - 'claim' (preimage and market maker signature) or 'refund' (timelock and user signature)
+   * @param {number} outputScriptBytes - Length of the receiving output's scriptPubKey
+   * @returns {number} Virtual size in vbytes, with the largest possible signature
+   */
+  estimateHTLCSpendVsize(redeemScriptHex, path, outputScriptBytes) {
+    const script = Buffer.from(redeemScriptHex, 'hex');
+    const hasRefundPath = script[0] === bitcoin.opcodes.OP_IF;
+    if (path === 'refund' && !hasRefundPath) {
+      throw new Error('HTLC has no refund path');
+    }
+
+    // Witness stack: signature, preimage (claim only), branch selector, witness script
+    const items = [MAX_SIGNATURE_BYTES];
+    if (path === 'claim') items.push(PREIMAGE_BYTES);
+    if (hasRefundPath) items.push(path === 'claim' ? 1 : 0);
+    items.push(script.length);
+    const witnessBytes = varIntSize(items.length) +
+      items.reduce((total, length) => total + varIntSize(length) + length, 0);
+
+    // version, input count, outpoint + empty scriptSig + sequence, output count, output, locktime
+    const baseBytes = 4 + 1 + (36 + 1 + 4) + 1 + (8 + varIntSize(outputScriptBytes) + outputScriptBytes) + 4;
+    // Marker and flag count as witness data
+    const weight = baseBytes * 4 + 2 + witnessBytes;
+
+    return Math.ceil(weight / 4);
+  }
+
+  /**
+   * Smallest output value Bitcoin Core relays for a scriptPubKey (dust threshold at 3 sat/vB)
+   * @param {Buffer} outputScript - Output scriptPubKey
+   * @returns {number} Dust threshold in satoshis
+   */
+  getDustThreshold(outputScript) {
+    const outputBytes = 8 + varIntSize(outputScript.length) + outputScript.length;
+    const isWitnessProgram = outputScript.length >= 4 && outputScript.length <= 42 &&
+      (outputScript[0] === bitcoin.opcodes.OP_0 || (outputScript[0] >= bitcoin.opcodes.OP_1 && outputScript[0] <= bitcoin.opcodes.OP_16)) &&
+      outputScript[1] === outputScript.length - 2;
+    // Cost of spending the output later: a P2WPKH input, or a legacy P2PKH input
+    const spendBytes = isWitnessProgram ? 67 : 148;
+
+    return (outputBytes + spendBytes) * 3;
+  }
+
   /**
    * Encode number for Bitcoin script (minimal push)
    * @param {number} num - Number to encode
@@ -0,0 +1,196 @@
+const EventEmitter = require('events');
+const zmq = require('zeromq');
+const bitcoin = require('bitcoinjs-lib');
+const chainData = require('./chainData');
+const { getBitcoinZmqEndpoint } = require('../config/bitcoin-network.config');
+const logger = require('../utils/logger');
+
+const ZMQ_MODES = {
+  AUTO: 'auto', // On when a Bitcoin Core chain data provider is configured
+  ON: 'on',
+  OFF: 'off'
+};
+
+const TOPICS = ['rawtx', 'rawblock'];
+
+/**
+ * Reduce a decoded transaction to what deposit matching needs
+ * @param {bitcoin.Transaction} tx - Decoded transaction
+ * @returns {Object} { txid, inputs: [{ txid, vout }], outputs: [{ vout, scriptPubKey, value }] }
+ */
+function summarizeTransaction(tx) {
+  return {
+    txid: tx.getId(),
+    inputs: tx.ins.map((input) => ({
+      txid: Buffer.from(input.hash).reverse().toString('hex'),
+      vout: input.index
+    })),
+    outputs: tx.outs.map((output, vout) => ({
+      vout,
+      scriptPubKey: output.script.toString('hex'),
+      value: output.value
+    }))
+  };
+}
+
+/**
+ * Listener for Bitcoin Core's ZMQ rawtx and rawblock notifications.
+ * Bitcoin Core must publish both topics on the configured endpoint
+ * (zmqpubrawtx and zmqpubrawblock). ZMQ drops messages when a subscriber
+ * falls behind, so a gap in Core's sequence numbers is emitted as 'gap'
+ * for listeners to catch up by querying the chain.
+ *
+ * Events: 'transaction' (summary), 'block' ({ hash, transactions }),
+ * 'connected', 'disconnected', 'gap' ({ topic, missed }).
+ */
+class BitcoinZMQListener extends EventEmitter {
+  constructor() {
+    super();
+    const { host, port } = getBitcoinZmqEndpoint();
+    this.endpoint = `tcp://${host}:${port}`;
+    this.mode = process.env.BITCOIN_ZMQ || ZMQ_MODES.AUTO;
+    this.socket = null;
+    this.connected = false;
+    this.sequences = {}; // topic -> last sequence number
+    this.lastMessageAt = null;
+
+    if (!Object.values(ZMQ_MODES).includes(this.mode)) {
+      throw new Error(`Unsupported BITCOIN_ZMQ mode: ${this.mode}. Supported modes: ${Object.values(ZMQ_MODES).join(', ')}`);
+    }
+  }
+
+  /**
+   * Whether ZMQ should be used: explicitly on, or a Bitcoin Core node is configured
+   * @returns {boolean} True if the listener should run
+   */
+  isEnabled() {
+    if (this.mode === ZMQ_MODES.AUTO) {
+      return chainData.providers.some((provider) => provider.type === 'core');
+    }
+    return this.mode === ZMQ_MODES.ON;
+  }
+
+  /**
+   * Whether notifications are currently flowing, so polling can back off
+   * @returns {boolean} True while connected to the publisher
+   */
+  isAvailable() {
+    return this.socket !== null && this.connected;
+  }
+
+  /**
+   * Subscribe to the node's notifications.
+   * Connecting never fails up front: ZMQ keeps retrying in the background and
+   * 'connected' is emitted once the publisher is reachable.
+   * @returns {boolean} True if the listener was started
+   */
+  start() {
+    if (this.socket || !this.isEnabled()) {
+      return false;
+    }
+
+    const socket = new zmq.Subscriber();
+    socket.events.on('connect', () => {
+      this.connected = true;
+      logger.info('Connected to Bitcoin ZMQ publisher', { endpoint: this.endpoint });
+      this.emit('connected');
+    });
+    socket.events.on('disconnect', () => {
+      this.connected = false;
+      logger.warn('Bitcoin ZMQ publisher disconnected, falling back to polling', { endpoint: this.endpoint });
+      this.emit('disconnected');
+    });
+
+    socket.connect(this.endpoint);
+    socket.subscribe(...TOPICS);
+    this.socket = socket;
+
+    logger.info('Subscribing to Bitcoin ZMQ notifications', { endpoint: this.endpoint, topics: TOPICS });
+    this.receive(socket);
+    return true;
+  }
+
+  /**
+   * Read messages until the socket is closed
+   * @param {zmq.Subscriber} socket - Subscribed socket
+   */
+  async receive(socket) {
+    try {
+      for await (const [topic, body, sequence] of socket) {
+        this.handleMessage(topic.toString(), body, sequence);
+      }
+    } catch (error) {
+      if (!socket.closed) {
+        logger.error('Bitcoin ZMQ listener stopped:', error);
+      }
+    } finally {
+      if (this.socket === socket) {
+        this.socket = null;
+        this.connected = false;
+      }
+    }
+  }
+
+  /**
+   * Decode one notification and emit it
+   * @param {string} topic - rawtx or rawblock
+   * @param {Buffer} body - Serialized transaction or block
+   * @param {Buffer} sequence - Little-endian uint32 sequence number per topic
+   */
+  handleMessage(topic, body, sequence) {
+    this.lastMessageAt = new Date().toISOString();
+
+    if (sequence && sequence.length === 4) {
+      const current = sequence.readUInt32LE(0);
+      const previous = this.sequences[topic];
+      if (previous !== undefined && current !== ((previous + 1) >>> 0)) {
+        const missed = (current - previous - 1) >>> 0;
+        logger.warn('Missed Bitcoin ZMQ notifications', { topic, missed });
+        this.emit('gap', { topic, missed });
+      }
+      this.sequences[topic] = current;
+    }
+
+    try {
+      if (topic === 'rawtx') {
+        this.emit('transaction', summarizeTransaction(bitcoin.Transaction.fromBuffer(body)));
+      } else if (topic === 'rawblock') {
+        const block = bitcoin.Block.fromBuffer(body);
+        this.emit('block', {
+          hash: block.getId(),
+          transactions: (block.transactions || []).map(summarizeTransaction)
+        });
+      }
+    } catch (error) {
+      logger.warn('Could not decode Bitcoin ZMQ notification', { topic, error: error.message });
+    }
+  }
+
+  /**
+   * Listener state for health reporting
+   * @returns {Object} { enabled, endpoint, connected, lastMessageAt }
+   */
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      endpoint: this.endpoint,
+      connected: this.isAvailable(),
+      lastMessageAt: this.lastMessageAt
+    };
+  }
+
+  /**
+   * Close the subscription
+   */
+  stop() {
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      this.connected = false;
+      socket.close();
+    }
+  }
+}
+
+module.exports = new BitcoinZMQListener();
+module.exports.ZMQ_MODES = ZMQ_MODES;
@@ -0,0 +1,158 @@
+const axios = require('axios');
+const ChainDataProvider = require('./chainDataProvider');
+
+// bitcoind RPC_INVALID_ADDRESS_OR_KEY, returned for unknown transactions
+const RPC_NOT_FOUND = -5;
+
+/**
+ * Convert a bitcoind verbose transaction to the Esplora shape
+ * @param {Object} tx - Result of getrawtransaction with verbose set
+ * @param {Object} block - Containing block, if confirmed
+ * @param {number} block.height - Block height
+ * @param {string} block.hash - Block hash
+ * @param {number} block.time - Block timestamp
+ * @returns {Object} Transaction in the Esplora shape
+ */
+function fromBitcoindTransaction(tx, block = null) {
+  return {
+    txid: tx.txid,
+    version: tx.version,
+    locktime: tx.locktime,
+    vin: (tx.vin || []).map((input) => ({
+      txid: input.txid,
+      vout: input.vout,
+      sequence: input.sequence,
+      witness: input.txinwitness || [],
+      is_coinbase: Boolean(input.coinbase)
+    })),
+    vout: (tx.vout || []).map((output) => ({
+      scriptpubkey: output.scriptPubKey.hex,
+      scriptpubkey_address: output.scriptPubKey.address || (output.scriptPubKey.addresses || [])[0],
+      value: Math.round(output.value * 100000000)
+    })),
+    weight: tx.weight,
+    status: block
+      ? { confirmed: true, block_height: block.height, block_hash: block.hash, block_time: block.time }
+      : { confirmed: false }
+  };
+}
+
+/**
+ * Build an error from a JSON-RPC error object
+ * @param {Object} rpcError - { code, message }
+ * @returns {Error} Error with code rpc<code> and rpcCode set
+ */
+function toRpcError(rpcError) {
+  const error = new Error(rpcError.message);
+  error.code = `rpc${rpcError.code}`;
+  error.rpcCode = rpcError.code;
+  return error;
+}
+
+/**
+ * Chain data from a Bitcoin Core node over JSON-RPC.
+ * Looking up confirmed transactions needs -txindex; Core keeps no address
+ * index, so address history and balances come from the other providers.
+ */
+class BitcoinCoreProvider extends ChainDataProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in logs and metrics
+   * @param {string} options.url - RPC URL, e.g. http://127.0.0.1:8332
+   * @param {string} options.username - RPC user
+   * @param {string} options.password - RPC password
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ name, url, username, password, timeoutMs }) {
+    super('core', name);
+    this.url = url;
+    this.requestId = 0;
+    this.http = axios.create({
+      baseURL: url,
+      timeout: timeoutMs,
+      auth: username ? { username, password } : undefined,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * Call a JSON-RPC method
+   * @param {string} method - RPC method
+   * @param {Array} params - Positional parameters
+   * @returns {Promise<*>} RPC result
+   */
+  async call(method, params = []) {
+    try {
+      const { data } = await this.http.post('/', {
+        jsonrpc: '1.0',
+        id: ++this.requestId,
+        method,
+        params
+      });
+      if (data.error) {
+        throw toRpcError(data.error);
+      }
+      return data.result;
+    } catch (error) {
+      // bitcoind answers RPC errors with a non-2xx status and the error in the body
+      if (error.response?.data?.error) {
+        throw toRpcError(error.response.data.error);
+      }
+      throw error;
+    }
+  }
+
+  async getBlockCount() {
+    return this.call('getblockcount');
+  }
+
+  async getBlockByHeight(height) {
+    const hash = await this.call('getblockhash', [height]);
+    const header = await this.call('getblockheader', [hash]);
+    return { id: header.hash, height: header.height, timestamp: header.time };
+  }
+
+  async getTransaction(txid) {
+    let tx;
+    try {
+      tx = await this.call('getrawtransaction', [txid, true]);
+    } catch (error) {
+      if (error.rpcCode === RPC_NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+
+    if (!tx.blockhash) {
+      return fromBitcoindTransaction(tx);
+    }
+
+    const header = await this.call('getblockheader', [tx.blockhash]);
+    return fromBitcoindTransaction(tx, { height: header.height, hash: header.hash, time: header.time });
+  }
+
+  // Mempool spends only (Bitcoin Core 24+); confirmed spends are not reported
+  async getOutspend(txid, vout) {
+    const [result] = await this.call('gettxspendingprevout', [[{ txid, vout }]]);
+    return { spent: Boolean(result.spendingtxid), txid: result.spendingtxid || null };
+  }
+
+  async getFeeEstimates() {
+    const estimates = {};
+    for (const target of ChainDataProvider.FEE_TARGETS) {
+      const { feerate } = await this.call('estimatesmartfee', [target]);
+      if (feerate) {
+        // BTC/kvB -> sat/vB
+        estimates[target] = feerate * 100000;
+      }
+    }
+    return estimates;
+  }
+
+  async broadcastTransaction(rawTx) {
+    return this.call('sendrawtransaction', [rawTx]);
+  }
+}
+
+module.exports = BitcoinCoreProvider;
+module.exports.fromBitcoindTransaction = fromBitcoindTransaction;
@@ -0,0 +1,118 @@
+/**
+ * Base class for Bitcoin chain data backends.
+ *
+ * Providers return data in the Esplora shape the oracle was built on:
+ * transactions carry txid, vin[] (txid, vout, sequence), vout[] (scriptpubkey,
+ * scriptpubkey_address, value in sats) and status (confirmed, block_height,
+ * block_hash, block_time). A provider supports an operation by overriding it;
+ * the chain data service only routes an operation to providers that do.
+ */
+class ChainDataProvider {
+  constructor(type, name) {
+    this.type = type;
+    this.name = name;
+  }
+
+  /**
+   * Whether this provider implements an operation
+   * @param {string} operation - Operation name, e.g. getAddressTransactions
+   * @returns {boolean} True if the operation is overridden
+   */
+  supports(operation) {
+    return typeof this[operation] === 'function' &&
+      this[operation] !== ChainDataProvider.prototype[operation];
+  }
+
+  /**
+   * Get the current chain tip height
+   * @returns {Promise<number>} Tip height
+   */
+  async getBlockCount() {
+    throw new Error(`${this.name} chain data provider does not implement getBlockCount`);
+  }
+
+  /**
+   * Get the block at a height in the best chain
+   * @param {number} height - Block height
+   * @returns {Promise<Object>} { id, height, timestamp }
+   */
+  async getBlockByHeight(height) {
+    throw new Error(`${this.name} chain data provider does not implement getBlockByHeight`);
+  }
+
+  /**
+   * Get a transaction from the mempool or the best chain
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object|null>} Transaction, or null if the provider does not know it
+   */
+  async getTransaction(txid) {
+    throw new Error(`${this.name} chain data provider does not implement getTransaction`);
+  }
+
+  /**
+   * Find the transaction spending an output
+   * @param {string} txid - Transaction ID of the output
+   * @param {number} vout - Output index
+   * @returns {Promise<Object>} { spent, txid } where txid is the spending transaction
+   */
+  async getOutspend(txid, vout) {
+    throw new Error(`${this.name} chain data provider does not implement getOutspend`);
+  }
+
+  /**
+   * Get the confirmed and mempool transactions touching an address
+   * @param {string} address - Bitcoin address
+   * @returns {Promise<Array<Object>>} Transactions
+   */
+  async getAddressTransactions(address) {
+    throw new Error(`${this.name} chain data provider does not implement getAddressTransactions`);
+  }
+
+  /**
+   * Get the confirmed balance of an address
+   * @param {string} address - Bitcoin address
+   * @returns {Promise<number>} Balance in satoshis
+   */
+  async getAddressBalance(address) {
+    throw new Error(`${this.name} chain data provider does not implement getAddressBalance`);
+  }
+
+  /**
+   * Get fee rate estimates
+   * @returns {Promise<Object>} Confirmation target in blocks -> fee rate in sat/vB
+   */
+  async getFeeEstimates() {
+    throw new Error(`${this.name} chain data provider does not implement getFeeEstimates`);
+  }
+
+  /**
+   * Broadcast a signed transaction
+   * @param {string} rawTx - Transaction hex
+   * @returns {Promise<string>} Transaction ID
+   */
+  async broadcastTransaction(rawTx) {
+    throw new Error(`${this.name} chain data provider does not implement broadcastTransaction`);
+  }
+
+  /**
+   * Release connections held by the provider
+   */
+  async close() {}
+}
+
+// Operations a provider may implement
+ChainDataProvider.OPERATIONS = [
+  'getBlockCount',
+  'getBlockByHeight',
+  'getTransaction',
+  'getOutspend',
+  'getAddressTransactions',
+  'getAddressBalance',
+  'getFeeEstimates',
+  'broadcastTransaction'
+];
+
+// Confirmation targets, in blocks, that fee estimates are reported for
+ChainDataProvider.FEE_TARGETS = [1, 2, 3, 6, 12, 24, 144];
+
+module.exports = ChainDataProvider;
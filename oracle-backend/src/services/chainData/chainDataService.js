@@ -0,0 +1,446 @@
+const EventEmitter = require('events');
+const logger = require('../../utils/logger');
+
+const CROSS_CHECK_MODES = {
+  REQUIRED: 'required',       // Two providers must confirm a deposit before it counts
+  BEST_EFFORT: 'best-effort', // Ask a second provider when one answers; any disagreement blocks
+  OFF: 'off'
+};
+
+// Weight of the latest request in the success and latency moving averages
+const SCORE_SMOOTHING = 0.2;
+
+/**
+ * Short code for a failed request, used in logs and metrics labels
+ * @param {Error} error - Request error
+ * @returns {string} HTTP status, RPC or socket error code
+ */
+const errorCode = (error) => (error.response ? String(error.response.status) : error.code || 'unknown');
+
+/**
+ * One chain data interface over several providers.
+ *
+ * Each provider carries a health score (moving average of request success)
+ * and is skipped for a cooldown after repeated consecutive failures. Calls go
+ * to the healthiest provider supporting the operation and fail over down the
+ * list; ties keep the configured order. Every request is emitted as a
+ * 'request' event ({ provider, operation, durationMs, error }).
+ */
+class ChainDataService extends EventEmitter {
+  /**
+   * @param {Array<ChainDataProvider>} providers - Providers in order of preference
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures before a provider cools down
+   * @param {number} options.cooldownMs - How long a failing provider is skipped
+   * @param {string} options.crossCheckMode - One of CROSS_CHECK_MODES
+   */
+  constructor(providers, { failureThreshold = 3, cooldownMs = 60000, crossCheckMode = CROSS_CHECK_MODES.BEST_EFFORT } = {}) {
+    super();
+
+    if (!Object.values(CROSS_CHECK_MODES).includes(crossCheckMode)) {
+      throw new Error(`Unsupported chain cross-check mode: ${crossCheckMode}. Supported modes: ${Object.values(CROSS_CHECK_MODES).join(', ')}`);
+    }
+
+    this.providers = providers;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.crossCheckMode = crossCheckMode;
+    this.health = new Map(providers.map((provider) => [provider.name, {
+      score: 1,
+      latencyMs: null,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      lastError: null,
+      lastSuccessAt: null
+    }]));
+  }
+
+  /**
+   * Providers supporting an operation, healthiest first.
+   * Cooling-down providers come last so a call is still attempted when all are failing.
+   * @param {string} operation - Operation name
+   * @returns {Array<ChainDataProvider>} Ranked providers
+   */
+  rankProviders(operation) {
+    const now = Date.now();
+    const order = new Map(this.providers.map((provider, index) => [provider.name, index]));
+
+    return this.providers
+      .filter((provider) => provider.supports(operation))
+      .sort((a, b) => {
+        const healthA = this.health.get(a.name);
+        const healthB = this.health.get(b.name);
+        const coolingA = healthA.cooldownUntil > now;
+        const coolingB = healthB.cooldownUntil > now;
+
+        if (coolingA !== coolingB) return coolingA ? 1 : -1;
+        // Compare on one decimal so small blips do not reshuffle providers
+        const scoreDiff = Math.round(healthB.score * 10) - Math.round(healthA.score * 10);
+        return scoreDiff || order.get(a.name) - order.get(b.name);
+      });
+  }
+
+  /**
+   * Run an operation on one provider and update its health
+   * @param {ChainDataProvider} provider - Provider
+   * @param {string} operation - Operation name
+   * @param {Array} args - Operation arguments
+   * @returns {Promise<*>} Operation result
+   */
+  async callProvider(provider, operation, args = []) {
+    const health = this.health.get(provider.name);
+    const startTime = Date.now();
+
+    try {
+      const result = await provider[operation](...args);
+      const durationMs = Date.now() - startTime;
+
+      health.score += SCORE_SMOOTHING * (1 - health.score);
+      health.latencyMs = health.latencyMs === null
+        ? durationMs
+        : Math.round(health.latencyMs + SCORE_SMOOTHING * (durationMs - health.latencyMs));
+      health.consecutiveFailures = 0;
+      health.cooldownUntil = 0;
+      health.lastSuccessAt = new Date().toISOString();
+
+      this.emit('request', { provider: provider.name, operation, durationMs, error: null });
+      return result;
+
+    } catch (error) {
+      const durationMs = Date.now() - startTime;
+
+      health.score -= SCORE_SMOOTHING * health.score;
+      health.consecutiveFailures += 1;
+      health.lastError = error.message;
+
+      if (health.consecutiveFailures >= this.failureThreshold) {
+        health.cooldownUntil = Date.now() + this.cooldownMs;
+        logger.warn('Chain data provider cooling down after repeated failures', {
+          provider: provider.name,
+          consecutiveFailures: health.consecutiveFailures,
+          cooldownMs: this.cooldownMs
+        });
+      }
+
+      this.emit('request', { provider: provider.name, operation, durationMs, error: errorCode(error) });
+      throw error;
+    }
+  }
+
+  /**
+   * Run an operation on the healthiest provider, failing over to the next on error
+   * @param {string} operation - Operation name
+   * @param {...*} args - Operation arguments
+   * @returns {Promise<*>} Result from the first provider that answered
+   */
+  async call(operation, ...args) {
+    const providers = this.rankProviders(operation);
+    if (providers.length === 0) {
+      throw new Error(`No chain data provider supports ${operation}`);
+    }
+
+    let lastError;
+    for (const provider of providers) {
+      try {
+        return await this.callProvider(provider, operation, args);
+      } catch (error) {
+        lastError = error;
+        logger.warn('Chain data request failed', {
+          provider: provider.name,
+          operation,
+          error: error.message
+        });
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Get the current chain tip height
+   * @returns {Promise<number>} Tip height
+   */
+  async getBlockCount() {
+    return this.call('getBlockCount');
+  }
+
+  /**
+   * Get the block at a height in the best chain
+   * @param {number} height - Block height
+   * @returns {Promise<Object>} { id, height, timestamp }
+   */
+  async getBlockByHeight(height) {
+    return this.call('getBlockByHeight', height);
+  }
+
+  /**
+   * Get a transaction from the mempool or the best chain
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object|null>} Transaction, or null if neither in the mempool nor the best chain
+   */
+  async getTransaction(txid) {
+    return this.call('getTransaction', txid);
+  }
+
+  /**
+   * Find the transaction spending an output
+   * @param {string} txid - Transaction ID of the output
+   * @param {number} vout - Output index
+   * @returns {Promise<Object>} { spent, txid }
+   */
+  async getOutspend(txid, vout) {
+    return this.call('getOutspend', txid, vout);
+  }
+
+  /**
+   * Get the confirmed and mempool transactions touching an address.
+   * Throws when no provider answers, so an outage never looks like an empty address.
+   * @param {string} address - Bitcoin address
+   * @returns {Promise<Array<Object>>} Transactions, newest first
+   */
+  async getAddressTransactions(address) {
+    return this.call('getAddressTransactions', address);
+  }
+
+  /**
+   * Get the confirmed balance of an address
+   * @param {string} address - Bitcoin address
+   * @returns {Promise<number>} Balance in satoshis
+   */
+  async getAddressBalance(address) {
+    return this.call('getAddressBalance', address);
+  }
+
+  /**
+   * Get fee rate estimates
+   * @returns {Promise<Object>} Confirmation target in blocks -> fee rate in sat/vB
+   */
+  async getFeeEstimates() {
+    return this.call('getFeeEstimates');
+  }
+
+  /**
+   * Fee rate for a confirmation target: the estimate for the nearest target
+   * at or below it (the faster, dearer one), else the slowest target estimated
+   * @param {number} targetBlocks - Blocks within which to confirm
+   * @returns {Promise<Object>} { feeRate (sat/vB), targetBlocks }
+   */
+  async getFeeRate(targetBlocks) {
+    const estimates = await this.getFeeEstimates();
+    const targets = Object.keys(estimates)
+      .map(Number)
+      .filter((target) => estimates[target] > 0)
+      .sort((a, b) => a - b);
+    if (targets.length === 0) {
+      throw new Error('No fee estimates returned');
+    }
+
+    const target = [...targets].reverse().find((candidate) => candidate <= targetBlocks) || targets[0];
+    return { feeRate: estimates[target], targetBlocks: target };
+  }
+
+  /**
+   * Broadcast a signed transaction
+   * @param {string} rawTx - Transaction hex
+   * @returns {Promise<string>} Transaction ID
+   */
+  async broadcastTransaction(rawTx) {
+    return this.call('broadcastTransaction', rawTx);
+  }
+
+  /**
+   * Ask every reachable provider whether a transaction's inputs are spent by another transaction.
+   * Mempools differ between nodes, so a double-spend may only be visible to some of them.
+   * @param {Object} tx - Transaction (txid, vin)
+   * @returns {Promise<Object>} { conflicts: [{ provider, txid, vout, spendingTxid }], checkedBy }
+   */
+  async findConflictingSpends(tx) {
+    const now = Date.now();
+    const providers = this.rankProviders('getOutspend')
+      .filter((provider) => this.health.get(provider.name).cooldownUntil <= now);
+    const conflicts = [];
+    const checkedBy = [];
+
+    for (const provider of providers) {
+      try {
+        for (const input of tx.vin || []) {
+          if (input.is_coinbase) continue;
+          const outspend = await this.callProvider(provider, 'getOutspend', [input.txid, input.vout]);
+          if (outspend.spent && outspend.txid && outspend.txid !== tx.txid) {
+            conflicts.push({ provider: provider.name, txid: input.txid, vout: input.vout, spendingTxid: outspend.txid });
+          }
+        }
+        checkedBy.push(provider.name);
+      } catch (error) {
+        logger.warn('Chain data provider could not check for conflicting spends', {
+          provider: provider.name,
+          txid: tx.txid,
+          error: error.message
+        });
+      }
+    }
+
+    return { conflicts, checkedBy };
+  }
+
+  /**
+   * Check deposits against one provider
+   * @param {ChainDataProvider} provider - Provider
+   * @param {Array<Object>} deposits - Deposits ({ txid, vout, value, blockHash })
+   * @param {number} minConfirmations - Depth every deposit must have
+   * @returns {Promise<Array<Object>>} Problems found, empty if the provider confirms every deposit
+   */
+  async checkDepositsWith(provider, deposits, minConfirmations) {
+    const tipHeight = await this.callProvider(provider, 'getBlockCount');
+    const transactions = new Map();
+    const problems = [];
+
+    for (const deposit of deposits) {
+      if (!transactions.has(deposit.txid)) {
+        transactions.set(deposit.txid, await this.callProvider(provider, 'getTransaction', [deposit.txid]));
+      }
+      const tx = transactions.get(deposit.txid);
+      const output = tx && (tx.vout || [])[deposit.vout];
+
+      let reason = null;
+      if (!tx) {
+        reason = 'deposit_missing';
+      } else if (!output || output.value !== deposit.value) {
+        reason = 'output_mismatch';
+      } else if (minConfirmations > 0 &&
+        (!tx.status?.confirmed || tipHeight - tx.status.block_height + 1 < minConfirmations)) {
+        reason = 'insufficient_confirmations';
+      } else if (deposit.blockHash && tx.status?.confirmed && tx.status.block_hash !== deposit.blockHash) {
+        reason = 'block_mismatch';
+      }
+
+      if (reason) {
+        problems.push({ txid: deposit.txid, vout: deposit.vout, reason });
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Confirm deposits with two independent providers before they are acted on.
+   * A provider that cannot be reached is skipped; one that answers differently
+   * blocks the deposits. In best-effort mode a single confirming provider is
+   * enough when no second one is reachable.
+   * @param {Array<Object>} deposits - Deposits ({ txid, vout, value, blockHash })
+   * @param {number} minConfirmations - Depth every deposit must have
+   * @returns {Promise<Object>} { agreed, mode, confirmedBy, disagreement }
+   */
+  async crossCheckDeposits(deposits, minConfirmations) {
+    const mode = this.crossCheckMode;
+    if (mode === CROSS_CHECK_MODES.OFF) {
+      return { agreed: true, mode, confirmedBy: [], disagreement: null };
+    }
+
+    const providers = this.rankProviders('getTransaction')
+      .filter((provider) => provider.supports('getBlockCount'));
+    const confirmedBy = [];
+
+    for (const provider of providers) {
+      if (confirmedBy.length === 2) break;
+
+      let problems;
+      try {
+        problems = await this.checkDepositsWith(provider, deposits, minConfirmations);
+      } catch (error) {
+        logger.warn('Chain data provider unavailable for cross-check', {
+          provider: provider.name,
+          error: error.message
+        });
+        continue;
+      }
+
+      if (problems.length > 0) {
+        return { agreed: false, mode, confirmedBy, disagreement: { provider: provider.name, problems } };
+      }
+      confirmedBy.push(provider.name);
+    }
+
+    const required = mode === CROSS_CHECK_MODES.REQUIRED ? 2 : 1;
+    if (confirmedBy.length === 1 && required === 1) {
+      logger.warn('Deposit confirmed by a single chain data provider', { provider: confirmedBy[0] });
+    }
+
+    return { agreed: confirmedBy.length >= required, mode, confirmedBy, disagreement: null };
+  }
+
+  /**
+   * Ask every provider for a transaction one of them could not find, so a
+   * single lagging or pruned provider cannot make a deposit look double-spent.
+   * Providers that cannot be reached count against the majority.
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} { missing, missingFrom, foundBy, unreachable }, where missing
+   *   is true only when a majority of providers report the transaction gone
+   */
+  async confirmTransactionMissing(txid) {
+    const providers = this.rankProviders('getTransaction');
+    const missingFrom = [];
+    const foundBy = [];
+    const unreachable = [];
+
+    for (const provider of providers) {
+      try {
+        const tx = await this.callProvider(provider, 'getTransaction', [txid]);
+        (tx ? foundBy : missingFrom).push(provider.name);
+      } catch (error) {
+        unreachable.push(provider.name);
+      }
+    }
+
+    return {
+      missing: missingFrom.length > providers.length / 2,
+      missingFrom,
+      foundBy,
+      unreachable
+    };
+  }
+
+  /**
+   * Health and scoring of every provider
+   * @returns {Array<Object>} Provider status
+   */
+  getProviderStatus() {
+    const now = Date.now();
+    return this.providers.map((provider) => {
+      const health = this.health.get(provider.name);
+      return {
+        name: provider.name,
+        type: provider.type,
+        score: Math.round(health.score * 100) / 100,
+        latencyMs: health.latencyMs,
+        available: health.cooldownUntil <= now,
+        consecutiveFailures: health.consecutiveFailures,
+        lastError: health.lastError,
+        lastSuccessAt: health.lastSuccessAt
+      };
+    });
+  }
+
+  /**
+   * Healthy while at least one provider is outside its cooldown
+   * @returns {Promise<Object>} Health status
+   */
+  async getHealthStatus() {
+    const providers = this.getProviderStatus();
+    return {
+      status: providers.some((provider) => provider.available) ? 'healthy' : 'unhealthy',
+      crossCheckMode: this.crossCheckMode,
+      providers
+    };
+  }
+
+  /**
+   * Close every provider's connections
+   */
+  async close() {
+    await Promise.all(this.providers.map((provider) => provider.close()));
+  }
+}
+
+module.exports = ChainDataService;
+module.exports.CROSS_CHECK_MODES = CROSS_CHECK_MODES;
@@ -0,0 +1,311 @@
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const ChainDataProvider = require('./chainDataProvider');
+const { fromBitcoindTransaction } = require('./bitcoinCoreProvider');
+const logger = require('../../utils/logger');
+
+const CLIENT_NAME = 'takefi-oracle';
+const PROTOCOL_VERSION = '1.4';
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest();
+
+/**
+ * Hash and timestamp of an 80-byte block header
+ * @param {string} headerHex - Serialized header
+ * @param {number} height - Height of the block
+ * @returns {Object} { id, height, timestamp }
+ */
+function parseHeader(headerHex, height) {
+  const header = Buffer.from(headerHex, 'hex');
+  return {
+    id: Buffer.from(sha256(sha256(header))).reverse().toString('hex'),
+    height,
+    timestamp: header.readUInt32LE(68)
+  };
+}
+
+/**
+ * Chain data from an Electrum server (ElectrumX, Fulcrum, electrs) over
+ * newline-delimited JSON-RPC. Looking up a single transaction uses verbose
+ * transaction.get, which electrs does not serve; address history works everywhere.
+ */
+class ElectrumProvider extends ChainDataProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in logs and metrics
+   * @param {string} options.host - Server host
+   * @param {number} options.port - Server port
+   * @param {boolean} options.tls - Whether to connect over TLS
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {Object} options.network - bitcoinjs network used to derive scripthashes
+   */
+  constructor({ name, host, port, tls: useTls, timeoutMs, network }) {
+    super('electrum', name);
+    this.host = host;
+    this.port = port;
+    this.useTls = useTls;
+    this.timeoutMs = timeoutMs;
+    this.network = network;
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = '';
+    this.requestId = 0;
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+  }
+
+  /**
+   * Open the connection and negotiate the protocol version, once
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = this.useTls
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.connect({ host: this.host, port: this.port });
+
+      socket.setEncoding('utf8');
+      socket.setKeepAlive(true);
+      socket.once('error', reject);
+      socket.once(this.useTls ? 'secureConnect' : 'connect', () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (error) => {
+          logger.warn('Electrum connection error', { provider: this.name, error: error.message });
+        });
+        this.socket = socket;
+        resolve();
+      });
+      socket.on('data', (chunk) => this.onData(chunk));
+      socket.on('close', () => this.onClose());
+    }).then(() => this.send('server.version', [CLIENT_NAME, PROTOCOL_VERSION]));
+
+    this.connecting.catch(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Dispatch complete response lines to their pending requests
+   * @param {string} chunk - Received data
+   */
+  onData(chunk) {
+    this.buffer += chunk;
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        logger.warn('Unparseable Electrum message', { provider: this.name });
+        continue;
+      }
+
+      // Subscription notifications carry no id
+      const request = this.pending.get(message.id);
+      if (!request) continue;
+
+      this.pending.delete(message.id);
+      clearTimeout(request.timer);
+      if (message.error) {
+        const error = new Error(message.error.message || JSON.stringify(message.error));
+        error.code = `electrum${message.error.code ?? ''}`;
+        request.reject(error);
+      } else {
+        request.resolve(message.result);
+      }
+    }
+  }
+
+  /**
+   * Fail every in-flight request and allow the next call to reconnect
+   */
+  onClose() {
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = '';
+    for (const [id, request] of this.pending) {
+      clearTimeout(request.timer);
+      const error = new Error('Electrum connection closed');
+      error.code = 'ECONNRESET';
+      request.reject(error);
+      this.pending.delete(id);
+    }
+  }
+
+  /**
+   * Write a request on the open connection
+   * @param {string} method - Electrum method
+   * @param {Array} params - Positional parameters
+   * @returns {Promise<*>} Result
+   */
+  send(method, params) {
+    return new Promise((resolve, reject) => {
+      const id = ++this.requestId;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        const error = new Error(`Electrum ${method} timed out after ${this.timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+        // A silent server is usually a dead connection; reconnect on the next call
+        if (this.socket) this.socket.destroy();
+      }, this.timeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.socket.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+    });
+  }
+
+  /**
+   * Call an Electrum method, connecting first if needed
+   * @param {string} method - Electrum method
+   * @param {Array} params - Positional parameters
+   * @returns {Promise<*>} Result
+   */
+  async request(method, params = []) {
+    await this.connect();
+    return this.send(method, params);
+  }
+
+  /**
+   * Electrum indexes outputs by the reversed SHA-256 of their scriptPubKey
+   * @param {string} address - Bitcoin address
+   * @returns {string} Scripthash in hex
+   */
+  toScripthash(address) {
+    const script = bitcoin.address.toOutputScript(address, this.network);
+    return Buffer.from(sha256(script)).reverse().toString('hex');
+  }
+
+  /**
+   * Decode a raw transaction into the Esplora shape
+   * @param {string} rawTx - Transaction hex
+   * @param {Object|null} block - Containing block from parseHeader, if confirmed
+   * @returns {Object} Transaction
+   */
+  decodeTransaction(rawTx, block) {
+    const tx = bitcoin.Transaction.fromHex(rawTx);
+    const addressOf = (script) => {
+      try {
+        return bitcoin.address.fromOutputScript(script, this.network);
+      } catch (error) {
+        return undefined; // OP_RETURN and non-standard outputs
+      }
+    };
+
+    return {
+      txid: tx.getId(),
+      version: tx.version,
+      locktime: tx.locktime,
+      vin: tx.ins.map((input) => ({
+        txid: Buffer.from(input.hash).reverse().toString('hex'),
+        vout: input.index,
+        sequence: input.sequence,
+        witness: input.witness.map((item) => Buffer.from(item).toString('hex')),
+        is_coinbase: tx.isCoinbase()
+      })),
+      vout: tx.outs.map((output) => ({
+        scriptpubkey: output.script.toString('hex'),
+        scriptpubkey_address: addressOf(output.script),
+        value: output.value
+      })),
+      weight: tx.weight(),
+      status: block
+        ? { confirmed: true, block_height: block.height, block_hash: block.id, block_time: block.timestamp }
+        : { confirmed: false }
+    };
+  }
+
+  async getBlockCount() {
+    const tip = await this.request('blockchain.headers.subscribe');
+    return tip.height;
+  }
+
+  async getBlockByHeight(height) {
+    return parseHeader(await this.request('blockchain.block.header', [height]), height);
+  }
+
+  async getTransaction(txid) {
+    let tx;
+    try {
+      tx = await this.request('blockchain.transaction.get', [txid, true]);
+    } catch (error) {
+      if (/no such|not found|missing/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+
+    if (!tx.blockhash || !tx.confirmations) {
+      return fromBitcoindTransaction(tx);
+    }
+
+    const tipHeight = await this.getBlockCount();
+    return fromBitcoindTransaction(tx, {
+      height: tipHeight - tx.confirmations + 1,
+      hash: tx.blockhash,
+      time: tx.blocktime
+    });
+  }
+
+  async getAddressTransactions(address) {
+    const history = await this.request('blockchain.scripthash.get_history', [this.toScripthash(address)]);
+    const headers = new Map();
+
+    const transactions = [];
+    for (const entry of history) {
+      // Heights of 0 and -1 mark mempool transactions
+      let block = null;
+      if (entry.height > 0) {
+        if (!headers.has(entry.height)) {
+          headers.set(entry.height, await this.getBlockByHeight(entry.height));
+        }
+        block = headers.get(entry.height);
+      }
+      const rawTx = await this.request('blockchain.transaction.get', [entry.tx_hash]);
+      transactions.push(this.decodeTransaction(rawTx, block));
+    }
+
+    // Newest first, as Esplora returns them
+    return transactions.reverse();
+  }
+
+  async getAddressBalance(address) {
+    const balance = await this.request('blockchain.scripthash.get_balance', [this.toScripthash(address)]);
+    return balance.confirmed;
+  }
+
+  async getFeeEstimates() {
+    const estimates = {};
+    for (const target of ChainDataProvider.FEE_TARGETS) {
+      const feeRate = await this.request('blockchain.estimatefee', [target]);
+      if (feeRate > 0) {
+        // BTC/kB -> sat/vB
+        estimates[target] = feeRate * 100000;
+      }
+    }
+    return estimates;
+  }
+
+  async broadcastTransaction(rawTx) {
+    return this.request('blockchain.transaction.broadcast', [rawTx]);
+  }
+
+  async close() {
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+}
+
+module.exports = ElectrumProvider;
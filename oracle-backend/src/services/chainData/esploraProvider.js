@@ -0,0 +1,72 @@
+const axios = require('axios');
+const ChainDataProvider = require('./chainDataProvider');
+
+/**
+ * Chain data from an Esplora-compatible REST API (Blockstream, mempool.space, electrs)
+ */
+class EsploraProvider extends ChainDataProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in logs and metrics
+   * @param {string} options.url - API base URL, e.g. https://mempool.space/api
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ name, url, timeoutMs }) {
+    super('esplora', name);
+    this.url = url.replace(/\/+$/, '');
+    this.http = axios.create({ baseURL: this.url, timeout: timeoutMs });
+  }
+
+  async getBlockCount() {
+    const response = await this.http.get('/blocks/tip/height');
+    return Number(response.data);
+  }
+
+  async getBlockByHeight(height) {
+    const { data: hash } = await this.http.get(`/block-height/${height}`);
+    const { data: block } = await this.http.get(`/block/${hash}`);
+    return { id: block.id, height: block.height, timestamp: block.timestamp };
+  }
+
+  async getTransaction(txid) {
+    try {
+      const response = await this.http.get(`/tx/${txid}`);
+      return response.data;
+    } catch (error) {
+      // Neither in the mempool nor in the best chain
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getOutspend(txid, vout) {
+    const { data } = await this.http.get(`/tx/${txid}/outspend/${vout}`);
+    return { spent: Boolean(data.spent), txid: data.txid || null };
+  }
+
+  async getAddressTransactions(address) {
+    const response = await this.http.get(`/address/${address}/txs`);
+    return response.data;
+  }
+
+  async getAddressBalance(address) {
+    const { data } = await this.http.get(`/address/${address}`);
+    return data.chain_stats.funded_txo_sum - data.chain_stats.spent_txo_sum;
+  }
+
+  async getFeeEstimates() {
+    const response = await this.http.get('/fee-estimates');
+    return response.data;
+  }
+
+  async broadcastTransaction(rawTx) {
+    const response = await this.http.post('/tx', rawTx, {
+      headers: { 'Content-Type': 'text/plain' }
+    });
+    return response.data;
+  }
+}
+
+module.exports = EsploraProvider;
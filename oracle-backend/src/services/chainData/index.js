@@ -0,0 +1,126 @@
+const ChainDataService = require('./chainDataService');
+const EsploraProvider = require('./esploraProvider');
+const BitcoinCoreProvider = require('./bitcoinCoreProvider');
+const ElectrumProvider = require('./electrumProvider');
+const { getCurrentBitcoinNetwork } = require('../../config/bitcoin-network.config');
+const logger = require('../../utils/logger');
+
+const CHAIN_PROVIDER_TYPES = {
+  esplora: EsploraProvider,
+  core: BitcoinCoreProvider,
+  electrum: ElectrumProvider
+};
+
+/**
+ * Default provider list for a network: its Esplora APIs, plus the node on regtest
+ * @param {Object} networkConfig - Bitcoin network config
+ * @returns {string} Provider list in CHAIN_PROVIDERS syntax
+ */
+function getDefaultProviders(networkConfig) {
+  const urls = [...new Set(Object.values(networkConfig.apiUrls))];
+  const providers = urls.map((url) => `esplora:${url}`);
+  if (networkConfig.name === 'regtest') {
+    providers.push('core');
+  }
+  return providers.join(',');
+}
+
+/**
+ * Build a provider from one CHAIN_PROVIDERS entry.
+ *   esplora:<api url>
+ *   core[:<rpc url, credentials in the userinfo>]  (defaults to the network's RPC endpoint)
+ *   electrum:<tcp|ssl>://<host>:<port>
+ * @param {string} entry - Provider entry
+ * @param {Object} networkConfig - Bitcoin network config
+ * @param {number} timeoutMs - Request timeout
+ * @returns {ChainDataProvider} Provider
+ */
+function createProvider(entry, networkConfig, timeoutMs) {
+  const separator = entry.indexOf(':');
+  const type = separator === -1 ? entry : entry.slice(0, separator);
+  const target = separator === -1 ? '' : entry.slice(separator + 1);
+
+  if (!CHAIN_PROVIDER_TYPES[type]) {
+    throw new Error(`Unsupported chain data provider: ${type}. Supported providers: ${Object.keys(CHAIN_PROVIDER_TYPES).join(', ')}`);
+  }
+
+  if (type === 'core') {
+    const rpc = networkConfig.rpcEndpoint;
+    const url = new URL(target || `${rpc.protocol}://${rpc.host}:${rpc.port}`);
+    const username = target ? decodeURIComponent(url.username) : rpc.username;
+    const password = target ? decodeURIComponent(url.password) : rpc.password;
+    url.username = '';
+    url.password = '';
+
+    return new BitcoinCoreProvider({
+      name: `core:${url.host}`,
+      url: url.toString(),
+      username,
+      password,
+      timeoutMs
+    });
+  }
+
+  if (!target) {
+    throw new Error(`Chain data provider ${type} needs a URL`);
+  }
+  const url = new URL(target);
+
+  if (type === 'electrum') {
+    if (!['tcp:', 'ssl:', 'tls:'].includes(url.protocol) || !url.port) {
+      throw new Error(`Electrum provider URL must be tcp://host:port or ssl://host:port, got ${target}`);
+    }
+
+    return new ElectrumProvider({
+      name: `electrum:${url.host}`,
+      host: url.hostname,
+      port: parseInt(url.port),
+      tls: url.protocol !== 'tcp:',
+      timeoutMs,
+      network: networkConfig.network
+    });
+  }
+
+  return new EsploraProvider({ name: `esplora:${url.host}`, url: target, timeoutMs });
+}
+
+/**
+ * Create the chain data service for the configured providers
+ * @param {string} providerList - Comma separated entries; defaults to CHAIN_PROVIDERS,
+ *   then to the network's Esplora APIs
+ * @returns {ChainDataService} Chain data service
+ */
+function createChainDataService(providerList = process.env.CHAIN_PROVIDERS) {
+  const networkConfig = getCurrentBitcoinNetwork();
+  const timeoutMs = parseInt(process.env.CHAIN_PROVIDER_TIMEOUT_MS || '10000');
+
+  const providers = (providerList || getDefaultProviders(networkConfig))
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => createProvider(entry, networkConfig, timeoutMs));
+
+  if (providers.length === 0) {
+    throw new Error('No chain data providers configured');
+  }
+
+  // Two providers on the same host would share one name in health and metrics
+  const names = providers.map((provider) => provider.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Chain data provider configured twice: ${duplicate}`);
+  }
+
+  logger.info('Using chain data providers', { providers: names });
+
+  return new ChainDataService(providers, {
+    failureThreshold: parseInt(process.env.CHAIN_PROVIDER_FAILURE_THRESHOLD || '3'),
+    cooldownMs: parseInt(process.env.CHAIN_PROVIDER_COOLDOWN_MS || '60000'),
+    crossCheckMode: process.env.CHAIN_CROSS_CHECK || ChainDataService.CROSS_CHECK_MODES.BEST_EFFORT
+  });
+}
+
+module.exports = createChainDataService();
+module.exports.createChainDataService = createChainDataService;
+module.exports.CHAIN_PROVIDER_TYPES = CHAIN_PROVIDER_TYPES;
+module.exports.CROSS_CHECK_MODES = ChainDataService.CROSS_CHECK_MODES;
@@ -0,0 +1,160 @@
+const { ethers } = require('ethers');
+const { PRICING_CONFIG } = require('../config/pricing.config');
+const logger = require('../utils/logger');
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const SETTLEMENT_INTERFACE = new ethers.utils.Interface([
+  'event Trade(address indexed owner, address sellToken, address buyToken, uint256 sellAmount, uint256 buyAmount, uint256 feeAmount, bytes orderUid)'
+]);
+const TRADE_TOPIC = SETTLEMENT_INTERFACE.getEventTopic('Trade');
+const BPS = 10000;
+// GPv2Settlement, same address on every chain CoW Protocol is deployed to
+const DEFAULT_SETTLEMENT_CONTRACT = '0x9008D19f58AAbD9eD0D60971565AA8510560ab41';
+
+/**
+ * Service checking on the EVM side that a swap's user actually received the
+ * target token, before the oracle releases the preimage to the market maker.
+ */
+class DeliveryVerificationService {
+  constructor() {
+    this.provider = null;
+    this.settlementContract = process.env.COW_SETTLEMENT_CONTRACT || DEFAULT_SETTLEMENT_CONTRACT;
+    this.minConfirmations = parseInt(process.env.REVEAL_MIN_EVM_CONFIRMATIONS || '3');
+    // Same tolerance the trade is placed with
+    this.slippageBps = parseInt(process.env.REVEAL_SLIPPAGE_BPS || '50');
+  }
+
+  /**
+   * Lazily connect to the EVM RPC so importing the service never opens a connection
+   * @returns {ethers.providers.JsonRpcProvider} Provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = new ethers.providers.JsonRpcProvider(PRICING_CONFIG.ethRpcUrl);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Smallest amount of the target token the user must receive
+   * @param {Object} swap - Stored swap record
+   * @returns {ethers.BigNumber|null} Minimum amount in base units, or null if no quote was recorded
+   */
+  getExpectedAmount(swap) {
+    if (swap.minBuyAmount) {
+      return ethers.BigNumber.from(swap.minBuyAmount);
+    }
+    if (!swap.quote || !swap.quote.buyAmount) {
+      return null;
+    }
+
+    return ethers.BigNumber.from(swap.quote.buyAmount).mul(BPS - this.slippageBps).div(BPS);
+  }
+
+  /**
+   * Whether the settlement contract emitted a Trade event for an order in the receipt
+   * @param {Object} receipt - Transaction receipt
+   * @param {string} orderUid - CoW order UID
+   * @returns {boolean} True if the transaction settled the order
+   */
+  settlesOrder(receipt, orderUid) {
+    const settlement = this.settlementContract.toLowerCase();
+
+    return receipt.logs.some((log) => {
+      if (log.address.toLowerCase() !== settlement || log.topics[0] !== TRADE_TOPIC) {
+        return false;
+      }
+
+      try {
+        return SETTLEMENT_INTERFACE.parseLog(log).args.orderUid.toLowerCase() === orderUid.toLowerCase();
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Verify that the settlement transaction paid the user enough of the target token.
+   * The transaction must settle the swap's own CoW order (a Trade event with
+   * its order UID), and only transfers out of the CoW settlement contract
+   * count, so neither an unrelated transfer to the user's wallet nor another
+   * order's settlement can unlock the preimage.
+   * @param {Object} swap - Stored swap record
+   * @param {Object} options
+   * @param {string} options.txHash - Settlement transaction hash
+   * @param {number} options.minConfirmations - Confirmations the requester insists on (never below the configured minimum)
+   * @returns {Promise<Object>} { verified, reason, txHash, receivedAmount, expectedAmount, confirmations, blockNumber }
+   */
+  async verifyDelivery(swap, { txHash, minConfirmations = 0 }) {
+    const requiredConfirmations = Math.max(this.minConfirmations, minConfirmations);
+    const expected = this.getExpectedAmount(swap);
+    const result = {
+      verified: false,
+      reason: null,
+      txHash,
+      token: swap.targetToken,
+      recipient: swap.userEthWallet,
+      expectedAmount: expected ? expected.toString() : null,
+      receivedAmount: '0',
+      confirmations: 0,
+      requiredConfirmations,
+      blockNumber: null
+    };
+
+    if (!expected) {
+      return { ...result, reason: 'no_expected_amount' };
+    }
+
+    const receipt = await this.getProvider().getTransactionReceipt(txHash);
+    if (!receipt) {
+      return { ...result, reason: 'transaction_not_found' };
+    }
+    if (receipt.status !== 1) {
+      return { ...result, reason: 'transaction_reverted', blockNumber: receipt.blockNumber };
+    }
+    if (!swap.cowOrderUid || !this.settlesOrder(receipt, swap.cowOrderUid)) {
+      return { ...result, reason: 'order_not_settled', blockNumber: receipt.blockNumber };
+    }
+
+    const token = swap.targetToken.toLowerCase();
+    const sender = ethers.utils.hexZeroPad(this.settlementContract, 32).toLowerCase();
+    const recipient = ethers.utils.hexZeroPad(swap.userEthWallet, 32).toLowerCase();
+    const received = receipt.logs
+      .filter((log) => log.address.toLowerCase() === token &&
+        log.topics.length === 3 &&
+        log.topics[0] === TRANSFER_TOPIC &&
+        log.topics[1].toLowerCase() === sender &&
+        log.topics[2].toLowerCase() === recipient)
+      .reduce((sum, log) => sum.add(ethers.BigNumber.from(log.data)), ethers.BigNumber.from(0));
+
+    const verification = {
+      ...result,
+      receivedAmount: received.toString(),
+      confirmations: receipt.confirmations,
+      blockNumber: receipt.blockNumber
+    };
+
+    if (received.isZero()) {
+      return { ...verification, reason: 'no_transfer_to_user' };
+    }
+    if (received.lt(expected)) {
+      return { ...verification, reason: 'insufficient_amount' };
+    }
+    if (receipt.confirmations < requiredConfirmations) {
+      return { ...verification, reason: 'insufficient_confirmations' };
+    }
+
+    logger.info('Token delivery verified on-chain', {
+      swapId: swap.swapId,
+      txHash,
+      receivedAmount: verification.receivedAmount,
+      expectedAmount: verification.expectedAmount,
+      confirmations: receipt.confirmations
+    });
+
+    return { ...verification, verified: true };
+  }
+}
+
+module.exports = new DeliveryVerificationService();
+module.exports.SETTLEMENT_INTERFACE = SETTLEMENT_INTERFACE;
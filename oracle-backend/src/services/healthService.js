@@ -0,0 +1,212 @@
+const chainData = require('./chainData');
+const bitcoinZmqListener = require('./bitcoinZmqListener');
+const swapStore = require('./swapStore');
+const marketMakerRegistry = require('./marketMakerRegistry');
+const { MM_STATUSES } = require('./marketMakerRegistry');
+const pricingService = require('./pricingService');
+const { PRICING_CONFIG } = require('../config/pricing.config');
+const logger = require('../utils/logger');
+
+const CHECK_STATUS = {
+  UP: 'up',
+  DEGRADED: 'degraded', // Answering, but slower than HEALTH_DEGRADED_LATENCY_MS
+  DOWN: 'down'
+};
+
+const READINESS_STATUS = {
+  READY: 'ready',
+  DEGRADED: 'degraded',      // Still serving; a dependency is slow or a non-critical one is down
+  UNAVAILABLE: 'unavailable' // A dependency needed to create or settle swaps is down
+};
+
+/**
+ * Service aggregating the status and latency of the oracle's dependencies.
+ * Liveness only says the process is up; readiness says whether the oracle
+ * can create and settle swaps and is what load balancers and pm2 route on.
+ */
+class HealthService {
+  constructor() {
+    this.checks = new Map(); // name -> { check, critical }
+    this.timeoutMs = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '5000');
+    this.degradedLatencyMs = parseInt(process.env.HEALTH_DEGRADED_LATENCY_MS || '2000');
+    // Probes arrive from several sources; do not hit AWS and the chain for every one
+    this.cacheMs = parseInt(process.env.HEALTH_CACHE_MS || '5000');
+    this.readinessRetryMs = parseInt(process.env.HEALTH_READY_RETRY_MS || '5000');
+    this.startedAt = Date.now();
+    this.cached = null;
+    this.pending = null;
+  }
+
+  /**
+   * Register a dependency check
+   * @param {string} name - Dependency name shown in the readiness report
+   * @param {Function} check - Async function returning details, throwing when the dependency is unusable
+   * @param {Object} options
+   * @param {boolean} options.critical - Whether the oracle cannot create or settle swaps without it
+   */
+  registerCheck(name, check, { critical = true } = {}) {
+    this.checks.set(name, { check, critical });
+  }
+
+  /**
+   * Run one check with a timeout
+   * @param {string} name - Dependency name
+   * @param {Object} entry - Registered check
+   * @returns {Promise<Object>} { status, critical, latencyMs, details | error }
+   */
+  async runCheck(name, { check, critical }) {
+    const startTime = Date.now();
+    let timer;
+
+    try {
+      const details = await Promise.race([
+        check(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+        })
+      ]);
+      const latencyMs = Date.now() - startTime;
+
+      return {
+        status: latencyMs > this.degradedLatencyMs ? CHECK_STATUS.DEGRADED : CHECK_STATUS.UP,
+        critical,
+        latencyMs,
+        details: details || {}
+      };
+
+    } catch (error) {
+      logger.warn('Health check failed', { dependency: name, error: error.message });
+
+      return {
+        status: CHECK_STATUS.DOWN,
+        critical,
+        latencyMs: Date.now() - startTime,
+        error: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check every dependency and aggregate the result
+   * @returns {Promise<Object>} { status, checks, checkedAt }
+   */
+  async getReadiness() {
+    if (this.cached && Date.now() - this.cached.at < this.cacheMs) {
+      return this.cached.report;
+    }
+    if (this.pending) {
+      return this.pending;
+    }
+
+    this.pending = (async () => {
+      const names = [...this.checks.keys()];
+      const results = await Promise.all(names.map((name) => this.runCheck(name, this.checks.get(name))));
+      const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+      let status = READINESS_STATUS.READY;
+      if (results.some((result) => result.critical && result.status === CHECK_STATUS.DOWN)) {
+        status = READINESS_STATUS.UNAVAILABLE;
+      } else if (results.some((result) => result.status !== CHECK_STATUS.UP)) {
+        status = READINESS_STATUS.DEGRADED;
+      }
+
+      const report = { status, checks, checkedAt: new Date().toISOString() };
+      this.cached = { at: Date.now(), report };
+      return report;
+    })();
+
+    try {
+      return await this.pending;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Process liveness; never depends on external services
+   * @returns {Object} Liveness report
+   */
+  getLiveness() {
+    return {
+      status: 'alive',
+      uptimeSec: Math.floor((Date.now() - this.startedAt) / 1000),
+      timestamp: new Date().toISOString(),
+      version: process.env.npm_package_version || '1.0.0',
+      environment: process.env.NODE_ENV || 'development'
+    };
+  }
+
+  /**
+   * Tell pm2 (wait_ready) the instance may receive traffic once it is ready.
+   * Keeps retrying while a critical dependency is down; pm2's listen_timeout
+   * bounds how long a reload waits.
+   */
+  notifyProcessManagerWhenReady() {
+    if (typeof process.send !== 'function') return;
+
+    const attempt = async () => {
+      try {
+        const readiness = await this.getReadiness();
+        if (readiness.status !== READINESS_STATUS.UNAVAILABLE) {
+          process.send('ready');
+          logger.info('Signalled readiness to the process manager', { status: readiness.status });
+          return;
+        }
+      } catch (error) {
+        logger.error('Readiness check failed:', error);
+      }
+
+      setTimeout(attempt, this.readinessRetryMs).unref();
+    };
+
+    attempt();
+  }
+}
+
+const healthService = new HealthService();
+
+healthService.registerCheck('swapStore', async () => {
+  const { status, error, ...details } = await swapStore.getHealthStatus();
+  if (status !== 'healthy') {
+    throw new Error(error || `${swapStore.type} swap store is ${status}`);
+  }
+  return details;
+});
+
+// Goes through failover, so one provider being down only shows in its score
+healthService.registerCheck('bitcoin', async () => {
+  const tipHeight = await chainData.getBlockCount();
+  const { providers, crossCheckMode } = await chainData.getHealthStatus();
+  return { tipHeight, crossCheckMode, providers };
+});
+
+// Monitoring falls back to polling without ZMQ, so losing it only degrades readiness
+if (bitcoinZmqListener.isEnabled()) {
+  healthService.registerCheck('bitcoinZmq', async () => {
+    const { enabled, ...status } = bitcoinZmqListener.getStatus();
+    if (!status.connected) {
+      throw new Error(`Not connected to ${status.endpoint}`);
+    }
+    return status;
+  }, { critical: false });
+}
+
+// Paused market makers only settle their open swaps, so they do not gate readiness
+for (const mm of marketMakerRegistry.list()) {
+  healthService.registerCheck(`mmServer:${mm.id}`, async () => {
+    const client = marketMakerRegistry.getClient(mm.id);
+    return { url: client.baseURL, registryStatus: mm.status, ...(await client.checkHealth()) };
+  }, { critical: mm.status === MM_STATUSES.ACTIVE });
+}
+
+// Trades are refused on unreadable or stale feeds, so they gate settlement
+healthService.registerCheck('priceFeeds', async () => {
+  const feeds = await Promise.all(Object.keys(PRICING_CONFIG.feeds).map((name) => pricingService.readFeed(name)));
+  return Object.fromEntries(feeds.map((feed) => [feed.feed, { updatedAt: feed.updatedAt, roundId: feed.roundId }]));
+});
+
+module.exports = healthService;
+module.exports.CHECK_STATUS = CHECK_STATUS;
+module.exports.READINESS_STATUS = READINESS_STATUS;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const chainData = require('./chainData');
+const swapStore = require('./swapStore');
+const { SWAP_STATES, normalizeStatus, transitionSwap } = require('./swapLifecycle');
+const logger = require('../utils/logger');
+
+// Swaps whose HTLC is still waiting to be claimed by the market maker or refunded to the user
+const SPENDABLE_STATES = [
+  SWAP_STATES.DELIVERED,
+  SWAP_STATES.REFUNDABLE
+];
+
+/**
+ * Scheduled sweep settling swaps from how their HTLC was spent.
+ *
+ * Delivered and refundable swaps have their funding outpoints looked up for
+ * a spending transaction. Once that transaction confirms, a witness revealing
+ * the preimage means the market maker claimed the BTC (btc_claimed); any other
+ * spend can only be the user's timelock refund (refunded).
+ */
+class HtlcSpendService {
+  constructor() {
+    this.sweepInterval = parseInt(process.env.HTLC_SPEND_SWEEP_INTERVAL_MS || '300000');
+    this.timer = null;
+    this.sweeping = null;
+  }
+
+  /**
+   * Run one sweep over the swaps with an unspent HTLC
+   * @returns {Promise<Object>} Counts of claimed and refunded swaps
+   */
+  async sweep() {
+    const summary = { claimed: 0, refunded: 0 };
+    const swaps = await swapStore.listSwaps({ statuses: SPENDABLE_STATES });
+
+    for (const swap of swaps) {
+      try {
+        const outcome = await this.checkSwap(swap);
+        if (outcome) summary[outcome]++;
+      } catch (error) {
+        if (error.name === 'ConflictError') {
+          logger.debug('Swap changed state during HTLC spend sweep', { swapId: swap.swapId, error: error.message });
+        } else {
+          logger.error('HTLC spend check failed', { swapId: swap.swapId, error: error.message });
+        }
+      }
+    }
+
+    if (summary.claimed || summary.refunded) {
+      logger.info('HTLC spend sweep complete', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Look for a confirmed spend of the swap's funding outpoints and settle the swap from it
+   * @param {Object} swap - Stored swap record
+   * @returns {Promise<string|null>} Outcome, or null while the HTLC is unspent or the spend unconfirmed
+   */
+  async checkSwap(swap) {
+    const spend = await this.findSpend(swap);
+    if (!spend) {
+      return null;
+    }
+
+    const claimed = this.revealsPreimage(spend.input, swap.hash);
+    if (claimed === null) {
+      logger.warn('HTLC spend has no witness data, cannot tell a claim from a refund', {
+        swapId: swap.swapId,
+        spendTxid: spend.tx.txid
+      });
+      return null;
+    }
+
+    const spentAt = new Date().toISOString();
+    if (claimed) {
+      await transitionSwap(swap.swapId, SWAP_STATES.BTC_CLAIMED, {
+        cause: 'htlc_claimed',
+        fields: { claimTxid: spend.tx.txid, btcClaimedAt: spentAt }
+      });
+      return 'claimed';
+    }
+
+    if (normalizeStatus(swap.status) === SWAP_STATES.DELIVERED) {
+      logger.security('Delivered swap refunded to the user before the market maker claimed it', {
+        swapId: swap.swapId,
+        refundTxid: spend.tx.txid
+      });
+    }
+
+    await transitionSwap(swap.swapId, SWAP_STATES.REFUNDED, {
+      cause: 'htlc_refunded',
+      fields: { refundTxid: spend.tx.txid, refundedAt: spentAt }
+    });
+    return 'refunded';
+  }
+
+  /**
+   * First confirmed transaction spending one of the swap's funding outpoints
+   * @param {Object} swap - Stored swap record
+   * @returns {Promise<Object|null>} { tx, input } with the input spending the HTLC, or null
+   */
+  async findSpend(swap) {
+    for (const outpoint of swap.fundingOutpoints || []) {
+      const outspend = await chainData.getOutspend(outpoint.txid, outpoint.vout);
+      if (!outspend.spent || !outspend.txid) continue;
+
+      const tx = await chainData.getTransaction(outspend.txid);
+      if (!tx || !tx.status?.confirmed) continue;
+
+      const input = (tx.vin || []).find((vin) => vin.txid === outpoint.txid && vin.vout === outpoint.vout);
+      if (input) {
+        return { tx, input };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether an HTLC input's witness carries the preimage of the swap hash
+   * @param {Object} input - Spending input
+   * @param {string} hash - Swap hash in hex
+   * @returns {boolean|null} True for a claim, false for a refund, null without witness data
+   */
+  revealsPreimage(input, hash) {
+    if (!Array.isArray(input.witness) || input.witness.length === 0) {
+      return null;
+    }
+
+    return input.witness.some((item) => item.length === 64 &&
+      crypto.createHash('sha256').update(Buffer.from(item, 'hex')).digest('hex') === hash);
+  }
+
+  /**
+   * Start the periodic sweep
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runSweep(), this.sweepInterval);
+    this.timer.unref();
+    this.runSweep();
+
+    logger.info('HTLC spend sweeper started', { sweepInterval: this.sweepInterval });
+  }
+
+  /**
+   * Run a sweep unless one is still in progress
+   */
+  runSweep() {
+    if (!this.sweeping) {
+      this.sweeping = this.sweep()
+        .catch((error) => {
+          logger.error('HTLC spend sweep failed:', error);
+        })
+        .finally(() => {
+          this.sweeping = null;
+        });
+    }
+    return this.sweeping;
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  cleanup() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = HtlcSpendService;
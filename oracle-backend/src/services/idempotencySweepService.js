@@ -0,0 +1,73 @@
+const swapStore = require('./swapStore');
+const logger = require('../utils/logger');
+
+/**
+ * Scheduled sweep deleting expired idempotency records.
+ *
+ * Expired records are otherwise only replaced when their key is reused, so
+ * keys that are never retried would stay in the swap store (one secret each
+ * with SWAP_STORE=aws) indefinitely.
+ */
+class IdempotencySweepService {
+  constructor(store = swapStore) {
+    this.store = store;
+    this.sweepInterval = parseInt(process.env.IDEMPOTENCY_SWEEP_INTERVAL_MS || '3600000');
+    this.timer = null;
+    this.sweeping = null;
+  }
+
+  /**
+   * Run one sweep over the stored idempotency records
+   * @returns {Promise<Object>} Count of deleted records
+   */
+  async sweep() {
+    const purged = await this.store.purgeExpiredIdempotencyRecords();
+
+    if (purged > 0) {
+      logger.info('Idempotency sweep complete', { purged });
+    }
+    return { purged };
+  }
+
+  /**
+   * Start the periodic sweep
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runSweep(), this.sweepInterval);
+    this.timer.unref();
+    this.runSweep();
+
+    logger.info('Idempotency record sweeper started', { sweepInterval: this.sweepInterval });
+  }
+
+  /**
+   * Run a sweep unless one is still in progress
+   */
+  runSweep() {
+    if (!this.sweeping) {
+      this.sweeping = this.sweep()
+        .catch((error) => {
+          logger.error('Idempotency sweep failed:', error);
+        })
+        .finally(() => {
+          this.sweeping = null;
+        });
+    }
+    return this.sweeping;
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  cleanup() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new IdempotencySweepService();
+module.exports.IdempotencySweepService = IdempotencySweepService;
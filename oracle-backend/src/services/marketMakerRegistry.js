@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ecc = require('tiny-secp256k1');
+const { BIP32Factory } = require('bip32');
+const MMServerService = require('./mmServerService');
+const bitcoinService = require('./bitcoinService');
+const { getBitcoinNetwork } = require('../config/bitcoin-network.config');
+const { ValidationError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const bip32 = BIP32Factory(ecc);
+
+const MM_STATUSES = {
+  ACTIVE: 'active', // Takes new swaps
+  PAUSED: 'paused'  // Takes no new swaps, still trades and tracks its open ones
+};
+
+/**
+ * Parse a comma-separated token list
+ * @param {string} value - Token addresses
+ * @returns {Array<string>} Addresses, empty when unset
+ */
+function parseTokens(value) {
+  return (value || '').split(',').map((token) => token.trim()).filter(Boolean);
+}
+
+/**
+ * Registry entry built from the MM_* variables, for deployments with one market maker
+ * @returns {Object} Raw registry entry
+ */
+function getEnvEntry() {
+  return {
+    id: process.env.MM_ID || 'default',
+    name: process.env.MM_NAME || 'TakeFi Market Maker',
+    claimPubkey: process.env.MM_CLAIM_PUBKEY,
+    claimXpub: process.env.MM_CLAIM_XPUB,
+    url: process.env.MM_SERVER_URL || 'http://localhost:3000',
+    apiKeyEnv: 'MM_API_KEY',
+    tokens: parseTokens(process.env.MM_TOKENS),
+    minBtcAmount: process.env.MM_MIN_BTC_AMOUNT,
+    maxBtcAmount: process.env.MM_MAX_BTC_AMOUNT,
+    status: MM_STATUSES.ACTIVE
+  };
+}
+
+/**
+ * Registry of the market makers swaps can be created with.
+ *
+ * Each market maker has the Bitcoin key its HTLCs are claimable by (a fixed
+ * pubkey, or an xpub from which each swap gets its own child key), the MM
+ * Server that trades for it and the target tokens and sizes it takes.
+ * Entries come from the JSON file at MM_REGISTRY_PATH, or from the MM_*
+ * variables for a single market maker. API keys are read from the variable
+ * named by apiKeyEnv so they stay out of the file.
+ */
+class MarketMakerRegistry {
+  constructor(registryPath = process.env.MM_REGISTRY_PATH) {
+    this.marketMakers = new Map(); // mmId -> entry
+    this.clients = new Map();      // mmId -> MMServerService
+
+    const entries = registryPath
+      ? JSON.parse(fs.readFileSync(path.resolve(registryPath), 'utf8'))
+      : [getEnvEntry()];
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('Market maker registry must be a non-empty JSON array');
+    }
+
+    for (const raw of entries) {
+      this.register(raw, { fromEnv: !registryPath });
+    }
+    this.defaultId = process.env.MM_DEFAULT_ID || (entries.length === 1 ? entries[0].id : null);
+    if (this.defaultId && !this.marketMakers.has(this.defaultId)) {
+      throw new Error(`MM_DEFAULT_ID ${this.defaultId} is not in the market maker registry`);
+    }
+
+    logger.info('Market maker registry loaded', {
+      source: registryPath || 'environment',
+      marketMakers: [...this.marketMakers.keys()],
+      defaultId: this.defaultId
+    });
+  }
+
+  /**
+   * Validate and add one entry
+   * @param {Object} raw - Entry from the registry file or environment
+   * @param {Object} options
+   * @param {boolean} options.fromEnv - Entry was built from MM_* variables
+   */
+  register(raw, { fromEnv }) {
+    if (typeof raw.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(raw.id)) {
+      throw new Error(`Market maker ID must be letters, digits, - or _, got ${raw.id}`);
+    }
+    if (this.marketMakers.has(raw.id)) {
+      throw new Error(`Duplicate market maker ID: ${raw.id}`);
+    }
+    if (!raw.url) {
+      throw new Error(`Market maker ${raw.id} needs the url of its MM Server`);
+    }
+    if (raw.status && !Object.values(MM_STATUSES).includes(raw.status)) {
+      throw new Error(`Market maker ${raw.id} status must be one of ${Object.values(MM_STATUSES).join(', ')}`);
+    }
+
+    const status = raw.status || MM_STATUSES.ACTIVE;
+    let claimKey = null;
+    if (raw.claimPubkey && raw.claimXpub) {
+      throw new Error(`Market maker ${raw.id} has both a claimPubkey and a claimXpub`);
+    }
+    if (raw.claimPubkey) {
+      const validation = bitcoinService.validatePublicKey(raw.claimPubkey);
+      if (!validation.isValid || raw.claimPubkey.length !== 66) {
+        throw new Error(`Market maker ${raw.id} claimPubkey must be a 33-byte compressed key in hex`);
+      }
+      claimKey = { type: 'pubkey', pubkey: raw.claimPubkey.toLowerCase() };
+    } else if (raw.claimXpub) {
+      let node;
+      try {
+        node = bip32.fromBase58(raw.claimXpub, getBitcoinNetwork());
+      } catch (error) {
+        throw new Error(`Market maker ${raw.id} claimXpub is invalid for this network: ${error.message}`);
+      }
+      if (!node.isNeutered()) {
+        throw new Error(`Market maker ${raw.id} claimXpub must be a public key, not a private one`);
+      }
+      claimKey = { type: 'xpub', node };
+    } else if (fromEnv) {
+      throw new Error('MM_CLAIM_PUBKEY or MM_CLAIM_XPUB must be set, or MM_REGISTRY_PATH must point to a market maker registry');
+    } else {
+      throw new Error(`Market maker ${raw.id} needs a claimPubkey or claimXpub`);
+    }
+
+    const apiKey = raw.apiKeyEnv ? process.env[raw.apiKeyEnv] : raw.apiKey;
+    if (!apiKey) {
+      logger.warn('No API key configured for market maker', { mmId: raw.id, apiKeyEnv: raw.apiKeyEnv || null });
+    }
+
+    const minBtcAmount = raw.minBtcAmount ? parseInt(raw.minBtcAmount) : null;
+    const maxBtcAmount = raw.maxBtcAmount ? parseInt(raw.maxBtcAmount) : null;
+    if (minBtcAmount && maxBtcAmount && minBtcAmount > maxBtcAmount) {
+      throw new Error(`Market maker ${raw.id} minBtcAmount exceeds maxBtcAmount`);
+    }
+
+    this.marketMakers.set(raw.id, {
+      id: raw.id,
+      name: raw.name || raw.id,
+      claimKey,
+      url: raw.url,
+      tokens: (raw.tokens || []).map((token) => token.toLowerCase()),
+      minBtcAmount,
+      maxBtcAmount,
+      status
+    });
+    this.clients.set(raw.id, new MMServerService({ baseURL: raw.url, apiKey }));
+  }
+
+  /**
+   * Look up a market maker
+   * @param {string} mmId - Market maker ID
+   * @returns {Object|null} Entry, or null if unknown
+   */
+  get(mmId) {
+    return this.marketMakers.get(mmId) || null;
+  }
+
+  /**
+   * All market makers, in registry order
+   * @returns {Array<Object>} Entries
+   */
+  list() {
+    return [...this.marketMakers.values()];
+  }
+
+  /**
+   * MM Server client for a market maker
+   * @param {string|null} mmId - Market maker ID; swaps created before the registry have none and use the default
+   * @returns {MMServerService} Client
+   */
+  getClient(mmId) {
+    const client = this.clients.get(mmId || this.defaultId);
+    if (!client) {
+      throw new Error(`No MM Server configured for market maker ${mmId || '(default)'}`);
+    }
+    return client;
+  }
+
+  /**
+   * Pick the market maker for a new swap and check it takes the swap
+   * @param {Object} params
+   * @param {string} params.mmId - Requested market maker, defaults to MM_DEFAULT_ID
+   * @param {string} params.targetToken - Token the swap buys
+   * @param {number} params.btcAmount - Swap amount in satoshis
+   * @returns {Object} Entry
+   * @throws {ValidationError} If the market maker is unknown, paused or does not take the swap
+   */
+  selectForSwap({ mmId, targetToken, btcAmount }) {
+    const id = mmId || this.defaultId;
+    if (!id) {
+      throw new ValidationError('mmId is required', {
+        marketMakers: [...this.marketMakers.keys()]
+      });
+    }
+
+    const mm = this.get(id);
+    if (!mm) {
+      throw new ValidationError(`Unknown market maker: ${id}`, {
+        marketMakers: [...this.marketMakers.keys()]
+      });
+    }
+    if (mm.status !== MM_STATUSES.ACTIVE) {
+      throw new ValidationError(`Market maker ${id} is not taking new swaps`, { status: mm.status });
+    }
+    if (mm.tokens.length > 0 && !mm.tokens.includes(targetToken.toLowerCase())) {
+      throw new ValidationError(`Market maker ${id} does not trade the target token`, {
+        targetToken,
+        tokens: mm.tokens
+      });
+    }
+
+    const amount = Number(btcAmount);
+    if ((mm.minBtcAmount && amount < mm.minBtcAmount) || (mm.maxBtcAmount && amount > mm.maxBtcAmount)) {
+      throw new ValidationError(`BTC amount is outside the range market maker ${id} takes`, {
+        btcAmount: amount,
+        minBtcAmount: mm.minBtcAmount,
+        maxBtcAmount: mm.maxBtcAmount
+      });
+    }
+
+    return mm;
+  }
+
+  /**
+   * Key a swap's HTLC is claimable by
+   * @param {Object} mm - Registry entry
+   * @param {string} swapId - Swap ID; xpub market makers get a child key derived from it
+   * @returns {Object} { mmPubkey, mmKeyPath } where mmKeyPath is null for a fixed pubkey
+   */
+  getClaimKey(mm, swapId) {
+    if (mm.claimKey.type === 'pubkey') {
+      return { mmPubkey: mm.claimKey.pubkey, mmKeyPath: null };
+    }
+
+    // Non-hardened, so the market maker derives the same key from its xprv
+    const index = crypto.createHash('sha256').update(swapId).digest().readUInt32BE(0) & 0x7fffffff;
+    const mmKeyPath = `0/${index}`;
+    return {
+      mmPubkey: Buffer.from(mm.claimKey.node.derivePath(mmKeyPath).publicKey).toString('hex'),
+      mmKeyPath
+    };
+  }
+
+  /**
+   * Public view of a market maker, without its endpoint and credentials
+   * @param {Object} mm - Registry entry
+   * @returns {Object} Public fields
+   */
+  toPublic(mm) {
+    return {
+      mmId: mm.id,
+      name: mm.name,
+      claimKeyType: mm.claimKey.type,
+      tokens: mm.tokens,
+      minBtcAmount: mm.minBtcAmount,
+      maxBtcAmount: mm.maxBtcAmount,
+      status: mm.status
+    };
+  }
+}
+
+module.exports = new MarketMakerRegistry();
+module.exports.MarketMakerRegistry = MarketMakerRegistry;
+module.exports.MM_STATUSES = MM_STATUSES;
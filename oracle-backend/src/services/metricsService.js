@@ -0,0 +1,214 @@
+const client = require('prom-client');
+const swapEvents = require('./swapEvents');
+const { SWAP_EVENT_TYPES } = require('./swapEvents');
+const awsSecretsService = require('./awsSecretsService');
+const chainData = require('./chainData');
+const { SWAP_STATES } = require('./swapLifecycle');
+const { getCurrentBitcoinNetwork } = require('../config/bitcoin-network.config');
+const logger = require('../utils/logger');
+
+const PREFIX = 'oracle_';
+
+// Seconds; deposits take from minutes to hours, triggers seconds to minutes
+const TIME_TO_FUND_BUCKETS = [60, 300, 600, 1800, 3600, 7200, 14400, 43200, 86400];
+const TIME_TO_TRIGGER_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 900, 1800, 3600];
+const CHAIN_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Label value for a swap's target token
+ * @param {Object} swap - Swap record
+ * @returns {string} Lowercased token address, or 'unknown'
+ */
+const tokenLabel = (swap) => (swap && swap.targetToken ? swap.targetToken.toLowerCase() : 'unknown');
+
+/**
+ * Seconds between an ISO timestamp and now
+ * @param {string} since - ISO timestamp
+ * @returns {number|null} Elapsed seconds, or null if the timestamp is unusable
+ */
+const secondsSince = (since) => {
+  const start = Date.parse(since);
+  return Number.isNaN(start) ? null : Math.max(0, (Date.now() - start) / 1000);
+};
+
+/**
+ * Prometheus metrics for the oracle, served on /metrics.
+ * Every series carries the Bitcoin network; swap series also carry the
+ * target token. Swap lifecycle metrics are derived from the swap event bus,
+ * so services only report what the bus cannot see.
+ */
+class MetricsService {
+  constructor() {
+    this.register = new client.Registry();
+    this.register.setDefaultLabels({ network: getCurrentBitcoinNetwork().name });
+    client.collectDefaultMetrics({ register: this.register, prefix: PREFIX });
+
+    this.monitorSources = [];
+
+    this.swapsTotal = new client.Counter({
+      name: `${PREFIX}swaps_total`,
+      help: 'Swaps that entered each status',
+      labelNames: ['status', 'target_token'],
+      registers: [this.register]
+    });
+
+    this.timeToFund = new client.Histogram({
+      name: `${PREFIX}swap_time_to_fund_seconds`,
+      help: 'Time from swap creation until the deposit was detected',
+      labelNames: ['target_token'],
+      buckets: TIME_TO_FUND_BUCKETS,
+      registers: [this.register]
+    });
+
+    this.timeToTrigger = new client.Histogram({
+      name: `${PREFIX}swap_time_to_trigger_seconds`,
+      help: 'Time from deposit confirmation until the trade was submitted',
+      labelNames: ['target_token'],
+      buckets: TIME_TO_TRIGGER_BUCKETS,
+      registers: [this.register]
+    });
+
+    this.tradeFailures = new client.Counter({
+      name: `${PREFIX}trade_failures_total`,
+      help: 'Failed trades by reason',
+      labelNames: ['reason', 'target_token'],
+      registers: [this.register]
+    });
+
+    this.expiryAlerts = new client.Counter({
+      name: `${PREFIX}swap_expiry_alerts_total`,
+      help: 'Undelivered swaps whose HTLC timelock came within the alert window',
+      labelNames: ['target_token'],
+      registers: [this.register]
+    });
+
+    this.chainRequestDuration = new client.Histogram({
+      name: `${PREFIX}chain_request_duration_seconds`,
+      help: 'Latency of Bitcoin chain data requests',
+      labelNames: ['provider', 'operation'],
+      buckets: CHAIN_LATENCY_BUCKETS,
+      registers: [this.register]
+    });
+
+    this.chainRequestErrors = new client.Counter({
+      name: `${PREFIX}chain_request_errors_total`,
+      help: 'Failed Bitcoin chain data requests',
+      labelNames: ['provider', 'operation', 'code'],
+      registers: [this.register]
+    });
+
+    this.awsRetries = new client.Counter({
+      name: `${PREFIX}aws_retries_total`,
+      help: 'AWS Secrets Manager calls retried after a failure',
+      labelNames: ['error'],
+      registers: [this.register]
+    });
+
+    const service = this;
+
+    this.activeMonitors = new client.Gauge({
+      name: `${PREFIX}active_monitors`,
+      help: 'Swaps whose HTLC address is being monitored',
+      registers: [this.register],
+      collect() {
+        this.set(service.monitorSources.reduce((total, monitors) => total + monitors.size, 0));
+      }
+    });
+
+    this.chainProviderScore = new client.Gauge({
+      name: `${PREFIX}chain_provider_score`,
+      help: 'Health score (0-1) of each Bitcoin chain data provider',
+      labelNames: ['provider'],
+      registers: [this.register],
+      collect() {
+        for (const provider of chainData.getProviderStatus()) {
+          this.set({ provider: provider.name }, provider.score);
+        }
+      }
+    });
+
+    swapEvents.on('event', (event, swap) => this.recordSwapEvent(event, swap));
+    chainData.on('request', (request) => this.recordChainRequest(request));
+    awsSecretsService.on('retry', ({ error }) => this.awsRetries.inc({ error: error.name || 'Error' }));
+  }
+
+  /**
+   * Count a newly created swap
+   * @param {Object} swap - Stored swap record
+   */
+  recordSwapCreated(swap) {
+    this.swapsTotal.inc({ status: SWAP_STATES.PENDING, target_token: tokenLabel(swap) });
+  }
+
+  /**
+   * Derive lifecycle metrics from a swap event
+   * @param {Object} event - Published swap event
+   * @param {Object} swap - Swap record after the change
+   */
+  recordSwapEvent(event, swap) {
+    if (event.type === SWAP_EVENT_TYPES.EXPIRY_WARNING) {
+      this.expiryAlerts.inc({ target_token: tokenLabel(swap) });
+      return;
+    }
+
+    const { from, to, cause } = event.data || {};
+    if (!to || event.type !== `swap.${to}`) return;
+
+    const labels = { target_token: tokenLabel(swap) };
+    this.swapsTotal.inc({ ...labels, status: to });
+
+    if (to === SWAP_STATES.FUNDED && from === SWAP_STATES.PENDING) {
+      const elapsed = secondsSince(swap.createdAt);
+      if (elapsed !== null) this.timeToFund.observe(labels, elapsed);
+    }
+
+    if (to === SWAP_STATES.TRADING) {
+      const confirmed = [...(swap.statusHistory || [])].reverse()
+        .find((entry) => entry.to === SWAP_STATES.CONFIRMED);
+      const elapsed = secondsSince(confirmed ? confirmed.at : swap.createdAt);
+      if (elapsed !== null) this.timeToTrigger.observe(labels, elapsed);
+    }
+
+    if (to === SWAP_STATES.FAILED) {
+      this.tradeFailures.inc({ ...labels, reason: cause || 'unknown' });
+    }
+  }
+
+  /**
+   * Include a monitoring service's active monitors in the gauge
+   * @param {Map} monitors - Active monitors keyed by swap ID
+   */
+  trackActiveMonitors(monitors) {
+    this.monitorSources.push(monitors);
+  }
+
+  /**
+   * Record latency and errors of a chain data request
+   * @param {Object} request - Request event from the chain data service
+   */
+  recordChainRequest({ provider, operation, durationMs, error }) {
+    this.chainRequestDuration.observe({ provider, operation }, durationMs / 1000);
+    if (error) {
+      this.chainRequestErrors.inc({ provider, operation, code: error });
+    }
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {Promise<string>} Metrics exposition
+   */
+  async getMetrics() {
+    try {
+      return await this.register.metrics();
+    } catch (error) {
+      logger.error('Error collecting metrics:', error);
+      throw error;
+    }
+  }
+
+  get contentType() {
+    return this.register.contentType;
+  }
+}
+
+module.exports = new MetricsService();
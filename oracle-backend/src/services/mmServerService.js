@@ -1,10 +1,19 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 
+/**
+ * Client for one market maker's MM Server.
+ * Instances are created per market maker by the market maker registry.
+ */
 class MMServerService {
-  constructor() {
-    this.baseURL = process.env.MM_SERVER_URL || 'http://localhost:3000';
-    this.apiKey = process.env.MM_API_KEY || 'ibUmPmZRVgTP4zgaNl1n5SSHNdfugSjU';
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - MM Server base URL
+   * @param {string} options.apiKey - API key sent as x-api-key
+   */
+  constructor({ baseURL, apiKey }) {
+    this.baseURL = baseURL;
+    this.apiKey = apiKey;
     this.timeout = 30000; // 30 seconds
     this.retryAttempts = 3;
     this.retryDelay = 1000; // 1 second
@@ -14,7 +23,7 @@ class MMServerService {
       timeout: this.timeout,
       headers: {
         'Content-Type': 'application/json',
-        'x-api-key': this.apiKey
+        ...(this.apiKey && { 'x-api-key': this.apiKey })
       }
     });
     
@@ -71,6 +80,32 @@ class MMServerService {
     }
   }
 
+  /**
+   * Get a quote the MM Server issued earlier, by its ID
+   * @param {string} quoteId - quoteId returned with the quote
+   * @returns {Promise<Object|null>} Quote, or null if unknown or expired
+   */
+  async getQuoteById(quoteId) {
+    try {
+      const response = await this.withRetry(async () => {
+        try {
+          return await this.client.get(`/api/quote/${encodeURIComponent(quoteId)}`);
+        } catch (error) {
+          // Not retried: the quote will not come back
+          if (error.response?.status === 404) {
+            return null;
+          }
+          throw error;
+        }
+      });
+
+      return response ? response.data : null;
+    } catch (error) {
+      logger.error('Failed to get quote by ID from MM Server:', error);
+      throw new Error(`MM Server quote lookup failed: ${error.message}`);
+    }
+  }
+
   /**
    * Execute a trade via MM Server
    * @param {Object} params - Trade parameters
@@ -80,6 +115,7 @@ class MMServerService {
    * @param {string} params.userWallet - User's wallet address for receiving tokens
    * @param {number} params.slippagePercent - Maximum acceptable slippage
    * @param {number} params.validitySeconds - Order validity period
+   * @param {string} params.minBuyAmount - Smallest buy amount the MM Server may trade at, in base units
    * @returns {Promise<Object>} Trade response with orderUid
    */
   async executeTrade(params) {
@@ -89,7 +125,8 @@ class MMServerService {
       sellAmount, 
       userWallet, 
       slippagePercent = 0.5,
-      validitySeconds = 1800 
+      validitySeconds = 1800,
+      minBuyAmount
     } = params;
     
     try {
@@ -102,7 +139,8 @@ class MMServerService {
           sellAmount,
           userWallet,
           slippagePercent,
-          validitySeconds
+          validitySeconds,
+          minBuyAmount
         });
       });
       
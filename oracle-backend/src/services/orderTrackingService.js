@@ -0,0 +1,331 @@
+const swapStore = require('./swapStore');
+const { SWAP_STATES, normalizeStatus, transitionSwap } = require('./swapLifecycle');
+const swapEvents = require('./swapEvents');
+const { SWAP_EVENT_TYPES } = require('./swapEvents');
+const logger = require('../utils/logger');
+
+// CoW order statuses after which the order can no longer change
+const SETTLED_ORDER_STATUSES = ['filled', 'cancelled', 'expired'];
+
+// Swap states whose order is still followed; any other state has moved on from the trade
+const TRACKED_STATES = [SWAP_STATES.TRADING, SWAP_STATES.ON_HOLD];
+
+class OrderTrackingService {
+  /**
+   * @param {MarketMakerRegistry} marketMakerRegistry - Resolves the MM Server that placed each order
+   */
+  constructor(marketMakerRegistry) {
+    this.marketMakerRegistry = marketMakerRegistry;
+    this.activeTrackers = new Map(); // swapId -> { orderUid, mmId, method, startedAt, lastChecked, stopped, promise }
+    this.trackingInterval = parseInt(process.env.ORDER_TRACKING_INTERVAL_MS) || 15000; // 15 seconds
+    this.maxTrackingTime = parseInt(process.env.ORDER_TRACKING_MAX_MS) || 3600000; // 1 hour
+    // Orders still open after maxTrackingTime are polled at this slower rate until they settle
+    this.backoffInterval = parseInt(process.env.ORDER_TRACKING_BACKOFF_INTERVAL_MS) || 300000; // 5 minutes
+    this.explorerBaseUrl = process.env.COW_EXPLORER_URL || 'https://explorer.cow.fi/sepolia';
+  }
+
+  /**
+   * Start tracking a CoW order until it settles
+   * @param {string} swapId - The swap the order belongs to
+   * @param {string} orderUid - CoW Protocol order UID
+   * @param {string|null} mmId - Market maker whose MM Server placed the order
+   * @param {number} timeoutMs - Time polled at the normal interval before backing off
+   */
+  startTracking(swapId, orderUid, mmId, timeoutMs = this.maxTrackingTime) {
+    if (this.activeTrackers.has(swapId)) {
+      logger.warn('Already tracking order for swap', { swapId, orderUid });
+      return this.activeTrackers.get(swapId).promise;
+    }
+
+    const tracker = {
+      orderUid,
+      mmId,
+      method: 'polling',
+      startedAt: new Date().toISOString(),
+      lastChecked: null,
+      stopped: false
+    };
+
+    logger.info('Starting CoW order tracking', { swapId, orderUid, mmId, timeoutMs });
+
+    tracker.promise = this.trackOrder(swapId, tracker, timeoutMs)
+      .catch((error) => {
+        logger.error('CoW order tracking failed', { swapId, orderUid, error: error.message });
+      })
+      .finally(() => {
+        this.activeTrackers.delete(swapId);
+      });
+
+    this.activeTrackers.set(swapId, tracker);
+    return tracker.promise;
+  }
+
+  /**
+   * Poll the MM server for order status and persist progress on the swap.
+   * Polls every trackingInterval for timeoutMs, then every backoffInterval,
+   * until the order settles or the swap leaves trading.
+   * @param {string} swapId - The swap ID
+   * @param {Object} tracker - Tracker state
+   * @param {number} timeoutMs - Time polled at the normal interval before backing off
+   */
+  async trackOrder(swapId, tracker, timeoutMs) {
+    const startTime = Date.now();
+    let backedOff = false;
+
+    await swapStore.updateSwap(swapId, {
+      orderTracking: {
+        method: tracker.method,
+        startedAt: tracker.startedAt,
+        lastChecked: null
+      }
+    });
+
+    while (!tracker.stopped) {
+      try {
+        const order = await this.marketMakerRegistry.getClient(tracker.mmId).getOrderStatus(tracker.orderUid);
+        tracker.lastChecked = new Date().toISOString();
+
+        const swap = await this.recordOrderStatus(swapId, tracker, order);
+        const status = normalizeStatus(swap.status);
+        if (!TRACKED_STATES.includes(status)) {
+          logger.info('Swap left trading, stopping CoW order tracking', { swapId, status });
+          return null;
+        }
+
+        if (SETTLED_ORDER_STATUSES.includes(order.status)) {
+          await this.settleSwap(swapId, order);
+          return order;
+        }
+      } catch (error) {
+        if (error.name === 'NotFoundError') {
+          logger.warn('Swap no longer exists, stopping CoW order tracking', { swapId });
+          return null;
+        }
+        logger.error('Error checking CoW order status:', {
+          swapId,
+          orderUid: tracker.orderUid,
+          error: error.message
+        });
+      }
+
+      if (!backedOff && Date.now() - startTime >= timeoutMs) {
+        backedOff = true;
+        logger.warn('CoW order still open after tracking window, polling less often', {
+          swapId,
+          orderUid: tracker.orderUid,
+          timeoutMs,
+          backoffInterval: this.backoffInterval
+        });
+      }
+
+      await this.sleep(backedOff ? this.backoffInterval : this.trackingInterval);
+    }
+
+    return null;
+  }
+
+  /**
+   * Persist the latest order status on the swap
+   * @param {string} swapId - The swap ID
+   * @param {Object} tracker - Tracker state
+   * @param {Object} order - Order status response from the MM server
+   * @returns {Promise<Object>} The updated swap record
+   */
+  async recordOrderStatus(swapId, tracker, order) {
+    let previous = null;
+    const updated = await swapStore.updateSwap(swapId, (current) => {
+      previous = current;
+      return {
+        cowOrderStatus: order.status,
+        executedSellAmount: order.executedSellAmount || null,
+        executedBuyAmount: order.executedBuyAmount || null,
+        settlementTxHash: order.txHash || null,
+        orderTracking: {
+          method: tracker.method,
+          startedAt: tracker.startedAt,
+          lastChecked: tracker.lastChecked
+        }
+      };
+    });
+
+    // Only status changes and new fills are worth an event, not every poll
+    if (previous.cowOrderStatus !== updated.cowOrderStatus ||
+        previous.executedBuyAmount !== updated.executedBuyAmount) {
+      swapEvents.publish(SWAP_EVENT_TYPES.ORDER_UPDATED, updated, {
+        orderUid: tracker.orderUid,
+        orderStatus: order.status,
+        executedSellAmount: updated.executedSellAmount,
+        executedBuyAmount: updated.executedBuyAmount,
+        settlementTxHash: updated.settlementTxHash
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Move the swap out of trading once its order has settled
+   * @param {string} swapId - The swap ID
+   * @param {Object} order - Settled order status
+   */
+  async settleSwap(swapId, order) {
+    const settledAt = new Date().toISOString();
+    const swap = await swapStore.getSwap(swapId);
+
+    if (swap && swap.status === SWAP_STATES.ON_HOLD) {
+      // The BTC deposit was reversed while the order was live; leave the outcome to an operator
+      logger.security('CoW order settled while swap is on hold', {
+        swapId,
+        orderUid: order.uid,
+        status: order.status
+      });
+      return;
+    }
+
+    if (order.status === 'filled') {
+      logger.info('CoW order filled, tokens delivered', {
+        swapId,
+        orderUid: order.uid,
+        txHash: order.txHash
+      });
+
+      await transitionSwap(swapId, SWAP_STATES.DELIVERED, {
+        cause: 'cow_order_filled',
+        fields: { completedAt: settledAt }
+      });
+      return;
+    }
+
+    logger.warn('CoW order settled without fill', {
+      swapId,
+      orderUid: order.uid,
+      status: order.status
+    });
+
+    await transitionSwap(swapId, SWAP_STATES.FAILED, {
+      cause: `cow_order_${order.status}`,
+      fields: {
+        error: `CoW order ${order.status}`,
+        failedAt: settledAt
+      }
+    });
+  }
+
+  /**
+   * Check a swap's order once, outside the polling loop, and settle the swap
+   * if the order has settled since the tracker last looked
+   * @param {Object} swap - Stored swap record with a CoW order
+   * @returns {Promise<Object>} Order status from the MM server
+   */
+  async checkOrder(swap) {
+    const tracker = this.activeTrackers.get(swap.swapId) || {
+      method: swap.orderTracking?.method || 'polling',
+      startedAt: swap.orderTracking?.startedAt || null
+    };
+
+    const order = await this.marketMakerRegistry.getClient(swap.mmId).getOrderStatus(swap.cowOrderUid);
+    tracker.lastChecked = new Date().toISOString();
+
+    const updated = await this.recordOrderStatus(swap.swapId, tracker, order);
+    if (SETTLED_ORDER_STATUSES.includes(order.status) && TRACKED_STATES.includes(normalizeStatus(updated.status))) {
+      await this.settleSwap(swap.swapId, order);
+    }
+
+    return order;
+  }
+
+  /**
+   * Resume tracking the orders of trading swaps, whose trackers were lost on restart
+   * @returns {Promise<Object>} Counts of resumed and skipped swaps
+   */
+  async resumeAllTracking() {
+    const summary = { resumed: 0, skipped: 0 };
+
+    try {
+      const swaps = await swapStore.listSwaps({ statuses: [SWAP_STATES.TRADING] });
+
+      for (const swap of swaps) {
+        if (!swap.cowOrderUid) {
+          logger.warn('Trading swap has no CoW order to track', { swapId: swap.swapId });
+          summary.skipped++;
+          continue;
+        }
+
+        this.startTracking(swap.swapId, swap.cowOrderUid, swap.mmId);
+        summary.resumed++;
+      }
+
+      logger.info('CoW order tracking resumed for trading swaps', summary);
+    } catch (error) {
+      logger.error('Failed to resume CoW order tracking:', error);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Stop tracking the order for a swap
+   * @param {string} swapId - The swap ID
+   */
+  stopTracking(swapId) {
+    const tracker = this.activeTrackers.get(swapId);
+    if (!tracker) {
+      return false;
+    }
+
+    logger.info('Stopping CoW order tracking for swap', { swapId });
+    tracker.stopped = true;
+    this.activeTrackers.delete(swapId);
+    return true;
+  }
+
+  /**
+   * Get the tracking state for a swap
+   * @param {string} swapId - The swap ID
+   * @returns {Object} Tracking state as exposed by the order-tracking endpoint
+   */
+  getTrackingStatus(swapId) {
+    const tracker = this.activeTrackers.get(swapId);
+
+    if (!tracker) {
+      return { isTracking: false };
+    }
+
+    return {
+      isTracking: true,
+      method: tracker.method,
+      startedAt: tracker.startedAt,
+      lastChecked: tracker.lastChecked,
+      orderUid: tracker.orderUid
+    };
+  }
+
+  /**
+   * Build the CoW explorer link for an order
+   * @param {string} orderUid - CoW Protocol order UID
+   * @returns {string|null} Explorer URL
+   */
+  getExplorerUrl(orderUid) {
+    return orderUid ? `${this.explorerBaseUrl}/orders/${orderUid}` : null;
+  }
+
+  /**
+   * Utility function for sleep
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Stop all active trackers
+   */
+  cleanup() {
+    logger.info('Cleaning up CoW order tracking service');
+    for (const tracker of this.activeTrackers.values()) {
+      tracker.stopped = true;
+    }
+    this.activeTrackers.clear();
+  }
+}
+
+module.exports = OrderTrackingService;
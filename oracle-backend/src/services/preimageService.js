@@ -7,7 +7,6 @@ const logger = require('../utils/logger');
  */
 class PreimageService {
   constructor() {
-    this.preimageCache = new Map(); // In-memory cache for quick access
     this.usedHashes = new Set(); // Track used hashes to prevent collisions
   }
 
@@ -37,7 +36,8 @@ class PreimageService {
       // Add to used hashes set
       this.usedHashes.add(hashHex);
 
-      // Cache the preimage data temporarily
+      // Returned to the caller only: preimages are kept encrypted in the swap
+      // store (preimageVault) and decrypted where they are revealed
       const preimageData = {
         swapId,
         preimage: preimageHex,
@@ -47,8 +47,6 @@ class PreimageService {
         createdAt: new Date().toISOString()
       };
 
-      this.preimageCache.set(swapId, preimageData);
-
       logger.info('Generated new preimage', {
         swapId,
         hashPreview: hashHex.substring(0, 16) + '...'
@@ -89,26 +87,6 @@ class PreimageService {
     }
   }
 
-  /**
-   * Get preimage data from cache
-   * @param {string} swapId - Swap ID
-   * @returns {Object|null} Cached preimage data or null
-   */
-  getCachedPreimage(swapId) {
-    return this.preimageCache.get(swapId) || null;
-  }
-
-  /**
-   * Remove preimage from cache (for security)
-   * @param {string} swapId - Swap ID
-   */
-  clearCachedPreimage(swapId) {
-    const removed = this.preimageCache.delete(swapId);
-    if (removed) {
-      logger.info('Cleared cached preimage', { swapId });
-    }
-  }
-
   /**
    * Generate multiple preimages in batch
    * @param {number} count - Number of preimages to generate
@@ -153,72 +131,15 @@ class PreimageService {
   }
 
   /**
-   * Clean up expired preimages from cache
-   * @param {number} maxAgeMs - Maximum age in milliseconds (default: 1 hour)
-   */
-  cleanupExpiredPreimages(maxAgeMs = 3600000) {
-    const now = Date.now();
-    let cleanedCount = 0;
-
-    for (const [swapId, data] of this.preimageCache.entries()) {
-      const createdAt = new Date(data.createdAt).getTime();
-      if (now - createdAt > maxAgeMs) {
-        this.preimageCache.delete(swapId);
-        cleanedCount++;
-      }
-    }
-
-    if (cleanedCount > 0) {
-      logger.info(`Cleaned up ${cleanedCount} expired preimages from cache`);
-    }
-  }
-
-  /**
-   * Get cache statistics
-   * @returns {Object} Cache statistics
+   * Get preimage generation statistics
+   * @returns {Object} Statistics
    */
   getCacheStats() {
     return {
-      totalCached: this.preimageCache.size,
       totalHashesUsed: this.usedHashes.size,
       memoryUsage: process.memoryUsage()
     };
   }
-
-  /**
-   * Export preimage in various formats for different use cases
-   * @param {string} swapId - Swap ID
-   * @returns {Object} Preimage in multiple formats
-   */
-  exportPreimage(swapId) {
-    const data = this.preimageCache.get(swapId);
-    if (!data) {
-      return null;
-    }
-
-    return {
-      hex: data.preimage,
-      buffer: data.preimageBuffer,
-      base64: data.preimageBuffer.toString('base64'),
-      uint8Array: new Uint8Array(data.preimageBuffer),
-      hash: {
-        hex: data.hash,
-        buffer: data.hashBuffer,
-        base64: data.hashBuffer.toString('base64')
-      }
-    };
-  }
-
-  /**
-   * Initialize cleanup timer for expired preimages
-   */
-  startCleanupTimer(intervalMs = 600000) { // 10 minutes
-    setInterval(() => {
-      this.cleanupExpiredPreimages();
-    }, intervalMs);
-
-    logger.info('Started preimage cleanup timer', { intervalMs });
-  }
 }
 
 module.exports = new PreimageService();
@@ -0,0 +1,211 @@
+const CryptoUtils = require('../utils/cryptoUtils');
+const logger = require('../utils/logger');
+
+const ENVELOPE_VERSION = 1;
+const DEV_KEY_ID = 'dev';
+const DEV_KEY_PASSPHRASE = 'takefi-development-preimage-key';
+
+/**
+ * Envelope encryption for preimages at rest.
+ *
+ * Every preimage is encrypted with its own random data key, and the data key
+ * is wrapped with one of the oracle's key-encryption keys (PREIMAGE_KEKS).
+ * Records keep the key ID that wrapped them, so rotating keys only re-wraps
+ * data keys. Ciphertexts are bound to their swap ID, so an envelope copied
+ * onto another swap does not decrypt.
+ *
+ * Only the reveal paths call openPreimage; everything else handles envelopes.
+ * Other per-swap secrets that must be stored are sealed the same way.
+ */
+class PreimageVault {
+  constructor() {
+    this.keyring = null;
+  }
+
+  /**
+   * Load the key-encryption keys
+   * PREIMAGE_KEKS is a comma separated list of `<keyId>:<64 hex chars>`;
+   * PREIMAGE_ACTIVE_KEK_ID selects the key new records are wrapped with.
+   * @returns {Promise<Object>} { activeKeyId, keys: Map<keyId, Buffer> }
+   */
+  async getKeyring() {
+    if (this.keyring) return this.keyring;
+
+    const keys = new Map();
+    for (const entry of (process.env.PREIMAGE_KEKS || '').split(',').map((value) => value.trim()).filter(Boolean)) {
+      const [keyId, keyHex] = entry.split(':');
+      if (!keyId || !/^[A-Za-z0-9_-]+$/.test(keyId) || !CryptoUtils.isValidHex(keyHex || '', 32)) {
+        throw new Error('PREIMAGE_KEKS entries must be <keyId>:<32-byte hex key>');
+      }
+      keys.set(keyId, Buffer.from(keyHex, 'hex'));
+    }
+
+    if (keys.size === 0) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('PREIMAGE_KEKS must be configured in production');
+      }
+
+      logger.warn('PREIMAGE_KEKS not set - using the development preimage key, do not use with real funds');
+      keys.set(DEV_KEY_ID, await CryptoUtils.deriveKeyPBKDF2(DEV_KEY_PASSPHRASE, Buffer.from(DEV_KEY_ID, 'utf8')));
+    }
+
+    const activeKeyId = process.env.PREIMAGE_ACTIVE_KEK_ID || keys.keys().next().value;
+    if (!keys.has(activeKeyId)) {
+      throw new Error(`Active preimage key ${activeKeyId} is not in PREIMAGE_KEKS`);
+    }
+
+    this.keyring = { activeKeyId, keys };
+    logger.info('Preimage keyring loaded', { activeKeyId, keyIds: [...keys.keys()] });
+
+    return this.keyring;
+  }
+
+  async getKey(keyId) {
+    const { keys } = await this.getKeyring();
+    const key = keys.get(keyId);
+
+    if (!key) {
+      throw new Error(`Preimage key ${keyId} is not configured`);
+    }
+    return key;
+  }
+
+  /**
+   * Encrypt a preimage for storage
+   * @param {string} swapId - Swap the preimage belongs to
+   * @param {string} preimageHex - Preimage in hex
+   * @returns {Promise<Object>} Envelope to store on the swap as encryptedPreimage
+   */
+  async sealPreimage(swapId, preimageHex) {
+    return this.seal(swapId, 'preimage', Buffer.from(preimageHex, 'hex'));
+  }
+
+  /**
+   * Decrypt a stored preimage. Only for code paths that reveal the preimage.
+   * @param {string} swapId - Swap the preimage belongs to
+   * @param {Object} envelope - Stored encryptedPreimage
+   * @returns {Promise<string>} Preimage in hex
+   */
+  async openPreimage(swapId, envelope) {
+    return (await this.open(swapId, 'preimage', envelope)).toString('hex');
+  }
+
+  /**
+   * Encrypt another per-swap secret, such as a webhook signing secret kept
+   * in a stored response
+   * @param {string} swapId - Swap the secret belongs to
+   * @param {string} name - What the secret is; an envelope only opens under the same name
+   * @param {string} value - Secret value
+   * @returns {Promise<Object>} Envelope
+   */
+  async sealSecret(swapId, name, value) {
+    return this.seal(swapId, name, Buffer.from(value, 'utf8'));
+  }
+
+  /**
+   * Decrypt a secret sealed with sealSecret
+   * @param {string} swapId - Swap the secret belongs to
+   * @param {string} name - Name the secret was sealed under
+   * @param {Object} envelope - Envelope from sealSecret
+   * @returns {Promise<string>} Secret value
+   */
+  async openSecret(swapId, name, envelope) {
+    return (await this.open(swapId, name, envelope)).toString('utf8');
+  }
+
+  async seal(swapId, name, plaintext) {
+    const { activeKeyId } = await this.getKeyring();
+    const kek = await this.getKey(activeKeyId);
+    const dataKey = CryptoUtils.generateRandomBytes(32);
+
+    try {
+      return {
+        version: ENVELOPE_VERSION,
+        keyId: activeKeyId,
+        wrappedKey: CryptoUtils.encryptAES256GCM(dataKey, kek, `dek:${swapId}`),
+        ciphertext: CryptoUtils.encryptAES256GCM(plaintext, dataKey, `${name}:${swapId}`),
+        sealedAt: new Date().toISOString()
+      };
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  async open(swapId, name, envelope) {
+    const dataKey = await this.unwrapDataKey(swapId, envelope);
+
+    try {
+      return CryptoUtils.decryptAES256GCM(envelope.ciphertext, dataKey, `${name}:${swapId}`);
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  /**
+   * Re-wrap an envelope's data key under another key; the preimage ciphertext is untouched
+   * @param {string} swapId - Swap the preimage belongs to
+   * @param {Object} envelope - Stored encryptedPreimage
+   * @param {string} keyId - Key to wrap with (defaults to the active key)
+   * @returns {Promise<Object>} Re-wrapped envelope
+   */
+  async rewrapPreimage(swapId, envelope, keyId = null) {
+    const targetKeyId = keyId || (await this.getKeyring()).activeKeyId;
+    const kek = await this.getKey(targetKeyId);
+    const dataKey = await this.unwrapDataKey(swapId, envelope);
+
+    try {
+      return {
+        ...envelope,
+        keyId: targetKeyId,
+        wrappedKey: CryptoUtils.encryptAES256GCM(dataKey, kek, `dek:${swapId}`),
+        rewrappedAt: new Date().toISOString()
+      };
+    } finally {
+      dataKey.fill(0);
+    }
+  }
+
+  async unwrapDataKey(swapId, envelope) {
+    if (!envelope || envelope.version !== ENVELOPE_VERSION) {
+      throw new Error('Unsupported preimage envelope');
+    }
+
+    const kek = await this.getKey(envelope.keyId);
+    return CryptoUtils.decryptAES256GCM(envelope.wrappedKey, kek, `dek:${swapId}`);
+  }
+
+  /**
+   * Whether a swap still holds a plaintext preimage or one wrapped with a retired key
+   * @param {Object} swap - Stored swap record
+   * @returns {Promise<boolean>} True if the swap needs sealing or re-wrapping
+   */
+  async needsRotation(swap) {
+    const { activeKeyId } = await this.getKeyring();
+
+    if (swap.preimage) return true;
+    return Boolean(swap.encryptedPreimage) && swap.encryptedPreimage.keyId !== activeKeyId;
+  }
+
+  /**
+   * Read the preimage of a swap for release. Records written before
+   * encryption was introduced still carry a plaintext preimage.
+   * @param {Object} swap - Stored swap record
+   * @returns {Promise<string|null>} Preimage in hex, or null if the swap has none
+   */
+  async revealPreimage(swap) {
+    if (swap.encryptedPreimage) {
+      return this.openPreimage(swap.swapId, swap.encryptedPreimage);
+    }
+
+    if (swap.preimage) {
+      logger.warn('Revealing legacy plaintext preimage, run the key rotation command to encrypt it', {
+        swapId: swap.swapId
+      });
+      return swap.preimage;
+    }
+
+    return null;
+  }
+}
+
+module.exports = new PreimageVault();
@@ -0,0 +1,208 @@
+const { ethers } = require('ethers');
+const { PRICING_CONFIG } = require('../config/pricing.config');
+const { PriceFeedError, ValidationError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function getRoundData(uint80 _roundId) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+const SATS_PER_BTC = ethers.BigNumber.from(100000000);
+const BPS = 10000;
+
+/**
+ * Service for pricing BTC deposits in the market maker's sell token using Chainlink feeds
+ */
+class PricingService {
+  constructor(config = PRICING_CONFIG) {
+    this.config = config;
+    this.provider = null;
+    this.decimalsCache = new Map(); // feed address -> decimals
+  }
+
+  /**
+   * Lazily connect to the EVM RPC so importing the service never opens a connection
+   * @returns {ethers.providers.JsonRpcProvider} Provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = new ethers.providers.JsonRpcProvider(this.config.ethRpcUrl);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Get the Chainlink aggregator contract for a configured feed
+   * @param {string} name - Feed name in the pricing config (btcUsd, sellTokenUsd)
+   * @returns {ethers.Contract} Aggregator contract
+   */
+  getFeed(name) {
+    return new ethers.Contract(this.config.feeds[name], AGGREGATOR_ABI, this.getProvider());
+  }
+
+  /**
+   * Read and sanity-check the latest answer of a feed
+   * @param {string} name - Feed name in the pricing config
+   * @returns {Promise<Object>} Answer, decimals, round and update time
+   */
+  async readFeed(name) {
+    const feed = this.getFeed(name);
+
+    let decimals;
+    let latest;
+    try {
+      decimals = this.decimalsCache.get(feed.address);
+      if (decimals === undefined) {
+        decimals = await feed.decimals();
+        this.decimalsCache.set(feed.address, decimals);
+      }
+      latest = await feed.latestRoundData();
+    } catch (error) {
+      logger.error('Failed to read price feed', { feed: name, error: error.message });
+      throw new PriceFeedError(`Unable to read ${name} price feed`);
+    }
+
+    const details = {
+      feed: name,
+      address: feed.address,
+      roundId: latest.roundId.toString(),
+      updatedAt: latest.updatedAt.toNumber()
+    };
+    const ageSec = Math.floor(Date.now() / 1000) - details.updatedAt;
+
+    if (latest.answer.lte(0)) {
+      throw new PriceFeedError(`${name} price feed returned a non-positive answer`, details);
+    }
+    if (latest.answeredInRound.lt(latest.roundId) || ageSec > this.config.maxFeedAgeSec) {
+      throw new PriceFeedError(`${name} price feed is stale`, { ...details, ageSec });
+    }
+
+    await this.checkRoundDeviation(name, feed, latest, details);
+
+    return {
+      ...details,
+      answer: latest.answer,
+      decimals
+    };
+  }
+
+  /**
+   * Refuse answers that jumped further than allowed since the previous round
+   * @param {string} name - Feed name
+   * @param {ethers.Contract} feed - Aggregator contract
+   * @param {Object} latest - latestRoundData result
+   * @param {Object} details - Feed details for error reporting
+   */
+  async checkRoundDeviation(name, feed, latest, details) {
+    let previous;
+    try {
+      previous = await feed.getRoundData(latest.roundId.sub(1));
+    } catch (error) {
+      // First round of a new aggregator phase has no predecessor under the same phase ID
+      logger.debug('Previous price round unavailable, skipping deviation check', { feed: name });
+      return;
+    }
+
+    if (previous.answer.lte(0)) {
+      return;
+    }
+
+    const deviationBps = latest.answer.sub(previous.answer).abs().mul(BPS).div(previous.answer).toNumber();
+    if (deviationBps > this.config.maxRoundDeviationBps) {
+      throw new PriceFeedError(`${name} price feed moved ${deviationBps} bps in one round`, {
+        ...details,
+        deviationBps,
+        maxDeviationBps: this.config.maxRoundDeviationBps
+      });
+    }
+  }
+
+  /**
+   * Split the claim fee and the configured fee off a BTC deposit
+   * @param {number} depositSats - Confirmed deposit being traded
+   * @param {number} claimFeeSats - Market maker's HTLC claim fee, from swapSizingService.estimateSpendFees
+   * @returns {Object} Fee and net amounts in satoshis
+   */
+  applyFees(depositSats, claimFeeSats) {
+    const { feeBps } = this.config.fees;
+    const afterClaim = depositSats - claimFeeSats;
+    const proportionalFee = Math.floor((afterClaim * feeBps) / BPS);
+    const netSats = afterClaim - proportionalFee;
+
+    if (netSats <= 0) {
+      throw new ValidationError('Deposit does not cover swap fees', {
+        depositSats,
+        claimFeeSats,
+        feeBps
+      });
+    }
+
+    return {
+      feeSats: claimFeeSats + proportionalFee,
+      netSats
+    };
+  }
+
+  /**
+   * Price a confirmed BTC deposit in the market maker's sell token
+   * @param {number} depositSats - Confirmed deposit being traded
+   * @param {Object} options
+   * @param {number} options.claimFeeSats - Market maker's HTLC claim fee, from swapSizingService.estimateSpendFees
+   * @returns {Promise<Object>} Sell token, sell amount in base units, fees and the rate used
+   */
+  async quoteSellAmount(depositSats, { claimFeeSats }) {
+    const { feeSats, netSats } = this.applyFees(depositSats, claimFeeSats);
+    const [btcUsd, sellTokenUsd] = await Promise.all([
+      this.readFeed('btcUsd'),
+      this.readFeed('sellTokenUsd')
+    ]);
+
+    const { address: sellToken, decimals: tokenDecimals } = this.config.sellToken;
+    const tokenUnit = ethers.BigNumber.from(10).pow(tokenDecimals);
+    const btcFeedUnit = ethers.BigNumber.from(10).pow(btcUsd.decimals);
+    const tokenFeedUnit = ethers.BigNumber.from(10).pow(sellTokenUsd.decimals);
+
+    // sellAmount = netBTC * (BTC/USD) / (token/USD), in token base units
+    const sellAmount = ethers.BigNumber.from(netSats)
+      .mul(btcUsd.answer)
+      .mul(tokenFeedUnit)
+      .mul(tokenUnit)
+      .div(SATS_PER_BTC.mul(btcFeedUnit).mul(sellTokenUsd.answer));
+
+    // Sell tokens per BTC, 18-decimal fixed point
+    const rate = btcUsd.answer
+      .mul(tokenFeedUnit)
+      .mul(ethers.constants.WeiPerEther)
+      .div(btcFeedUnit.mul(sellTokenUsd.answer));
+
+    const pricing = {
+      sellToken,
+      sellAmount: sellAmount.toString(),
+      depositSats,
+      claimFeeSats,
+      feeSats,
+      netSats,
+      rate: ethers.utils.formatUnits(rate, 18),
+      btcUsd: ethers.utils.formatUnits(btcUsd.answer, btcUsd.decimals),
+      sellTokenUsd: ethers.utils.formatUnits(sellTokenUsd.answer, sellTokenUsd.decimals),
+      feeds: {
+        btcUsd: { address: btcUsd.address, roundId: btcUsd.roundId, updatedAt: btcUsd.updatedAt },
+        sellTokenUsd: { address: sellTokenUsd.address, roundId: sellTokenUsd.roundId, updatedAt: sellTokenUsd.updatedAt }
+      },
+      pricedAt: new Date().toISOString()
+    };
+
+    logger.info('Priced BTC deposit', {
+      depositSats,
+      netSats,
+      sellAmount: pricing.sellAmount,
+      rate: pricing.rate
+    });
+
+    return pricing;
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,180 @@
+const { ethers } = require('ethers');
+const { PRICING_CONFIG } = require('../config/pricing.config');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const BPS = 10000;
+
+/**
+ * Service locking the market maker quote a user accepted when creating a swap.
+ *
+ * The lock records the minimum amount of the target token the user agreed to
+ * receive for a BTC amount (quote buyAmount less the slippage tolerance).
+ * When the swap trades, the live execution quote must buy at least that
+ * minimum, scaled to the BTC actually traded; otherwise the user has to
+ * consent to a new minimum, signed with their Ethereum wallet.
+ */
+class QuoteLockService {
+  constructor(config = PRICING_CONFIG.quotes, sellToken = PRICING_CONFIG.sellToken.address) {
+    this.defaultSlippageBps = config.defaultSlippageBps;
+    this.maxSlippageBps = config.maxSlippageBps;
+    this.maxSellDeviationBps = config.maxSellDeviationBps;
+    this.sellToken = sellToken;
+  }
+
+  /**
+   * Build the lock for a quote the MM Server issued
+   * @param {Object} quote - Quote returned by the MM Server for quoteId
+   * @param {Object} params
+   * @param {string} params.quoteId - Quote ID
+   * @param {string} params.targetToken - Token the swap buys
+   * @param {string} params.userEthWallet - Wallet receiving the tokens
+   * @param {number} params.btcAmount - BTC amount of the swap in satoshis
+   * @param {number} params.slippageBps - Slippage tolerance, defaults to the quote's own
+   * @param {Object} params.pricing - Oracle pricing of btcAmount (pricingService.quoteSellAmount)
+   * @returns {Object} Quote lock to store on the swap
+   * @throws {ValidationError} If the quote does not match the swap or the oracle's pricing
+   */
+  lockQuote(quote, { quoteId, targetToken, userEthWallet, btcAmount, slippageBps, pricing }) {
+    if (quote.buyToken.toLowerCase() !== targetToken.toLowerCase()) {
+      throw new ValidationError('Quote is for a different target token', {
+        quoteBuyToken: quote.buyToken,
+        targetToken
+      });
+    }
+    if (quote.userWallet && quote.userWallet.toLowerCase() !== userEthWallet.toLowerCase()) {
+      throw new ValidationError('Quote was issued for a different wallet', {
+        quoteUserWallet: quote.userWallet,
+        userEthWallet
+      });
+    }
+
+    // The minimum only means something for the sale the oracle will actually order
+    if (quote.sellToken.toLowerCase() !== this.sellToken.toLowerCase()) {
+      throw new ValidationError('Quote sells a different token than the oracle prices swaps in', {
+        quoteSellToken: quote.sellToken,
+        sellToken: this.sellToken
+      });
+    }
+    // CoW quotes the sell amount net of its fee
+    const quotedSellAmount = ethers.BigNumber.from(quote.sellAmount).add(quote.feeAmount || 0);
+    const pricedSellAmount = ethers.BigNumber.from(pricing.sellAmount);
+    if (quotedSellAmount.sub(pricedSellAmount).abs().mul(BPS).gt(pricedSellAmount.mul(this.maxSellDeviationBps))) {
+      throw new ValidationError('Quote sell amount does not match the oracle price for the BTC amount', {
+        quotedSellAmount: quotedSellAmount.toString(),
+        pricedSellAmount: pricing.sellAmount,
+        maxSellDeviationBps: this.maxSellDeviationBps
+      });
+    }
+
+    const tolerance = slippageBps ?? quote.slippageBips ?? this.defaultSlippageBps;
+    if (!Number.isInteger(tolerance) || tolerance < 0 || tolerance > this.maxSlippageBps) {
+      throw new ValidationError(`Slippage tolerance must be between 0 and ${this.maxSlippageBps} basis points`, {
+        slippageBps: tolerance
+      });
+    }
+
+    return {
+      quoteId,
+      sellToken: quote.sellToken,
+      sellAmount: quote.sellAmount,
+      pricedSellAmount: pricing.sellAmount,
+      buyToken: quote.buyToken,
+      buyAmount: quote.buyAmount,
+      quoteExpiresAt: quote.expiresAt,
+      slippageBps: tolerance,
+      minBuyAmount: applySlippage(quote.buyAmount, tolerance),
+      forAmountSats: Number(btcAmount),
+      lockedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Minimum buy amount the user committed to for the BTC being traded
+   * @param {Object} swap - Stored swap record
+   * @param {number} tradeAmountSats - BTC actually traded
+   * @returns {string|null} Minimum in base units, or null if the swap has no quote lock
+   */
+  getCommittedMinBuyAmount(swap, tradeAmountSats) {
+    const lock = swap.quoteLock;
+    if (!lock) {
+      return null;
+    }
+
+    return ethers.BigNumber.from(lock.minBuyAmount)
+      .mul(tradeAmountSats)
+      .div(lock.forAmountSats)
+      .toString();
+  }
+
+  /**
+   * Check the live execution quote against the swap's committed minimum
+   * @param {Object} swap - Stored swap record
+   * @param {Object} quote - Live quote from the MM Server
+   * @param {number} tradeAmountSats - BTC actually traded
+   * @returns {Object} { withinBounds, quotedBuyAmount, quotedMinBuyAmount, committedMinBuyAmount, minBuyAmount, slippageBps }
+   *   where minBuyAmount is the floor the order and its delivery must meet
+   */
+  checkExecutionQuote(swap, quote, tradeAmountSats) {
+    const slippageBps = swap.quoteLock?.slippageBps ?? this.defaultSlippageBps;
+    const committedMinBuyAmount = this.getCommittedMinBuyAmount(swap, tradeAmountSats);
+    const quotedMinBuyAmount = applySlippage(quote.buyAmount, slippageBps);
+
+    const withinBounds = committedMinBuyAmount === null ||
+      ethers.BigNumber.from(quote.buyAmount).gte(committedMinBuyAmount);
+
+    // Never accept less than either the commitment or the live quote allows
+    const minBuyAmount = committedMinBuyAmount !== null &&
+      ethers.BigNumber.from(committedMinBuyAmount).gt(quotedMinBuyAmount)
+      ? committedMinBuyAmount
+      : quotedMinBuyAmount;
+
+    return {
+      withinBounds,
+      quotedBuyAmount: quote.buyAmount,
+      quotedMinBuyAmount,
+      committedMinBuyAmount,
+      minBuyAmount,
+      slippageBps
+    };
+  }
+
+  /**
+   * Message the user signs with their Ethereum wallet to accept a new minimum
+   * @param {string} swapId - Swap ID
+   * @param {string} minBuyAmount - New minimum for the BTC being traded, in base units
+   * @param {number} tradeAmountSats - BTC the minimum applies to
+   * @returns {string} Message to sign
+   */
+  getConsentMessage(swapId, minBuyAmount, tradeAmountSats) {
+    return `TakeFi requote consent\nswap:${swapId}\nminBuyAmount:${minBuyAmount}\nbtcAmountSats:${tradeAmountSats}`;
+  }
+
+  /**
+   * Verify that the swap's Ethereum wallet signed a requote consent
+   * @param {Object} swap - Stored swap record
+   * @param {string} message - Consent message
+   * @param {string} signature - EIP-191 signature in hex
+   * @returns {boolean} True if the wallet signed the message
+   */
+  verifyConsent(swap, message, signature) {
+    try {
+      const signer = ethers.utils.verifyMessage(message, signature);
+      return signer.toLowerCase() === swap.userEthWallet.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Reduce an amount by a slippage tolerance
+ * @param {string} amount - Amount in base units
+ * @param {number} slippageBps - Tolerance in basis points
+ * @returns {string} Amount after slippage
+ */
+function applySlippage(amount, slippageBps) {
+  return ethers.BigNumber.from(amount).mul(BPS - slippageBps).div(BPS).toString();
+}
+
+module.exports = new QuoteLockService();
+module.exports.QuoteLockService = QuoteLockService;
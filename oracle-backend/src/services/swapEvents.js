@@ -0,0 +1,83 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+/**
+ * Swap event types published to integrators.
+ * Every lifecycle transition publishes `swap.<state>`; progress within a
+ * state (deposits, confirmations, CoW order fills) has its own events.
+ */
+const SWAP_EVENT_TYPES = {
+  FUNDED: 'swap.funded',
+  CONFIRMED: 'swap.confirmed',
+  ORDER_SUBMITTED: 'swap.order_submitted',
+  DELIVERED: 'swap.delivered',
+  EXPIRED: 'swap.expired',
+  REFUNDED: 'swap.refunded',
+  BTC_CLAIMED: 'swap.btc_claimed',
+  DEPOSIT_DETECTED: 'swap.deposit_detected',
+  CONFIRMATIONS_UPDATED: 'swap.confirmations_updated',
+  DEPOSIT_AT_RISK: 'swap.deposit_at_risk',
+  EXPIRY_WARNING: 'swap.expiry_warning',
+  ORDER_UPDATED: 'swap.order_updated'
+};
+
+/**
+ * In-process bus for swap lifecycle events. Subscribers (webhooks, streams)
+ * listen for 'event'; a failing subscriber never affects the publisher.
+ */
+class SwapEvents extends EventEmitter {
+  /**
+   * Build an event for a swap without publishing it
+   * @param {string} type - Event type, e.g. swap.funded
+   * @param {string} swapId - Swap identifier
+   * @param {Object} data - Event specific details
+   * @returns {Object} The event
+   */
+  createEvent(type, swapId, data = {}) {
+    return {
+      id: uuidv4(),
+      type,
+      swapId,
+      occurredAt: new Date().toISOString(),
+      data
+    };
+  }
+
+  /**
+   * Publish an event for a swap
+   * @param {string} type - Event type, e.g. swap.funded
+   * @param {Object} swap - Swap record after the change
+   * @param {Object} data - Event specific details
+   * @returns {Object} The published event
+   */
+  publish(type, swap, data = {}) {
+    return this.dispatch(this.createEvent(type, swap.swapId, data), swap);
+  }
+
+  /**
+   * Hand an already built event to every subscriber
+   * @param {Object} event - Event from createEvent
+   * @param {Object} swap - Swap record after the change
+   * @returns {Object} The event
+   */
+  dispatch(event, swap) {
+    for (const listener of this.listeners('event')) {
+      try {
+        const result = listener(event, swap);
+        if (result && typeof result.catch === 'function') {
+          result.catch((error) => {
+            logger.error('Swap event subscriber failed', { type: event.type, swapId: swap.swapId, error: error.message });
+          });
+        }
+      } catch (error) {
+        logger.error('Swap event subscriber failed', { type: event.type, swapId: swap.swapId, error: error.message });
+      }
+    }
+
+    return event;
+  }
+}
+
+module.exports = new SwapEvents();
+module.exports.SWAP_EVENT_TYPES = SWAP_EVENT_TYPES;
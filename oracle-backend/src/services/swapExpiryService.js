@@ -0,0 +1,284 @@
+const chainData = require('./chainData');
+const swapStore = require('./swapStore');
+const swapEvents = require('./swapEvents');
+const { SWAP_EVENT_TYPES } = require('./swapEvents');
+const { SWAP_STATES, normalizeStatus, transitionSwap } = require('./swapLifecycle');
+const logger = require('../utils/logger');
+
+// Funded swaps that have not delivered and still race the HTLC timelock
+const UNDELIVERED_STATES = [
+  SWAP_STATES.FUNDED,
+  SWAP_STATES.CONFIRMED,
+  SWAP_STATES.ON_HOLD,
+  SWAP_STATES.TRADING,
+  SWAP_STATES.FAILED
+];
+
+// Average block interval, for swaps checked without a chain tip
+const BLOCK_INTERVAL_MS = 600000;
+
+/**
+ * Scheduled sweep retiring swaps that ran out of time.
+ *
+ * Unfunded swaps past their payment window become expired (or refundable
+ * when a partial deposit arrived). Undelivered funded swaps raise an alert
+ * when the HTLC timelock comes within SWAP_EXPIRY_ALERT_BLOCKS, and become
+ * refundable within SWAP_REFUND_MARGIN_BLOCKS, leaving the market maker no
+ * time to claim safely. Either way the swap's monitor is stopped.
+ *
+ * Order tracking can lag a settlement, so a swap with a CoW order is only
+ * made refundable once its market maker confirms the order delivered nothing.
+ */
+class SwapExpiryService {
+  /**
+   * @param {BitcoinMonitoringService} bitcoinMonitoringService - Monitor whose swaps are retired
+   * @param {OrderTrackingService} orderTrackingService - Checks the CoW order of a swap before it is refunded
+   */
+  constructor(bitcoinMonitoringService, orderTrackingService) {
+    this.bitcoinMonitoringService = bitcoinMonitoringService;
+    this.orderTrackingService = orderTrackingService;
+    this.sweepInterval = parseInt(process.env.SWAP_EXPIRY_SWEEP_INTERVAL_MS || '60000');
+    // Defaults to the deposit monitoring window
+    this.paymentTimeoutMs = parseInt(process.env.SWAP_PAYMENT_TIMEOUT_MS || String(bitcoinMonitoringService.maxMonitoringTime));
+    this.alertBlocks = parseInt(process.env.SWAP_EXPIRY_ALERT_BLOCKS || '12');
+    this.refundMarginBlocks = parseInt(process.env.SWAP_REFUND_MARGIN_BLOCKS || '3');
+    this.timer = null;
+    this.sweeping = null;
+  }
+
+  /**
+   * Run one sweep over the pending and undelivered swaps
+   * @returns {Promise<Object>} Counts of expired, refundable and alerted swaps
+   */
+  async sweep() {
+    const summary = { expired: 0, refundable: 0, alerted: 0 };
+    const now = Date.now();
+
+    let tipHeight = null;
+    try {
+      tipHeight = await chainData.getBlockCount();
+    } catch (error) {
+      logger.warn('Chain tip unavailable, sweeping swaps by expiry time', { error: error.message });
+    }
+
+    // Only open swaps are loaded; stores filter on their status index
+    const swaps = await swapStore.listSwaps({ statuses: [SWAP_STATES.PENDING, ...UNDELIVERED_STATES] });
+
+    for (const swap of swaps) {
+      try {
+        const outcome = normalizeStatus(swap.status) === SWAP_STATES.PENDING
+          ? await this.checkUnfunded(swap, now)
+          : await this.checkUndelivered(swap, tipHeight, now);
+        if (outcome) summary[outcome]++;
+      } catch (error) {
+        // The monitor may have moved the swap on in the meantime
+        if (error.name === 'ConflictError') {
+          logger.debug('Swap changed state during expiry sweep', { swapId: swap.swapId, error: error.message });
+        } else {
+          logger.error('Swap expiry check failed', { swapId: swap.swapId, error: error.message });
+        }
+      }
+    }
+
+    if (summary.expired || summary.refundable || summary.alerted) {
+      logger.info('Swap expiry sweep complete', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Expire a pending swap once its payment window or HTLC has run out
+   * @param {Object} swap - Stored swap record
+   * @param {number} now - Sweep time in milliseconds
+   * @returns {Promise<string|null>} Outcome, or null if the swap still has time
+   */
+  async checkUnfunded(swap, now) {
+    const deadlines = [
+      new Date(swap.createdAt).getTime() + this.paymentTimeoutMs,
+      new Date(swap.expiresAt).getTime()
+    ].filter(Number.isFinite);
+
+    if (deadlines.length === 0 || now < Math.min(...deadlines)) {
+      return null;
+    }
+
+    // A partial deposit that was never completed can only go back to the user
+    if (swap.receivedAmountSats > 0) {
+      await transitionSwap(swap.swapId, SWAP_STATES.REFUNDABLE, {
+        cause: 'underpayment_timeout',
+        fields: { shortfallSats: Number(swap.btcAmount) - swap.receivedAmountSats, tradeAmountSats: 0 }
+      });
+      this.retire(swap.swapId);
+      return 'refundable';
+    }
+
+    await transitionSwap(swap.swapId, SWAP_STATES.EXPIRED, {
+      cause: 'payment_timeout',
+      fields: { expiredAt: new Date(now).toISOString() }
+    });
+    this.retire(swap.swapId);
+    return 'expired';
+  }
+
+  /**
+   * Alert on, then refund, a funded swap whose timelock approaches without delivery
+   * @param {Object} swap - Stored swap record
+   * @param {number|null} tipHeight - Current chain tip height, if known
+   * @param {number} now - Sweep time in milliseconds
+   * @returns {Promise<string|null>} Outcome, or null if the swap still has time
+   */
+  async checkUndelivered(swap, tipHeight, now) {
+    const blocksLeft = this.getBlocksLeft(swap, tipHeight, now);
+    if (blocksLeft === null || blocksLeft > this.alertBlocks) {
+      return null;
+    }
+
+    const details = {
+      swapId: swap.swapId,
+      status: normalizeStatus(swap.status),
+      lockHeight: swap.lockHeight,
+      tipHeight,
+      blocksLeft,
+      cowOrderUid: swap.cowOrderUid || null
+    };
+
+    if (blocksLeft <= this.refundMarginBlocks) {
+      if (!(await this.confirmUndelivered(swap, details))) {
+        return null;
+      }
+
+      logger.security('Swap timelock reached without delivery, marking refundable', details);
+
+      await transitionSwap(swap.swapId, SWAP_STATES.REFUNDABLE, {
+        cause: 'timelock_near',
+        fields: { refundableAt: new Date(now).toISOString() }
+      });
+      this.retire(swap.swapId);
+      return 'refundable';
+    }
+
+    if (swap.expiryAlert) {
+      return null;
+    }
+
+    logger.security('Swap timelock approaching without delivery', details);
+
+    const updated = await swapStore.updateSwap(swap.swapId, {
+      expiryAlert: { blocksLeft, lockHeight: swap.lockHeight, raisedAt: new Date(now).toISOString() }
+    });
+    swapEvents.publish(SWAP_EVENT_TYPES.EXPIRY_WARNING, updated, {
+      blocksLeft,
+      lockHeight: swap.lockHeight
+    });
+    return 'alerted';
+  }
+
+  /**
+   * Check that a swap's trade delivered nothing before it is made refundable
+   * @param {Object} swap - Stored swap record
+   * @param {Object} details - Expiry details for the log
+   * @returns {Promise<boolean>} True if the swap can be made refundable
+   */
+  async confirmUndelivered(swap, details) {
+    if (swap.settlementTxHash) {
+      logger.security('Swap near its timelock was settled, not marking refundable', {
+        ...details,
+        settlementTxHash: swap.settlementTxHash
+      });
+      return false;
+    }
+
+    if (!swap.cowOrderUid) {
+      return true;
+    }
+
+    let order;
+    try {
+      order = await this.orderTrackingService.checkOrder(swap);
+    } catch (error) {
+      // Retried on the next sweep; refunding a filled order would cost the market maker the BTC
+      logger.warn('Could not check the CoW order of a swap near its timelock', { ...details, error: error.message });
+      return false;
+    }
+
+    if (order.status === 'filled' || order.txHash) {
+      logger.security('CoW order of a swap near its timelock was filled, not marking refundable', {
+        ...details,
+        orderStatus: order.status,
+        settlementTxHash: order.txHash || null
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Blocks until the refund path opens
+   * @param {Object} swap - Stored swap record
+   * @param {number|null} tipHeight - Current chain tip height, if known
+   * @param {number} now - Sweep time in milliseconds
+   * @returns {number|null} Blocks left, or null if the swap has no known expiry
+   */
+  getBlocksLeft(swap, tipHeight, now) {
+    if (tipHeight !== null && Number.isFinite(swap.lockHeight)) {
+      return swap.lockHeight - tipHeight;
+    }
+
+    const expiresAt = new Date(swap.expiresAt).getTime();
+    return Number.isFinite(expiresAt) ? Math.ceil((expiresAt - now) / BLOCK_INTERVAL_MS) : null;
+  }
+
+  /**
+   * Stop watching a retired swap
+   * @param {string} swapId - The swap ID
+   */
+  retire(swapId) {
+    this.bitcoinMonitoringService.stopMonitoring(swapId);
+  }
+
+  /**
+   * Start the periodic sweep
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runSweep(), this.sweepInterval);
+    this.timer.unref();
+    this.runSweep();
+
+    logger.info('Swap expiry sweeper started', {
+      sweepInterval: this.sweepInterval,
+      alertBlocks: this.alertBlocks,
+      refundMarginBlocks: this.refundMarginBlocks
+    });
+  }
+
+  /**
+   * Run a sweep unless one is still in progress
+   */
+  runSweep() {
+    if (!this.sweeping) {
+      this.sweeping = this.sweep()
+        .catch((error) => {
+          logger.error('Swap expiry sweep failed:', error);
+        })
+        .finally(() => {
+          this.sweeping = null;
+        });
+    }
+    return this.sweeping;
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  cleanup() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = SwapExpiryService;
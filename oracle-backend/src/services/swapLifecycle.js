@@ -0,0 +1,166 @@
+const swapStore = require('./swapStore');
+const swapEvents = require('./swapEvents');
+const { ConflictError } = require('../middleware/errorHandler');
+const { SWAP_STATES, normalizeStatus } = require('./swapStates');
+const logger = require('../utils/logger');
+
+/**
+ * Legal transitions, keyed by the current state
+ */
+const SWAP_TRANSITIONS = {
+  [SWAP_STATES.PENDING]: [SWAP_STATES.FUNDED, SWAP_STATES.REFUNDABLE, SWAP_STATES.EXPIRED],
+  [SWAP_STATES.FUNDED]: [SWAP_STATES.CONFIRMED, SWAP_STATES.ON_HOLD, SWAP_STATES.REFUNDABLE],
+  [SWAP_STATES.CONFIRMED]: [SWAP_STATES.TRADING, SWAP_STATES.ON_HOLD, SWAP_STATES.REFUNDABLE],
+  [SWAP_STATES.ON_HOLD]: [SWAP_STATES.FUNDED, SWAP_STATES.TRADING, SWAP_STATES.FAILED, SWAP_STATES.REFUNDABLE], // Back to the state it was held in
+  [SWAP_STATES.TRADING]: [SWAP_STATES.DELIVERED, SWAP_STATES.FAILED, SWAP_STATES.ON_HOLD, SWAP_STATES.REFUNDABLE],
+  [SWAP_STATES.FAILED]: [SWAP_STATES.TRADING, SWAP_STATES.ON_HOLD, SWAP_STATES.REFUNDABLE],
+  // Settled by how the HTLC is spent on-chain: a claim before the timelock, a refund after it
+  [SWAP_STATES.DELIVERED]: [SWAP_STATES.BTC_CLAIMED, SWAP_STATES.REFUNDED],
+  [SWAP_STATES.BTC_CLAIMED]: [],
+  [SWAP_STATES.REFUNDABLE]: [SWAP_STATES.REFUNDED, SWAP_STATES.BTC_CLAIMED],
+  [SWAP_STATES.REFUNDED]: [],
+  [SWAP_STATES.EXPIRED]: [SWAP_STATES.REFUNDABLE] // Late deposit to an expired HTLC
+};
+
+/**
+ * Check whether a state has no outgoing transitions
+ * @param {string} status - Lifecycle state
+ * @returns {boolean} True if the swap can no longer change state
+ */
+function isTerminalState(status) {
+  const transitions = SWAP_TRANSITIONS[normalizeStatus(status)];
+  return Array.isArray(transitions) && transitions.length === 0;
+}
+
+/**
+ * Check whether a transition is legal
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+  const allowed = SWAP_TRANSITIONS[normalizeStatus(from)];
+  return Array.isArray(allowed) && allowed.includes(to);
+}
+
+/**
+ * Throw if a transition is not legal
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ */
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new ConflictError(`Illegal swap transition from ${from} to ${to}`);
+  }
+}
+
+/**
+ * Build the status fields for a newly created swap
+ * @param {string} cause - Why the swap was created
+ * @returns {Object} Initial status and history
+ */
+function initialSwapState(cause = 'swap_created') {
+  return {
+    status: SWAP_STATES.PENDING,
+    statusHistory: [
+      {
+        from: null,
+        to: SWAP_STATES.PENDING,
+        at: new Date().toISOString(),
+        cause
+      }
+    ]
+  };
+}
+
+/**
+ * Apply updates to a swap and record an event in the same write.
+ * The event is kept on the record in pendingEvents until a subscriber has
+ * queued it durably (see webhookService), so a crash right after the write
+ * cannot lose it; it is published once the write has landed.
+ * @param {string} swapId - Swap identifier
+ * @param {Object|Function} updates - Fields to merge, or a function receiving
+ *   the current record and returning the fields to merge
+ * @param {string} type - Event type, e.g. swap.order_submitted
+ * @param {Object|Function} data - Event details, or a function receiving the current record
+ * @returns {Promise<Object>} The updated swap record
+ */
+async function updateSwapWithEvent(swapId, updates, type, data = {}) {
+  let event;
+  const updated = await swapStore.updateSwap(swapId, async (current) => {
+    const changes = typeof updates === 'function' ? await updates(current) : updates;
+    event = swapEvents.createEvent(type, swapId, typeof data === 'function' ? data(current) : data);
+
+    return {
+      ...changes,
+      pendingEvents: [...(current.pendingEvents || []), event]
+    };
+  });
+
+  swapEvents.dispatch(event, updated);
+
+  return updated;
+}
+
+/**
+ * Drop an event from a swap's pendingEvents once it has been queued
+ * @param {string} swapId - Swap identifier
+ * @param {string} eventId - Event identifier
+ * @returns {Promise<Object>} The updated swap record
+ */
+async function acknowledgeSwapEvent(swapId, eventId) {
+  return swapStore.updateSwap(swapId, (current) => ({
+    pendingEvents: (current.pendingEvents || []).filter((event) => event.id !== eventId)
+  }));
+}
+
+/**
+ * Move a swap to a new state and append the transition to its history
+ * @param {string} swapId - Swap identifier
+ * @param {string} to - Target state
+ * @param {Object} options - Transition options
+ * @param {string} options.cause - Why the transition happened
+ * @param {Object} options.fields - Additional swap fields to persist with the transition
+ * @returns {Promise<Object>} The updated swap record
+ */
+async function transitionSwap(swapId, to, { cause, fields = {} } = {}) {
+  const updated = await updateSwapWithEvent(swapId, (current) => {
+    const from = normalizeStatus(current.status);
+    assertTransition(from, to);
+
+    return {
+      ...fields,
+      status: to,
+      statusHistory: [
+        ...(current.statusHistory || []),
+        {
+          from,
+          to,
+          at: new Date().toISOString(),
+          cause: cause || null
+        }
+      ]
+    };
+  }, `swap.${to}`, (current) => ({ from: normalizeStatus(current.status), to, cause: cause || null }));
+
+  logger.info('Swap state transition', {
+    swapId,
+    to,
+    cause
+  });
+
+  return updated;
+}
+
+module.exports = {
+  SWAP_STATES,
+  SWAP_TRANSITIONS,
+  normalizeStatus,
+  isTerminalState,
+  canTransition,
+  assertTransition,
+  initialSwapState,
+  updateSwapWithEvent,
+  acknowledgeSwapEvent,
+  transitionSwap
+};
@@ -0,0 +1,122 @@
+const bitcoin = require('bitcoinjs-lib');
+const chainData = require('./chainData');
+const bitcoinService = require('./bitcoinService');
+const logger = require('../utils/logger');
+
+// The market maker's payout address is not known up front; size for the largest standard output (P2TR/P2WSH)
+const CLAIM_OUTPUT_SCRIPT_BYTES = 34;
+// Dust threshold of such an output
+const CLAIM_OUTPUT_DUST_SATS = 330;
+// Bitcoin Core's minimum relay fee rate
+const MIN_RELAY_FEE_RATE = 1;
+// secp256k1 generator point, a valid stand-in key for sizing HTLC scripts
+const TEMPLATE_PUBKEY = Buffer.from('0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', 'hex');
+
+/**
+ * Service sizing swaps against the cost of spending the HTLC.
+ * An HTLC worth less than a few claim or refund fees cannot be settled
+ * economically, so create-preimage refuses amounts below a multiple of the
+ * larger spend fee at the current fee rate.
+ */
+class SwapSizingService {
+  constructor() {
+    this.feeMultiple = parseFloat(process.env.MIN_SWAP_FEE_MULTIPLE || '10');
+    // Confirmation target the claim and refund are expected to use
+    this.targetBlocks = parseInt(process.env.SWAP_FEE_TARGET_BLOCKS || '6');
+    this.fallbackFeeRate = parseFloat(process.env.FALLBACK_FEE_RATE_SAT_VB || '10');
+    this.cacheMs = parseInt(process.env.FEE_ESTIMATE_CACHE_MS || '60000');
+    this.cached = null;
+  }
+
+  /**
+   * Fee rate for the configured confirmation target, or the fallback rate
+   * when no provider returns estimates
+   * @returns {Promise<Object>} { feeRate (sat/vB), targetBlocks, source }
+   */
+  async getFeeRate() {
+    if (this.cached && Date.now() - this.cached.at < this.cacheMs) {
+      return this.cached.rate;
+    }
+
+    let rate;
+    try {
+      const { feeRate, targetBlocks } = await chainData.getFeeRate(this.targetBlocks);
+      rate = {
+        feeRate: Math.max(feeRate, MIN_RELAY_FEE_RATE),
+        targetBlocks,
+        source: 'estimate'
+      };
+    } catch (error) {
+      logger.warn('Fee estimates unavailable, using fallback fee rate', {
+        error: error.message,
+        fallbackFeeRate: this.fallbackFeeRate
+      });
+      // Not cached, so the next swap retries the providers
+      return { feeRate: this.fallbackFeeRate, targetBlocks: this.targetBlocks, source: 'fallback' };
+    }
+
+    this.cached = { at: Date.now(), rate };
+    return rate;
+  }
+
+  /**
+   * Estimate the claim and refund fees of an HTLC and the smallest amount worth locking in it
+   * @param {Object} params
+   * @param {string} params.htlcScript - Redeem script in hex
+   * @param {string} params.refundAddress - Address the refund pays out to
+   * @returns {Promise<Object>} Fee rate, spend sizes and fees, and minBtcAmount in satoshis
+   */
+  async estimateSpendFees({ htlcScript, refundAddress }) {
+    const { feeRate, targetBlocks, source } = await this.getFeeRate();
+    const refundOutput = bitcoin.address.toOutputScript(refundAddress, bitcoinService.network);
+
+    const claimVsize = bitcoinService.estimateHTLCSpendVsize(htlcScript, 'claim', CLAIM_OUTPUT_SCRIPT_BYTES);
+    const claimFeeSats = Math.ceil(claimVsize * feeRate);
+
+    let refundVsize = null;
+    let refundFeeSats = null;
+    if (Buffer.from(htlcScript, 'hex')[0] === bitcoin.opcodes.OP_IF) {
+      refundVsize = bitcoinService.estimateHTLCSpendVsize(htlcScript, 'refund', refundOutput.length);
+      refundFeeSats = Math.ceil(refundVsize * feeRate);
+    }
+
+    const spendFeeSats = Math.max(claimFeeSats, refundFeeSats || 0);
+    // Whatever is spent, the remaining output must not be dust
+    const dustSats = Math.max(bitcoinService.getDustThreshold(refundOutput), CLAIM_OUTPUT_DUST_SATS);
+
+    return {
+      feeRate,
+      targetBlocks,
+      feeRateSource: source,
+      claimVsize,
+      claimFeeSats,
+      refundVsize,
+      refundFeeSats,
+      feeMultiple: this.feeMultiple,
+      minBtcAmount: Math.max(Math.ceil(spendFeeSats * this.feeMultiple), spendFeeSats + dustSats)
+    };
+  }
+
+  /**
+   * Estimate the spend fees of a typical HTLC, for pricing a swap before its script exists.
+   * Real scripts differ only in their keys, hash and timelock, which barely change the size.
+   * @returns {Promise<Object>} Same shape as estimateSpendFees
+   */
+  async estimateTemplateSpendFees() {
+    const template = bitcoinService.createHTLCScript({
+      hash: Buffer.alloc(32),
+      mmPubkey: TEMPLATE_PUBKEY,
+      userPubkey: TEMPLATE_PUBKEY,
+      timelock: 144,
+      timelockType: 'relative'
+    });
+
+    return this.estimateSpendFees({
+      htlcScript: template.script.toString('hex'),
+      refundAddress: template.segwitAddress
+    });
+  }
+}
+
+module.exports = new SwapSizingService();
+module.exports.SwapSizingService = SwapSizingService;
@@ -0,0 +1,45 @@
+/**
+ * Swap states and status normalization, kept free of dependencies so the
+ * swap store can use them without a require cycle through swapLifecycle.
+ */
+
+/**
+ * Swap lifecycle states
+ */
+const SWAP_STATES = {
+  PENDING: 'pending',         // HTLC created, waiting for the user's BTC deposit
+  FUNDED: 'funded',           // Deposit seen paying the HTLC address
+  CONFIRMED: 'confirmed',     // Deposit reached the required confirmation depth
+  ON_HOLD: 'on_hold',         // Counted deposit was reorged out or double-spent
+  TRADING: 'trading',         // Market maker order submitted to CoW Protocol
+  FAILED: 'failed',           // Trade execution failed, may be retried
+  DELIVERED: 'delivered',     // Target tokens delivered to the user's wallet
+  BTC_CLAIMED: 'btc_claimed', // Market maker claimed the HTLC with the preimage
+  REFUNDABLE: 'refundable',   // Timelock reached without delivery, user may refund
+  REFUNDED: 'refunded',       // User reclaimed the BTC through the timelock branch
+  EXPIRED: 'expired'          // No deposit arrived before the swap expired
+};
+
+/**
+ * Statuses written before the lifecycle module existed
+ */
+const LEGACY_STATUSES = {
+  active: SWAP_STATES.PENDING,
+  executing: SWAP_STATES.TRADING,
+  completed: SWAP_STATES.DELIVERED
+};
+
+/**
+ * Map a stored status onto the lifecycle states
+ * @param {string} status - Stored status value
+ * @returns {string} Lifecycle state
+ */
+function normalizeStatus(status) {
+  return LEGACY_STATUSES[status] || status;
+}
+
+module.exports = {
+  SWAP_STATES,
+  LEGACY_STATUSES,
+  normalizeStatus
+};
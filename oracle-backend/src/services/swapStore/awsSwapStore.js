@@ -0,0 +1,128 @@
+const SwapStore = require('./swapStore');
+const awsSecretsService = require('../awsSecretsService');
+const { normalizeStatus } = require('../swapStates');
+const logger = require('../../utils/logger');
+
+const { matchesStatuses } = SwapStore;
+
+/**
+ * Swap store backed by AWS Secrets Manager (one secret per swap).
+ * Each secret carries Status and CreatedAt tags, so swaps can be listed and
+ * filtered from ListSecrets alone and only the records needed are read.
+ */
+class AWSSwapStore extends SwapStore {
+  constructor(secretsService = awsSecretsService) {
+    super('aws', {
+      loadConcurrency: parseInt(process.env.AWS_SWAP_LOAD_CONCURRENCY) || 10
+    });
+    this.secretsService = secretsService;
+  }
+
+  async createSwap(swapId, swapData) {
+    return this.secretsService.storeSwapSecret(swapId, swapData);
+  }
+
+  async getSwap(swapId) {
+    return this.secretsService.getSwapSecret(swapId);
+  }
+
+  async replaceSwap(swapId, swapData, previous) {
+    const result = await this.secretsService.updateSwapSecret(swapId, swapData);
+
+    if (!previous || previous.status !== swapData.status) {
+      await this.tagStatus(swapId, swapData.status);
+    }
+
+    return result;
+  }
+
+  async deleteSwap(swapId) {
+    return this.secretsService.deleteSwapSecret(swapId);
+  }
+
+  async swapExists(swapId) {
+    return this.secretsService.swapExists(swapId);
+  }
+
+  async listSwaps({ statuses } = {}) {
+    const index = await this.listSwapIndex({ statuses });
+    const swaps = await this.getSwaps(index.map((entry) => entry.swapId));
+
+    // A tag can lag the record if tagging failed after an update
+    return swaps.filter((swap) => matchesStatuses(swap, statuses));
+  }
+
+  async listSwapIndex({ statuses } = {}) {
+    const secrets = await this.secretsService.listSwapSecrets();
+    const entries = secrets.map(({ swapId, tags }) => ({
+      swapId,
+      status: tags.Status ? normalizeStatus(tags.Status) : null,
+      createdAt: tags.CreatedAt || null
+    }));
+
+    // Swaps stored before the Status tag existed are read once and tagged
+    const untagged = entries.filter((entry) => !entry.status);
+    for (const swap of await this.getSwaps(untagged.map((entry) => entry.swapId))) {
+      const entry = untagged.find((candidate) => candidate.swapId === swap.swapId);
+      entry.status = normalizeStatus(swap.status);
+      entry.createdAt = swap.createdAt || entry.createdAt;
+      await this.tagStatus(swap.swapId, swap.status);
+    }
+
+    return entries.filter((entry) => entry.status && matchesStatuses(entry, statuses));
+  }
+
+  /**
+   * Keep a swap secret's Status tag in step with its record. Failures are
+   * logged rather than thrown: the record is already written and listSwaps
+   * re-checks loaded records.
+   * @param {string} swapId - Swap identifier
+   * @param {string} status - Stored status
+   */
+  async tagStatus(swapId, status) {
+    if (!status) return;
+
+    try {
+      await this.secretsService.tagSwapSecret(swapId, { Status: normalizeStatus(status) });
+    } catch (error) {
+      logger.error('Failed to update swap status tag', { swapId, status, error: error.message });
+    }
+  }
+
+  async createIdempotencyRecord(key, record) {
+    return this.secretsService.storeIdempotencyRecord(key, record);
+  }
+
+  async getIdempotencyRecord(key) {
+    return this.secretsService.getIdempotencyRecord(key);
+  }
+
+  async replaceIdempotencyRecord(key, record) {
+    return this.secretsService.updateIdempotencyRecord(key, record);
+  }
+
+  async deleteIdempotencyRecord(key) {
+    return this.secretsService.deleteIdempotencyRecord(key);
+  }
+
+  async listIdempotencyRecords() {
+    return this.secretsService.listIdempotencyRecords();
+  }
+
+  async createSettlementClaim(txHash, claim) {
+    return this.secretsService.storeSettlementClaim(txHash, claim);
+  }
+
+  async getSettlementClaim(txHash) {
+    return this.secretsService.getSettlementClaim(txHash);
+  }
+
+  async getHealthStatus() {
+    return {
+      ...(await this.secretsService.getHealthStatus()),
+      store: this.type
+    };
+  }
+}
+
+module.exports = AWSSwapStore;
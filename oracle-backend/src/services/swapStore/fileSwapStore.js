@@ -0,0 +1,299 @@
+const fs = require('fs/promises');
+const path = require('path');
+const SwapStore = require('./swapStore');
+const { matchesStatuses } = SwapStore;
+const { normalizeStatus } = require('../swapStates');
+const { ConflictError, ValidationError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+
+/**
+ * Index entry for a stored swap
+ * @param {string} swapId - Swap identifier
+ * @param {Object} swap - Swap record
+ * @returns {Object} { swapId, status, createdAt }
+ */
+function toIndexEntry(swapId, swap) {
+  return { swapId, status: normalizeStatus(swap.status), createdAt: swap.createdAt || null };
+}
+
+/**
+ * Embedded swap store that keeps one JSON document per swap on local disk.
+ * Writes go to a temporary file first and are renamed into place so a crash
+ * never leaves a half-written record behind. An in-process index of swap
+ * statuses, built from disk on first listing and kept up to date on writes,
+ * lets listings read only the swaps they return; the directory is therefore
+ * owned by one oracle process.
+ */
+class FileSwapStore extends SwapStore {
+  constructor(directory = process.env.SWAP_STORE_PATH || path.join(process.cwd(), 'data', 'swaps')) {
+    super('file');
+    this.directory = path.resolve(directory);
+    this.idempotencyDirectory = path.join(this.directory, 'idempotency');
+    this.settlementDirectory = path.join(this.directory, 'settlements');
+    this.ready = Promise.all([
+      fs.mkdir(this.idempotencyDirectory, { recursive: true }),
+      fs.mkdir(this.settlementDirectory, { recursive: true })
+    ]);
+    this.index = null; // Promise of Map swapId -> { swapId, status, createdAt }
+
+    logger.info('File swap store initialized', { directory: this.directory });
+  }
+
+  /**
+   * Resolve the on-disk path for a swap, rejecting IDs that could escape the store directory
+   * @param {string} swapId - Swap identifier
+   * @returns {string} Absolute file path
+   */
+  swapPath(swapId) {
+    if (typeof swapId !== 'string' || !/^[A-Za-z0-9-]+$/.test(swapId)) {
+      throw new ValidationError('Invalid swap ID');
+    }
+
+    return path.join(this.directory, `${swapId}.json`);
+  }
+
+  async writeRecord(swapId, swapData) {
+    await this.ready;
+
+    const filePath = this.swapPath(swapId);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const record = {
+      ...swapData,
+      storedAt: new Date().toISOString()
+    };
+
+    await fs.writeFile(tmpPath, JSON.stringify(record, null, 2), { mode: 0o600 });
+    await fs.rename(tmpPath, filePath);
+
+    if (this.index) {
+      (await this.index).set(swapId, toIndexEntry(swapId, record));
+    }
+  }
+
+  async createSwap(swapId, swapData) {
+    await this.ready;
+
+    if (await this.swapExists(swapId)) {
+      throw new ConflictError(`Swap ${swapId} already exists`);
+    }
+
+    await this.writeRecord(swapId, swapData);
+
+    logger.info('Stored swap on disk', { swapId });
+    return { success: true, path: this.swapPath(swapId) };
+  }
+
+  async getSwap(swapId) {
+    await this.ready;
+
+    try {
+      const contents = await fs.readFile(this.swapPath(swapId), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+
+      logger.error('Error reading swap from disk:', {
+        swapId,
+        error: error.message
+      });
+      throw new Error('Failed to retrieve swap data');
+    }
+  }
+
+  async replaceSwap(swapId, swapData) {
+    await this.writeRecord(swapId, swapData);
+    return { success: true };
+  }
+
+  async deleteSwap(swapId) {
+    await this.ready;
+
+    try {
+      await fs.unlink(this.swapPath(swapId));
+      if (this.index) {
+        (await this.index).delete(swapId);
+      }
+      return { success: true };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { success: false };
+      }
+      throw error;
+    }
+  }
+
+  async listSwaps({ statuses } = {}) {
+    const index = await this.listSwapIndex({ statuses });
+    const swaps = await this.getSwaps(index.map((entry) => entry.swapId));
+
+    return swaps.filter((swap) => matchesStatuses(swap, statuses));
+  }
+
+  async listSwapIndex({ statuses } = {}) {
+    const index = await this.loadIndex();
+    return [...index.values()].filter((entry) => matchesStatuses(entry, statuses));
+  }
+
+  /**
+   * Build the status index from disk once; later writes keep it current
+   * @returns {Promise<Map>} swapId -> { swapId, status, createdAt }
+   */
+  loadIndex() {
+    if (!this.index) {
+      this.index = (async () => {
+        await this.ready;
+
+        const index = new Map();
+        const files = (await fs.readdir(this.directory)).filter((file) => file.endsWith('.json'));
+        for (const file of files) {
+          const swapId = path.basename(file, '.json');
+          const swap = await this.getSwap(swapId);
+          if (swap) index.set(swapId, toIndexEntry(swapId, swap));
+        }
+        return index;
+      })().catch((error) => {
+        this.index = null;
+        throw error;
+      });
+    }
+
+    return this.index;
+  }
+
+  idempotencyPath(key) {
+    if (typeof key !== 'string' || !/^[a-f0-9]{64}$/.test(key)) {
+      throw new ValidationError('Invalid idempotency key');
+    }
+
+    return path.join(this.idempotencyDirectory, `${key}.json`);
+  }
+
+  async createIdempotencyRecord(key, record) {
+    await this.ready;
+
+    try {
+      // 'wx' fails if the file exists, so concurrent claims cannot both succeed
+      await fs.writeFile(this.idempotencyPath(key), JSON.stringify(record, null, 2), { mode: 0o600, flag: 'wx' });
+      return { success: true };
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new ConflictError('Idempotency key already exists');
+      }
+      throw error;
+    }
+  }
+
+  async getIdempotencyRecord(key) {
+    await this.ready;
+
+    try {
+      return JSON.parse(await fs.readFile(this.idempotencyPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async replaceIdempotencyRecord(key, record) {
+    await this.ready;
+
+    const filePath = this.idempotencyPath(key);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tmpPath, JSON.stringify(record, null, 2), { mode: 0o600 });
+    await fs.rename(tmpPath, filePath);
+    return { success: true };
+  }
+
+  async deleteIdempotencyRecord(key) {
+    await this.ready;
+
+    try {
+      await fs.unlink(this.idempotencyPath(key));
+      return { success: true };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { success: false };
+      }
+      throw error;
+    }
+  }
+
+  async listIdempotencyRecords() {
+    await this.ready;
+
+    const keys = (await fs.readdir(this.idempotencyDirectory))
+      .filter((file) => /^[a-f0-9]{64}\.json$/.test(file))
+      .map((file) => path.basename(file, '.json'));
+    const records = [];
+
+    for (const key of keys) {
+      const record = await this.getIdempotencyRecord(key);
+      if (record) records.push({ key, expiresAt: record.expiresAt || null });
+    }
+
+    return records;
+  }
+
+  settlementPath(txHash) {
+    if (typeof txHash !== 'string' || !/^0x[a-f0-9]{64}$/.test(txHash)) {
+      throw new ValidationError('Invalid settlement transaction hash');
+    }
+
+    return path.join(this.settlementDirectory, `${txHash}.json`);
+  }
+
+  async createSettlementClaim(txHash, claim) {
+    await this.ready;
+
+    try {
+      await fs.writeFile(this.settlementPath(txHash), JSON.stringify(claim, null, 2), { mode: 0o600, flag: 'wx' });
+      return { success: true };
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new ConflictError('Settlement transaction already claimed');
+      }
+      throw error;
+    }
+  }
+
+  async getSettlementClaim(txHash) {
+    await this.ready;
+
+    try {
+      return JSON.parse(await fs.readFile(this.settlementPath(txHash), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getHealthStatus() {
+    try {
+      await this.ready;
+      await fs.access(this.directory, fs.constants.R_OK | fs.constants.W_OK);
+
+      return {
+        status: 'healthy',
+        store: this.type,
+        directory: this.directory,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        store: this.type,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+module.exports = FileSwapStore;
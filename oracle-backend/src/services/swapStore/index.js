@@ -0,0 +1,30 @@
+const AWSSwapStore = require('./awsSwapStore');
+const FileSwapStore = require('./fileSwapStore');
+const MemorySwapStore = require('./memorySwapStore');
+const logger = require('../../utils/logger');
+
+const SWAP_STORE_TYPES = {
+  aws: AWSSwapStore,
+  file: FileSwapStore,
+  memory: MemorySwapStore
+};
+
+/**
+ * Create a swap store for the configured backend
+ * @param {string} type - Backend type (aws, file, memory); defaults to SWAP_STORE
+ * @returns {SwapStore} Swap store instance
+ */
+function createSwapStore(type = process.env.SWAP_STORE || 'aws') {
+  const StoreClass = SWAP_STORE_TYPES[type];
+
+  if (!StoreClass) {
+    throw new Error(`Unsupported swap store: ${type}. Supported stores: ${Object.keys(SWAP_STORE_TYPES).join(', ')}`);
+  }
+
+  logger.info('Using swap store backend', { type });
+  return new StoreClass();
+}
+
+module.exports = createSwapStore();
+module.exports.createSwapStore = createSwapStore;
+module.exports.SWAP_STORE_TYPES = SWAP_STORE_TYPES;
@@ -0,0 +1,109 @@
+const SwapStore = require('./swapStore');
+const { matchesStatuses } = SwapStore;
+const { ConflictError } = require('../../middleware/errorHandler');
+const logger = require('../../utils/logger');
+
+/**
+ * In-memory swap store for tests and throwaway local runs.
+ * Records are serialized on the way in and out so callers never share
+ * references with the store, matching the behavior of persistent backends.
+ */
+class MemorySwapStore extends SwapStore {
+  constructor() {
+    super('memory');
+    this.swaps = new Map();
+    this.idempotencyRecords = new Map();
+    this.settlementClaims = new Map();
+
+    logger.warn('Using in-memory swap store - swap data will be lost on restart');
+  }
+
+  async createSwap(swapId, swapData) {
+    if (this.swaps.has(swapId)) {
+      throw new ConflictError(`Swap ${swapId} already exists`);
+    }
+
+    this.swaps.set(swapId, JSON.stringify({
+      ...swapData,
+      storedAt: new Date().toISOString()
+    }));
+
+    logger.info('Stored swap in memory', { swapId });
+    return { success: true };
+  }
+
+  async getSwap(swapId) {
+    const record = this.swaps.get(swapId);
+    return record ? JSON.parse(record) : null;
+  }
+
+  async replaceSwap(swapId, swapData) {
+    this.swaps.set(swapId, JSON.stringify({
+      ...swapData,
+      storedAt: new Date().toISOString()
+    }));
+
+    return { success: true };
+  }
+
+  async deleteSwap(swapId) {
+    return { success: this.swaps.delete(swapId) };
+  }
+
+  async listSwaps({ statuses } = {}) {
+    return Array.from(this.swaps.values(), (record) => JSON.parse(record))
+      .filter((swap) => matchesStatuses(swap, statuses));
+  }
+
+  async createIdempotencyRecord(key, record) {
+    if (this.idempotencyRecords.has(key)) {
+      throw new ConflictError('Idempotency key already exists');
+    }
+
+    this.idempotencyRecords.set(key, JSON.stringify(record));
+    return { success: true };
+  }
+
+  async getIdempotencyRecord(key) {
+    const record = this.idempotencyRecords.get(key);
+    return record ? JSON.parse(record) : null;
+  }
+
+  async replaceIdempotencyRecord(key, record) {
+    this.idempotencyRecords.set(key, JSON.stringify(record));
+    return { success: true };
+  }
+
+  async deleteIdempotencyRecord(key) {
+    return { success: this.idempotencyRecords.delete(key) };
+  }
+
+  async listIdempotencyRecords() {
+    return Array.from(this.idempotencyRecords, ([key, record]) => ({ key, expiresAt: JSON.parse(record).expiresAt }));
+  }
+
+  async createSettlementClaim(txHash, claim) {
+    if (this.settlementClaims.has(txHash)) {
+      throw new ConflictError('Settlement transaction already claimed');
+    }
+
+    this.settlementClaims.set(txHash, JSON.stringify(claim));
+    return { success: true };
+  }
+
+  async getSettlementClaim(txHash) {
+    const claim = this.settlementClaims.get(txHash);
+    return claim ? JSON.parse(claim) : null;
+  }
+
+  async getHealthStatus() {
+    return {
+      status: 'healthy',
+      store: this.type,
+      swapCount: this.swaps.size,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = MemorySwapStore;
@@ -0,0 +1,504 @@
+const { NotFoundError, ValidationError } = require('../../middleware/errorHandler');
+const { normalizeStatus } = require('../swapStates');
+
+const SORTABLE_FIELDS = ['createdAt', 'expiresAt', 'btcAmount', 'lastUpdated'];
+
+// Filters a swap index entry ({ swapId, status, createdAt }) can answer without loading the swap
+const INDEXED_FILTERS = ['status', 'createdFrom', 'createdTo'];
+
+/**
+ * Base class for swap persistence backends.
+ *
+ * Backends implement createSwap, getSwap, replaceSwap, deleteSwap, listSwaps
+ * and getHealthStatus, plus the idempotency and settlement claim primitives; read-modify-write,
+ * query and idempotency helpers live here so every backend applies them the same way.
+ */
+class SwapStore {
+  constructor(type, { loadConcurrency = 1 } = {}) {
+    this.type = type;
+    this.locks = new Map(); // swapId -> tail of pending update chain
+    this.loadConcurrency = loadConcurrency; // Swaps getSwaps loads at once
+  }
+
+  /**
+   * Persist a new swap record
+   * @param {string} swapId - Unique swap identifier
+   * @param {Object} swapData - Complete swap data including preimage
+   * @returns {Promise<Object>} Storage result
+   */
+  async createSwap(swapId, swapData) {
+    throw new Error(`${this.type} swap store does not implement createSwap`);
+  }
+
+  /**
+   * Retrieve a swap record
+   * @param {string} swapId - Swap identifier
+   * @returns {Promise<Object|null>} Swap data or null if not found
+   */
+  async getSwap(swapId) {
+    throw new Error(`${this.type} swap store does not implement getSwap`);
+  }
+
+  /**
+   * Overwrite an existing swap record
+   * @param {string} swapId - Swap identifier
+   * @param {Object} swapData - Complete swap data
+   * @param {Object} previous - Record being replaced, when the caller has it
+   * @returns {Promise<Object>} Storage result
+   */
+  async replaceSwap(swapId, swapData, previous) {
+    throw new Error(`${this.type} swap store does not implement replaceSwap`);
+  }
+
+  /**
+   * Delete a swap record
+   * @param {string} swapId - Swap identifier
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteSwap(swapId) {
+    throw new Error(`${this.type} swap store does not implement deleteSwap`);
+  }
+
+  /**
+   * List stored swap records
+   * @param {Object} options - List options
+   * @param {Array<string>} options.statuses - Only return swaps in these lifecycle states
+   *   (legacy statuses count as their lifecycle state); all swaps when omitted
+   * @returns {Promise<Array<Object>>} Swap records
+   */
+  async listSwaps({ statuses } = {}) {
+    throw new Error(`${this.type} swap store does not implement listSwaps`);
+  }
+
+  /**
+   * List { swapId, status, createdAt } for stored swaps without loading the records.
+   * Backends where loading every record is expensive implement this so queries
+   * load only the swaps they return.
+   * @param {Object} options - List options
+   * @param {Array<string>} options.statuses - Only list swaps in these lifecycle states
+   * @returns {Promise<Array<Object>|null>} Index entries, or null if the backend keeps no index
+   */
+  async listSwapIndex({ statuses } = {}) {
+    return null;
+  }
+
+  /**
+   * Load several swap records, at most loadConcurrency at a time
+   * @param {Array<string>} swapIds - Swap identifiers
+   * @returns {Promise<Array<Object>>} Swap records in the given order, skipping missing swaps
+   */
+  async getSwaps(swapIds) {
+    const swaps = new Array(swapIds.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < swapIds.length) {
+        const index = next++;
+        swaps[index] = await this.getSwap(swapIds[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.loadConcurrency, swapIds.length) }, worker));
+    return swaps.filter(Boolean);
+  }
+
+  /**
+   * Get backend health and configuration
+   * @returns {Promise<Object>} Backend health status
+   */
+  async getHealthStatus() {
+    throw new Error(`${this.type} swap store does not implement getHealthStatus`);
+  }
+
+  /**
+   * Persist a new idempotency record
+   * @param {string} key - Hashed idempotency key
+   * @param {Object} record - Idempotency record
+   * @returns {Promise<Object>} Storage result
+   * @throws {ConflictError} If a record already exists for the key
+   */
+  async createIdempotencyRecord(key, record) {
+    throw new Error(`${this.type} swap store does not implement createIdempotencyRecord`);
+  }
+
+  /**
+   * Retrieve an idempotency record
+   * @param {string} key - Hashed idempotency key
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async getIdempotencyRecord(key) {
+    throw new Error(`${this.type} swap store does not implement getIdempotencyRecord`);
+  }
+
+  /**
+   * Overwrite an existing idempotency record
+   * @param {string} key - Hashed idempotency key
+   * @param {Object} record - Idempotency record
+   * @returns {Promise<Object>} Storage result
+   */
+  async replaceIdempotencyRecord(key, record) {
+    throw new Error(`${this.type} swap store does not implement replaceIdempotencyRecord`);
+  }
+
+  /**
+   * Delete an idempotency record
+   * @param {string} key - Hashed idempotency key
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteIdempotencyRecord(key) {
+    throw new Error(`${this.type} swap store does not implement deleteIdempotencyRecord`);
+  }
+
+  /**
+   * List stored idempotency records with their expiry
+   * @returns {Promise<Array<Object>>} { key, expiresAt } per record; expiresAt may be null if unknown
+   */
+  async listIdempotencyRecords() {
+    throw new Error(`${this.type} swap store does not implement listIdempotencyRecords`);
+  }
+
+  /**
+   * Persist the record binding a settlement transaction to the swap it unlocked
+   * @param {string} txHash - Settlement transaction hash, lowercase
+   * @param {Object} claim - { txHash, swapId, claimedAt }
+   * @returns {Promise<Object>} Storage result
+   * @throws {ConflictError} If the transaction is already bound to a swap
+   */
+  async createSettlementClaim(txHash, claim) {
+    throw new Error(`${this.type} swap store does not implement createSettlementClaim`);
+  }
+
+  /**
+   * Retrieve the swap a settlement transaction is bound to
+   * @param {string} txHash - Settlement transaction hash, lowercase
+   * @returns {Promise<Object|null>} Claim or null if the transaction unlocked no swap yet
+   */
+  async getSettlementClaim(txHash) {
+    throw new Error(`${this.type} swap store does not implement getSettlementClaim`);
+  }
+
+  /**
+   * Reserve an idempotency key for a request, or return the record already holding it.
+   * Expired records, and in-progress records abandoned for longer than
+   * staleAfterMs, are replaced by a fresh claim.
+   * @param {string} key - Hashed idempotency key
+   * @param {Object} options
+   * @param {string} options.fingerprint - Hash of the request body
+   * @param {number} options.ttlMs - How long the key is kept
+   * @param {number} options.staleAfterMs - When an unfinished claim may be taken over
+   * @returns {Promise<Object>} { claimed, record }
+   */
+  async claimIdempotencyKey(key, { fingerprint, ttlMs, staleAfterMs }) {
+    return this.withLock(`idempotency:${key}`, async () => {
+      const now = Date.now();
+      const existing = await this.getIdempotencyRecord(key);
+
+      if (existing) {
+        const expired = new Date(existing.expiresAt).getTime() <= now;
+        const abandoned = existing.status === 'in_progress' &&
+          now - new Date(existing.createdAt).getTime() > staleAfterMs;
+
+        if (!expired && !abandoned) {
+          return { claimed: false, record: existing };
+        }
+
+        await this.deleteIdempotencyRecord(key);
+      }
+
+      const record = {
+        key,
+        fingerprint,
+        status: 'in_progress',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+      };
+
+      try {
+        await this.createIdempotencyRecord(key, record);
+      } catch (error) {
+        // Claimed by another oracle instance in the meantime
+        if (error.name === 'ConflictError') {
+          return { claimed: false, record: await this.getIdempotencyRecord(key) };
+        }
+        throw error;
+      }
+
+      return { claimed: true, record };
+    });
+  }
+
+  /**
+   * Store the response for a claimed idempotency key so retries can replay it
+   * @param {string} key - Hashed idempotency key
+   * @param {Object} response - { statusCode, body, swapId }
+   * @returns {Promise<Object>} The completed record
+   */
+  async completeIdempotencyKey(key, response) {
+    return this.withLock(`idempotency:${key}`, async () => {
+      const current = await this.getIdempotencyRecord(key);
+      if (!current) {
+        throw new NotFoundError('Idempotency key not found');
+      }
+
+      const completed = {
+        ...current,
+        ...response,
+        status: 'completed',
+        completedAt: new Date().toISOString()
+      };
+
+      await this.replaceIdempotencyRecord(key, completed);
+      return completed;
+    });
+  }
+
+  /**
+   * Release a claimed idempotency key after a failed request so it can be retried
+   * @param {string} key - Hashed idempotency key
+   */
+  async releaseIdempotencyKey(key) {
+    return this.withLock(`idempotency:${key}`, () => this.deleteIdempotencyRecord(key));
+  }
+
+  /**
+   * Delete idempotency records past their expiry. Each record is re-read
+   * under its key's lock, so a key reclaimed in the meantime is kept.
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async purgeExpiredIdempotencyRecords() {
+    let purged = 0;
+
+    for (const { key, expiresAt } of await this.listIdempotencyRecords()) {
+      if (expiresAt && new Date(expiresAt).getTime() > Date.now()) {
+        continue;
+      }
+
+      const deleted = await this.withLock(`idempotency:${key}`, async () => {
+        const current = await this.getIdempotencyRecord(key);
+        if (!current || new Date(current.expiresAt).getTime() > Date.now()) {
+          return false;
+        }
+
+        await this.deleteIdempotencyRecord(key);
+        return true;
+      });
+
+      if (deleted) purged++;
+    }
+
+    return purged;
+  }
+
+  /**
+   * Bind a settlement transaction to the swap it unlocks, so it cannot be
+   * presented again to unlock a different swap
+   * @param {string} txHash - Settlement transaction hash
+   * @param {string} swapId - Swap identifier
+   * @returns {Promise<Object>} { claimed, swapId } with the swap the transaction is bound to
+   */
+  async claimSettlementTx(txHash, swapId) {
+    const normalized = txHash.toLowerCase();
+
+    return this.withLock(`settlement:${normalized}`, async () => {
+      const existing = await this.getSettlementClaim(normalized);
+      if (existing) {
+        return { claimed: existing.swapId === swapId, swapId: existing.swapId };
+      }
+
+      try {
+        await this.createSettlementClaim(normalized, { txHash: normalized, swapId, claimedAt: new Date().toISOString() });
+      } catch (error) {
+        // Claimed by another oracle instance in the meantime
+        if (error.name === 'ConflictError') {
+          const claim = await this.getSettlementClaim(normalized);
+          return { claimed: claim.swapId === swapId, swapId: claim.swapId };
+        }
+        throw error;
+      }
+
+      return { claimed: true, swapId };
+    });
+  }
+
+  /**
+   * Merge updates into an existing swap record
+   * @param {string} swapId - Swap identifier
+   * @param {Object|Function} updates - Fields to merge, or a function receiving
+   *   the current record and returning the fields to merge
+   * @returns {Promise<Object>} The updated swap record
+   */
+  async updateSwap(swapId, updates) {
+    return this.withLock(swapId, async () => {
+      const current = await this.getSwap(swapId);
+
+      if (!current) {
+        throw new NotFoundError('Swap not found');
+      }
+
+      const changes = typeof updates === 'function' ? await updates(current) : updates;
+      const updated = {
+        ...current,
+        ...changes,
+        lastUpdated: new Date().toISOString()
+      };
+
+      await this.replaceSwap(swapId, updated, current);
+      return updated;
+    });
+  }
+
+  /**
+   * Check if a swap record exists
+   * @param {string} swapId - Swap identifier
+   * @returns {Promise<boolean>} True if the swap exists
+   */
+  async swapExists(swapId) {
+    return (await this.getSwap(swapId)) !== null;
+  }
+
+  /**
+   * Filter, sort and paginate swap records
+   * @param {Object} query - Query options
+   * @param {Object} query.filters - Field filters (status, userEthWallet, userBtcAddress,
+   *   mmId, mmPubkey, targetToken, createdFrom, createdTo, expiresFrom, expiresTo)
+   * @param {string} query.sortBy - Field to sort by
+   * @param {string} query.order - Sort direction (asc, desc)
+   * @param {number} query.limit - Maximum number of records to return
+   * @param {string} query.cursor - Opaque cursor returned by a previous page
+   * @returns {Promise<Object>} Matching swaps and the cursor for the next page
+   */
+  async querySwaps({ filters = {}, sortBy = 'createdAt', order = 'desc', limit = 50, cursor = null } = {}) {
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+      throw new ValidationError(`Cannot sort swaps by ${sortBy}`);
+    }
+
+    const direction = order === 'asc' ? 1 : -1;
+    const sortKey = (swap) => {
+      const value = swap[sortBy];
+      if (sortBy === 'btcAmount') return Number(value) || 0;
+      return value ? new Date(value).getTime() : 0;
+    };
+    const compare = (a, b) => {
+      const diff = sortKey(a) - sortKey(b);
+      if (diff !== 0) return diff * direction;
+      return String(a.swapId).localeCompare(String(b.swapId)) * direction;
+    };
+    const after = cursor ? decodeCursor(cursor) : null;
+    const paginate = (items) => {
+      const sorted = items.sort(compare);
+      return after
+        ? sorted.filter((item) => compare(item, { [sortBy]: after.value, swapId: after.swapId }) > 0)
+        : sorted;
+    };
+
+    const statuses = filters.status ? [].concat(filters.status) : undefined;
+    const indexable = sortBy === 'createdAt' && Object.entries(filters)
+      .every(([key, value]) => value === undefined || value === null || INDEXED_FILTERS.includes(key));
+    const index = indexable ? await this.listSwapIndex({ statuses }) : null;
+
+    if (index) {
+      // Page over the index and load only the swaps on the page
+      const entries = paginate(index.filter((entry) => matchesFilters(entry, filters)));
+      const pageEntries = entries.slice(0, limit);
+      const hasMore = entries.length > limit;
+      const last = pageEntries[pageEntries.length - 1];
+
+      return {
+        swaps: await this.getSwaps(pageEntries.map((entry) => entry.swapId)),
+        hasMore,
+        nextCursor: hasMore && last ? encodeCursor({ value: last[sortBy], swapId: last.swapId }) : null
+      };
+    }
+
+    const swaps = paginate((await this.listSwaps({ statuses })).filter((swap) => matchesFilters(swap, filters)));
+    const page = swaps.slice(0, limit);
+    const hasMore = swaps.length > limit;
+    const last = page[page.length - 1];
+
+    return {
+      swaps: page,
+      hasMore,
+      nextCursor: hasMore && last ? encodeCursor({ value: last[sortBy], swapId: last.swapId }) : null
+    };
+  }
+
+  /**
+   * Serialize read-modify-write operations on a single swap
+   * @param {string} swapId - Swap identifier
+   * @param {Function} operation - Async operation to run exclusively
+   * @returns {Promise<any>} Operation result
+   */
+  async withLock(swapId, operation) {
+    const previous = this.locks.get(swapId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    const tail = current.catch(() => {});
+
+    this.locks.set(swapId, tail);
+    tail.then(() => {
+      if (this.locks.get(swapId) === tail) {
+        this.locks.delete(swapId);
+      }
+    });
+
+    return current;
+  }
+}
+
+/**
+ * Check a swap record against query filters
+ * @param {Object} swap - Swap record
+ * @param {Object} filters - Query filters
+ * @returns {boolean} True if the swap matches every filter
+ */
+function matchesFilters(swap, filters) {
+  const equalsIgnoreCase = (a, b) => String(a || '').toLowerCase() === String(b).toLowerCase();
+  const within = (value, from, to) => {
+    if (!from && !to) return true;
+    if (!value) return false;
+    const time = new Date(value).getTime();
+    if (from && time < new Date(from).getTime()) return false;
+    if (to && time > new Date(to).getTime()) return false;
+    return true;
+  };
+
+  if (filters.status && !matchesStatuses(swap, [].concat(filters.status))) return false;
+  if (filters.userEthWallet && !equalsIgnoreCase(swap.userEthWallet, filters.userEthWallet)) return false;
+  if (filters.userBtcAddress && swap.userBtcAddress !== filters.userBtcAddress) return false;
+  if (filters.mmId && swap.mmId !== filters.mmId) return false;
+  if (filters.mmPubkey && !equalsIgnoreCase(swap.mmPubkey, filters.mmPubkey)) return false;
+  if (filters.targetToken && !equalsIgnoreCase(swap.targetToken, filters.targetToken)) return false;
+  if (!within(swap.createdAt, filters.createdFrom, filters.createdTo)) return false;
+  if (!within(swap.expiresAt, filters.expiresFrom, filters.expiresTo)) return false;
+
+  return true;
+}
+
+/**
+ * Check a swap record's lifecycle state against a status list
+ * @param {Object} swap - Swap record
+ * @param {Array<string>} statuses - Lifecycle states; any state matches when omitted
+ * @returns {boolean} True if the swap is in one of the states
+ */
+function matchesStatuses(swap, statuses) {
+  return !statuses || statuses.includes(normalizeStatus(swap.status));
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!position || typeof position.swapId !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+    return position;
+  } catch (error) {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+}
+
+module.exports = SwapStore;
+module.exports.SORTABLE_FIELDS = SORTABLE_FIELDS;
+module.exports.matchesStatuses = matchesStatuses;
@@ -0,0 +1,320 @@
+const { Server } = require('socket.io');
+const swapStore = require('./swapStore');
+const swapEvents = require('./swapEvents');
+const { serializeSwap } = require('../utils/swapSerializer');
+const CryptoUtils = require('../utils/cryptoUtils');
+const { isValidDonToken, resolveApiKey } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const swapRoom = (swapId) => `swap:${swapId}`;
+
+/**
+ * Real-time swap status stream over socket.io.
+ * Clients subscribe to swap IDs and receive every swap event as it is
+ * published. Recent events are kept per swap so a client reconnecting with
+ * the last event ID it saw gets the missed events replayed; if that event is
+ * no longer known it receives a snapshot of the current swap instead.
+ *
+ * Connections authenticate at the handshake with a Chainlink DON token, an
+ * API key (following the swaps it owns, or any swap for operators), or the
+ * per-swap stream tokens returned by create-preimage.
+ */
+class SwapStreamService {
+  constructor() {
+    this.io = null;
+    this.path = process.env.SWAP_STREAM_PATH || '/api/swaps/stream';
+    this.replayLimit = parseInt(process.env.SWAP_STREAM_REPLAY_LIMIT || '100');
+    this.maxTrackedSwaps = parseInt(process.env.SWAP_STREAM_MAX_TRACKED_SWAPS || '1000');
+    this.maxSubscriptions = parseInt(process.env.SWAP_STREAM_MAX_SUBSCRIPTIONS || '20');
+    // swapId -> recent events, oldest first; Map order doubles as LRU order
+    this.history = new Map();
+    this.tokenSecret = process.env.SWAP_STREAM_TOKEN_SECRET;
+    if (!this.tokenSecret) {
+      // Tokens issued before a restart stop working
+      this.tokenSecret = CryptoUtils.generateRandomHex(32);
+      logger.warn('SWAP_STREAM_TOKEN_SECRET is not set, using a per-process stream token secret');
+    }
+
+    swapEvents.on('event', (event, swap) => this.broadcast(event, swap));
+  }
+
+  /**
+   * Attach the stream to the HTTP server
+   * @param {http.Server} server - Server returned by app.listen
+   * @param {Object} options
+   * @param {Array<string>} options.allowedOrigins - Browser origins allowed to connect
+   */
+  attach(server, { allowedOrigins = [] } = {}) {
+    this.io = new Server(server, {
+      path: this.path,
+      cors: {
+        origin: allowedOrigins,
+        methods: ['GET', 'POST'],
+        credentials: true
+      }
+    });
+
+    this.io.use((socket, next) => this.authorizeHandshake(socket, next));
+
+    this.io.on('connection', (socket) => {
+      logger.debug('Swap stream client connected', { socketId: socket.id });
+
+      socket.on('subscribe', (payload, ack) => {
+        this.subscribe(socket, payload)
+          .then((result) => typeof ack === 'function' && ack(result))
+          .catch((error) => {
+            logger.error('Swap stream subscription failed:', error);
+            if (typeof ack === 'function') {
+              ack({ success: false, error: 'Internal server error' });
+            }
+          });
+      });
+
+      socket.on('unsubscribe', (payload, ack) => {
+        const result = this.unsubscribe(socket, payload);
+        if (typeof ack === 'function') ack(result);
+      });
+
+      socket.on('disconnect', (reason) => {
+        logger.debug('Swap stream client disconnected', { socketId: socket.id, reason });
+      });
+    });
+
+    logger.info('Swap status stream attached', { path: this.path });
+  }
+
+  /**
+   * Issue the token that lets a swap's creator follow it without an API key
+   * @param {string} swapId - Swap identifier
+   * @returns {string} Stream token
+   */
+  issueStreamToken(swapId) {
+    return CryptoUtils.hmacSha256(this.tokenSecret, `swap-stream:${swapId}`).toString('hex');
+  }
+
+  /**
+   * Check a stream token against the swap it was issued for
+   * @param {string} swapId - Swap identifier
+   * @param {string} token - Presented stream token
+   * @returns {boolean} True if the token was issued for the swap
+   */
+  verifyStreamToken(swapId, token) {
+    if (typeof token !== 'string' || !token) {
+      return false;
+    }
+
+    return CryptoUtils.secureCompare(Buffer.from(token), Buffer.from(this.issueStreamToken(swapId)));
+  }
+
+  /**
+   * Resolve the credentials a client sent with its handshake
+   * @param {Object} credentials - socket.handshake.auth
+   * @param {string} credentials.token - Chainlink DON token
+   * @param {string} credentials.apiKey - API key
+   * @param {Object} credentials.streamTokens - Stream token per swap ID
+   * @returns {Object|null} Connection auth, or null if no valid credentials were sent
+   */
+  authenticate(credentials = {}) {
+    const { token, apiKey, streamTokens } = credentials || {};
+
+    if (token) {
+      return isValidDonToken(token) ? { type: 'chainlink-don' } : null;
+    }
+
+    if (apiKey) {
+      const keyAuth = resolveApiKey(apiKey);
+      return keyAuth ? { type: 'api-key', ...keyAuth } : null;
+    }
+
+    if (streamTokens && typeof streamTokens === 'object' && Object.keys(streamTokens).length > 0) {
+      return { type: 'swap-owner', streamTokens };
+    }
+
+    return null;
+  }
+
+  /**
+   * socket.io middleware refusing connections without valid credentials
+   * @param {Socket} socket - Connecting socket
+   * @param {Function} next - Continue or fail the handshake
+   */
+  authorizeHandshake(socket, next) {
+    const auth = this.authenticate(socket.handshake.auth);
+
+    if (!auth) {
+      logger.security('Swap stream connection refused', {
+        socketId: socket.id,
+        ip: socket.handshake.address
+      });
+      return next(new Error('Authentication required'));
+    }
+
+    socket.data.auth = auth;
+    next();
+  }
+
+  /**
+   * Whether a connection may follow a swap
+   * @param {Object} auth - Connection auth from authenticate
+   * @param {Object} swap - Stored swap record
+   * @returns {boolean} True if the swap's events may be sent to the connection
+   */
+  canFollow(auth, swap) {
+    if (!auth) return false;
+
+    switch (auth.type) {
+      case 'chainlink-don':
+        return true;
+      case 'api-key':
+        return auth.role === 'operator' || (Boolean(swap.ownerKeyId) && swap.ownerKeyId === auth.keyId);
+      case 'swap-owner':
+        return this.verifyStreamToken(swap.swapId, auth.streamTokens[swap.swapId]);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Subscribe a socket to swaps, replaying what it missed
+   * @param {Socket} socket - Client socket
+   * @param {Object} payload
+   * @param {Array<string>} payload.swapIds - Swaps to follow
+   * @param {Object} payload.lastEventIds - Last event ID seen per swap, when resuming
+   * @returns {Promise<Object>} Acknowledgement
+   */
+  async subscribe(socket, payload = {}) {
+    const { swapIds, lastEventIds = {} } = payload || {};
+
+    if (!Array.isArray(swapIds) || swapIds.length === 0 ||
+        !swapIds.every((swapId) => typeof swapId === 'string' && UUID_PATTERN.test(swapId))) {
+      return { success: false, error: 'swapIds must be a non-empty array of swap IDs' };
+    }
+
+    const joined = [...socket.rooms].filter((room) => room.startsWith('swap:')).length;
+    const added = swapIds.filter((swapId) => !socket.rooms.has(swapRoom(swapId)));
+    if (joined + added.length > this.maxSubscriptions) {
+      return { success: false, error: `At most ${this.maxSubscriptions} swaps can be followed per connection` };
+    }
+
+    const subscribed = [];
+    const notFound = [];
+
+    for (const swapId of swapIds) {
+      const swap = await swapStore.getSwap(swapId);
+      // Swaps the connection may not follow are reported as not found, so
+      // their existence is not revealed either
+      if (!swap || !this.canFollow(socket.data.auth, swap)) {
+        notFound.push(swapId);
+        continue;
+      }
+
+      // Join before replaying so nothing published in between is lost;
+      // clients de-duplicate on event ID
+      socket.join(swapRoom(swapId));
+      subscribed.push(swapId);
+
+      const missed = this.eventsSince(swapId, lastEventIds[swapId]);
+      if (missed) {
+        missed.forEach((event) => socket.emit('swapEvent', event));
+      } else {
+        socket.emit('swapSnapshot', {
+          swapId,
+          lastEventId: this.latestEventId(swapId),
+          swap: serializeSwap(swap)
+        });
+      }
+    }
+
+    logger.debug('Swap stream subscription', { socketId: socket.id, subscribed, notFound });
+
+    return {
+      success: true,
+      data: { subscribed, notFound }
+    };
+  }
+
+  /**
+   * Stop following swaps
+   * @param {Socket} socket - Client socket
+   * @param {Object} payload
+   * @param {Array<string>} payload.swapIds - Swaps to stop following
+   * @returns {Object} Acknowledgement
+   */
+  unsubscribe(socket, payload = {}) {
+    const { swapIds } = payload || {};
+    if (!Array.isArray(swapIds)) {
+      return { success: false, error: 'swapIds must be an array of swap IDs' };
+    }
+
+    swapIds.forEach((swapId) => socket.leave(swapRoom(swapId)));
+    return { success: true, data: { unsubscribed: swapIds } };
+  }
+
+  /**
+   * Remember an event and push it to the swap's subscribers
+   * @param {Object} event - Published swap event
+   * @param {Object} swap - Swap record after the change
+   */
+  broadcast(event, swap) {
+    const streamEvent = {
+      id: event.id,
+      type: event.type,
+      swapId: event.swapId,
+      occurredAt: event.occurredAt,
+      data: {
+        ...event.data,
+        swap: serializeSwap(swap)
+      }
+    };
+
+    const events = this.history.get(event.swapId) || [];
+    this.history.delete(event.swapId);
+    events.push(streamEvent);
+    if (events.length > this.replayLimit) {
+      events.splice(0, events.length - this.replayLimit);
+    }
+    this.history.set(event.swapId, events);
+
+    // Forget the least recently active swaps
+    while (this.history.size > this.maxTrackedSwaps) {
+      this.history.delete(this.history.keys().next().value);
+    }
+
+    if (this.io) {
+      this.io.to(swapRoom(event.swapId)).emit('swapEvent', streamEvent);
+    }
+  }
+
+  /**
+   * Events published after a given event
+   * @param {string} swapId - The swap ID
+   * @param {string} lastEventId - Last event the client saw
+   * @returns {Array<Object>|null} Missed events, or null if the client needs a snapshot
+   */
+  eventsSince(swapId, lastEventId) {
+    if (!lastEventId) return null;
+
+    const events = this.history.get(swapId) || [];
+    const index = events.findIndex((event) => event.id === lastEventId);
+    return index === -1 ? null : events.slice(index + 1);
+  }
+
+  latestEventId(swapId) {
+    const events = this.history.get(swapId);
+    return events && events.length > 0 ? events[events.length - 1].id : null;
+  }
+
+  /**
+   * Disconnect all clients so the HTTP server can close
+   */
+  cleanup() {
+    if (this.io) {
+      this.io.disconnectSockets(true);
+    }
+  }
+}
+
+module.exports = new SwapStreamService();
+module.exports.SwapStreamService = SwapStreamService;
@@ -0,0 +1,133 @@
+const chainData = require('./chainData');
+const logger = require('../utils/logger');
+
+const TIMELOCK_TYPES = {
+  ABSOLUTE: 'absolute', // OP_CHECKLOCKTIMEVERIFY against a block height
+  RELATIVE: 'relative'  // OP_CHECKSEQUENCEVERIFY against the funding output's depth
+};
+
+// Largest relative lock BIP68 can express in blocks
+const MAX_RELATIVE_BLOCKS = 0xffff;
+// CLTV values at or above this are interpreted as unix timestamps, not heights
+const LOCKTIME_THRESHOLD = 500000000;
+
+/**
+ * Service for turning HTLC lock durations into chain-anchored lock heights and expiry times
+ */
+class TimelockService {
+  constructor() {
+    this.chainData = chainData;
+    // Number of recent blocks used to measure the actual block interval
+    this.sampleBlocks = parseInt(process.env.BLOCK_INTERVAL_SAMPLE || '144');
+    this.targetBlockIntervalSec = 600;
+  }
+
+  /**
+   * Compute the lock for a new HTLC from the current chain tip
+   * @param {Object} params
+   * @param {number} params.duration - Lock duration in blocks
+   * @param {string} params.type - absolute (CLTV) or relative (CSV)
+   * @returns {Promise<Object>} Relative duration, absolute lock height and chain-derived expiry
+   */
+  async computeTimelock({ duration, type = TIMELOCK_TYPES.ABSOLUTE }) {
+    if (!Object.values(TIMELOCK_TYPES).includes(type)) {
+      throw new Error(`Unknown timelock type: ${type}`);
+    }
+    if (type === TIMELOCK_TYPES.RELATIVE && duration > MAX_RELATIVE_BLOCKS) {
+      throw new Error(`Relative timelock cannot exceed ${MAX_RELATIVE_BLOCKS} blocks`);
+    }
+
+    const chain = await this.getChainTime();
+    const lockHeight = chain.tipHeight + duration;
+
+    if (lockHeight >= LOCKTIME_THRESHOLD) {
+      throw new Error('Lock height exceeds the block-height locktime range');
+    }
+
+    const timelock = {
+      timelockType: type,
+      timelock: duration,
+      // For relative locks this assumes the deposit confirms in the next block;
+      // the monitor replaces it with the real height once the deposit confirms
+      lockHeight,
+      // Value pushed before CLTV / CSV in the refund branch
+      scriptLocktime: type === TIMELOCK_TYPES.ABSOLUTE ? lockHeight : duration,
+      createdAtHeight: chain.tipHeight,
+      expiresAt: this.estimateTimeAtHeight(lockHeight, chain).toISOString()
+    };
+
+    logger.info('Computed HTLC timelock', {
+      type,
+      duration,
+      tipHeight: chain.tipHeight,
+      lockHeight,
+      expiresAt: timelock.expiresAt
+    });
+
+    return timelock;
+  }
+
+  /**
+   * Anchor a relative lock to the height at which the funding output confirmed
+   * @param {number} duration - Relative lock in blocks
+   * @param {number} fundingHeight - Height of the block containing the deposit
+   * @returns {Promise<Object>} Absolute lock height and expiry
+   */
+  async anchorRelativeTimelock(duration, fundingHeight) {
+    const chain = await this.getChainTime();
+    const lockHeight = fundingHeight + duration;
+
+    return {
+      lockHeight,
+      expiresAt: this.estimateTimeAtHeight(lockHeight, chain).toISOString()
+    };
+  }
+
+  /**
+   * Read the chain tip and the block interval observed over recent blocks
+   * @returns {Promise<Object>} Tip height, tip timestamp and average interval in seconds
+   */
+  async getChainTime() {
+    const tipHeight = await this.chainData.getBlockCount();
+    const tipBlock = await this.chainData.getBlockByHeight(tipHeight);
+
+    let blockIntervalSec = this.targetBlockIntervalSec;
+    const span = Math.min(this.sampleBlocks, tipHeight);
+
+    if (span > 0) {
+      try {
+        const pastBlock = await this.chainData.getBlockByHeight(tipHeight - span);
+        const measured = (tipBlock.timestamp - pastBlock.timestamp) / span;
+        if (measured > 0) {
+          blockIntervalSec = measured;
+        }
+      } catch (error) {
+        logger.warn('Could not measure block interval, using target spacing', { error: error.message });
+      }
+    }
+
+    return {
+      tipHeight,
+      tipTimestamp: tipBlock.timestamp,
+      blockIntervalSec
+    };
+  }
+
+  /**
+   * Estimate when a block height will be reached
+   * @param {number} height - Target block height
+   * @param {Object} chain - Result of getChainTime
+   * @returns {Date} Estimated time of the block
+   */
+  estimateTimeAtHeight(height, chain) {
+    const blocksAhead = height - chain.tipHeight;
+    const tipTime = chain.tipTimestamp * 1000;
+    // A stale tip (e.g. idle regtest) must not put the expiry in the past
+    const anchor = Math.max(tipTime, Date.now());
+
+    return new Date(anchor + blocksAhead * chain.blockIntervalSec * 1000);
+  }
+}
+
+module.exports = new TimelockService();
+module.exports.TIMELOCK_TYPES = TIMELOCK_TYPES;
@@ -0,0 +1,488 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const WebhookStore = require('./webhookStore');
+const AWSWebhookStore = require('./awsWebhookStore');
+const swapStore = require('./swapStore');
+const swapEvents = require('./swapEvents');
+const { SWAP_EVENT_TYPES } = require('./swapEvents');
+const { SWAP_STATES, acknowledgeSwapEvent } = require('./swapLifecycle');
+const CryptoUtils = require('../utils/cryptoUtils');
+const { signRequest } = require('../utils/requestSigning');
+const { serializeSwap } = require('../utils/swapSerializer');
+const { assertPublicUrl, publicOnlyLookup } = require('../utils/publicUrl');
+const { NotFoundError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_EVENTS = [
+  SWAP_EVENT_TYPES.FUNDED,
+  SWAP_EVENT_TYPES.CONFIRMED,
+  SWAP_EVENT_TYPES.ORDER_SUBMITTED,
+  SWAP_EVENT_TYPES.DELIVERED,
+  SWAP_EVENT_TYPES.EXPIRED,
+  SWAP_EVENT_TYPES.REFUNDED,
+  SWAP_EVENT_TYPES.BTC_CLAIMED
+];
+// Every lifecycle transition and progress event can be subscribed to
+const SUBSCRIBABLE_EVENTS = [
+  ...new Set([
+    ...Object.values(SWAP_EVENT_TYPES),
+    ...Object.values(SWAP_STATES).map((state) => `swap.${state}`)
+  ])
+];
+
+/**
+ * Key deliveries are grouped by for the per-endpoint concurrency limit
+ * @param {Object} target - Delivery target
+ * @returns {string} Registered endpoint ID, else the target URL
+ */
+function getEndpointKey(target) {
+  return target.type === 'endpoint' ? `endpoint:${target.webhookId}` : `url:${target.url}`;
+}
+
+/**
+ * Webhook storage for the configured swap store, so deliveries are kept
+ * wherever the swaps are
+ * @param {string} type - Swap store type; defaults to SWAP_STORE
+ * @returns {WebhookStore|AWSWebhookStore} Webhook store
+ */
+function createWebhookStore(type = process.env.SWAP_STORE || 'aws') {
+  return type === 'aws' ? new AWSWebhookStore() : new WebhookStore();
+}
+
+/**
+ * Service delivering HMAC-signed swap lifecycle events to partner webhooks.
+ * Events are written to a durable outbox first and delivered by a polling
+ * worker with exponential backoff; deliveries that keep failing move to a
+ * dead-letter list from which they can be redelivered. Lifecycle events
+ * stay pending on the swap record until their deliveries are queued, and
+ * pending events are queued again on startup.
+ */
+class WebhookService {
+  constructor(store = createWebhookStore()) {
+    this.store = store;
+    this.pollInterval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000');
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+    this.retryBaseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000');
+    this.retryMaxDelay = parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '3600000');
+    this.requestTimeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+    this.concurrency = parseInt(process.env.WEBHOOK_CONCURRENCY || '10');
+    this.endpointConcurrency = parseInt(process.env.WEBHOOK_ENDPOINT_CONCURRENCY || '2');
+    // Connections re-check the resolved address, so DNS cannot be switched to a private one after validation
+    this.httpAgent = new http.Agent({ lookup: publicOnlyLookup });
+    this.httpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+    this.timer = null;
+    this.processing = null;
+
+    swapEvents.on('event', (event, swap) => this.enqueue(event, swap));
+  }
+
+  /**
+   * Register a webhook endpoint for an API key
+   * @param {Object} params
+   * @param {string} params.ownerKeyId - Identifier of the owning API key
+   * @param {string} params.url - Endpoint URL
+   * @param {Array<string>} params.events - Event types to deliver (defaults to all lifecycle events)
+   * @returns {Promise<Object>} Endpoint including its signing secret (only returned here)
+   */
+  async registerEndpoint({ ownerKeyId, url, events = DEFAULT_EVENTS }) {
+    const endpoint = {
+      webhookId: uuidv4(),
+      ownerKeyId,
+      url,
+      events,
+      secret: CryptoUtils.generateRandomHex(32),
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.put('endpoints', endpoint.webhookId, endpoint);
+
+    logger.info('Registered webhook endpoint', {
+      webhookId: endpoint.webhookId,
+      ownerKeyId,
+      url,
+      events
+    });
+
+    return endpoint;
+  }
+
+  /**
+   * List the endpoints owned by an API key, without their secrets
+   * @param {string} ownerKeyId - Identifier of the owning API key
+   * @returns {Promise<Array<Object>>} Endpoints
+   */
+  async listEndpoints(ownerKeyId) {
+    const endpoints = await this.store.list('endpoints');
+    return endpoints
+      .filter((endpoint) => endpoint.ownerKeyId === ownerKeyId)
+      .map(({ secret, ...endpoint }) => endpoint);
+  }
+
+  /**
+   * Remove an endpoint owned by an API key
+   * @param {string} ownerKeyId - Identifier of the owning API key
+   * @param {string} webhookId - Endpoint identifier
+   */
+  async deleteEndpoint(ownerKeyId, webhookId) {
+    const endpoint = await this.store.get('endpoints', webhookId);
+    if (!endpoint || endpoint.ownerKeyId !== ownerKeyId) {
+      throw new NotFoundError('Webhook not found');
+    }
+
+    await this.store.delete('endpoints', webhookId);
+    logger.info('Deleted webhook endpoint', { webhookId, ownerKeyId });
+  }
+
+  /**
+   * Write one outbox delivery per endpoint interested in an event, then
+   * clear the event from the swap's pendingEvents. Delivery IDs are derived
+   * from the event and target, so queueing an event again is a no-op.
+   * @param {Object} event - Published swap event
+   * @param {Object} swap - Swap record after the change
+   */
+  async enqueue(event, swap) {
+    const targets = [];
+
+    if (swap.webhook && swap.webhook.url && swap.webhook.events.includes(event.type)) {
+      targets.push({ type: 'swap', swapId: swap.swapId, url: swap.webhook.url, ownerKeyId: swap.ownerKeyId || null });
+    }
+
+    if (swap.ownerKeyId) {
+      const endpoints = await this.store.list('endpoints');
+      for (const endpoint of endpoints) {
+        if (endpoint.ownerKeyId === swap.ownerKeyId && endpoint.events.includes(event.type)) {
+          targets.push({ type: 'endpoint', webhookId: endpoint.webhookId, url: endpoint.url, ownerKeyId: endpoint.ownerKeyId });
+        }
+      }
+    }
+
+    if (targets.length > 0) {
+      const payload = {
+        id: event.id,
+        type: event.type,
+        createdAt: event.occurredAt,
+        data: {
+          ...event.data,
+          swap: serializeSwap(swap)
+        }
+      };
+
+      let queued = 0;
+      for (const target of targets) {
+        const deliveryId = uuidv5(getEndpointKey(target), event.id);
+        if (await this.store.get('outbox', deliveryId) || await this.store.get('dead-letter', deliveryId)) {
+          continue;
+        }
+
+        await this.store.put('outbox', deliveryId, {
+          deliveryId,
+          eventId: event.id,
+          eventType: event.type,
+          swapId: swap.swapId,
+          target,
+          ownerKeyId: target.ownerKeyId,
+          payload,
+          attempts: 0,
+          nextAttemptAt: new Date().toISOString(),
+          createdAt: new Date().toISOString(),
+          lastError: null
+        });
+        queued++;
+      }
+
+      logger.info('Queued webhook deliveries', {
+        swapId: swap.swapId,
+        eventType: event.type,
+        deliveries: queued
+      });
+
+      this.processOutbox();
+    }
+
+    if ((swap.pendingEvents || []).some((pending) => pending.id === event.id)) {
+      await acknowledgeSwapEvent(swap.swapId, event.id);
+    }
+  }
+
+  /**
+   * Queue the events still pending on stored swaps, e.g. after a crash
+   * between a swap update and its deliveries being written
+   * @returns {Promise<number>} Number of events queued
+   */
+  async recoverPendingEvents() {
+    const swaps = (await swapStore.listSwaps())
+      .filter((swap) => Array.isArray(swap.pendingEvents) && swap.pendingEvents.length > 0);
+    let recovered = 0;
+
+    for (const swap of swaps) {
+      for (const event of swap.pendingEvents) {
+        try {
+          await this.enqueue(event, swap);
+          recovered++;
+        } catch (error) {
+          logger.error('Failed to queue pending swap event', {
+            swapId: swap.swapId,
+            eventId: event.id,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    if (recovered > 0) {
+      logger.info('Queued pending swap events', { recovered });
+    }
+    return recovered;
+  }
+
+  /**
+   * Look up the signing secret for a delivery target at send time
+   * @param {Object} target - Delivery target
+   * @returns {Promise<string|null>} Secret, or null if the target no longer exists
+   */
+  async getTargetSecret(target) {
+    if (target.type === 'endpoint') {
+      const endpoint = await this.store.get('endpoints', target.webhookId);
+      return endpoint ? endpoint.secret : null;
+    }
+
+    const swap = await swapStore.getSwap(target.swapId);
+    return swap && swap.webhook ? swap.webhook.secret : null;
+  }
+
+  /**
+   * Deliver every outbox entry that is due; overlapping calls share one run
+   * @returns {Promise<void>}
+   */
+  processOutbox() {
+    if (!this.processing) {
+      this.processing = this.deliverDue()
+        .catch((error) => {
+          logger.error('Webhook outbox processing failed:', error);
+        })
+        .finally(() => {
+          this.processing = null;
+        });
+    }
+
+    return this.processing;
+  }
+
+  /**
+   * Deliver the due outbox entries in parallel, at most `concurrency` at a time
+   * and `endpointConcurrency` per endpoint, so one slow or failing receiver
+   * cannot hold up the others. Each endpoint's deliveries start in the order
+   * they were queued.
+   */
+  async deliverDue() {
+    const now = Date.now();
+    const due = (await this.store.list('outbox'))
+      .filter((delivery) => new Date(delivery.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const queues = new Map(); // endpoint -> deliveries
+    for (const delivery of due) {
+      const key = getEndpointKey(delivery.target);
+      if (!queues.has(key)) queues.set(key, []);
+      queues.get(key).push(delivery);
+    }
+
+    let active = 0;
+    const waiting = [];
+    const acquire = () => {
+      if (active < this.concurrency) {
+        active++;
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => waiting.push(resolve));
+    };
+    const release = () => {
+      const next = waiting.shift();
+      if (next) {
+        next();
+      } else {
+        active--;
+      }
+    };
+
+    const worker = async (queue) => {
+      while (queue.length > 0) {
+        const delivery = queue.shift();
+        await acquire();
+        try {
+          await this.attemptDelivery(delivery);
+        } finally {
+          release();
+        }
+      }
+    };
+
+    const workers = [];
+    for (const queue of queues.values()) {
+      for (let i = 0; i < Math.min(this.endpointConcurrency, queue.length); i++) {
+        workers.push(worker(queue));
+      }
+    }
+    await Promise.all(workers);
+  }
+
+  /**
+   * Send one delivery and record the outcome
+   * @param {Object} delivery - Outbox entry
+   */
+  async attemptDelivery(delivery) {
+    const attempts = delivery.attempts + 1;
+
+    try {
+      const secret = await this.getTargetSecret(delivery.target);
+      if (!secret) {
+        logger.warn('Webhook target no longer exists, dropping delivery', {
+          deliveryId: delivery.deliveryId,
+          target: delivery.target
+        });
+        await this.store.delete('outbox', delivery.deliveryId);
+        return;
+      }
+
+      const url = await assertPublicUrl(delivery.target.url);
+      const signed = signRequest(secret, {
+        method: 'POST',
+        path: `${url.pathname}${url.search}`,
+        body: delivery.payload
+      });
+
+      await axios.post(delivery.target.url, signed.body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-TakeFi-Event': delivery.eventType,
+          'X-TakeFi-Delivery': delivery.deliveryId,
+          ...signed.headers
+        },
+        timeout: this.requestTimeout,
+        maxRedirects: 0,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent
+      });
+
+      await this.store.delete('outbox', delivery.deliveryId);
+
+      logger.info('Webhook delivered', {
+        deliveryId: delivery.deliveryId,
+        eventType: delivery.eventType,
+        swapId: delivery.swapId,
+        attempts
+      });
+
+    } catch (error) {
+      const lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+      const updated = {
+        ...delivery,
+        attempts,
+        lastError,
+        lastAttemptAt: new Date().toISOString()
+      };
+
+      if (attempts >= this.maxAttempts) {
+        await this.store.move('outbox', 'dead-letter', delivery.deliveryId, {
+          ...updated,
+          deadLetteredAt: new Date().toISOString()
+        });
+
+        logger.error('Webhook delivery moved to dead-letter list', {
+          deliveryId: delivery.deliveryId,
+          eventType: delivery.eventType,
+          swapId: delivery.swapId,
+          attempts,
+          lastError
+        });
+        return;
+      }
+
+      const delay = Math.min(this.retryBaseDelay * Math.pow(2, attempts - 1), this.retryMaxDelay);
+      await this.store.put('outbox', delivery.deliveryId, {
+        ...updated,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+      });
+
+      logger.warn(`Webhook delivery failed, retrying in ${delay}ms`, {
+        deliveryId: delivery.deliveryId,
+        eventType: delivery.eventType,
+        attempts,
+        lastError
+      });
+    }
+  }
+
+  /**
+   * List dead-lettered deliveries visible to an API key
+   * @param {string|null} ownerKeyId - Owning API key, or null for all (operators)
+   * @returns {Promise<Array<Object>>} Dead-lettered deliveries
+   */
+  async listDeadLetters(ownerKeyId) {
+    const deliveries = await this.store.list('dead-letter');
+    return deliveries
+      .filter((delivery) => ownerKeyId === null || delivery.ownerKeyId === ownerKeyId)
+      .sort((a, b) => b.deadLetteredAt.localeCompare(a.deadLetteredAt));
+  }
+
+  /**
+   * Put a dead-lettered delivery back into the outbox with a fresh retry budget
+   * @param {string|null} ownerKeyId - Owning API key, or null for operators
+   * @param {string} deliveryId - Delivery identifier
+   * @returns {Promise<Object>} Requeued delivery
+   */
+  async redeliver(ownerKeyId, deliveryId) {
+    const delivery = await this.store.get('dead-letter', deliveryId);
+    if (!delivery || (ownerKeyId !== null && delivery.ownerKeyId !== ownerKeyId)) {
+      throw new NotFoundError('Dead-lettered delivery not found');
+    }
+
+    const { deadLetteredAt, ...rest } = delivery;
+    const requeued = await this.store.move('dead-letter', 'outbox', deliveryId, {
+      ...rest,
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      redeliveredAt: new Date().toISOString()
+    });
+
+    logger.info('Webhook delivery requeued', { deliveryId, ownerKeyId });
+    this.processOutbox();
+
+    return requeued;
+  }
+
+  /**
+   * Start the outbox worker
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processOutbox(), this.pollInterval);
+    this.timer.unref();
+    this.recoverPendingEvents()
+      .catch((error) => {
+        logger.error('Pending swap event recovery failed:', error);
+      })
+      .finally(() => this.processOutbox());
+
+    logger.info('Webhook delivery worker started', { pollInterval: this.pollInterval });
+  }
+
+  /**
+   * Stop the outbox worker
+   */
+  cleanup() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WebhookService = WebhookService;
+module.exports.createWebhookStore = createWebhookStore;
+module.exports.DEFAULT_EVENTS = DEFAULT_EVENTS;
+module.exports.SUBSCRIBABLE_EVENTS = SUBSCRIBABLE_EVENTS;
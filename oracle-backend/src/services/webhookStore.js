@@ -0,0 +1,134 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { ValidationError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const COLLECTIONS = ['endpoints', 'outbox', 'dead-letter'];
+
+/**
+ * Reject unknown collections and record IDs that could escape the store
+ * @param {string} collection - endpoints, outbox or dead-letter
+ * @param {string} id - Record identifier
+ */
+function assertRecordId(collection, id) {
+  if (!COLLECTIONS.includes(collection)) {
+    throw new Error(`Unknown webhook collection: ${collection}`);
+  }
+  if (typeof id !== 'string' || !/^[A-Za-z0-9-]+$/.test(id)) {
+    throw new ValidationError('Invalid record ID');
+  }
+}
+
+/**
+ * Durable storage for webhook endpoints and the delivery outbox.
+ * Each record is one JSON document on local disk, written to a temporary
+ * file and renamed into place, so queued deliveries survive restarts.
+ * Used with the file and memory swap stores; see AWSWebhookStore for aws.
+ */
+class WebhookStore {
+  constructor(directory = process.env.WEBHOOK_STORE_PATH || path.join(process.cwd(), 'data', 'webhooks')) {
+    this.directory = path.resolve(directory);
+    this.initializing = null;
+  }
+
+  /**
+   * Create the collection directories on first use rather than at require time
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.initializing) {
+      this.initializing = Promise.all(
+        COLLECTIONS.map((collection) => fs.mkdir(path.join(this.directory, collection), { recursive: true }))
+      ).then(() => {
+        logger.info('Webhook store initialized', { directory: this.directory });
+      }).catch((error) => {
+        // Let the next call try again
+        this.initializing = null;
+        throw error;
+      });
+    }
+
+    return this.initializing;
+  }
+
+  /**
+   * Resolve the on-disk path for a record, rejecting IDs that could escape the store directory
+   * @param {string} collection - endpoints, outbox or dead-letter
+   * @param {string} id - Record identifier
+   * @returns {string} Absolute file path
+   */
+  recordPath(collection, id) {
+    assertRecordId(collection, id);
+    return path.join(this.directory, collection, `${id}.json`);
+  }
+
+  async put(collection, id, record) {
+    await this.ready();
+
+    const filePath = this.recordPath(collection, id);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tmpPath, JSON.stringify(record, null, 2), { mode: 0o600 });
+    await fs.rename(tmpPath, filePath);
+    return record;
+  }
+
+  async get(collection, id) {
+    await this.ready();
+
+    try {
+      return JSON.parse(await fs.readFile(this.recordPath(collection, id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(collection, id) {
+    await this.ready();
+
+    try {
+      await fs.unlink(this.recordPath(collection, id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list(collection) {
+    await this.ready();
+
+    const directory = path.join(this.directory, collection);
+    const files = (await fs.readdir(directory)).filter((file) => file.endsWith('.json'));
+    const records = [];
+
+    for (const file of files) {
+      const record = await this.get(collection, path.basename(file, '.json'));
+      if (record) records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Move a record between collections, writing the new copy before removing the old one
+   * @param {string} from - Source collection
+   * @param {string} to - Target collection
+   * @param {string} id - Record identifier
+   * @param {Object} record - Record contents to store in the target collection
+   */
+  async move(from, to, id, record) {
+    await this.put(to, id, record);
+    await this.delete(from, id);
+    return record;
+  }
+}
+
+module.exports = WebhookStore;
+module.exports.COLLECTIONS = COLLECTIONS;
+module.exports.assertRecordId = assertRecordId;
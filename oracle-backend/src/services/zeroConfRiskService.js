@@ -0,0 +1,178 @@
+const chainData = require('./chainData');
+const timelockService = require('./timelockService');
+const logger = require('../utils/logger');
+
+// BIP-125: an input with a sequence below this signals replaceability
+const MAX_BIP125_RBF_SEQUENCE = 0xfffffffd;
+
+const ZERO_CONF_RISKS = {
+  RBF_SIGNALED: 'rbf_signaled',           // The deposit opts in to replace-by-fee
+  RBF_INHERITED: 'rbf_inherited',         // An unconfirmed parent opts in, so replacing it evicts the deposit
+  CONFLICTING_SPEND: 'conflicting_spend', // An input is spent by another transaction in some mempool
+  LOW_FEE_RATE: 'low_fee_rate',           // Unlikely to confirm before the HTLC expires
+  HTLC_EXPIRING: 'htlc_expiring',         // No blocks left before the refund path opens
+  ASSESSMENT_FAILED: 'assessment_failed'  // Not enough chain data to rule the risks out
+};
+
+/**
+ * Whether a transaction signals BIP-125 replaceability
+ * @param {Object} tx - Transaction (vin with sequence)
+ * @returns {boolean} True if any input signals
+ */
+function signalsRbf(tx) {
+  return (tx.vin || []).some((input) => input.sequence <= MAX_BIP125_RBF_SEQUENCE);
+}
+
+/**
+ * Service checking unconfirmed deposits before a swap trades on them.
+ * The market maker releases tokens against a deposit that can still be
+ * replaced or double-spent, so any doubt flags the deposit at risk and the
+ * swap waits for a confirmation instead.
+ */
+class ZeroConfRiskService {
+  constructor() {
+    // Minimum fee rate accepted regardless of the estimate for the time left
+    this.minFeeRate = parseFloat(process.env.ZERO_CONF_MIN_FEE_RATE_SAT_VB || '1');
+  }
+
+  /**
+   * Assess the unconfirmed deposits of a swap
+   * @param {Object} swap - Stored swap record
+   * @param {Array<Object>} deposits - Deposits (txid, vout, confirmed)
+   * @param {number} tipHeight - Current chain tip height
+   * @param {Map<string, Object>} transactions - Transactions already fetched, by txid
+   * @returns {Promise<Object>} { atRisk, risks: [{ txid, reason, ... }], assessedAt }
+   */
+  async assessDeposits(swap, deposits, tipHeight, transactions = new Map()) {
+    const txids = [...new Set(deposits.filter((deposit) => !deposit.confirmed).map((deposit) => deposit.txid))];
+    const risks = [];
+
+    for (const txid of txids) {
+      try {
+        let tx = transactions.get(txid);
+        if (!tx) {
+          tx = await chainData.getTransaction(txid);
+        }
+        if (!tx) {
+          risks.push({ txid, reason: ZERO_CONF_RISKS.ASSESSMENT_FAILED, error: 'Transaction not found' });
+          continue;
+        }
+        risks.push(...await this.assessTransaction(swap, tx, tipHeight));
+      } catch (error) {
+        logger.warn('Could not assess zero-conf deposit', { swapId: swap.swapId, txid, error: error.message });
+        risks.push({ txid, reason: ZERO_CONF_RISKS.ASSESSMENT_FAILED, error: error.message });
+      }
+    }
+
+    return {
+      atRisk: risks.length > 0,
+      risks,
+      assessedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check one unconfirmed deposit transaction
+   * @param {Object} swap - Stored swap record
+   * @param {Object} tx - Deposit transaction
+   * @param {number} tipHeight - Current chain tip height
+   * @returns {Promise<Array<Object>>} Risks found
+   */
+  async assessTransaction(swap, tx, tipHeight) {
+    const risks = [];
+
+    if (signalsRbf(tx)) {
+      risks.push({ txid: tx.txid, reason: ZERO_CONF_RISKS.RBF_SIGNALED });
+    }
+
+    const parents = new Map();
+    for (const input of tx.vin || []) {
+      if (input.is_coinbase || parents.has(input.txid)) continue;
+      parents.set(input.txid, await chainData.getTransaction(input.txid));
+    }
+
+    const replaceableParent = [...parents.values()]
+      .find((parent) => parent && !parent.status?.confirmed && signalsRbf(parent));
+    if (replaceableParent) {
+      risks.push({ txid: tx.txid, reason: ZERO_CONF_RISKS.RBF_INHERITED, parentTxid: replaceableParent.txid });
+    }
+
+    const { conflicts, checkedBy } = await chainData.findConflictingSpends(tx);
+    if (checkedBy.length === 0) {
+      risks.push({ txid: tx.txid, reason: ZERO_CONF_RISKS.ASSESSMENT_FAILED, error: 'No provider could check for conflicting spends' });
+    } else if (conflicts.length > 0) {
+      risks.push({ txid: tx.txid, reason: ZERO_CONF_RISKS.CONFLICTING_SPEND, conflicts });
+    }
+
+    const fee = this.getFee(tx, parents);
+    if (fee === null || !tx.weight) {
+      risks.push({ txid: tx.txid, reason: ZERO_CONF_RISKS.ASSESSMENT_FAILED, error: 'Fee rate unknown' });
+      return risks;
+    }
+
+    const feeRate = fee / Math.ceil(tx.weight / 4);
+    const blocksLeft = this.getBlocksLeft(swap, tipHeight);
+    if (blocksLeft <= 0) {
+      risks.push({ txid: tx.txid, reason: ZERO_CONF_RISKS.HTLC_EXPIRING, blocksLeft });
+      return risks;
+    }
+
+    // Leave half the time left for the claim to confirm
+    const targetBlocks = Math.max(1, Math.floor(blocksLeft / 2));
+    const required = await chainData.getFeeRate(targetBlocks);
+    const minFeeRate = Math.max(required.feeRate, this.minFeeRate);
+
+    if (feeRate < minFeeRate) {
+      risks.push({
+        txid: tx.txid,
+        reason: ZERO_CONF_RISKS.LOW_FEE_RATE,
+        feeRate: Math.round(feeRate * 100) / 100,
+        minFeeRate,
+        targetBlocks: required.targetBlocks,
+        blocksLeft
+      });
+    }
+
+    return risks;
+  }
+
+  /**
+   * Fee paid by a transaction, from the provider or its parents' outputs
+   * @param {Object} tx - Transaction
+   * @param {Map<string, Object>} parents - Parent transactions by txid
+   * @returns {number|null} Fee in satoshis, or null if a parent is unknown
+   */
+  getFee(tx, parents) {
+    if (Number.isFinite(tx.fee)) {
+      return tx.fee;
+    }
+
+    let inputSats = 0;
+    for (const input of tx.vin || []) {
+      const output = parents.get(input.txid)?.vout?.[input.vout];
+      if (!output) return null;
+      inputSats += output.value;
+    }
+
+    return inputSats - (tx.vout || []).reduce((sum, output) => sum + output.value, 0);
+  }
+
+  /**
+   * Blocks the deposit has to confirm before the refund path opens
+   * @param {Object} swap - Stored swap record
+   * @param {number} tipHeight - Current chain tip height
+   * @returns {number} Blocks
+   */
+  getBlocksLeft(swap, tipHeight) {
+    // A relative lock only starts counting once the deposit confirms
+    if (swap.timelockType === timelockService.TIMELOCK_TYPES.RELATIVE) {
+      return swap.timelock;
+    }
+    // Records without a lock height get the most demanding target
+    return Number.isFinite(swap.lockHeight) ? swap.lockHeight - tipHeight : 1;
+  }
+}
+
+module.exports = new ZeroConfRiskService();
+module.exports.ZERO_CONF_RISKS = ZERO_CONF_RISKS;
+module.exports.signalsRbf = signalsRbf;
@@ -206,17 +206,18 @@ class CryptoUtils {
    * Encrypt data using AES-256-GCM
    * @param {Buffer|string} data - Data to encrypt
    * @param {Buffer} key - Encryption key (32 bytes)
+   * @param {string} aad - Additional authenticated data the ciphertext is bound to
    * @returns {Object} Encrypted data with IV and auth tag
    */
-  static encryptAES256GCM(data, key) {
+  static encryptAES256GCM(data, key, aad = 'bitcoin-oracle') {
     try {
       if (key.length !== 32) {
         throw new Error('Key must be 32 bytes for AES-256');
       }
 
       const iv = crypto.randomBytes(12); // 96-bit IV for GCM
-      const cipher = crypto.createCipher('aes-256-gcm', key);
-      cipher.setAAD(Buffer.from('bitcoin-oracle', 'utf8')); // Additional authenticated data
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      cipher.setAAD(Buffer.from(aad, 'utf8')); // Additional authenticated data
 
       const dataBuffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
       
@@ -240,9 +241,10 @@ class CryptoUtils {
    * Decrypt data using AES-256-GCM
    * @param {Object} encryptedData - Encrypted data object
    * @param {Buffer} key - Decryption key (32 bytes)
+   * @param {string} aad - Additional authenticated data used at encryption
    * @returns {Buffer} Decrypted data
    */
-  static decryptAES256GCM(encryptedData, key) {
+  static decryptAES256GCM(encryptedData, key, aad = 'bitcoin-oracle') {
     try {
       if (key.length !== 32) {
         throw new Error('Key must be 32 bytes for AES-256');
@@ -250,8 +252,8 @@ class CryptoUtils {
 
       const { encrypted, iv, authTag } = encryptedData;
       
-      const decipher = crypto.createDecipher('aes-256-gcm', key);
-      decipher.setAAD(Buffer.from('bitcoin-oracle', 'utf8'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+      decipher.setAAD(Buffer.from(aad, 'utf8'));
       decipher.setAuthTag(Buffer.from(authTag, 'hex'));
 
       let decrypted = decipher.update(Buffer.from(encrypted, 'hex'));
@@ -0,0 +1,137 @@
+const dns = require('dns');
+const net = require('net');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Guards for URLs the oracle calls on behalf of users (webhooks), so a
+ * registered URL cannot make the oracle reach loopback, private network,
+ * link-local (cloud metadata at 169.254.169.254) or other reserved addresses.
+ * Hosts are resolved and every address checked, both when a URL is accepted
+ * and again on every connection.
+ */
+
+// Separate lists: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 rules
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],       // "This" network
+  ['10.0.0.0', 8],      // RFC 1918
+  ['100.64.0.0', 10],   // Carrier-grade NAT
+  ['127.0.0.0', 8],     // Loopback
+  ['169.254.0.0', 16],  // Link-local, cloud metadata
+  ['172.16.0.0', 12],   // RFC 1918
+  ['192.0.0.0', 24],    // IETF protocol assignments
+  ['192.0.2.0', 24],    // Documentation
+  ['192.168.0.0', 16],  // RFC 1918
+  ['198.18.0.0', 15],   // Benchmarking
+  ['198.51.100.0', 24], // Documentation
+  ['203.0.113.0', 24],  // Documentation
+  ['224.0.0.0', 4],     // Multicast
+  ['240.0.0.0', 4]      // Reserved, broadcast
+]) {
+  BLOCKED_IPV4.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 96],           // Unspecified, loopback, IPv4-compatible
+  ['::ffff:0:0', 96],   // IPv4-mapped, blocked whole rather than decoded
+  ['64:ff9b::', 96],    // NAT64, embeds IPv4 addresses
+  ['100::', 64],        // Discard
+  ['2001:db8::', 32],   // Documentation
+  ['fc00::', 7],        // Unique local
+  ['fe80::', 10],       // Link-local
+  ['ff00::', 8]         // Multicast
+]) {
+  BLOCKED_IPV6.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True unless the address is private, loopback, link-local or reserved
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return !BLOCKED_IPV4.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    return !BLOCKED_IPV6.check(address, 'ipv6');
+  }
+  return false;
+}
+
+/**
+ * Private targets are allowed only for local development against local receivers
+ * @returns {boolean} True if WEBHOOK_ALLOW_PRIVATE_URLS is set
+ */
+function privateTargetsAllowed() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+/**
+ * Check that a URL is http(s) and that its host resolves only to public addresses
+ * @param {string} url - URL to check
+ * @returns {Promise<URL>} Parsed URL
+ * @throws {ValidationError} If the URL is malformed or reaches a non-public address
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new ValidationError('Invalid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ValidationError('URL must use http or https');
+  }
+  if (privateTargetsAllowed()) {
+    return parsed;
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((entry) => entry.address);
+    } catch (error) {
+      throw new ValidationError('URL host does not resolve', { host });
+    }
+  }
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new ValidationError('URL must resolve to a public address', { host });
+  }
+
+  return parsed;
+}
+
+/**
+ * dns.lookup replacement for HTTP agents that refuses non-public addresses,
+ * so a host cannot resolve to a public address when checked and a private one
+ * when connected to
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (!privateTargetsAllowed() && !addresses.every(isPublicAddress)) {
+      const blocked = new Error(`${hostname} resolves to a non-public address`);
+      blocked.code = 'ENOTPUBLIC';
+      return callback(blocked);
+    }
+
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl,
+  publicOnlyLookup
+};
@@ -0,0 +1,85 @@
+const { v4: uuidv4 } = require('uuid');
+const CryptoUtils = require('./cryptoUtils');
+
+/**
+ * HMAC request signing shared by internal service calls.
+ * The signature covers timestamp, nonce, method, path and the raw body, so a
+ * captured request cannot be replayed later or re-targeted at another swap.
+ */
+const SIGNATURE_HEADERS = {
+  signature: 'X-Signature',
+  timestamp: 'X-Signature-Timestamp',
+  nonce: 'X-Signature-Nonce'
+};
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Build the canonical string that is signed
+ * @param {Object} parts - timestamp, nonce, method, path and raw body
+ * @returns {string} Signing payload
+ */
+function buildSigningPayload({ timestamp, nonce, method, path, body = '' }) {
+  return [timestamp, nonce, method.toUpperCase(), path, body].join('.');
+}
+
+/**
+ * Compute the signature header value for a request
+ * @param {string} secret - Shared HMAC secret
+ * @param {Object} parts - timestamp, nonce, method, path and raw body
+ * @returns {string} Signature as "sha256=<hex>"
+ */
+function computeSignature(secret, parts) {
+  return SIGNATURE_PREFIX + CryptoUtils.hmacSha256(secret, buildSigningPayload(parts)).toString('hex');
+}
+
+/**
+ * Sign an outgoing JSON request
+ * @param {string} secret - Shared HMAC secret
+ * @param {Object} request - method, path and body object
+ * @returns {Object} Serialized body and signature headers
+ */
+function signRequest(secret, { method, path, body }) {
+  if (!secret) {
+    throw new Error('Request signing secret is not configured');
+  }
+
+  const serialized = body === undefined ? '' : JSON.stringify(body);
+  const timestamp = Date.now().toString();
+  const nonce = uuidv4();
+
+  return {
+    body: serialized,
+    headers: {
+      [SIGNATURE_HEADERS.timestamp]: timestamp,
+      [SIGNATURE_HEADERS.nonce]: nonce,
+      [SIGNATURE_HEADERS.signature]: computeSignature(secret, {
+        timestamp,
+        nonce,
+        method,
+        path,
+        body: serialized
+      })
+    }
+  };
+}
+
+/**
+ * Check a received signature in constant time
+ * @param {string} secret - Shared HMAC secret
+ * @param {string} signature - Received signature header
+ * @param {Object} parts - timestamp, nonce, method, path and raw body
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(secret, signature, parts) {
+  const expected = Buffer.from(computeSignature(secret, parts));
+  return CryptoUtils.secureCompare(Buffer.from(String(signature)), expected);
+}
+
+module.exports = {
+  SIGNATURE_HEADERS,
+  buildSigningPayload,
+  computeSignature,
+  signRequest,
+  verifySignature
+};
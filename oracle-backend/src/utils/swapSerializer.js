@@ -0,0 +1,76 @@
+const { normalizeStatus } = require('../services/swapLifecycle');
+
+/**
+ * Swap fields that are safe to return from public and operator APIs.
+ * Anything not listed here (preimage, raw trade payloads, internal errors)
+ * never leaves the oracle through a read endpoint.
+ */
+const PUBLIC_SWAP_FIELDS = [
+  'swapId',
+  'hash',
+  'userBtcAddress',
+  'userEthWallet',
+  'mmId',
+  'mmPubkey',
+  'mmKeyPath',
+  'userRefundPubkey',
+  'refundKeyVerified',
+  'btcAmount',
+  'targetToken',
+  'timelock',
+  'timelockType',
+  'lockHeight',
+  'createdAtHeight',
+  'htlcScript',
+  'htlcAddress',
+  'htlcScriptPubKey',
+  'spendFees',
+  'zeroConfRisk',
+  'createdAt',
+  'expiresAt',
+  'status',
+  'statusHistory',
+  'btcTxHash',
+  'confirmations',
+  'requiredConfirmations',
+  'fundingOutpoints',
+  'receivedAmountSats',
+  'tradeAmountSats',
+  'shortfallSats',
+  'excessSats',
+  'fundingPolicy',
+  'pricing',
+  'quoteLock',
+  'minBuyAmount',
+  'requote',
+  'cowOrderUid',
+  'cowOrderStatus',
+  'executedSellAmount',
+  'executedBuyAmount',
+  'settlementTxHash',
+  'claimTxid',
+  'refundTxid'
+];
+
+/**
+ * Strip a stored swap record down to its public fields
+ * @param {Object} swapData - Stored swap record
+ * @returns {Object} Public swap representation
+ */
+function serializeSwap(swapData) {
+  const swap = {};
+
+  for (const field of PUBLIC_SWAP_FIELDS) {
+    swap[field] = swapData[field] === undefined ? null : swapData[field];
+  }
+
+  swap.status = normalizeStatus(swapData.status);
+  swap.statusHistory = swapData.statusHistory || [];
+
+  return swap;
+}
+
+module.exports = {
+  PUBLIC_SWAP_FIELDS,
+  serializeSwap
+};
@@ -17,15 +17,33 @@ const schemas = {
         'any.required': 'Bitcoin address is required'
       }),
     
+    mmId: Joi.string()
+      .pattern(/^[A-Za-z0-9_-]+$/)
+      .messages({
+        'string.pattern.base': 'Invalid market maker ID'
+      }),
+
     mmPubkey: Joi.string()
       .trim()
       .length(66)
       .pattern(/^[0-9a-fA-F]{66}$/)
-      .required()
       .messages({
         'string.length': 'Public key must be exactly 66 hex characters (33 bytes)',
-        'string.pattern.base': 'Public key must be valid hexadecimal',
-        'any.required': 'Market maker public key is required'
+        'string.pattern.base': 'Public key must be valid hexadecimal'
+      }),
+    
+    userRefundPubkey: Joi.string()
+      .trim()
+      .pattern(/^0[23][0-9a-fA-F]{64}$/)
+      .messages({
+        'string.pattern.base': 'User refund public key must be a 33-byte compressed key in hex'
+      }),
+
+    userRefundPubkeySignature: Joi.string()
+      .trim()
+      .pattern(/^[A-Za-z0-9+/]{87}=$/)
+      .messages({
+        'string.pattern.base': 'Refund key signature must be a base64 Bitcoin signed message signature'
       }),
     
     btcAmount: Joi.number()
@@ -62,10 +80,9 @@ const schemas = {
     authToken: Joi.string()
       .trim()
       .min(10)
-      .required()
+      .optional()
       .messages({
-        'string.min': 'Authentication token must be at least 10 characters',
-        'any.required': 'Authentication token is required'
+        'string.min': 'Authentication token must be at least 10 characters'
       }),
     
     ethTxHash: Joi.string()
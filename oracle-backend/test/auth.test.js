@@ -0,0 +1,199 @@
+const express = require('express');
+const request = require('supertest');
+const { authenticateApiKey, authenticateMetricsToken, validateSignature } = require('../src/middleware/auth');
+const { SIGNATURE_HEADERS, signRequest, verifySignature } = require('../src/utils/requestSigning');
+
+/**
+ * Run a middleware against a minimal request and report how it ended
+ */
+function run(middleware, { headers = {}, query = {} } = {}) {
+  const req = {
+    path: '/test',
+    ip: '127.0.0.1',
+    query,
+    get: (name) => headers[name.toLowerCase()]
+  };
+  const result = { next: false, status: null, body: null, req };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+
+  middleware(req, res, () => {
+    result.next = true;
+  });
+  return result;
+}
+
+describe('authenticateApiKey', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('accepts the configured key and marks operator keys', () => {
+    process.env.API_KEY = 'user-key';
+    process.env.OPERATOR_API_KEYS = 'ops-1, ops-2';
+
+    const user = run(authenticateApiKey, { headers: { 'x-api-key': 'user-key' } });
+    const operator = run(authenticateApiKey, { headers: { 'x-api-key': 'ops-2' } });
+
+    expect(user.next).toBe(true);
+    expect(user.req.auth.role).toBe('user');
+    expect(operator.next).toBe(true);
+    expect(operator.req.auth.role).toBe('operator');
+  });
+
+  it('rejects missing and unknown keys', () => {
+    expect(run(authenticateApiKey).status).toBe(401);
+    expect(run(authenticateApiKey, { headers: { 'x-api-key': 'nope' } }).status).toBe(401);
+  });
+
+  it('accepts the development key only outside production', () => {
+    expect(run(authenticateApiKey, { headers: { 'x-api-key': 'dev-api-key-12345' } }).next).toBe(true);
+
+    process.env.NODE_ENV = 'production';
+    const result = run(authenticateApiKey, { headers: { 'x-api-key': 'dev-api-key-12345' } });
+
+    expect(result.next).toBe(false);
+    expect(result.status).toBe(401);
+  });
+});
+
+describe('authenticateMetricsToken', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('serves metrics without a token when none is configured', () => {
+    delete process.env.METRICS_TOKEN;
+
+    expect(run(authenticateMetricsToken).next).toBe(true);
+  });
+
+  it('requires the configured bearer token', () => {
+    process.env.METRICS_TOKEN = 'scrape-token';
+
+    const missing = run(authenticateMetricsToken);
+    const wrong = run(authenticateMetricsToken, { headers: { authorization: 'Bearer other-token' } });
+    const bare = run(authenticateMetricsToken, { headers: { authorization: 'scrape-token' } });
+
+    for (const result of [missing, wrong, bare]) {
+      expect(result.next).toBe(false);
+      expect(result.status).toBe(401);
+    }
+    expect(run(authenticateMetricsToken, { headers: { authorization: 'Bearer scrape-token' } }).next).toBe(true);
+  });
+});
+
+describe('request signing', () => {
+  const secret = 'internal-secret';
+  const path = '/api/oracle/trigger-swap/swap-1';
+  const body = { btcTxHash: 'abc', forceExecute: false };
+
+  it('signs timestamp, nonce, method, path and body together', () => {
+    const signed = signRequest(secret, { method: 'POST', path, body });
+    const parts = {
+      timestamp: signed.headers[SIGNATURE_HEADERS.timestamp],
+      nonce: signed.headers[SIGNATURE_HEADERS.nonce],
+      method: 'POST',
+      path,
+      body: signed.body
+    };
+    const signature = signed.headers[SIGNATURE_HEADERS.signature];
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature(secret, signature, parts)).toBe(true);
+    expect(verifySignature('other-secret', signature, parts)).toBe(false);
+    expect(verifySignature(secret, signature, { ...parts, path: '/api/oracle/trigger-swap/swap-2' })).toBe(false);
+    expect(verifySignature(secret, signature, { ...parts, body: '{"btcTxHash":"def"}' })).toBe(false);
+    expect(verifySignature(secret, signature, { ...parts, nonce: 'another-nonce' })).toBe(false);
+  });
+
+  it('refuses to sign without a secret', () => {
+    expect(() => signRequest(undefined, { method: 'POST', path, body })).toThrow('not configured');
+  });
+});
+
+describe('validateSignature', () => {
+  const secret = 'internal-secret';
+  const path = '/api/oracle/trigger-swap/swap-1';
+
+  function buildApp(secretKey = secret, options) {
+    const app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    app.post(path, validateSignature(secretKey, options), (req, res) => res.json({ auth: req.auth }));
+    return app;
+  }
+
+  function send(app, signed) {
+    return request(app)
+      .post(path)
+      .set('Content-Type', 'application/json')
+      .set(signed.headers)
+      .send(signed.body);
+  }
+
+  it('accepts a correctly signed request once', async () => {
+    const app = buildApp();
+    const signed = signRequest(secret, { method: 'POST', path, body: { btcTxHash: 'abc' } });
+
+    const first = await send(app, signed);
+    expect(first.status).toBe(200);
+    expect(first.body.auth).toMatchObject({ type: 'signature', role: 'internal' });
+
+    // Same nonce again, e.g. a captured request replayed
+    const replay = await send(app, signed);
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe('Request already processed');
+  });
+
+  it('rejects a tampered body', async () => {
+    const signed = signRequest(secret, { method: 'POST', path, body: { btcTxHash: 'abc' } });
+
+    const response = await send(buildApp(), { ...signed, body: JSON.stringify({ btcTxHash: 'def' }) });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid request signature');
+  });
+
+  it('rejects requests without signature headers', async () => {
+    const response = await request(buildApp()).post(path).send({ btcTxHash: 'abc' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Request signature required');
+  });
+
+  it('rejects requests outside the time tolerance', async () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now - 10 * 60 * 1000);
+    const signed = signRequest(secret, { method: 'POST', path, body: { btcTxHash: 'abc' } });
+    spy.mockRestore();
+
+    const response = await send(buildApp(secret, { toleranceMs: 5 * 60 * 1000 }), signed);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Request signature expired');
+  });
+
+  it('fails closed when no secret is configured', async () => {
+    const signed = signRequest(secret, { method: 'POST', path, body: { btcTxHash: 'abc' } });
+
+    const response = await send(buildApp(null), signed);
+
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,69 @@
+const { AWSSecretsService } = require('../src/services/awsSecretsService');
+
+const KEY = 'a'.repeat(64);
+const RECORD = { key: KEY, status: 'in_progress', expiresAt: '2026-01-02T00:00:00.000Z' };
+
+function awsError(name, message = name) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+const pendingDeletion = () => awsError(
+  'InvalidRequestException',
+  "You can't create this secret because a secret with this name is already scheduled for deletion."
+);
+
+describe('AWSSecretsService idempotency records', () => {
+  let service;
+  let send;
+
+  beforeEach(() => {
+    service = new AWSSecretsService();
+    send = jest.fn();
+    service.client = { send };
+    service.deletionRetryConfig = { maxAttempts: 3, delay: 0 };
+  });
+
+  const commandNames = () => send.mock.calls.map(([command]) => command.constructor.name);
+
+  it('retries creating a record while the name is still being deleted', async () => {
+    send.mockRejectedValueOnce(pendingDeletion()).mockResolvedValueOnce({});
+
+    await expect(service.storeIdempotencyRecord(KEY, RECORD)).resolves.toEqual({ success: true });
+    expect(commandNames()).toEqual(['CreateSecretCommand', 'CreateSecretCommand']);
+  });
+
+  it('restores and overwrites a secret left scheduled for deletion', async () => {
+    send
+      .mockRejectedValueOnce(pendingDeletion())
+      .mockRejectedValueOnce(pendingDeletion())
+      .mockRejectedValueOnce(pendingDeletion())
+      .mockResolvedValue({});
+
+    await expect(service.storeIdempotencyRecord(KEY, RECORD)).resolves.toEqual({ success: true });
+    expect(commandNames().slice(3)).toEqual(['RestoreSecretCommand', 'UpdateSecretCommand', 'TagResourceCommand']);
+    expect(send.mock.calls[4][0].input.SecretString).toBe(JSON.stringify(RECORD));
+  });
+
+  it('reports an existing record as a conflict', async () => {
+    send.mockRejectedValueOnce(awsError('ResourceExistsException'));
+
+    await expect(service.storeIdempotencyRecord(KEY, RECORD)).rejects.toMatchObject({ name: 'ConflictError' });
+  });
+
+  it('lists records with their expiry tag', async () => {
+    send.mockResolvedValueOnce({
+      SecretList: [
+        { Name: `btc-oracle-idempotency/${KEY}`, Tags: [{ Key: 'ExpiresAt', Value: RECORD.expiresAt }] },
+        { Name: `btc-oracle-idempotency/${'b'.repeat(64)}`, Tags: [] },
+        { Name: `btc-oracle-idempotency/${'c'.repeat(64)}`, DeletedDate: new Date() }
+      ]
+    });
+
+    expect(await service.listIdempotencyRecords()).toEqual([
+      { key: KEY, expiresAt: RECORD.expiresAt },
+      { key: 'b'.repeat(64), expiresAt: null }
+    ]);
+  });
+});
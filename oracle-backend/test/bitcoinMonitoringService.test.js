@@ -0,0 +1,352 @@
+const swapStore = require('../src/services/swapStore');
+const swapEvents = require('../src/services/swapEvents');
+const BitcoinMonitoringService = require('../src/services/bitcoinMonitoringService');
+const { MAX_TX_HINTS } = require('../src/services/bitcoinMonitoringService');
+const { SWAP_STATES } = require('../src/services/swapLifecycle');
+
+const TIP_HEIGHT = 200;
+
+function confirmedTx(txid, blockHeight) {
+  return {
+    txid,
+    status: { confirmed: true, block_height: blockHeight, block_hash: `hash-${blockHeight}` }
+  };
+}
+
+describe('BitcoinMonitoringService.watchDeposits', () => {
+  let service;
+  let events;
+  const listener = (event) => events.push(event);
+
+  beforeEach(() => {
+    events = [];
+    swapEvents.on('event', listener);
+    service = new BitcoinMonitoringService();
+    service.chainData = {
+      getBlockCount: jest.fn(async () => TIP_HEIGHT),
+      getTransaction: jest.fn(async (txid) => confirmedTx(txid, TIP_HEIGHT - 2)),
+      crossCheckDeposits: jest.fn(async () => ({ agreed: true, confirmedBy: ['a', 'b'] })),
+      confirmTransactionMissing: jest.fn(async () => ({ missing: true, missingFrom: ['a', 'b'], foundBy: [], unreachable: [] }))
+    };
+    service.triggerSwapExecution = jest.fn(async () => ({ success: true }));
+  });
+
+  afterEach(async () => {
+    swapEvents.off('event', listener);
+    await swapStore.deleteSwap('watch-swap');
+  });
+
+  async function storeSwap(fields) {
+    const swap = {
+      swapId: 'watch-swap',
+      btcAmount: 100000,
+      receivedAmountSats: 100000,
+      requiredConfirmations: 1,
+      confirmations: 3,
+      btcTxHash: 'deposit-tx',
+      deposits: [{ txid: 'deposit-tx', vout: 0, value: 100000, confirmed: true, blockHash: `hash-${TIP_HEIGHT - 2}` }],
+      statusHistory: [],
+      ...fields
+    };
+    await swapStore.createSwap(swap.swapId, swap);
+    return swap;
+  }
+
+  it('retries the trade trigger for a confirmed swap without an order', async () => {
+    const swap = await storeSwap({ status: SWAP_STATES.CONFIRMED });
+
+    await service.watchDeposits(swap);
+
+    expect(service.triggerSwapExecution).toHaveBeenCalledWith('watch-swap', 'deposit-tx');
+  });
+
+  it('keeps the swap monitored while the trigger keeps failing', async () => {
+    const swap = await storeSwap({ status: SWAP_STATES.CONFIRMED, confirmations: 10 });
+    service.triggerSwapExecution.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(service.watchDeposits(swap)).rejects.toThrow('ECONNREFUSED');
+  });
+
+  it('does not trigger again once an order was submitted', async () => {
+    const swap = await storeSwap({ status: SWAP_STATES.TRADING, cowOrderUid: '0xorder' });
+
+    await service.watchDeposits(swap);
+
+    expect(service.triggerSwapExecution).not.toHaveBeenCalled();
+  });
+
+  it('puts the swap on hold when a counted deposit disappears', async () => {
+    const swap = await storeSwap({ status: SWAP_STATES.TRADING, cowOrderUid: '0xorder' });
+    service.chainData.getTransaction.mockResolvedValue(null);
+
+    expect(await service.watchDeposits(swap)).toEqual({ final: false });
+
+    const held = await swapStore.getSwap('watch-swap');
+    expect(held.status).toBe(SWAP_STATES.ON_HOLD);
+    expect(held.holdReason).toEqual([{ txid: 'deposit-tx', vout: 0, reason: 'deposit_missing' }]);
+  });
+
+  it('leaves the swap alone when providers do not agree the deposit is gone', async () => {
+    const swap = await storeSwap({ status: SWAP_STATES.TRADING, cowOrderUid: '0xorder' });
+    service.chainData.getTransaction.mockResolvedValue(null);
+    service.chainData.confirmTransactionMissing.mockResolvedValue({
+      missing: false,
+      missingFrom: ['a'],
+      foundBy: ['b'],
+      unreachable: []
+    });
+
+    expect(await service.watchDeposits(swap)).toEqual({ final: false });
+
+    expect(service.chainData.confirmTransactionMissing).toHaveBeenCalledWith('deposit-tx');
+    expect((await swapStore.getSwap('watch-swap')).status).toBe(SWAP_STATES.TRADING);
+    expect(events).toEqual([]);
+  });
+
+  it('returns a restored swap without an order to funded', async () => {
+    const swap = await storeSwap({ status: SWAP_STATES.ON_HOLD, holdReason: [{ reason: 'deposit_missing' }] });
+
+    await service.watchDeposits(swap);
+
+    const restored = await swapStore.getSwap('watch-swap');
+    expect(restored.status).toBe(SWAP_STATES.FUNDED);
+    expect(restored.holdReason).toBeNull();
+  });
+
+  it('hands a restored swap with an order back to trading', async () => {
+    const swap = await storeSwap({
+      status: SWAP_STATES.ON_HOLD,
+      cowOrderUid: '0xorder',
+      holdReason: [{ reason: 'deposit_reorged_out' }]
+    });
+
+    await service.watchDeposits(swap);
+
+    expect((await swapStore.getSwap('watch-swap')).status).toBe(SWAP_STATES.TRADING);
+    expect(events).toContainEqual(expect.objectContaining({
+      type: 'swap.trading',
+      data: expect.objectContaining({ from: 'on_hold', cause: 'deposit_restored' })
+    }));
+    expect(service.triggerSwapExecution).not.toHaveBeenCalled();
+  });
+
+  it('keeps watching the deposit of a failed swap and holds it when the deposit disappears', async () => {
+    const swap = await storeSwap({ status: SWAP_STATES.FAILED, cowOrderUid: '0xorder', requote: { tradeAmountSats: 100000 } });
+    service.chainData.getTransaction.mockResolvedValue(null);
+
+    await service.watchDeposits(swap);
+
+    const held = await swapStore.getSwap('watch-swap');
+    expect(held.status).toBe(SWAP_STATES.ON_HOLD);
+    expect(held.heldFrom).toBe(SWAP_STATES.FAILED);
+  });
+
+  it('returns a restored swap held after a failed trade to failed', async () => {
+    const swap = await storeSwap({
+      status: SWAP_STATES.ON_HOLD,
+      cowOrderUid: '0xorder',
+      heldFrom: SWAP_STATES.FAILED,
+      holdReason: [{ reason: 'deposit_missing' }]
+    });
+
+    await service.watchDeposits(swap);
+
+    const restored = await swapStore.getSwap('watch-swap');
+    expect(restored.status).toBe(SWAP_STATES.FAILED);
+    expect(restored.heldFrom).toBeNull();
+  });
+});
+
+describe('BitcoinMonitoringService.checkForPayment', () => {
+  const HTLC_SCRIPT = '0020' + 'aa'.repeat(32);
+  const OTHER_SCRIPT = '0014' + 'bb'.repeat(20);
+  let service;
+
+  beforeEach(() => {
+    service = new BitcoinMonitoringService();
+    service.chainData = {
+      getBlockCount: jest.fn(async () => TIP_HEIGHT),
+      getAddressTransactions: jest.fn(async () => []),
+      getTransaction: jest.fn(async () => null)
+    };
+  });
+
+  function paymentTx(txid, outputs, blockHeight = null) {
+    return {
+      txid,
+      vout: outputs.map(([scriptpubkey, value]) => ({ scriptpubkey, value })),
+      status: blockHeight
+        ? { confirmed: true, block_height: blockHeight, block_hash: `hash-${blockHeight}` }
+        : { confirmed: false }
+    };
+  }
+
+  it('adds up every output paying the HTLC script, across transactions', async () => {
+    service.chainData.getAddressTransactions.mockResolvedValue([
+      paymentTx('tx-1', [[OTHER_SCRIPT, 5000], [HTLC_SCRIPT, 60000]], TIP_HEIGHT),
+      paymentTx('tx-2', [[HTLC_SCRIPT, 40000]], TIP_HEIGHT - 2)
+    ]);
+
+    const payment = await service.checkForPayment('bcrt1qhtlc', 0.001, HTLC_SCRIPT);
+
+    expect(payment.received).toBe(true);
+    expect(payment.amountSats).toBe(100000);
+    expect(payment.txHash).toBe('tx-1');
+    expect(payment.confirmations).toBe(1);
+    expect(payment.deposits.map(({ txid, vout, value }) => ({ txid, vout, value }))).toEqual([
+      { txid: 'tx-1', vout: 1, value: 60000 },
+      { txid: 'tx-2', vout: 0, value: 40000 }
+    ]);
+  });
+
+  it('reports a partial payment without marking it received', async () => {
+    service.chainData.getAddressTransactions.mockResolvedValue([
+      paymentTx('tx-1', [[HTLC_SCRIPT, 30000]])
+    ]);
+
+    const payment = await service.checkForPayment('bcrt1qhtlc', 0.001, HTLC_SCRIPT);
+
+    expect(payment.received).toBe(false);
+    expect(payment.amountSats).toBe(30000);
+    expect(payment.confirmed).toBe(false);
+  });
+
+  it('ignores outputs paying other scripts', async () => {
+    service.chainData.getAddressTransactions.mockResolvedValue([
+      paymentTx('tx-1', [[OTHER_SCRIPT, 100000]], TIP_HEIGHT)
+    ]);
+
+    const payment = await service.checkForPayment('bcrt1qhtlc', 0.001, HTLC_SCRIPT);
+
+    expect(payment.deposits).toEqual([]);
+    expect(payment.received).toBe(false);
+  });
+
+  it('counts transactions seen over ZMQ before the address index lists them', async () => {
+    service.chainData.getTransaction.mockImplementation(async (txid) => (
+      txid === 'zmq-tx' ? paymentTx('zmq-tx', [[HTLC_SCRIPT, 100000]]) : null
+    ));
+
+    const payment = await service.checkForPayment('bcrt1qhtlc', 0.001, HTLC_SCRIPT, ['zmq-tx']);
+
+    expect(payment.received).toBe(true);
+    expect(payment.txHash).toBe('zmq-tx');
+  });
+
+  it('throws when no provider lists the address, rather than reporting no payment', async () => {
+    service.chainData.getAddressTransactions.mockRejectedValue(new Error('All chain data providers failed'));
+
+    await expect(service.checkForPayment('bcrt1qhtlc', 0.001, HTLC_SCRIPT)).rejects.toThrow('providers failed');
+  });
+});
+
+describe('BitcoinMonitoringService.matchTransaction', () => {
+  const SWAP_ID = 'swap-zmq';
+  const HTLC_SCRIPT = '0020' + 'cc'.repeat(32);
+  let service;
+
+  beforeEach(() => {
+    service = new BitcoinMonitoringService();
+    service.watchScript(SWAP_ID, HTLC_SCRIPT);
+  });
+
+  const zmqTx = (txid, scriptPubKey = HTLC_SCRIPT) => ({ txid, outputs: [{ scriptPubKey, value: 546 }] });
+
+  it('remembers transactions paying a watched HTLC script', () => {
+    expect([...service.matchTransaction(zmqTx('tx-1'))]).toEqual([SWAP_ID]);
+    expect(service.matchTransaction(zmqTx('tx-2', '0014' + 'dd'.repeat(20))).size).toBe(0);
+
+    expect([...service.txHints.get(SWAP_ID)]).toEqual(['tx-1']);
+  });
+
+  it('caps the transactions remembered per swap when the HTLC is spammed', () => {
+    for (let i = 0; i < MAX_TX_HINTS + 5; i++) {
+      expect(service.matchTransaction(zmqTx(`dust-${i}`)).has(SWAP_ID)).toBe(true);
+    }
+
+    const hints = service.txHints.get(SWAP_ID);
+    expect(hints.size).toBe(MAX_TX_HINTS);
+    expect(hints.has(`dust-${MAX_TX_HINTS - 1}`)).toBe(true);
+    expect(hints.has(`dust-${MAX_TX_HINTS}`)).toBe(false);
+  });
+
+  it('drops the hints once the swap is no longer watched', () => {
+    service.matchTransaction(zmqTx('tx-1'));
+    service.unwatchScript(SWAP_ID);
+
+    expect(service.txHints.has(SWAP_ID)).toBe(false);
+    expect(service.matchTransaction(zmqTx('tx-2')).size).toBe(0);
+  });
+});
+
+describe('BitcoinMonitoringService.startMonitoringAllPendingSwaps', () => {
+  const HOUR = 3600000;
+  let service;
+
+  beforeEach(() => {
+    service = new BitcoinMonitoringService();
+    service.startMonitoring = jest.fn(async () => ({ success: true }));
+  });
+
+  afterEach(async () => {
+    for (const swap of await swapStore.listSwaps()) {
+      await swapStore.deleteSwap(swap.swapId);
+    }
+  });
+
+  async function storeSwap(swapId, fields) {
+    await swapStore.createSwap(swapId, {
+      swapId,
+      htlcAddress: 'bcrt1qhtlc',
+      btcAmount: 100000,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + 24 * HOUR).toISOString(),
+      statusHistory: [],
+      ...fields
+    });
+  }
+
+  it('resumes pending and funded swaps with the time they have left', async () => {
+    await storeSwap('pending', { status: SWAP_STATES.PENDING, createdAt: new Date(Date.now() - HOUR / 2).toISOString() });
+    await storeSwap('funded', { status: SWAP_STATES.FUNDED });
+
+    const summary = await service.startMonitoringAllPendingSwaps();
+
+    expect(summary).toEqual({ resumed: 2, expired: 0, skipped: 0 });
+    const [, , , pendingMs] = service.startMonitoring.mock.calls.find(([swapId]) => swapId === 'pending');
+    const [, , amount, fundedMs] = service.startMonitoring.mock.calls.find(([swapId]) => swapId === 'funded');
+    expect(pendingMs).toBeLessThanOrEqual(HOUR / 2);
+    expect(fundedMs).toBeGreaterThan(23 * HOUR);
+    expect(amount).toBe(0.001);
+  });
+
+  it('retires swaps whose timelock passed while the oracle was down', async () => {
+    const expiresAt = new Date(Date.now() - 1000).toISOString();
+    await storeSwap('unfunded', { status: SWAP_STATES.PENDING, expiresAt });
+    await storeSwap('undelivered', { status: SWAP_STATES.CONFIRMED, expiresAt });
+
+    const summary = await service.startMonitoringAllPendingSwaps();
+
+    expect(summary.expired).toBe(2);
+    expect((await swapStore.getSwap('unfunded')).status).toBe(SWAP_STATES.EXPIRED);
+    expect((await swapStore.getSwap('undelivered')).status).toBe(SWAP_STATES.REFUNDABLE);
+    expect(service.startMonitoring).not.toHaveBeenCalled();
+  });
+
+  it('skips pending swaps whose payment window already elapsed', async () => {
+    await storeSwap('stale', { status: SWAP_STATES.PENDING, createdAt: new Date(Date.now() - 2 * HOUR).toISOString() });
+
+    const summary = await service.startMonitoringAllPendingSwaps();
+
+    expect(summary).toEqual({ resumed: 0, expired: 0, skipped: 1 });
+    expect(service.startMonitoring).not.toHaveBeenCalled();
+  });
+
+  it('does not resume settled swaps', async () => {
+    await storeSwap('delivered', { status: SWAP_STATES.DELIVERED });
+
+    const summary = await service.startMonitoringAllPendingSwaps();
+
+    expect(summary).toEqual({ resumed: 0, expired: 0, skipped: 0 });
+  });
+});
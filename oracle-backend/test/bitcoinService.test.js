@@ -0,0 +1,128 @@
+const secp256k1 = require('secp256k1');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
+const bitcoinService = require('../src/services/bitcoinService');
+
+const ECPair = ECPairFactory(ecc);
+
+const PRIVATE_KEY = Buffer.alloc(32, 1);
+const PUBKEY = Buffer.from(secp256k1.publicKeyCreate(PRIVATE_KEY, true)).toString('hex');
+const OTHER_PUBKEY = Buffer.from(secp256k1.publicKeyCreate(Buffer.alloc(32, 2), true)).toString('hex');
+const USER_ADDRESS = 'bcrt1qw508d6qejxtdg4y5r3zarvary0c5xw7kygt080';
+
+/**
+ * Sign a message the way Bitcoin wallets do (BIP-137)
+ * @param {string} message - Message text, under 253 bytes
+ * @param {number} headerBase - 31 for P2PKH, 35 for P2SH-P2WPKH, 39 for P2WPKH
+ */
+function signMessage(message, headerBase = 31) {
+  const magic = Buffer.from('\x18Bitcoin Signed Message:\n', 'utf8');
+  const body = Buffer.from(message, 'utf8');
+  const hash = bitcoin.crypto.hash256(Buffer.concat([magic, Buffer.from([body.length]), body]));
+  const { signature, recid } = secp256k1.ecdsaSign(hash, PRIVATE_KEY);
+  return Buffer.concat([Buffer.from([headerBase + recid]), Buffer.from(signature)]).toString('base64');
+}
+
+describe('refund key proof', () => {
+  const message = bitcoinService.getRefundKeyProofMessage(PUBKEY.toUpperCase(), USER_ADDRESS);
+
+  it('builds the documented message with the key in lowercase', () => {
+    expect(message).toBe(`TakeFi HTLC refund key ${PUBKEY} for ${USER_ADDRESS}`);
+  });
+
+  it('accepts a published signed message test vector', () => {
+    const keyPair = ECPair.fromWIF('L4rK1yDtCWekvXuE6oXD9jCYfFNV2cWRpVuPLBcCU2z8TrisoyY1', bitcoin.networks.bitcoin);
+
+    expect(bitcoinService.verifyRefundKeyProof(
+      Buffer.from(keyPair.publicKey).toString('hex'),
+      'H9L5yLFjti0QTHhPyFrZCT1V/MMnBtXKmoiKDZ78NDBjERki6ZTQZdSMCtkgoNmp17By9ItJr8o7ChX0XxY91nk=',
+      'This is an example of a signed message.'
+    )).toBe(true);
+  });
+
+  it.each([
+    ['P2PKH', 31],
+    ['P2SH-P2WPKH', 35],
+    ['P2WPKH', 39]
+  ])('accepts a signature from a %s address', (type, headerBase) => {
+    expect(bitcoinService.verifyRefundKeyProof(PUBKEY, signMessage(message, headerBase), message)).toBe(true);
+  });
+
+  it('rejects a signature over a different message', () => {
+    const signature = signMessage(bitcoinService.getRefundKeyProofMessage(PUBKEY, 'bcrt1qother'));
+
+    expect(bitcoinService.verifyRefundKeyProof(PUBKEY, signature, message)).toBe(false);
+  });
+
+  it('rejects a signature by a different key', () => {
+    expect(bitcoinService.verifyRefundKeyProof(OTHER_PUBKEY, signMessage(message), message)).toBe(false);
+  });
+
+  it('rejects uncompressed-key headers and malformed signatures', () => {
+    expect(bitcoinService.verifyRefundKeyProof(PUBKEY, signMessage(message, 27), message)).toBe(false);
+    expect(bitcoinService.verifyRefundKeyProof(PUBKEY, 'AAAA', message)).toBe(false);
+    expect(bitcoinService.verifyRefundKeyProof(PUBKEY, Buffer.alloc(65).toString('base64'), message)).toBe(false);
+  });
+});
+
+describe('createHTLCScript', () => {
+  const hash = Buffer.alloc(32, 0xab);
+  const mmPubkey = Buffer.from(OTHER_PUBKEY, 'hex');
+  const userPubkey = Buffer.from(PUBKEY, 'hex');
+
+  const opcodes = (script) => bitcoin.script.toASM(script).split(' ');
+
+  it('uses CHECKLOCKTIMEVERIFY for an absolute lock height by default', () => {
+    const htlc = bitcoinService.createHTLCScript({ hash, mmPubkey, userPubkey, timelock: 850000 });
+
+    expect(opcodes(htlc.script)).toEqual([
+      'OP_IF',
+      'OP_SHA256', hash.toString('hex'), 'OP_EQUALVERIFY', OTHER_PUBKEY, 'OP_CHECKSIG',
+      'OP_ELSE',
+      bitcoin.script.number.encode(850000).toString('hex'), 'OP_CHECKLOCKTIMEVERIFY', 'OP_DROP', PUBKEY, 'OP_CHECKSIG',
+      'OP_ENDIF'
+    ]);
+  });
+
+  it('uses CHECKSEQUENCEVERIFY for a relative lock', () => {
+    const htlc = bitcoinService.createHTLCScript({ hash, mmPubkey, userPubkey, timelock: 144, timelockType: 'relative' });
+    const asm = opcodes(htlc.script);
+
+    expect(asm.slice(7, 10)).toEqual([bitcoin.script.number.encode(144).toString('hex'), 'OP_CHECKSEQUENCEVERIFY', 'OP_DROP']);
+    expect(asm).not.toContain('OP_CHECKLOCKTIMEVERIFY');
+  });
+
+  it('encodes small locks as minimal pushes', () => {
+    const htlc = bitcoinService.createHTLCScript({ hash, mmPubkey, userPubkey, timelock: 10, timelockType: 'relative' });
+
+    expect(opcodes(htlc.script)[7]).toBe('OP_10');
+  });
+
+  it('gives CLTV and CSV scripts different addresses, both paying the script', () => {
+    const absolute = bitcoinService.createHTLCScript({ hash, mmPubkey, userPubkey, timelock: 144 });
+    const relative = bitcoinService.createHTLCScript({ hash, mmPubkey, userPubkey, timelock: 144, timelockType: 'relative' });
+
+    expect(absolute.segwitAddress).not.toBe(relative.segwitAddress);
+    expect(relative.segwitScriptPubKey.toString('hex'))
+      .toBe(bitcoinService.getWitnessScriptPubKey(relative.redeemScript));
+  });
+
+  it('falls back to a hash lock without a refund key off mainnet', () => {
+    const htlc = bitcoinService.createHTLCScript({ hash, mmPubkey, timelock: 144 });
+
+    expect(opcodes(htlc.script)).toEqual(['OP_SHA256', hash.toString('hex'), 'OP_EQUALVERIFY', OTHER_PUBKEY, 'OP_CHECKSIG']);
+  });
+
+  it('refuses an HTLC without a refund path on mainnet', () => {
+    const network = bitcoinService.network;
+    bitcoinService.network = bitcoin.networks.bitcoin;
+
+    try {
+      expect(() => bitcoinService.createHTLCScript({ hash, mmPubkey, timelock: 144 }))
+        .toThrow('Refusing to create an HTLC without a refund path on mainnet');
+    } finally {
+      bitcoinService.network = network;
+    }
+  });
+});
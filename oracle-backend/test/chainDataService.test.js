@@ -0,0 +1,51 @@
+const ChainDataService = require('../src/services/chainData/chainDataService');
+
+function provider(name, getTransaction) {
+  return {
+    name,
+    type: 'test',
+    supports: (operation) => operation === 'getTransaction',
+    getTransaction: jest.fn(getTransaction)
+  };
+}
+
+const found = async (txid) => ({ txid, status: { confirmed: true } });
+const missing = async () => null;
+const down = async () => {
+  throw new Error('connect ECONNREFUSED');
+};
+
+describe('ChainDataService.confirmTransactionMissing', () => {
+  it('reports a transaction gone when a majority of providers cannot find it', async () => {
+    const chainData = new ChainDataService([provider('a', missing), provider('b', missing), provider('c', found)]);
+
+    expect(await chainData.confirmTransactionMissing('tx')).toEqual({
+      missing: true,
+      missingFrom: ['a', 'b'],
+      foundBy: ['c'],
+      unreachable: []
+    });
+  });
+
+  it('is inconclusive when only one of two providers lags behind', async () => {
+    const chainData = new ChainDataService([provider('a', missing), provider('b', found)]);
+
+    expect((await chainData.confirmTransactionMissing('tx')).missing).toBe(false);
+  });
+
+  it('counts unreachable providers against the majority', async () => {
+    const chainData = new ChainDataService([provider('a', missing), provider('b', down), provider('c', down)]);
+
+    expect(await chainData.confirmTransactionMissing('tx')).toMatchObject({
+      missing: false,
+      missingFrom: ['a'],
+      unreachable: ['b', 'c']
+    });
+  });
+
+  it('trusts a single configured provider', async () => {
+    const chainData = new ChainDataService([provider('a', missing)]);
+
+    expect((await chainData.confirmTransactionMissing('tx')).missing).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+const { FUNDING_POLICY, evaluateFunding } = require('../src/config/funding-policy.config');
+
+const EXPECTED = 100000;
+const HOUR = 3600000;
+
+describe('evaluateFunding', () => {
+  const saved = { ...FUNDING_POLICY };
+
+  afterEach(() => {
+    Object.assign(FUNDING_POLICY, saved);
+  });
+
+  const evaluate = (receivedSats, firstDepositAgoMs = 0) => evaluateFunding({
+    expectedSats: EXPECTED,
+    receivedSats,
+    firstDepositAt: new Date(Date.now() - firstDepositAgoMs).toISOString()
+  });
+
+  it('funds an exact deposit', () => {
+    expect(evaluate(EXPECTED)).toEqual({
+      action: 'fund',
+      policy: null,
+      tradeAmountSats: EXPECTED,
+      shortfallSats: 0,
+      excessSats: 0
+    });
+  });
+
+  it('trades an overpayment in full by default', () => {
+    expect(FUNDING_POLICY.overpayment).toBe('scale');
+    expect(evaluate(EXPECTED + 2500)).toMatchObject({
+      action: 'fund',
+      policy: 'scale',
+      tradeAmountSats: EXPECTED + 2500,
+      excessSats: 2500
+    });
+  });
+
+  it('caps the traded amount and records the excess under the cap policy', () => {
+    FUNDING_POLICY.overpayment = 'cap';
+
+    expect(evaluate(EXPECTED + 2500)).toMatchObject({
+      action: 'fund',
+      policy: 'cap',
+      tradeAmountSats: EXPECTED,
+      excessSats: 2500
+    });
+  });
+
+  it('keeps waiting on an underpayment under the wait policy', () => {
+    expect(evaluate(40000, 2 * HOUR)).toMatchObject({ action: 'wait', shortfallSats: 60000 });
+  });
+
+  it('waits out the grace period before scaling or refunding', () => {
+    FUNDING_POLICY.underpayment = 'refund';
+
+    expect(evaluate(40000).action).toBe('wait');
+    expect(evaluate(40000, FUNDING_POLICY.gracePeriodMs + 1000).action).toBe('refund');
+  });
+
+  it('trades a large enough underpayment under the scale policy', () => {
+    FUNDING_POLICY.underpayment = 'scale';
+    const after = FUNDING_POLICY.gracePeriodMs + 1000;
+
+    expect(evaluate(60000, after)).toMatchObject({ action: 'fund', tradeAmountSats: 60000, shortfallSats: 40000 });
+    expect(evaluate(30000, after)).toMatchObject({ action: 'refund', tradeAmountSats: 0 });
+  });
+
+  it('waits while nothing has been received', () => {
+    FUNDING_POLICY.underpayment = 'refund';
+
+    expect(evaluate(0, 2 * HOUR).action).toBe('wait');
+  });
+});
@@ -0,0 +1,64 @@
+const express = require('express');
+const request = require('supertest');
+const healthService = require('../src/services/healthService');
+const healthController = require('../src/controllers/healthController');
+const { CHECK_STATUS, READINESS_STATUS } = require('../src/services/healthService');
+
+describe('GET /health/ready', () => {
+  const registered = healthService.checks;
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(healthController);
+    healthService.checks = new Map();
+    healthService.cached = null;
+    healthService.registerCheck('swapStore', async () => ({ type: 'memory' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    healthService.checks = registered;
+    healthService.cached = null;
+  });
+
+  it('reports ready while every dependency answers', async () => {
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe(READINESS_STATUS.READY);
+    expect(res.body.checks.swapStore).toMatchObject({ status: CHECK_STATUS.UP, details: { type: 'memory' } });
+  });
+
+  it('returns 503 when a critical dependency is down', async () => {
+    healthService.registerCheck('bitcoin', async () => {
+      throw new Error('Esplora unreachable');
+    });
+
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(503);
+    expect(res.body.status).toBe(READINESS_STATUS.UNAVAILABLE);
+    expect(res.body.checks.bitcoin).toMatchObject({ status: CHECK_STATUS.DOWN, error: 'Esplora unreachable' });
+  });
+
+  it('stays in rotation when only a non-critical dependency is down', async () => {
+    healthService.registerCheck('bitcoinZmq', async () => {
+      throw new Error('Not connected');
+    }, { critical: false });
+
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe(READINESS_STATUS.DEGRADED);
+  });
+
+  it('returns 503 when the readiness check itself fails', async () => {
+    jest.spyOn(healthService, 'getReadiness').mockRejectedValueOnce(new Error('boom'));
+
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(503);
+    expect(res.body.status).toBe(READINESS_STATUS.UNAVAILABLE);
+  });
+});
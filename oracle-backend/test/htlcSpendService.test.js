@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const chainData = require('../src/services/chainData');
+const swapStore = require('../src/services/swapStore');
+const HtlcSpendService = require('../src/services/htlcSpendService');
+const { SWAP_STATES } = require('../src/services/swapLifecycle');
+
+const PREIMAGE = 'cd'.repeat(32);
+const HASH = crypto.createHash('sha256').update(Buffer.from(PREIMAGE, 'hex')).digest('hex');
+const FUNDING = { txid: 'aa'.repeat(32), vout: 1, value: 100000 };
+const SPEND_TXID = 'bb'.repeat(32);
+const SCRIPT = '63a820';
+const SIG = '30'.repeat(71);
+
+describe('HtlcSpendService.sweep', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new HtlcSpendService();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    for (const swap of await swapStore.listSwaps()) {
+      await swapStore.deleteSwap(swap.swapId);
+    }
+  });
+
+  async function storeSwap(swapId, status) {
+    await swapStore.createSwap(swapId, {
+      swapId,
+      status,
+      hash: HASH,
+      fundingOutpoints: [FUNDING],
+      createdAt: new Date().toISOString(),
+      statusHistory: []
+    });
+  }
+
+  function mockSpend(witness, { confirmed = true } = {}) {
+    jest.spyOn(chainData, 'getOutspend').mockResolvedValue({ spent: true, txid: SPEND_TXID });
+    jest.spyOn(chainData, 'getTransaction').mockResolvedValue({
+      txid: SPEND_TXID,
+      vin: [{ txid: FUNDING.txid, vout: FUNDING.vout, witness }],
+      status: confirmed ? { confirmed: true, block_height: 900 } : { confirmed: false }
+    });
+  }
+
+  const getSwap = (swapId) => swapStore.getSwap(swapId);
+
+  it('marks a delivered swap claimed when the spend reveals the preimage', async () => {
+    await storeSwap('claimed', SWAP_STATES.DELIVERED);
+    mockSpend([SIG, PREIMAGE, '01', SCRIPT]);
+
+    const summary = await service.sweep();
+
+    const swap = await getSwap('claimed');
+    expect(summary).toEqual({ claimed: 1, refunded: 0 });
+    expect(swap.status).toBe(SWAP_STATES.BTC_CLAIMED);
+    expect(swap.claimTxid).toBe(SPEND_TXID);
+  });
+
+  it('marks a refundable swap refunded when spent through the timelock branch', async () => {
+    await storeSwap('refunded', SWAP_STATES.REFUNDABLE);
+    mockSpend([SIG, '', SCRIPT]);
+
+    await service.sweep();
+
+    const swap = await getSwap('refunded');
+    expect(swap.status).toBe(SWAP_STATES.REFUNDED);
+    expect(swap.refundTxid).toBe(SPEND_TXID);
+  });
+
+  it('waits for the spending transaction to confirm', async () => {
+    await storeSwap('mempool', SWAP_STATES.DELIVERED);
+    mockSpend([SIG, PREIMAGE, '01', SCRIPT], { confirmed: false });
+
+    await service.sweep();
+
+    expect((await getSwap('mempool')).status).toBe(SWAP_STATES.DELIVERED);
+  });
+
+  it('leaves the swap alone while the HTLC is unspent', async () => {
+    await storeSwap('unspent', SWAP_STATES.REFUNDABLE);
+    jest.spyOn(chainData, 'getOutspend').mockResolvedValue({ spent: false, txid: null });
+    const getTransaction = jest.spyOn(chainData, 'getTransaction');
+
+    const summary = await service.sweep();
+
+    expect(summary).toEqual({ claimed: 0, refunded: 0 });
+    expect(getTransaction).not.toHaveBeenCalled();
+    expect((await getSwap('unspent')).status).toBe(SWAP_STATES.REFUNDABLE);
+  });
+
+  it('does not guess when the provider returns no witness', async () => {
+    await storeSwap('no-witness', SWAP_STATES.DELIVERED);
+    mockSpend(undefined);
+
+    await service.sweep();
+
+    expect((await getSwap('no-witness')).status).toBe(SWAP_STATES.DELIVERED);
+  });
+
+  it('loads only delivered and refundable swaps', async () => {
+    const listSwaps = jest.spyOn(swapStore, 'listSwaps');
+
+    await service.sweep();
+
+    expect(listSwaps).toHaveBeenCalledWith({ statuses: [SWAP_STATES.DELIVERED, SWAP_STATES.REFUNDABLE] });
+  });
+});
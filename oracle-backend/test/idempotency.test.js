@@ -0,0 +1,179 @@
+const express = require('express');
+const request = require('supertest');
+const swapStore = require('../src/services/swapStore');
+const { idempotent } = require('../src/middleware/idempotency');
+
+const PREIMAGE = 'ab'.repeat(32);
+const WEBHOOK_SECRET = 'cd'.repeat(32);
+const STREAM_TOKEN = 'ef'.repeat(32);
+
+describe('idempotent middleware', () => {
+  let app;
+  let handler;
+
+  beforeEach(() => {
+    swapStore.idempotencyRecords.clear();
+    let swapCount = 0;
+    handler = jest.fn((req, res) => {
+      if (req.body.fail) {
+        return res.status(400).json({ success: false, error: 'Bad request' });
+      }
+      swapCount++;
+      res.status(201).json({
+        success: true,
+        data: { swapId: `swap-${swapCount}`, preimage: PREIMAGE, webhookSecret: WEBHOOK_SECRET, streamToken: STREAM_TOKEN }
+      });
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.auth = { keyId: req.get('X-Test-Key') || 'key-1' };
+      next();
+    });
+    app.post('/swaps', idempotent({ ttlMs: 60000, staleAfterMs: 30000 }), (req, res) => handler(req, res));
+  });
+
+  const post = (key, body, apiKey) => {
+    const req = request(app).post('/swaps').set('Idempotency-Key', key);
+    if (apiKey) req.set('X-Test-Key', apiKey);
+    return req.send(body);
+  };
+
+  it('replays the stored response for a retry with the same body', async () => {
+    const first = await post('replay-1', { btcAmount: 100000, userEthWallet: '0xabc' });
+    // Same body with keys in another order
+    const retry = await post('replay-1', { userEthWallet: '0xabc', btcAmount: 100000 });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(retry.body.data.preimage).toBe(PREIMAGE);
+    expect(retry.body.data.webhookSecret).toBe(WEBHOOK_SECRET);
+    expect(retry.body.data.streamToken).toBe(STREAM_TOKEN);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('stores the preimage of a replayable response encrypted', async () => {
+    await post('replay-2', { btcAmount: 100000 });
+
+    const records = [...swapStore.idempotencyRecords.values()]
+      .map((record) => JSON.parse(record))
+      .filter((record) => record.swapId === 'swap-1');
+    expect(records).toHaveLength(1);
+    expect(records[0].body.data.preimage).toBeUndefined();
+    expect(records[0].encryptedPreimage).toMatchObject({ ciphertext: expect.anything() });
+    expect(JSON.stringify(records[0])).not.toContain(PREIMAGE);
+  });
+
+  it('stores the swap secrets of a replayable response encrypted', async () => {
+    await post('replay-3', { btcAmount: 100000 });
+
+    const [record] = [...swapStore.idempotencyRecords.values()].map((stored) => JSON.parse(stored));
+    expect(record.body.data.webhookSecret).toBeUndefined();
+    expect(record.sealedFields).toMatchObject({
+      webhookSecret: { ciphertext: expect.anything() },
+      streamToken: { ciphertext: expect.anything() }
+    });
+    expect(JSON.stringify(record)).not.toContain(WEBHOOK_SECRET);
+    expect(JSON.stringify(record)).not.toContain(STREAM_TOKEN);
+  });
+
+  it('rejects reusing a key with a different body', async () => {
+    await post('conflict-1', { btcAmount: 100000 });
+    const conflicting = await post('conflict-1', { btcAmount: 200000 });
+
+    expect(conflicting.status).toBe(422);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers 409 while the first request is still being processed', async () => {
+    let finish;
+    handler = jest.fn((req, res) => {
+      finish = () => res.status(201).json({ success: true, data: { swapId: 'swap-slow' } });
+    });
+
+    const first = post('pending-1', { btcAmount: 100000 }).then((res) => res);
+    await new Promise((resolve) => {
+      const wait = () => (finish ? resolve() : setTimeout(wait, 5));
+      wait();
+    });
+
+    const concurrent = await post('pending-1', { btcAmount: 100000 });
+    expect(concurrent.status).toBe(409);
+
+    finish();
+    expect((await first).status).toBe(201);
+  });
+
+  it('releases the key after a failed request so it can be retried', async () => {
+    const failed = await post('retry-1', { fail: true });
+    const retried = await post('retry-1', { fail: true });
+
+    expect(failed.status).toBe(400);
+    expect(retried.status).toBe(400);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('scopes keys to the calling API key', async () => {
+    const mine = await post('scoped-1', { btcAmount: 100000 }, 'key-1');
+    const theirs = await post('scoped-1', { btcAmount: 100000 }, 'key-2');
+
+    expect(theirs.headers['idempotent-replayed']).toBeUndefined();
+    expect(theirs.body.data.swapId).not.toBe(mine.body.data.swapId);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects malformed keys', async () => {
+    const res = await post(' ', { btcAmount: 100000 });
+    expect(res.status).toBe(400);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe('swapStore.claimIdempotencyKey', () => {
+  const options = { fingerprint: 'f1', ttlMs: 60000, staleAfterMs: 30000 };
+
+  it('lets only the first claim of a key through', async () => {
+    const [a, b] = await Promise.all([
+      swapStore.claimIdempotencyKey('a'.repeat(64), options),
+      swapStore.claimIdempotencyKey('a'.repeat(64), options)
+    ]);
+
+    expect([a.claimed, b.claimed].sort()).toEqual([false, true]);
+  });
+
+  it('reclaims an abandoned in-progress key', async () => {
+    const key = 'b'.repeat(64);
+    await swapStore.claimIdempotencyKey(key, options);
+    const record = await swapStore.getIdempotencyRecord(key);
+    await swapStore.replaceIdempotencyRecord(key, { ...record, createdAt: new Date(Date.now() - 60000).toISOString() });
+
+    expect((await swapStore.claimIdempotencyKey(key, options)).claimed).toBe(true);
+  });
+
+  it('purges expired records and keeps live ones', async () => {
+    const expired = 'd'.repeat(64);
+    const live = 'e'.repeat(64);
+    await swapStore.claimIdempotencyKey(expired, options);
+    await swapStore.claimIdempotencyKey(live, options);
+    const record = await swapStore.getIdempotencyRecord(expired);
+    await swapStore.replaceIdempotencyRecord(expired, { ...record, expiresAt: new Date(Date.now() - 1).toISOString() });
+
+    expect(await swapStore.purgeExpiredIdempotencyRecords()).toBe(1);
+    expect(await swapStore.getIdempotencyRecord(expired)).toBeNull();
+    expect(await swapStore.getIdempotencyRecord(live)).not.toBeNull();
+  });
+
+  it('reclaims an expired completed key', async () => {
+    const key = 'c'.repeat(64);
+    await swapStore.claimIdempotencyKey(key, options);
+    await swapStore.completeIdempotencyKey(key, { statusCode: 201, body: {} });
+    const record = await swapStore.getIdempotencyRecord(key);
+    await swapStore.replaceIdempotencyRecord(key, { ...record, expiresAt: new Date(Date.now() - 1).toISOString() });
+
+    expect((await swapStore.claimIdempotencyKey(key, options)).claimed).toBe(true);
+  });
+});
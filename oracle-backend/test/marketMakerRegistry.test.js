@@ -0,0 +1,38 @@
+const { MarketMakerRegistry, MM_STATUSES } = require('../src/services/marketMakerRegistry');
+
+const CLAIM_PUBKEY = '026477115981fe981a6918a6297d9803c4dc04f328f22041bedff886bbc2962e01';
+
+describe('MarketMakerRegistry from MM_* variables', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    for (const name of ['MM_CLAIM_PUBKEY', 'MM_CLAIM_XPUB', 'MM_REGISTRY_PATH']) {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  it('refuses to start without a claim key', () => {
+    expect(() => new MarketMakerRegistry()).toThrow(/MM_CLAIM_PUBKEY or MM_CLAIM_XPUB must be set/);
+  });
+
+  it('builds an active default market maker from MM_CLAIM_PUBKEY', () => {
+    process.env.MM_CLAIM_PUBKEY = CLAIM_PUBKEY;
+
+    const registry = new MarketMakerRegistry();
+    const mm = registry.selectForSwap({ targetToken: '0xabc', btcAmount: 100000 });
+
+    expect(mm.status).toBe(MM_STATUSES.ACTIVE);
+    expect(registry.getClaimKey(mm, 'swap-1')).toEqual({ mmPubkey: CLAIM_PUBKEY, mmKeyPath: null });
+  });
+});
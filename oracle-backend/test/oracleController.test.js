@@ -0,0 +1,176 @@
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const swapStore = require('../src/services/swapStore');
+const quoteLockService = require('../src/services/quoteLockService');
+const preimageVault = require('../src/services/preimageVault');
+const deliveryVerificationService = require('../src/services/deliveryVerificationService');
+const oracleController = require('../src/controllers/oracleController');
+const { SWAP_STATES } = require('../src/services/swapLifecycle');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+const { SETTLEMENT_INTERFACE } = deliveryVerificationService;
+
+const { bitcoinMonitoringService } = oracleController;
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/oracle', oracleController);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('POST /api/oracle/swap/:swapId/accept-quote', () => {
+  const SWAP_ID = '6f9619ff-8b86-4d01-b42d-00cf4fc964ff';
+  const MIN_BUY_AMOUNT = '1472600000000000000';
+  const wallet = ethers.Wallet.createRandom();
+  let app;
+
+  beforeEach(async () => {
+    app = buildApp();
+    await swapStore.createSwap(SWAP_ID, {
+      swapId: SWAP_ID,
+      status: SWAP_STATES.FAILED,
+      userEthWallet: wallet.address,
+      btcAmount: 100000,
+      quoteLock: { minBuyAmount: '1492500000000000000', forAmountSats: 100000 },
+      requote: { committedMinBuyAmount: '1492500000000000000', tradeAmountSats: 100000 },
+      statusHistory: []
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await swapStore.deleteSwap(SWAP_ID);
+  });
+
+  const consent = () => wallet.signMessage(
+    quoteLockService.getConsentMessage(SWAP_ID, MIN_BUY_AMOUNT, 100000)
+  );
+
+  it('refuses to retry the trade when the deposit no longer verifies on-chain', async () => {
+    const verifyDeposit = jest.spyOn(bitcoinMonitoringService, 'verifyDeposit').mockResolvedValue({
+      verified: false,
+      reason: 'funding_outpoint_missing',
+      payment: { amountSats: 0, confirmations: 0 },
+      requiredSats: 100000,
+      requiredConfirmations: 1,
+      missingOutpoints: [{ txid: 'aa'.repeat(32), vout: 0 }]
+    });
+
+    const res = await request(app)
+      .post(`/api/oracle/swap/${SWAP_ID}/accept-quote`)
+      .send({ minBuyAmount: MIN_BUY_AMOUNT, signature: await consent() });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details.reason).toBe('funding_outpoint_missing');
+    expect(verifyDeposit).toHaveBeenCalledWith(expect.objectContaining({ swapId: SWAP_ID }));
+
+    const swap = await swapStore.getSwap(SWAP_ID);
+    expect(swap.status).toBe(SWAP_STATES.FAILED);
+    expect(swap.quoteLock.minBuyAmount).toBe('1492500000000000000');
+    expect(swap.requote).not.toBeNull();
+  });
+
+  it('checks the consent signature before touching the chain', async () => {
+    const verifyDeposit = jest.spyOn(bitcoinMonitoringService, 'verifyDeposit');
+
+    const res = await request(app)
+      .post(`/api/oracle/swap/${SWAP_ID}/accept-quote`)
+      .send({ minBuyAmount: MIN_BUY_AMOUNT, signature: await ethers.Wallet.createRandom().signMessage('other') });
+
+    expect(res.status).toBe(400);
+    expect(verifyDeposit).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/oracle/reveal-preimage/:swapId', () => {
+  const SWAP_ID = '0d8e2f3a-5b6c-4d7e-8f90-a1b2c3d4e5f6';
+  const OTHER_SWAP_ID = '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d';
+  const ORDER_UID = '0x' + '11'.repeat(56);
+  const OTHER_ORDER_UID = '0x' + '22'.repeat(56);
+  const TOKEN = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+  const USER = '0x742d35cc6634c0532925a3b8d4c9db96590c6c87';
+  const TX_HASH = '0x' + 'ab'.repeat(32);
+  const PREIMAGE = 'cd'.repeat(32);
+  const { settlementContract } = deliveryVerificationService;
+  let app;
+
+  const storeSwap = async (swapId, cowOrderUid) => swapStore.createSwap(swapId, {
+    swapId,
+    status: SWAP_STATES.DELIVERED,
+    cowOrderUid,
+    targetToken: TOKEN,
+    userEthWallet: USER,
+    minBuyAmount: '1000',
+    settlementTxHash: null,
+    encryptedPreimage: await preimageVault.sealPreimage(swapId, PREIMAGE),
+    statusHistory: []
+  });
+
+  const tradeLog = (orderUid) => ({
+    address: settlementContract,
+    ...SETTLEMENT_INTERFACE.encodeEventLog(SETTLEMENT_INTERFACE.getEvent('Trade'), [
+      USER, '0x' + '00'.repeat(20), TOKEN, 100000, 1000, 0, orderUid
+    ])
+  });
+
+  const transferLog = (amount) => ({
+    address: TOKEN,
+    topics: [
+      ethers.utils.id('Transfer(address,address,uint256)'),
+      ethers.utils.hexZeroPad(settlementContract, 32),
+      ethers.utils.hexZeroPad(USER, 32)
+    ],
+    data: ethers.utils.hexZeroPad(ethers.utils.hexlify(amount), 32)
+  });
+
+  const mockReceipt = (logs) => jest.spyOn(deliveryVerificationService, 'getProvider').mockReturnValue({
+    getTransactionReceipt: async () => ({ status: 1, blockNumber: 100, confirmations: 10, logs })
+  });
+
+  const reveal = (swapId) => request(app)
+    .post(`/api/oracle/reveal-preimage/${swapId}`)
+    .set('Authorization', 'Bearer chainlink-don-token')
+    .send({ ethTxHash: TX_HASH });
+
+  beforeEach(async () => {
+    app = buildApp();
+    await storeSwap(SWAP_ID, ORDER_UID);
+    await storeSwap(OTHER_SWAP_ID, OTHER_ORDER_UID);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await swapStore.deleteSwap(SWAP_ID);
+    await swapStore.deleteSwap(OTHER_SWAP_ID);
+  });
+
+  it('refuses a transaction that pays the user but settles another order', async () => {
+    mockReceipt([tradeLog(OTHER_ORDER_UID), transferLog(5000)]);
+
+    const res = await reveal(SWAP_ID);
+
+    expect(res.status).toBe(409);
+    expect(res.body.details.reason).toBe('order_not_settled');
+    expect(res.body.data).toBeUndefined();
+  });
+
+  it('refuses a transaction that already unlocked a different swap', async () => {
+    // One batch settling both orders
+    mockReceipt([tradeLog(ORDER_UID), tradeLog(OTHER_ORDER_UID), transferLog(5000)]);
+
+    const first = await reveal(SWAP_ID);
+    const reused = await reveal(OTHER_SWAP_ID);
+    const repeated = await reveal(SWAP_ID);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.preimage).toBe(PREIMAGE);
+    expect(reused.status).toBe(409);
+    expect(reused.body.error).toBe('Settlement transaction already unlocked another swap');
+    expect(reused.body.data).toBeUndefined();
+    // The swap the transaction unlocked can still be revealed again
+    expect(repeated.status).toBe(200);
+  });
+});
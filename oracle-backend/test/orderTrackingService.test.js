@@ -0,0 +1,119 @@
+const swapStore = require('../src/services/swapStore');
+const OrderTrackingService = require('../src/services/orderTrackingService');
+const { SWAP_STATES } = require('../src/services/swapLifecycle');
+
+const ORDER_UID = '0x' + 'ab'.repeat(56);
+
+describe('OrderTrackingService', () => {
+  let getOrderStatus;
+  let service;
+
+  beforeEach(() => {
+    getOrderStatus = jest.fn();
+    service = new OrderTrackingService({ getClient: () => ({ getOrderStatus }) });
+    service.trackingInterval = 1;
+    service.backoffInterval = 1;
+  });
+
+  afterEach(async () => {
+    service.cleanup();
+    for (const swap of await swapStore.listSwaps()) {
+      await swapStore.deleteSwap(swap.swapId);
+    }
+  });
+
+  async function storeSwap(swapId, fields = {}) {
+    await swapStore.createSwap(swapId, {
+      swapId,
+      status: SWAP_STATES.TRADING,
+      cowOrderUid: ORDER_UID,
+      mmId: 'default',
+      createdAt: new Date().toISOString(),
+      statusHistory: [],
+      ...fields
+    });
+  }
+
+  const getSwap = (swapId) => swapStore.getSwap(swapId);
+
+  it('delivers the swap once the order is filled', async () => {
+    await storeSwap('filled');
+    getOrderStatus
+      .mockResolvedValueOnce({ uid: ORDER_UID, status: 'open' })
+      .mockResolvedValueOnce({ uid: ORDER_UID, status: 'filled', txHash: '0xsettle', executedBuyAmount: '5' });
+
+    const order = await service.startTracking('filled', ORDER_UID, 'default');
+
+    const swap = await getSwap('filled');
+    expect(order.status).toBe('filled');
+    expect(swap.status).toBe(SWAP_STATES.DELIVERED);
+    expect(swap.settlementTxHash).toBe('0xsettle');
+    expect(swap.executedBuyAmount).toBe('5');
+  });
+
+  it.each(['expired', 'cancelled'])('fails the swap when the order is %s', async (orderStatus) => {
+    await storeSwap(orderStatus);
+    getOrderStatus.mockResolvedValue({ uid: ORDER_UID, status: orderStatus });
+
+    await service.startTracking(orderStatus, ORDER_UID, 'default');
+
+    const swap = await getSwap(orderStatus);
+    expect(swap.status).toBe(SWAP_STATES.FAILED);
+    expect(swap.statusHistory.at(-1).cause).toBe(`cow_order_${orderStatus}`);
+  });
+
+  it('leaves a swap on hold to an operator when its order settles', async () => {
+    await storeSwap('held', { status: SWAP_STATES.ON_HOLD });
+    getOrderStatus.mockResolvedValue({ uid: ORDER_UID, status: 'filled' });
+
+    await service.startTracking('held', ORDER_UID, 'default');
+
+    const swap = await getSwap('held');
+    expect(swap.status).toBe(SWAP_STATES.ON_HOLD);
+    expect(swap.cowOrderStatus).toBe('filled');
+  });
+
+  it('keeps polling an open order past the tracking window, at the backoff interval', async () => {
+    await storeSwap('slow');
+    service.backoffInterval = 2;
+    let polls = 0;
+    getOrderStatus.mockImplementation(async () => {
+      polls++;
+      return { uid: ORDER_UID, status: polls < 4 ? 'open' : 'filled' };
+    });
+    const sleep = jest.spyOn(service, 'sleep');
+
+    await service.startTracking('slow', ORDER_UID, 'default', 0);
+
+    expect(polls).toBe(4);
+    expect(sleep).toHaveBeenCalledWith(2);
+    expect((await getSwap('slow')).status).toBe(SWAP_STATES.DELIVERED);
+  });
+
+  it('stops once the swap has left trading', async () => {
+    await storeSwap('refunded', { status: SWAP_STATES.REFUNDABLE });
+    getOrderStatus.mockResolvedValue({ uid: ORDER_UID, status: 'filled' });
+
+    const order = await service.startTracking('refunded', ORDER_UID, 'default');
+
+    expect(order).toBeNull();
+    expect(getOrderStatus).toHaveBeenCalledTimes(1);
+    expect((await getSwap('refunded')).status).toBe(SWAP_STATES.REFUNDABLE);
+  });
+
+  it('resumes tracking for trading swaps with an order on startup', async () => {
+    await storeSwap('trading-1');
+    await storeSwap('trading-2', { cowOrderUid: null });
+    await storeSwap('delivered', { status: SWAP_STATES.DELIVERED });
+    getOrderStatus.mockResolvedValue({ uid: ORDER_UID, status: 'filled' });
+    const startTracking = jest.spyOn(service, 'startTracking');
+
+    const summary = await service.resumeAllTracking();
+    await Promise.all([...service.activeTrackers.values()].map((tracker) => tracker.promise));
+
+    expect(summary).toEqual({ resumed: 1, skipped: 1 });
+    expect(startTracking).toHaveBeenCalledTimes(1);
+    expect(startTracking).toHaveBeenCalledWith('trading-1', ORDER_UID, 'default');
+    expect((await getSwap('trading-1')).status).toBe(SWAP_STATES.DELIVERED);
+  });
+});
@@ -0,0 +1,17 @@
+const preimageService = require('../src/services/preimageService');
+
+describe('preimageService.generatePreimage', () => {
+  it('returns a preimage matching its hash', () => {
+    const { preimage, hash } = preimageService.generatePreimage();
+
+    expect(preimage).toMatch(/^[0-9a-f]{64}$/);
+    expect(preimageService.validatePreimage(preimage, hash)).toBe(true);
+  });
+
+  it('keeps no plaintext preimage in memory', () => {
+    const { preimage } = preimageService.generatePreimage();
+    const retained = JSON.stringify(preimageService, (key, value) => (value instanceof Set ? [...value] : value));
+
+    expect(retained).not.toContain(preimage);
+  });
+});
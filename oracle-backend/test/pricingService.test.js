@@ -0,0 +1,47 @@
+const { ethers } = require('ethers');
+const pricingService = require('../src/services/pricingService');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+describe('pricingService', () => {
+  const readFeed = pricingService.readFeed;
+
+  beforeEach(() => {
+    // BTC at $60,000 and the sell token at $3,000, both with 8 decimals
+    pricingService.readFeed = jest.fn(async (name) => ({
+      feed: name,
+      address: `0x${name}`,
+      roundId: '1',
+      updatedAt: Math.floor(Date.now() / 1000),
+      answer: ethers.BigNumber.from(name === 'btcUsd' ? 6000000000000 : 300000000000),
+      decimals: 8
+    }));
+  });
+
+  afterEach(() => {
+    pricingService.readFeed = readFeed;
+  });
+
+  it('deducts the estimated claim fee, then the proportional fee', () => {
+    const feeBps = pricingService.config.fees.feeBps;
+    const { feeSats, netSats } = pricingService.applyFees(101284, 1284);
+    const proportionalFee = Math.floor((100000 * feeBps) / 10000);
+
+    expect(feeSats).toBe(1284 + proportionalFee);
+    expect(netSats).toBe(100000 - proportionalFee);
+  });
+
+  it('refuses a deposit the fees consume', () => {
+    expect(() => pricingService.applyFees(1000, 1000)).toThrow(ValidationError);
+  });
+
+  it('prices the net deposit in sell token base units', async () => {
+    const pricing = await pricingService.quoteSellAmount(1001000, { claimFeeSats: 1000 });
+    const netSats = 1000000 - Math.floor((1000000 * pricingService.config.fees.feeBps) / 10000);
+
+    expect(pricing.claimFeeSats).toBe(1000);
+    expect(pricing.netSats).toBe(netSats);
+    // 20 sell tokens per BTC
+    expect(pricing.sellAmount).toBe(ethers.BigNumber.from(netSats).mul(20).mul(ethers.constants.WeiPerEther).div(1e8).toString());
+    expect(pricing.rate).toBe('20.0');
+  });
+});
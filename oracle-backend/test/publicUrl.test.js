@@ -0,0 +1,132 @@
+const dns = require('dns');
+const express = require('express');
+const request = require('supertest');
+const { isPublicAddress, assertPublicUrl, publicOnlyLookup } = require('../src/utils/publicUrl');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+describe('isPublicAddress', () => {
+  it.each(['8.8.8.8', '1.1.1.1', '172.32.0.1', '2606:4700::1111'])('accepts %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  it.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    '::',
+    '::ffff:127.0.0.1',
+    '::ffff:169.254.169.254',
+    'fd00::1',
+    'fe80::1',
+    'not-an-ip'
+  ])('refuses %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  });
+
+  it('accepts a URL on a public IP literal', async () => {
+    const url = await assertPublicUrl('https://8.8.8.8/hooks?x=1');
+    expect(url.pathname).toBe('/hooks');
+  });
+
+  it.each([
+    'http://169.254.169.254/latest/meta-data/',
+    'http://127.0.0.1:3001/api/oracle',
+    'http://[::1]/hook',
+    'http://10.0.0.5/hook',
+    'http://192.168.0.10/hook'
+  ])('refuses %s', async (url) => {
+    await expect(assertPublicUrl(url)).rejects.toThrow('URL must resolve to a public address');
+  });
+
+  it('refuses a host that resolves to any private address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.1', family: 4 }
+    ]);
+
+    await expect(assertPublicUrl('https://partner.example.com/hook')).rejects.toThrow(ValidationError);
+  });
+
+  it('accepts a host that resolves only to public addresses', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    await expect(assertPublicUrl('https://partner.example.com/hook')).resolves.toBeInstanceOf(URL);
+  });
+
+  it('refuses a host that does not resolve', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+
+    await expect(assertPublicUrl('https://nowhere.invalid/hook')).rejects.toThrow('URL host does not resolve');
+  });
+
+  it('refuses other schemes', async () => {
+    await expect(assertPublicUrl('file:///etc/passwd')).rejects.toThrow('URL must use http or https');
+  });
+
+  it('allows private addresses when WEBHOOK_ALLOW_PRIVATE_URLS is set', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    await expect(assertPublicUrl('http://127.0.0.1:4000/hook')).resolves.toBeInstanceOf(URL);
+  });
+});
+
+describe('publicOnlyLookup', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fails the connection when the host resolves to a private address', (done) => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '169.254.169.254', family: 4 }]);
+    });
+
+    publicOnlyLookup('rebind.example.com', { all: true }, (error) => {
+      expect(error.code).toBe('ENOTPUBLIC');
+      done();
+    });
+  });
+
+  it('passes public addresses through', (done) => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, '93.184.216.34', 4);
+    });
+
+    publicOnlyLookup('partner.example.com', {}, (error, address, family) => {
+      expect(error).toBeNull();
+      expect(address).toBe('93.184.216.34');
+      expect(family).toBe(4);
+      done();
+    });
+  });
+});
+
+describe('webhook registration', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhooks', require('../src/controllers/webhookController'));
+
+  it.each([
+    'http://169.254.169.254/latest/meta-data/',
+    'http://localhost:3001/api/oracle/health',
+    'http://172.17.0.1/hook'
+  ])('refuses %s', async (url) => {
+    const res = await request(app)
+      .post('/api/webhooks')
+      .set('X-API-Key', 'dev-api-key-12345')
+      .send({ url });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0]).toMatchObject({ field: 'url' });
+  });
+});
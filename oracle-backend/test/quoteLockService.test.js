@@ -0,0 +1,88 @@
+const { QuoteLockService } = require('../src/services/quoteLockService');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+const WETH = '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14';
+const COW = '0x0625aFB445C3B6B7B929342a04A22599fd5dBB59';
+const USDC = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const WALLET = '0x742d35Cc6634C0532925a3b8D0C9C0E3C5d5c8eF';
+
+describe('QuoteLockService.lockQuote', () => {
+  const service = new QuoteLockService({ defaultSlippageBps: 50, maxSlippageBps: 300, maxSellDeviationBps: 100 }, WETH);
+  // 0.02 WETH for the deposit, of which CoW quotes 0.0199 net of a 0.0001 fee
+  const pricing = { sellToken: WETH, sellAmount: '20000000000000000' };
+  const quote = {
+    sellToken: WETH.toLowerCase(),
+    buyToken: COW,
+    sellAmount: '19900000000000000',
+    feeAmount: '100000000000000',
+    buyAmount: '1500000000000000000',
+    expiresAt: '2025-06-21T12:40:00.000Z',
+    userWallet: WALLET,
+    slippageBips: 50
+  };
+  const params = {
+    quoteId: '5f0c7a52-3b9e-4d8e-9a61-0f3e6c1b2d47',
+    targetToken: COW,
+    userEthWallet: WALLET.toLowerCase(),
+    btcAmount: 100000,
+    pricing
+  };
+
+  it('locks the quoted buy amount less slippage', () => {
+    const lock = service.lockQuote(quote, params);
+
+    expect(lock).toMatchObject({
+      quoteId: params.quoteId,
+      sellToken: quote.sellToken,
+      pricedSellAmount: pricing.sellAmount,
+      slippageBps: 50,
+      minBuyAmount: '1492500000000000000',
+      forAmountSats: 100000
+    });
+  });
+
+  it('refuses a quote for another target token', () => {
+    expect(() => service.lockQuote({ ...quote, buyToken: USDC }, params))
+      .toThrow('Quote is for a different target token');
+  });
+
+  it('refuses a quote issued for another wallet', () => {
+    expect(() => service.lockQuote({ ...quote, userWallet: '0x0000000000000000000000000000000000000002' }, params))
+      .toThrow('Quote was issued for a different wallet');
+  });
+
+  it('refuses a quote selling another token than the oracle prices', () => {
+    expect(() => service.lockQuote({ ...quote, sellToken: USDC }, params))
+      .toThrow('Quote sells a different token than the oracle prices swaps in');
+  });
+
+  it('accepts a sell amount within the deviation limit', () => {
+    // 0.5% above the oracle's price
+    expect(() => service.lockQuote({ ...quote, sellAmount: '20000000000000000', feeAmount: '100000000000000' }, params))
+      .not.toThrow();
+  });
+
+  it.each([
+    ['above', '20300000000000000'],
+    ['below', '19700000000000000']
+  ])('refuses a sell amount too far %s the oracle price', (direction, sellAmount) => {
+    let error;
+    try {
+      service.lockQuote({ ...quote, sellAmount, feeAmount: '0' }, params);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Quote sell amount does not match the oracle price for the BTC amount');
+    expect(error.details).toEqual({
+      quotedSellAmount: sellAmount,
+      pricedSellAmount: pricing.sellAmount,
+      maxSellDeviationBps: 100
+    });
+  });
+
+  it('refuses a slippage tolerance above the maximum', () => {
+    expect(() => service.lockQuote(quote, { ...params, slippageBps: 301 })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,7 @@
+// Tests run against in-process backends only: no AWS, no Bitcoin node, no ZMQ
+process.env.NODE_ENV = 'test';
+process.env.SWAP_STORE = 'memory';
+process.env.BITCOIN_NETWORK = 'regtest';
+process.env.BITCOIN_ZMQ = 'off';
+process.env.LOG_LEVEL = 'error';
+process.env.MM_CLAIM_PUBKEY = '026477115981fe981a6918a6297d9803c4dc04f328f22041bedff886bbc2962e01';
@@ -0,0 +1,160 @@
+const chainData = require('../src/services/chainData');
+const swapStore = require('../src/services/swapStore');
+const swapEvents = require('../src/services/swapEvents');
+const SwapExpiryService = require('../src/services/swapExpiryService');
+const OrderTrackingService = require('../src/services/orderTrackingService');
+const { SWAP_STATES } = require('../src/services/swapLifecycle');
+
+const TIP_HEIGHT = 1000;
+const HOUR = 3600000;
+
+describe('SwapExpiryService.sweep', () => {
+  let monitor;
+  let getOrderStatus;
+  let service;
+  let events;
+  const listener = (event) => events.push(event);
+
+  beforeEach(() => {
+    events = [];
+    swapEvents.on('event', listener);
+    jest.spyOn(chainData, 'getBlockCount').mockResolvedValue(TIP_HEIGHT);
+    monitor = { maxMonitoringTime: HOUR, stopMonitoring: jest.fn() };
+    getOrderStatus = jest.fn();
+    const orderTracking = new OrderTrackingService({ getClient: () => ({ getOrderStatus }) });
+    service = new SwapExpiryService(monitor, orderTracking);
+  });
+
+  afterEach(async () => {
+    swapEvents.off('event', listener);
+    jest.restoreAllMocks();
+    for (const swap of await swapStore.listSwaps()) {
+      await swapStore.deleteSwap(swap.swapId);
+    }
+  });
+
+  async function storeSwap(swapId, fields) {
+    const swap = {
+      swapId,
+      btcAmount: 100000,
+      createdAt: new Date().toISOString(),
+      lockHeight: TIP_HEIGHT + 144,
+      statusHistory: [],
+      ...fields
+    };
+    await swapStore.createSwap(swapId, swap);
+    return swap;
+  }
+
+  const statusOf = async (swapId) => (await swapStore.getSwap(swapId)).status;
+
+  it('loads only pending and undelivered swaps', async () => {
+    await storeSwap('open', { status: SWAP_STATES.PENDING });
+    await storeSwap('done', { status: SWAP_STATES.DELIVERED });
+    const listSwaps = jest.spyOn(swapStore, 'listSwaps');
+
+    await service.sweep();
+
+    expect(listSwaps).toHaveBeenCalledWith({
+      statuses: [
+        SWAP_STATES.PENDING,
+        SWAP_STATES.FUNDED,
+        SWAP_STATES.CONFIRMED,
+        SWAP_STATES.ON_HOLD,
+        SWAP_STATES.TRADING,
+        SWAP_STATES.FAILED
+      ]
+    });
+  });
+
+  it('expires an unfunded swap past its payment window', async () => {
+    await storeSwap('stale', { status: SWAP_STATES.PENDING, createdAt: new Date(Date.now() - 2 * HOUR).toISOString() });
+    await storeSwap('fresh', { status: SWAP_STATES.PENDING });
+
+    expect(await service.sweep()).toEqual({ expired: 1, refundable: 0, alerted: 0 });
+    expect(await statusOf('stale')).toBe(SWAP_STATES.EXPIRED);
+    expect(await statusOf('fresh')).toBe(SWAP_STATES.PENDING);
+    expect(monitor.stopMonitoring).toHaveBeenCalledWith('stale');
+  });
+
+  it('makes a partially paid swap refundable once its window closes', async () => {
+    await storeSwap('partial', {
+      status: SWAP_STATES.PENDING,
+      receivedAmountSats: 40000,
+      createdAt: new Date(Date.now() - 2 * HOUR).toISOString()
+    });
+
+    expect((await service.sweep()).refundable).toBe(1);
+    const swap = await swapStore.getSwap('partial');
+    expect(swap.status).toBe(SWAP_STATES.REFUNDABLE);
+    expect(swap.shortfallSats).toBe(60000);
+  });
+
+  it('alerts once when an undelivered swap nears its timelock', async () => {
+    await storeSwap('near', { status: SWAP_STATES.TRADING, lockHeight: TIP_HEIGHT + 10 });
+
+    expect((await service.sweep()).alerted).toBe(1);
+    expect((await service.sweep()).alerted).toBe(0);
+
+    const swap = await swapStore.getSwap('near');
+    expect(swap.status).toBe(SWAP_STATES.TRADING);
+    expect(swap.expiryAlert).toMatchObject({ blocksLeft: 10, lockHeight: TIP_HEIGHT + 10 });
+    expect(events.filter((event) => event.type === 'swap.expiry_warning')).toHaveLength(1);
+  });
+
+  it('makes an undelivered swap refundable within the refund margin', async () => {
+    await storeSwap('late', { status: SWAP_STATES.ON_HOLD, lockHeight: TIP_HEIGHT + 2 });
+
+    expect((await service.sweep()).refundable).toBe(1);
+    expect(await statusOf('late')).toBe(SWAP_STATES.REFUNDABLE);
+    expect(monitor.stopMonitoring).toHaveBeenCalledWith('late');
+  });
+
+  it('does not refund a swap whose trade has a settlement transaction', async () => {
+    await storeSwap('settled', { status: SWAP_STATES.TRADING, lockHeight: TIP_HEIGHT + 2, settlementTxHash: '0x' + 'ab'.repeat(32) });
+
+    expect((await service.sweep()).refundable).toBe(0);
+    expect(await statusOf('settled')).toBe(SWAP_STATES.TRADING);
+    expect(monitor.stopMonitoring).not.toHaveBeenCalled();
+  });
+
+  it('settles a trading swap whose order filled instead of refunding it', async () => {
+    const ORDER_UID = '0x' + '11'.repeat(56);
+    getOrderStatus.mockResolvedValue({ uid: ORDER_UID, status: 'filled', txHash: '0x' + 'cd'.repeat(32) });
+    await storeSwap('filled', { status: SWAP_STATES.TRADING, lockHeight: TIP_HEIGHT + 2, cowOrderUid: ORDER_UID });
+
+    expect((await service.sweep()).refundable).toBe(0);
+    expect(getOrderStatus).toHaveBeenCalledWith(ORDER_UID);
+    const swap = await swapStore.getSwap('filled');
+    expect(swap.status).toBe(SWAP_STATES.DELIVERED);
+    expect(swap.settlementTxHash).toBe('0x' + 'cd'.repeat(32));
+  });
+
+  it('refunds a trading swap whose order is still open', async () => {
+    getOrderStatus.mockResolvedValue({ status: 'open' });
+    await storeSwap('open-order', { status: SWAP_STATES.TRADING, lockHeight: TIP_HEIGHT + 2, cowOrderUid: '0x' + '22'.repeat(56) });
+
+    expect((await service.sweep()).refundable).toBe(1);
+    expect(await statusOf('open-order')).toBe(SWAP_STATES.REFUNDABLE);
+  });
+
+  it('leaves a trading swap for the next sweep when its order cannot be checked', async () => {
+    getOrderStatus.mockRejectedValue(new Error('MM Server order status check failed'));
+    await storeSwap('unknown', { status: SWAP_STATES.TRADING, lockHeight: TIP_HEIGHT + 2, cowOrderUid: '0x' + '33'.repeat(56) });
+
+    expect((await service.sweep()).refundable).toBe(0);
+    expect(await statusOf('unknown')).toBe(SWAP_STATES.TRADING);
+  });
+
+  it('falls back to the expiry time when the chain tip is unavailable', async () => {
+    chainData.getBlockCount.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    await storeSwap('timed', {
+      status: SWAP_STATES.FUNDED,
+      lockHeight: undefined,
+      expiresAt: new Date(Date.now() + 15 * 60000).toISOString()
+    });
+
+    expect((await service.sweep()).refundable).toBe(1);
+    expect(await statusOf('timed')).toBe(SWAP_STATES.REFUNDABLE);
+  });
+});
@@ -0,0 +1,132 @@
+const swapStore = require('../src/services/swapStore');
+const swapEvents = require('../src/services/swapEvents');
+const {
+  SWAP_STATES,
+  normalizeStatus,
+  isTerminalState,
+  canTransition,
+  initialSwapState,
+  transitionSwap,
+  acknowledgeSwapEvent
+} = require('../src/services/swapLifecycle');
+const { ConflictError } = require('../src/middleware/errorHandler');
+
+describe('swap lifecycle', () => {
+  describe('canTransition', () => {
+    it.each([
+      ['pending', 'funded'],
+      ['funded', 'confirmed'],
+      ['confirmed', 'trading'],
+      ['trading', 'delivered'],
+      ['delivered', 'btc_claimed'],
+      ['delivered', 'refunded'],
+      ['refundable', 'btc_claimed'],
+      ['trading', 'failed'],
+      ['failed', 'trading'],
+      ['funded', 'on_hold'],
+      ['on_hold', 'funded'],
+      ['on_hold', 'trading'],
+      ['expired', 'refundable'],
+      ['refundable', 'refunded']
+    ])('allows %s -> %s', (from, to) => {
+      expect(canTransition(from, to)).toBe(true);
+    });
+
+    it.each([
+      ['pending', 'trading'],
+      ['funded', 'delivered'],
+      ['delivered', 'refundable'],
+      ['btc_claimed', 'pending'],
+      ['refunded', 'refundable'],
+      ['on_hold', 'delivered']
+    ])('rejects %s -> %s', (from, to) => {
+      expect(canTransition(from, to)).toBe(false);
+    });
+
+    it('maps legacy statuses onto lifecycle states', () => {
+      expect(normalizeStatus('active')).toBe(SWAP_STATES.PENDING);
+      expect(normalizeStatus('executing')).toBe(SWAP_STATES.TRADING);
+      expect(normalizeStatus('completed')).toBe(SWAP_STATES.DELIVERED);
+      expect(canTransition('active', 'funded')).toBe(true);
+      expect(canTransition('executing', 'delivered')).toBe(true);
+    });
+
+    it('treats claimed and refunded swaps as terminal', () => {
+      expect(isTerminalState('btc_claimed')).toBe(true);
+      expect(isTerminalState('refunded')).toBe(true);
+      expect(isTerminalState('delivered')).toBe(false);
+      expect(isTerminalState('unknown')).toBe(false);
+    });
+  });
+
+  describe('transitionSwap', () => {
+    let events;
+    const listener = (event) => events.push(event);
+
+    beforeEach(async () => {
+      events = [];
+      swapEvents.on('event', listener);
+      await swapStore.createSwap('lifecycle-swap', { swapId: 'lifecycle-swap', ...initialSwapState() });
+    });
+
+    afterEach(async () => {
+      swapEvents.off('event', listener);
+      await swapStore.deleteSwap('lifecycle-swap');
+    });
+
+    it('persists the new state, extra fields and history, and publishes an event', async () => {
+      const updated = await transitionSwap('lifecycle-swap', SWAP_STATES.FUNDED, {
+        cause: 'deposit_detected',
+        fields: { depositTxid: 'abc' }
+      });
+
+      expect(updated.status).toBe(SWAP_STATES.FUNDED);
+      expect(updated.depositTxid).toBe('abc');
+      expect(updated.statusHistory.map(({ from, to, cause }) => ({ from, to, cause }))).toEqual([
+        { from: null, to: 'pending', cause: 'swap_created' },
+        { from: 'pending', to: 'funded', cause: 'deposit_detected' }
+      ]);
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        type: 'swap.funded',
+        swapId: 'lifecycle-swap',
+        data: { from: 'pending', to: 'funded', cause: 'deposit_detected' }
+      });
+    });
+
+    it('keeps the published event pending on the stored swap until it is acknowledged', async () => {
+      const swapWrites = jest.spyOn(swapStore, 'replaceSwap');
+
+      await transitionSwap('lifecycle-swap', SWAP_STATES.FUNDED, { cause: 'deposit_detected' });
+
+      // The event is written with the transition itself, not after it
+      expect(swapWrites).toHaveBeenCalledTimes(1);
+      swapWrites.mockRestore();
+      const stored = await swapStore.getSwap('lifecycle-swap');
+      expect(stored.pendingEvents).toEqual([events[0]]);
+
+      await acknowledgeSwapEvent('lifecycle-swap', events[0].id);
+      expect((await swapStore.getSwap('lifecycle-swap')).pendingEvents).toEqual([]);
+    });
+
+    it('rejects an illegal transition without changing the swap', async () => {
+      await expect(transitionSwap('lifecycle-swap', SWAP_STATES.DELIVERED, { cause: 'test' }))
+        .rejects.toBeInstanceOf(ConflictError);
+
+      const swap = await swapStore.getSwap('lifecycle-swap');
+      expect(swap.status).toBe(SWAP_STATES.PENDING);
+      expect(swap.statusHistory).toHaveLength(1);
+      expect(events).toHaveLength(0);
+    });
+
+    it('lets only one of two racing transitions from the same state win', async () => {
+      const results = await Promise.allSettled([
+        transitionSwap('lifecycle-swap', SWAP_STATES.FUNDED, { cause: 'deposit_detected' }),
+        transitionSwap('lifecycle-swap', SWAP_STATES.EXPIRED, { cause: 'expired' })
+      ]);
+
+      expect(results.map((result) => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect((await swapStore.getSwap('lifecycle-swap')).status).toBe(SWAP_STATES.FUNDED);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const chainData = require('../src/services/chainData');
+const bitcoinService = require('../src/services/bitcoinService');
+const { SwapSizingService } = require('../src/services/swapSizingService');
+
+const MM_PUBKEY = Buffer.from(process.env.MM_CLAIM_PUBKEY, 'hex');
+const USER_PUBKEY = Buffer.from('0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', 'hex');
+
+describe('SwapSizingService.estimateSpendFees', () => {
+  let service;
+  let htlc;
+
+  beforeEach(() => {
+    service = new SwapSizingService();
+    htlc = bitcoinService.createHTLCScript({
+      hash: Buffer.alloc(32, 1),
+      mmPubkey: MM_PUBKEY,
+      userPubkey: USER_PUBKEY,
+      timelock: 144,
+      timelockType: 'relative'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const estimate = () => service.estimateSpendFees({
+    htlcScript: htlc.script.toString('hex'),
+    refundAddress: htlc.segwitAddress
+  });
+
+  it('requires a multiple of the larger of the claim and refund fees', async () => {
+    jest.spyOn(chainData, 'getFeeRate').mockResolvedValue({ feeRate: 20, targetBlocks: 6 });
+
+    const fees = await estimate();
+    const spendFeeSats = Math.max(fees.claimFeeSats, fees.refundFeeSats);
+
+    expect(fees.claimFeeSats).toBe(Math.ceil(fees.claimVsize * 20));
+    expect(fees.refundFeeSats).toBe(Math.ceil(fees.refundVsize * 20));
+    expect(fees.minBtcAmount).toBe(spendFeeSats * service.feeMultiple);
+  });
+
+  it('raises the minimum with the fee rate, so a swap sized earlier becomes too small', async () => {
+    const getFeeRate = jest.spyOn(chainData, 'getFeeRate').mockResolvedValue({ feeRate: 5, targetBlocks: 6 });
+    const cheap = await estimate();
+
+    service.cached = null;
+    getFeeRate.mockResolvedValue({ feeRate: 100, targetBlocks: 6 });
+    const dear = await estimate();
+
+    expect(dear.minBtcAmount).toBeGreaterThan(cheap.minBtcAmount);
+    expect(cheap.minBtcAmount).toBeLessThan(dear.refundFeeSats);
+  });
+
+  it('keeps the spent output above dust at the minimum relay fee rate', async () => {
+    jest.spyOn(chainData, 'getFeeRate').mockResolvedValue({ feeRate: 0.1, targetBlocks: 6 });
+    service.feeMultiple = 1;
+
+    const fees = await estimate();
+    const spendFeeSats = Math.max(fees.claimFeeSats, fees.refundFeeSats);
+
+    expect(fees.feeRate).toBe(1);
+    expect(fees.minBtcAmount).toBeGreaterThan(spendFeeSats);
+    expect(fees.minBtcAmount - spendFeeSats).toBeGreaterThanOrEqual(330);
+  });
+
+  it('sizes a hashlock-only HTLC by its claim alone', async () => {
+    jest.spyOn(chainData, 'getFeeRate').mockResolvedValue({ feeRate: 20, targetBlocks: 6 });
+    htlc = bitcoinService.createHTLCScript({
+      hash: Buffer.alloc(32, 1),
+      mmPubkey: MM_PUBKEY,
+      userPubkey: null,
+      timelock: 144,
+      timelockType: 'relative'
+    });
+
+    const fees = await estimate();
+
+    expect(fees.refundFeeSats).toBeNull();
+    expect(fees.minBtcAmount).toBe(fees.claimFeeSats * service.feeMultiple);
+  });
+
+  it('falls back to the configured fee rate without caching it when estimates fail', async () => {
+    const getFeeRate = jest.spyOn(chainData, 'getFeeRate').mockRejectedValue(new Error('No fee estimates returned'));
+    service.fallbackFeeRate = 15;
+
+    const fees = await estimate();
+    await estimate();
+
+    expect(fees).toMatchObject({ feeRate: 15, feeRateSource: 'fallback' });
+    expect(getFeeRate).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemorySwapStore = require('../src/services/swapStore/memorySwapStore');
+const FileSwapStore = require('../src/services/swapStore/fileSwapStore');
+const AWSSwapStore = require('../src/services/swapStore/awsSwapStore');
+const { ConflictError, NotFoundError, ValidationError } = require('../src/middleware/errorHandler');
+
+describe('MemorySwapStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemorySwapStore();
+  });
+
+  it('stores and returns copies of swap records', async () => {
+    await store.createSwap('swap-1', { swapId: 'swap-1', status: 'pending' });
+
+    const swap = await store.getSwap('swap-1');
+    swap.status = 'mutated';
+
+    expect((await store.getSwap('swap-1')).status).toBe('pending');
+    expect(await store.swapExists('swap-1')).toBe(true);
+    expect(await store.getSwap('missing')).toBeNull();
+  });
+
+  it('refuses to create a swap twice', async () => {
+    await store.createSwap('swap-1', { swapId: 'swap-1' });
+
+    await expect(store.createSwap('swap-1', { swapId: 'swap-1' })).rejects.toBeInstanceOf(ConflictError);
+  });
+
+  it('merges updates, including from an updater function', async () => {
+    await store.createSwap('swap-1', { swapId: 'swap-1', status: 'pending', btcAmount: 1000 });
+
+    await store.updateSwap('swap-1', { status: 'funded' });
+    const updated = await store.updateSwap('swap-1', (current) => ({ btcAmount: current.btcAmount * 2 }));
+
+    expect(updated).toMatchObject({ swapId: 'swap-1', status: 'funded', btcAmount: 2000 });
+    expect(updated.lastUpdated).toBeDefined();
+  });
+
+  it('rejects updates to a missing swap', async () => {
+    await expect(store.updateSwap('missing', { status: 'funded' })).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  it('serializes concurrent read-modify-write updates', async () => {
+    await store.createSwap('swap-1', { swapId: 'swap-1', count: 0 });
+
+    await Promise.all(Array.from({ length: 10 }, () =>
+      store.updateSwap('swap-1', async (current) => {
+        await new Promise((resolve) => setImmediate(resolve));
+        return { count: current.count + 1 };
+      })
+    ));
+
+    expect((await store.getSwap('swap-1')).count).toBe(10);
+  });
+});
+
+/**
+ * Swap fixtures created a minute apart, oldest first
+ */
+function buildSwaps() {
+  const statuses = ['pending', 'funded', 'active', 'delivered', 'executing', 'pending', 'completed'];
+  return statuses.map((status, i) => ({
+    swapId: `swap-${i}`,
+    status,
+    btcAmount: 1000 * (i + 1),
+    userEthWallet: i % 2 === 0 ? '0xAbC0000000000000000000000000000000000001' : '0x0000000000000000000000000000000000000002',
+    createdAt: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()
+  }));
+}
+
+async function collectPages(store, query) {
+  const ids = [];
+  let cursor = null;
+  do {
+    const page = await store.querySwaps({ ...query, cursor });
+    ids.push(...page.swaps.map((swap) => swap.swapId));
+    cursor = page.nextCursor;
+    expect(page.hasMore).toBe(Boolean(cursor));
+  } while (cursor);
+  return ids;
+}
+
+describe('querySwaps', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new MemorySwapStore();
+    for (const swap of buildSwaps()) {
+      await store.createSwap(swap.swapId, swap);
+    }
+  });
+
+  it('sorts by createdAt descending by default', async () => {
+    const { swaps, hasMore, nextCursor } = await store.querySwaps();
+
+    expect(swaps.map((swap) => swap.swapId)).toEqual(['swap-6', 'swap-5', 'swap-4', 'swap-3', 'swap-2', 'swap-1', 'swap-0']);
+    expect(hasMore).toBe(false);
+    expect(nextCursor).toBeNull();
+  });
+
+  it('matches legacy statuses against their lifecycle state', async () => {
+    const pending = await store.querySwaps({ filters: { status: ['pending'] } });
+    const finished = await store.querySwaps({ filters: { status: ['trading', 'delivered'] } });
+
+    expect(pending.swaps.map((swap) => swap.swapId)).toEqual(['swap-5', 'swap-2', 'swap-0']);
+    expect(finished.swaps.map((swap) => swap.swapId)).toEqual(['swap-6', 'swap-4', 'swap-3']);
+  });
+
+  it('filters by wallet case-insensitively and by creation time', async () => {
+    const { swaps } = await store.querySwaps({
+      filters: {
+        userEthWallet: '0xabc0000000000000000000000000000000000001',
+        createdFrom: '2026-01-01T00:02:00.000Z'
+      },
+      order: 'asc'
+    });
+
+    expect(swaps.map((swap) => swap.swapId)).toEqual(['swap-2', 'swap-4', 'swap-6']);
+  });
+
+  it('pages through every match exactly once', async () => {
+    expect(await collectPages(store, { limit: 2, sortBy: 'btcAmount', order: 'asc' }))
+      .toEqual(['swap-0', 'swap-1', 'swap-2', 'swap-3', 'swap-4', 'swap-5', 'swap-6']);
+    expect(await collectPages(store, { limit: 2, filters: { status: ['pending'] } }))
+      .toEqual(['swap-5', 'swap-2', 'swap-0']);
+  });
+
+  it('rejects unknown sort fields and malformed cursors', async () => {
+    await expect(store.querySwaps({ sortBy: 'preimage' })).rejects.toBeInstanceOf(ValidationError);
+    await expect(store.querySwaps({ cursor: 'not-a-cursor' })).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('lists swaps by lifecycle state', async () => {
+    const swaps = await store.listSwaps({ statuses: ['pending', 'funded'] });
+
+    expect(swaps.map((swap) => swap.swapId).sort()).toEqual(['swap-0', 'swap-1', 'swap-2', 'swap-5']);
+  });
+});
+
+describe('AWSSwapStore', () => {
+  let secrets;
+  let store;
+
+  beforeEach(() => {
+    const records = new Map(buildSwaps().map((swap) => [swap.swapId, swap]));
+    secrets = {
+      records,
+      // swap-2 was stored before status tags were written
+      tags: new Map(buildSwaps().map((swap) => [
+        swap.swapId,
+        swap.swapId === 'swap-2' ? { CreatedAt: swap.createdAt } : { Status: swap.status, CreatedAt: swap.createdAt }
+      ])),
+      reads: [],
+      listSwapSecrets: jest.fn(async () => [...secrets.tags].map(([swapId, tags]) => ({ swapId, tags: { ...tags } }))),
+      getSwapSecret: jest.fn(async (swapId) => {
+        secrets.reads.push(swapId);
+        return secrets.records.get(swapId) || null;
+      }),
+      updateSwapSecret: jest.fn(async (swapId, swapData) => {
+        secrets.records.set(swapId, swapData);
+        return { success: true };
+      }),
+      tagSwapSecret: jest.fn(async (swapId, tags) => {
+        secrets.tags.set(swapId, { ...secrets.tags.get(swapId), ...tags });
+        return { success: true };
+      })
+    };
+    store = new AWSSwapStore(secrets);
+  });
+
+  it('reads only the swaps on the requested page', async () => {
+    const page = await store.querySwaps({ limit: 2, filters: { status: ['delivered'] } });
+
+    expect(page.swaps.map((swap) => swap.swapId)).toEqual(['swap-6', 'swap-3']);
+    expect(page.hasMore).toBe(false);
+    // swap-2 is read once to backfill its tag, then only the page
+    expect(secrets.reads).toEqual(['swap-2', 'swap-6', 'swap-3']);
+    expect(secrets.tags.get('swap-2').Status).toBe('pending');
+  });
+
+  it('pages over the index with a stable cursor', async () => {
+    expect(await collectPages(store, { limit: 3 }))
+      .toEqual(['swap-6', 'swap-5', 'swap-4', 'swap-3', 'swap-2', 'swap-1', 'swap-0']);
+  });
+
+  it('lists open swaps without reading closed ones', async () => {
+    const swaps = await store.listSwaps({ statuses: ['funded', 'trading'] });
+
+    expect(swaps.map((swap) => swap.swapId).sort()).toEqual(['swap-1', 'swap-4']);
+    expect(secrets.reads.sort()).toEqual(['swap-1', 'swap-2', 'swap-4']);
+  });
+
+  it('retags a swap when an update changes its status', async () => {
+    await store.updateSwap('swap-0', { status: 'funded' });
+    await store.updateSwap('swap-0', { depositTxid: 'abc' });
+
+    expect(secrets.tagSwapSecret).toHaveBeenCalledTimes(1);
+    expect(secrets.tags.get('swap-0').Status).toBe('funded');
+  });
+});
+
+describe('FileSwapStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'swaps-'));
+    store = new FileSwapStore(directory);
+    for (const swap of buildSwaps()) {
+      await store.createSwap(swap.swapId, swap);
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('lists open swaps without reading closed ones', async () => {
+    // Builds the index from disk
+    await store.listSwapIndex();
+    const getSwap = jest.spyOn(store, 'getSwap');
+
+    const swaps = await store.listSwaps({ statuses: ['funded', 'trading'] });
+
+    expect(swaps.map((swap) => swap.swapId).sort()).toEqual(['swap-1', 'swap-4']);
+    expect(getSwap.mock.calls.map(([swapId]) => swapId).sort()).toEqual(['swap-1', 'swap-4']);
+  });
+
+  it('keeps the index current across updates and deletes', async () => {
+    await store.listSwapIndex();
+
+    await store.updateSwap('swap-0', { status: 'funded' });
+    await store.deleteSwap('swap-1');
+    await store.createSwap('swap-7', { swapId: 'swap-7', status: 'pending', createdAt: new Date().toISOString() });
+
+    expect((await store.listSwaps({ statuses: ['funded'] })).map((swap) => swap.swapId)).toEqual(['swap-0']);
+    expect((await store.listSwapIndex({ statuses: ['pending'] })).map((entry) => entry.swapId).sort())
+      .toEqual(['swap-2', 'swap-5', 'swap-7']);
+  });
+
+  it('builds the index from swaps already on disk', async () => {
+    const reopened = new FileSwapStore(directory);
+
+    expect((await reopened.listSwaps({ statuses: ['delivered'] })).map((swap) => swap.swapId).sort())
+      .toEqual(['swap-3', 'swap-6']);
+  });
+});
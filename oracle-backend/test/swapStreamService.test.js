@@ -0,0 +1,135 @@
+const swapStore = require('../src/services/swapStore');
+const { SwapStreamService } = require('../src/services/swapStreamService');
+
+const SWAP_ID = '3f2504e0-4f89-41d3-9a0c-0305e82c3301';
+const OTHER_SWAP_ID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+const OWNER_KEY_ID = 'a1b2c3d4e5f60718';
+
+function fakeSocket(auth) {
+  return {
+    id: 'socket-1',
+    rooms: new Set(['socket-1']),
+    data: { auth },
+    handshake: { auth: {}, address: '127.0.0.1' },
+    join(room) {
+      this.rooms.add(room);
+    },
+    leave(room) {
+      this.rooms.delete(room);
+    },
+    emit: jest.fn()
+  };
+}
+
+describe('SwapStreamService', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = new SwapStreamService();
+    await swapStore.createSwap(SWAP_ID, { swapId: SWAP_ID, status: 'pending', ownerKeyId: OWNER_KEY_ID });
+    await swapStore.createSwap(OTHER_SWAP_ID, { swapId: OTHER_SWAP_ID, status: 'pending', ownerKeyId: null });
+  });
+
+  afterEach(async () => {
+    await swapStore.deleteSwap(SWAP_ID);
+    await swapStore.deleteSwap(OTHER_SWAP_ID);
+  });
+
+  const publish = (id) => service.broadcast(
+    { id, type: 'swap.funded', swapId: SWAP_ID, occurredAt: new Date().toISOString(), data: {} },
+    { swapId: SWAP_ID, status: 'funded' }
+  );
+
+  describe('handshake', () => {
+    const handshake = (credentials) => {
+      const socket = fakeSocket();
+      socket.handshake.auth = credentials;
+      const next = jest.fn();
+      service.authorizeHandshake(socket, next);
+      return { socket, error: next.mock.calls[0][0] };
+    };
+
+    it('refuses a connection without credentials', () => {
+      expect(handshake({}).error).toBeInstanceOf(Error);
+    });
+
+    it('refuses an invalid DON token or API key', () => {
+      expect(handshake({ token: 'not-the-token' }).error).toBeInstanceOf(Error);
+      expect(handshake({ apiKey: 'not-a-key' }).error).toBeInstanceOf(Error);
+    });
+
+    it('accepts a DON token, an API key or stream tokens', () => {
+      expect(handshake({ token: 'chainlink-don-token' }).socket.data.auth).toEqual({ type: 'chainlink-don' });
+      expect(handshake({ apiKey: 'dev-api-key-12345' }).socket.data.auth).toMatchObject({ type: 'api-key', role: 'user' });
+      expect(handshake({ streamTokens: { [SWAP_ID]: 'token' } }).socket.data.auth.type).toBe('swap-owner');
+    });
+  });
+
+  describe('subscribe', () => {
+    it('lets a stream token follow only the swap it was issued for', async () => {
+      const socket = fakeSocket({
+        type: 'swap-owner',
+        streamTokens: {
+          [SWAP_ID]: service.issueStreamToken(SWAP_ID),
+          [OTHER_SWAP_ID]: service.issueStreamToken(SWAP_ID)
+        }
+      });
+
+      const ack = await service.subscribe(socket, { swapIds: [SWAP_ID, OTHER_SWAP_ID] });
+
+      expect(ack.data).toEqual({ subscribed: [SWAP_ID], notFound: [OTHER_SWAP_ID] });
+      expect(socket.rooms.has(`swap:${OTHER_SWAP_ID}`)).toBe(false);
+    });
+
+    it('lets an API key follow the swaps it owns and an operator follow any', async () => {
+      const user = fakeSocket({ type: 'api-key', keyId: OWNER_KEY_ID, role: 'user' });
+      const operator = fakeSocket({ type: 'api-key', keyId: 'operator', role: 'operator' });
+
+      expect((await service.subscribe(user, { swapIds: [SWAP_ID, OTHER_SWAP_ID] })).data)
+        .toEqual({ subscribed: [SWAP_ID], notFound: [OTHER_SWAP_ID] });
+      expect((await service.subscribe(operator, { swapIds: [SWAP_ID, OTHER_SWAP_ID] })).data)
+        .toEqual({ subscribed: [SWAP_ID, OTHER_SWAP_ID], notFound: [] });
+    });
+
+    it('sends a snapshot on a first subscribe', async () => {
+      publish('event-1');
+      const socket = fakeSocket({ type: 'chainlink-don' });
+
+      await service.subscribe(socket, { swapIds: [SWAP_ID] });
+
+      expect(socket.emit).toHaveBeenCalledTimes(1);
+      expect(socket.emit).toHaveBeenCalledWith('swapSnapshot', expect.objectContaining({
+        swapId: SWAP_ID,
+        lastEventId: 'event-1',
+        swap: expect.objectContaining({ swapId: SWAP_ID })
+      }));
+    });
+
+    it('replays the events missed since the last one seen', async () => {
+      publish('event-1');
+      publish('event-2');
+      publish('event-3');
+      const socket = fakeSocket({ type: 'chainlink-don' });
+
+      await service.subscribe(socket, { swapIds: [SWAP_ID], lastEventIds: { [SWAP_ID]: 'event-1' } });
+
+      expect(socket.emit.mock.calls.map(([name, event]) => [name, event.id])).toEqual([
+        ['swapEvent', 'event-2'],
+        ['swapEvent', 'event-3']
+      ]);
+    });
+
+    it('falls back to a snapshot when the last event seen is no longer kept', async () => {
+      service.replayLimit = 2;
+      publish('event-1');
+      publish('event-2');
+      publish('event-3');
+      const socket = fakeSocket({ type: 'chainlink-don' });
+
+      await service.subscribe(socket, { swapIds: [SWAP_ID], lastEventIds: { [SWAP_ID]: 'event-1' } });
+
+      expect(socket.emit).toHaveBeenCalledTimes(1);
+      expect(socket.emit).toHaveBeenCalledWith('swapSnapshot', expect.objectContaining({ lastEventId: 'event-3' }));
+    });
+  });
+});
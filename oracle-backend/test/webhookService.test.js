@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const WebhookStore = require('../src/services/webhookStore');
+const AWSWebhookStore = require('../src/services/awsWebhookStore');
+const swapStore = require('../src/services/swapStore');
+const { WebhookService, createWebhookStore } = require('../src/services/webhookService');
+
+function delivery(deliveryId, target, createdAt = new Date().toISOString()) {
+  return {
+    deliveryId,
+    eventId: `event-${deliveryId}`,
+    eventType: 'swap.funded',
+    swapId: 'swap-1',
+    target,
+    ownerKeyId: 'owner-1',
+    payload: { id: `event-${deliveryId}`, type: 'swap.funded' },
+    attempts: 0,
+    nextAttemptAt: new Date(0).toISOString(),
+    createdAt,
+    lastError: null
+  };
+}
+
+describe('WebhookService delivery', () => {
+  let directory;
+  let store;
+  let service;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    store = new WebhookStore(directory);
+    service = new WebhookService(store);
+    service.maxAttempts = 3;
+    service.retryBaseDelay = 1000;
+    service.getTargetSecret = jest.fn(async () => 'secret');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('does not create the store directory until it is used', async () => {
+    const lazyDirectory = path.join(directory, 'lazy');
+    const lazyStore = new WebhookStore(lazyDirectory);
+    expect(fs.existsSync(lazyDirectory)).toBe(false);
+
+    await lazyStore.list('outbox');
+    expect(fs.existsSync(path.join(lazyDirectory, 'outbox'))).toBe(true);
+  });
+
+  it('removes a delivered entry from the outbox', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 204 });
+    await store.put('outbox', 'd1', delivery('d1', { type: 'endpoint', webhookId: 'w1', url: 'https://8.8.8.8/hook' }));
+
+    await service.deliverDue();
+
+    expect(post).toHaveBeenCalledWith('https://8.8.8.8/hook', expect.any(String), expect.objectContaining({
+      maxRedirects: 0,
+      httpAgent: service.httpAgent,
+      httpsAgent: service.httpsAgent,
+      headers: expect.objectContaining({ 'X-TakeFi-Delivery': 'd1', 'X-TakeFi-Event': 'swap.funded' })
+    }));
+    expect(await store.list('outbox')).toEqual([]);
+  });
+
+  it('retries a failed delivery with exponential backoff', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue({ response: { status: 500 } });
+    await store.put('outbox', 'd1', delivery('d1', { type: 'endpoint', webhookId: 'w1', url: 'https://8.8.8.8/hook' }));
+
+    const before = Date.now();
+    await service.attemptDelivery(await store.get('outbox', 'd1'));
+    let queued = await store.get('outbox', 'd1');
+    expect(queued).toMatchObject({ attempts: 1, lastError: 'HTTP 500' });
+    expect(new Date(queued.nextAttemptAt).getTime()).toBeGreaterThanOrEqual(before + 1000);
+
+    await service.attemptDelivery(queued);
+    queued = await store.get('outbox', 'd1');
+    expect(queued.attempts).toBe(2);
+    expect(new Date(queued.nextAttemptAt).getTime()).toBeGreaterThanOrEqual(before + 2000);
+  });
+
+  it('moves a delivery to the dead-letter list after the last attempt and requeues it on redeliver', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue({ response: { status: 503 } });
+    await store.put('outbox', 'd1', {
+      ...delivery('d1', { type: 'endpoint', webhookId: 'w1', url: 'https://8.8.8.8/hook' }),
+      attempts: 2
+    });
+
+    await service.attemptDelivery(await store.get('outbox', 'd1'));
+
+    expect(await store.get('outbox', 'd1')).toBeNull();
+    const [deadLetter] = await service.listDeadLetters('owner-1');
+    expect(deadLetter).toMatchObject({ deliveryId: 'd1', attempts: 3, lastError: 'HTTP 503' });
+    expect(await service.listDeadLetters('owner-2')).toEqual([]);
+
+    service.processOutbox = jest.fn();
+    const requeued = await service.redeliver('owner-1', 'd1');
+    expect(requeued.attempts).toBe(0);
+    expect(await store.get('dead-letter', 'd1')).toBeNull();
+    expect(await store.get('outbox', 'd1')).toMatchObject({ attempts: 0 });
+  });
+
+  it('does not post to a target that now resolves to a private address', async () => {
+    const post = jest.spyOn(axios, 'post');
+    await store.put('outbox', 'd1', delivery('d1', { type: 'swap', swapId: 'swap-1', url: 'http://169.254.169.254/latest/meta-data/' }));
+
+    await service.attemptDelivery(await store.get('outbox', 'd1'));
+
+    expect(post).not.toHaveBeenCalled();
+    expect(await store.get('outbox', 'd1')).toMatchObject({
+      attempts: 1,
+      lastError: 'URL must resolve to a public address'
+    });
+  });
+
+  it('delivers in parallel within the per-endpoint limit', async () => {
+    service.endpointConcurrency = 2;
+    const inFlight = new Map();
+    const maxInFlight = new Map();
+    const started = [];
+
+    jest.spyOn(axios, 'post').mockImplementation(async (url, body, { headers }) => {
+      started.push(headers['X-TakeFi-Delivery']);
+      inFlight.set(url, (inFlight.get(url) || 0) + 1);
+      maxInFlight.set(url, Math.max(maxInFlight.get(url) || 0, inFlight.get(url)));
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      inFlight.set(url, inFlight.get(url) - 1);
+      return { status: 200 };
+    });
+
+    const slow = { type: 'endpoint', webhookId: 'slow', url: 'https://8.8.8.8/slow' };
+    const other = { type: 'endpoint', webhookId: 'other', url: 'https://1.1.1.1/other' };
+    for (let i = 0; i < 5; i++) {
+      await store.put('outbox', `s${i}`, delivery(`s${i}`, slow, `2025-01-01T00:00:0${i}.000Z`));
+    }
+    await store.put('outbox', 'o0', delivery('o0', other, '2025-01-01T00:00:09.000Z'));
+
+    await service.deliverDue();
+
+    expect(maxInFlight.get(slow.url)).toBe(2);
+    // The other endpoint is not queued behind the slow one
+    expect(started.indexOf('o0')).toBeLessThan(3);
+    // Each endpoint's deliveries start in queue order
+    expect(started.filter((id) => id.startsWith('s'))).toEqual(['s0', 's1', 's2', 's3', 's4']);
+    expect(await store.list('outbox')).toEqual([]);
+  });
+});
+
+describe('WebhookService pending swap events', () => {
+  const event = {
+    id: '0b6f4b5c-63a4-4ad4-9f9c-0f3b1b8f9a10',
+    type: 'swap.refunded',
+    swapId: 'pending-swap',
+    occurredAt: new Date().toISOString(),
+    data: { from: 'refundable', to: 'refunded', cause: 'htlc_refunded' }
+  };
+  let directory;
+  let store;
+  let service;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    store = new WebhookStore(directory);
+    service = new WebhookService(store);
+    service.processOutbox = jest.fn();
+    await swapStore.createSwap('pending-swap', {
+      swapId: 'pending-swap',
+      status: 'refunded',
+      webhook: { url: 'https://8.8.8.8/hook', events: ['swap.refunded'], secret: 'secret' },
+      pendingEvents: [event]
+    });
+  });
+
+  afterEach(async () => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    await swapStore.deleteSwap('pending-swap');
+  });
+
+  it('queues events left pending on a swap and clears them', async () => {
+    expect(await service.recoverPendingEvents()).toBe(1);
+
+    const [queued] = await store.list('outbox');
+    expect(queued).toMatchObject({ eventId: event.id, eventType: 'swap.refunded', swapId: 'pending-swap' });
+    expect((await swapStore.getSwap('pending-swap')).pendingEvents).toEqual([]);
+  });
+
+  it('does not queue the same event twice', async () => {
+    const swap = await swapStore.getSwap('pending-swap');
+
+    await service.enqueue(event, swap);
+    await service.enqueue(event, swap);
+
+    expect(await store.list('outbox')).toHaveLength(1);
+  });
+});
+
+describe('createWebhookStore', () => {
+  it('keeps webhook records in Secrets Manager alongside aws-stored swaps', () => {
+    expect(createWebhookStore('aws')).toBeInstanceOf(AWSWebhookStore);
+    expect(createWebhookStore('file')).toBeInstanceOf(WebhookStore);
+  });
+});
@@ -0,0 +1,101 @@
+const chainData = require('../src/services/chainData');
+const zeroConfRiskService = require('../src/services/zeroConfRiskService');
+const { ZERO_CONF_RISKS } = require('../src/services/zeroConfRiskService');
+
+const TIP_HEIGHT = 800;
+const FINAL = 0xffffffff;
+const SWAP = { swapId: 'swap-zero-conf', timelockType: 'absolute', lockHeight: TIP_HEIGHT + 20 };
+
+function depositTx({ sequence = FINAL, fee = 2000, weight = 800 } = {}) {
+  return {
+    txid: 'deposit',
+    vin: [{ txid: 'parent', vout: 0, sequence }],
+    vout: [{ value: 100000 }],
+    fee,
+    weight,
+    status: { confirmed: false }
+  };
+}
+
+describe('ZeroConfRiskService.assessDeposits', () => {
+  beforeEach(() => {
+    jest.spyOn(chainData, 'getTransaction').mockImplementation(async (txid) => ({
+      txid,
+      vin: [{ txid: 'grandparent', vout: 0, sequence: FINAL }],
+      vout: [{ value: 102000 }],
+      status: { confirmed: true }
+    }));
+    jest.spyOn(chainData, 'findConflictingSpends').mockResolvedValue({ conflicts: [], checkedBy: ['esplora'] });
+    jest.spyOn(chainData, 'getFeeRate').mockResolvedValue({ feeRate: 5, targetBlocks: 10 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const assess = (tx) => zeroConfRiskService.assessDeposits(
+    SWAP,
+    [{ txid: tx.txid, vout: 0, confirmed: false }],
+    TIP_HEIGHT,
+    new Map([[tx.txid, tx]])
+  );
+  const reasons = (assessment) => assessment.risks.map((risk) => risk.reason);
+
+  it('accepts a final, well-paid deposit without conflicts', async () => {
+    const assessment = await assess(depositTx());
+
+    expect(assessment).toMatchObject({ atRisk: false, risks: [] });
+    // Half the blocks left before the refund path opens are kept for the claim
+    expect(chainData.getFeeRate).toHaveBeenCalledWith(10);
+  });
+
+  it('rejects a deposit that signals replace-by-fee', async () => {
+    const assessment = await assess(depositTx({ sequence: 0xfffffffd }));
+
+    expect(assessment.atRisk).toBe(true);
+    expect(reasons(assessment)).toEqual([ZERO_CONF_RISKS.RBF_SIGNALED]);
+  });
+
+  it('rejects a deposit whose input is spent by another transaction', async () => {
+    const conflicts = [{ txid: 'double-spend', vin: 0 }];
+    chainData.findConflictingSpends.mockResolvedValue({ conflicts, checkedBy: ['esplora'] });
+
+    const assessment = await assess(depositTx());
+
+    expect(assessment.atRisk).toBe(true);
+    expect(assessment.risks).toEqual([{ txid: 'deposit', reason: ZERO_CONF_RISKS.CONFLICTING_SPEND, conflicts }]);
+  });
+
+  it('rejects a deposit paying too little to confirm before the HTLC expires', async () => {
+    // 200 sats over 200 vB is 1 sat/vB against the 5 sat/vB required
+    const assessment = await assess(depositTx({ fee: 200 }));
+
+    expect(assessment.atRisk).toBe(true);
+    expect(assessment.risks).toEqual([expect.objectContaining({
+      reason: ZERO_CONF_RISKS.LOW_FEE_RATE,
+      feeRate: 1,
+      minFeeRate: 5,
+      blocksLeft: 20
+    })]);
+  });
+
+  it('treats a deposit as at risk when no provider can check for conflicts', async () => {
+    chainData.findConflictingSpends.mockResolvedValue({ conflicts: [], checkedBy: [] });
+
+    const assessment = await assess(depositTx());
+
+    expect(reasons(assessment)).toEqual([ZERO_CONF_RISKS.ASSESSMENT_FAILED]);
+  });
+
+  it('reports every risk a deposit carries', async () => {
+    chainData.findConflictingSpends.mockResolvedValue({ conflicts: [{ txid: 'double-spend' }], checkedBy: ['esplora'] });
+
+    const assessment = await assess(depositTx({ sequence: 0, fee: 200 }));
+
+    expect(reasons(assessment)).toEqual([
+      ZERO_CONF_RISKS.RBF_SIGNALED,
+      ZERO_CONF_RISKS.CONFLICTING_SPEND,
+      ZERO_CONF_RISKS.LOW_FEE_RATE
+    ]);
+  });
+});